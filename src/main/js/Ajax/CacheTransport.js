@@ -0,0 +1,456 @@
+/*
+ * Copyright (c) 2020, Inversoft Inc., All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+'use strict';
+
+import {Utils} from "../Utils.js";
+
+const CacheableResponseTypes = ['', 'json', 'text'];
+
+class CacheTransport {
+  /**
+   * An AJAX transport that answers GET requests from a {@link ResponseCache} and otherwise sends them using another
+   * transport (an XMLHttpRequest or a {@link FetchTransport}). It exposes the same interface as XMLHttpRequest, so the
+   * handlers of the PrimeRequest don't know whether the response came from the cache or the server. {@link
+   * PrimeRequest#withCache} wraps the transport of the request in one of these.
+   *
+   * A GET request that is identical to a request already in-flight waits for that request and gets its result instead
+   * of sending its own. Fresh cached responses go straight to the "done" state. Successful requests with any other method
+   * remove the URL from the cache.
+   *
+   * Only the text and JSON response types are cached. Requests with other response types, and requests with an
+   * Authorization header or a username (unless the cache allows them, see {@link ResponseCache#withAuthorizedRequests}),
+   * are sent normally.
+   *
+   * @constructor
+   * @param {ResponseCache} cache The cache.
+   * @param {XMLHttpRequest|FetchTransport} transport The transport that sends requests to the server.
+   */
+  constructor(cache, transport) {
+    Utils.bindAll(this);
+    this.cache = cache;
+    this.onprogress = null;
+    this.onreadystatechange = null;
+    this.readyState = 0;
+    this.response = null;
+    this.responseText = '';
+    this.responseType = transport.responseType || '';
+    this.responseURL = '';
+    this.status = 0;
+    this.statusText = '';
+    this.transport = transport;
+    this.upload = transport.upload;
+    this._aborted = false;
+    this._async = true;
+    this._generation = 0;
+    this._headers = {};
+    this._key = null;
+    this._leading = false;
+    this._method = null;
+    this._mode = null;
+    this._password = null;
+    this._responseHeaders = {};
+    this._staleEntry = null;
+    this._timerId = null;
+    this._url = null;
+    this._username = null;
+  }
+
+  /**
+   * Aborts the request. If the request was waiting for an identical in-flight request, only this request is aborted.
+   */
+  abort() {
+    if (this.readyState === 0 || this.readyState === 4) {
+      return;
+    }
+
+    this._aborted = true;
+    if (this._mode === 'network') {
+      // The transport completes with a status of zero, which is handled like any other response
+      this.transport.abort();
+    } else if (this._mode === 'follower') {
+      Utils.removeFromArray(this.cache.inFlight[this._key].followers, this);
+    } else if (this._timerId !== null) {
+      clearTimeout(this._timerId);
+      this._timerId = null;
+    }
+
+    if (this.readyState !== 4) {
+      this._finishInFlight(null);
+      this._apply(this._abortedEntry());
+    }
+  }
+
+  /**
+   * Returns the response headers as a single string in the same format as XMLHttpRequest.
+   *
+   * @returns {string} The headers.
+   */
+  getAllResponseHeaders() {
+    let result = '';
+    for (let name in this._responseHeaders) {
+      if (this._responseHeaders.hasOwnProperty(name)) {
+        result += name + ': ' + this._responseHeaders[name] + '\r\n';
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Returns the value of the given response header.
+   *
+   * @param {string} name The name of the header.
+   * @returns {?string} The header value or null if the header was not in the response.
+   */
+  getResponseHeader(name) {
+    const value = this._responseHeaders[name.toLowerCase()];
+    return Utils.isDefined(value) ? value : null;
+  }
+
+  /**
+   * Initializes the request.
+   *
+   * @param {string} method The HTTP method.
+   * @param {string} url The URL.
+   * @param {boolean} [async=true] Determines if the request is asynchronous.
+   * @param {?string} [username] The username for basic authentication.
+   * @param {?string} [password] The password for basic authentication.
+   */
+  open(method, url, async, username, password) {
+    // Anything still pending belongs to the previous request
+    if (this._mode === 'follower' && this.readyState !== 4) {
+      Utils.removeFromArray(this.cache.inFlight[this._key].followers, this);
+    }
+
+    this._finishInFlight(null);
+    if (this._timerId !== null) {
+      clearTimeout(this._timerId);
+      this._timerId = null;
+    }
+
+    this._aborted = false;
+    this._async = async !== false;
+    this._generation++;
+    this._headers = {};
+    this._key = null;
+    this._method = method.toUpperCase();
+    this._mode = null;
+    this._password = password;
+    this._responseHeaders = {};
+    this._staleEntry = null;
+    this._url = url;
+    this._username = username;
+    this.response = null;
+    this.responseText = '';
+    this.responseURL = '';
+    this.status = 0;
+    this.statusText = '';
+    this._changeState(1);
+  }
+
+  /**
+   * Passes the MIME type to the wrapped transport.
+   *
+   * @param {string} mimeType The MIME type.
+   */
+  overrideMimeType(mimeType) {
+    this.transport.overrideMimeType(mimeType);
+  }
+
+  /**
+   * Sends the request, unless it can be answered from the cache or by an identical in-flight request.
+   *
+   * @param {*} [body] The request body.
+   */
+  send(body) {
+    if (this.readyState !== 1) {
+      throw new TypeError('The transport must be opened before the request is sent');
+    }
+
+    if (this._method !== 'GET' || CacheableResponseTypes.indexOf(this.responseType) === -1 ||
+        (!this.cache.authorizedRequests && this._isAuthorized())) {
+      this._sendToServer(body);
+      return;
+    }
+
+    this._key = this.cache.keyFor(this._url, this.responseType, this._headers);
+    const entry = this.cache.get(this._key);
+    if (entry !== null && this.cache.isFresh(entry)) {
+      this._mode = 'cache';
+      if (this._async) {
+        this._timerId = setTimeout(function() {
+          this._timerId = null;
+          this._apply(entry);
+        }.bind(this));
+      } else {
+        this._apply(entry);
+      }
+    } else if (this._async && Utils.isDefined(this.cache.inFlight[this._key])) {
+      this._mode = 'follower';
+      this.cache.inFlight[this._key].followers.push(this);
+    } else {
+      this._staleEntry = entry;
+      if (this._async) {
+        this._leading = true;
+        this.cache.inFlight[this._key] = {followers: []};
+      }
+
+      this._sendToServer(body);
+    }
+  }
+
+  /**
+   * Adds a request header.
+   *
+   * @param {string} name The header name.
+   * @param {string} value The header value.
+   */
+  setRequestHeader(name, value) {
+    this._headers[name] = value;
+  }
+
+  /* ===================================================================================================================
+   * Private Methods
+   * ===================================================================================================================*/
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * @returns {Object} The entry used when the request is aborted.
+   * @private
+   */
+  _abortedEntry() {
+    return {body: '', etag: null, headers: {}, lastModified: null, responseURL: '', status: 0, statusText: ''};
+  }
+
+  /**
+   * Copies the given cache entry into this transport and moves to the "done" state.
+   *
+   * @param {Object} entry The entry.
+   * @private
+   */
+  _apply(entry) {
+    this.status = entry.status;
+    this.statusText = entry.statusText;
+    this.responseURL = entry.responseURL;
+    this._responseHeaders = entry.headers;
+    this.responseText = entry.body;
+    if (this.responseType === 'json') {
+      this.response = entry.body !== '' ? JSON.parse(entry.body) : null;
+    } else {
+      this.response = entry.body;
+    }
+
+    this._changeState(4);
+  }
+
+  /**
+   * @param {number} readyState The new ready state.
+   * @private
+   */
+  _changeState(readyState) {
+    this.readyState = readyState;
+    if (this.onreadystatechange === null) {
+      return;
+    }
+
+    // An error in one handler must not stop the other requests waiting on the same response from completing
+    try {
+      this.onreadystatechange();
+    } catch (e) {
+      setTimeout(function() {
+        throw e;
+      });
+    }
+  }
+
+  /**
+   * Builds a cache entry from the wrapped transport once it is done.
+   *
+   * @returns {Object} The entry.
+   * @private
+   */
+  _createEntry() {
+    let body;
+    if (this.responseType === 'json') {
+      body = this.transport.response !== null ? JSON.stringify(this.transport.response) : '';
+    } else {
+      body = this.transport.responseText;
+    }
+
+    return {
+      body: body,
+      etag: this.getResponseHeader('ETag'),
+      headers: this._responseHeaders,
+      lastModified: this.getResponseHeader('Last-Modified'),
+      responseURL: this.transport.responseURL || this._url,
+      status: this.transport.status,
+      statusText: this.transport.statusText
+    };
+  }
+
+  /**
+   * Hands the result of the request to every identical request that was waiting on it. If this request was aborted, the
+   * waiting requests send their own request instead.
+   *
+   * @param {?Object} entry The entry or null if the request was aborted.
+   * @private
+   */
+  _finishInFlight(entry) {
+    if (!this._leading) {
+      return;
+    }
+
+    this._leading = false;
+    const followers = this.cache.inFlight[this._key].followers;
+    delete this.cache.inFlight[this._key];
+    for (let i = 0; i < followers.length; i++) {
+      if (entry !== null) {
+        followers[i]._apply(entry);
+      } else {
+        followers[i]._mode = null;
+        followers[i].send(null);
+      }
+    }
+  }
+
+  /**
+   * Handles the state changes of the wrapped transport.
+   *
+   * @param {number} generation The generation of the request that the state change is for.
+   * @private
+   */
+  _handleTransportChange(generation) {
+    if (generation !== this._generation || this.transport.readyState < 2 || this.readyState === 4) {
+      return;
+    }
+
+    this.status = this.transport.status;
+    this.statusText = this.transport.statusText;
+    this.responseURL = this.transport.responseURL || this._url;
+    this._responseHeaders = this._parseHeaders(this.transport.getAllResponseHeaders());
+    if (this.responseType === '' || this.responseType === 'text') {
+      this.responseText = this.transport.responseText;
+    }
+
+    if (this.transport.readyState !== 4) {
+      this._changeState(this.transport.readyState);
+      return;
+    }
+
+    let entry = this._createEntry();
+    if (this._aborted) {
+      this._finishInFlight(null);
+    } else {
+      if (entry.status === 304 && this._staleEntry !== null) {
+        entry = this._staleEntry;
+        this.cache.put(this._key, entry);
+      } else if (entry.status === 200 && this._key !== null) {
+        this.cache.put(this._key, entry);
+      } else if (this._method !== 'GET' && entry.status >= 200 && entry.status <= 299) {
+        this.cache.remove(this._url);
+      }
+
+      this._finishInFlight(entry);
+    }
+
+    this._apply(entry);
+  }
+
+  /**
+   * @returns {boolean} True if the request has an Authorization header or a username.
+   * @private
+   */
+  _isAuthorized() {
+    if (Utils.isDefined(this._username) && this._username !== null) {
+      return true;
+    }
+
+    for (let name in this._headers) {
+      if (this._headers.hasOwnProperty(name) && name.toLowerCase() === 'authorization') {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * @param {?string} headerString The raw headers.
+   * @returns {Object} The headers keyed by the lower case header names.
+   * @private
+   */
+  _parseHeaders(headerString) {
+    const headers = {};
+    const lines = (headerString || '').trim().split(/[\r\n]+/);
+    for (let i = 0; i < lines.length; i++) {
+      const index = lines[i].indexOf(':');
+      if (index > 0) {
+        headers[lines[i].substring(0, index).trim().toLowerCase()] = lines[i].substring(index + 1).trim();
+      }
+    }
+
+    return headers;
+  }
+
+  /**
+   * Sends the request using the wrapped transport. Expired entries are revalidated using a conditional request.
+   *
+   * @param {*} body The request body.
+   * @private
+   */
+  _sendToServer(body) {
+    this._mode = 'network';
+    const generation = this._generation;
+    this.transport.open(this._method, this._url, this._async, this._username, this._password);
+    if (this.responseType !== '') {
+      this.transport.responseType = this.responseType;
+    }
+
+    for (let name in this._headers) {
+      if (this._headers.hasOwnProperty(name)) {
+        this.transport.setRequestHeader(name, this._headers[name]);
+      }
+    }
+
+    if (this._staleEntry !== null) {
+      if (this._staleEntry.etag !== null) {
+        this.transport.setRequestHeader('If-None-Match', this._staleEntry.etag);
+      }
+
+      if (this._staleEntry.lastModified !== null) {
+        this.transport.setRequestHeader('If-Modified-Since', this._staleEntry.lastModified);
+      }
+    }
+
+    this.transport.onreadystatechange = function() {
+      this._handleTransportChange(generation);
+    }.bind(this);
+    this.transport.onprogress = function(event) {
+      if (generation === this._generation && this.onprogress !== null) {
+        this.onprogress(event);
+      }
+    }.bind(this);
+    this.transport.send(body);
+
+    // Synchronous requests are done once send returns
+    if (!this._async) {
+      this._handleTransportChange(generation);
+    }
+  }
+}
+
+export {CacheTransport};
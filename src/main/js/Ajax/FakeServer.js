@@ -0,0 +1,397 @@
+/*
+ * Copyright (c) 2020, Inversoft Inc., All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+'use strict';
+
+import {FakeTransport} from "./FakeTransport.js";
+import {PrimeRequest} from "../PrimeRequest.js";
+import {Utils} from "../Utils.js";
+
+class FakeServer {
+  /**
+   * A fake HTTP server for testing code that makes AJAX requests using PrimeRequest (including the widgets) without a
+   * real server. Routes are added for a method and URL pattern and answered with a canned response or a response
+   * created by a function. Once the server is installed, every PrimeRequest is answered by the server:
+   *
+   * <pre>
+   *   const server = new FakeServer()
+   *       .withRoute('GET', '/api/user/:id', {body: {id: 1, name: 'Jane'}})
+   *       .withRoute('POST', '/api/user', function(request) {
+   *         return {status: 201, headers: {'Location': '/api/user/2'}};
+   *       })
+   *       .install();
+   *   ...
+   *   server.assertReceived('POST', '/api/user');
+   *   server.uninstall();
+   * </pre>
+   *
+   * A response can contain any of the following (the defaults are shown):
+   *
+   * <pre>
+   *   {
+   *     status: 200,      // The HTTP status. Zero simulates a network error
+   *     statusText: '',   // The HTTP status text
+   *     headers: {},      // The response headers
+   *     body: '',         // The body. Anything but a String is sent as JSON
+   *     delay: 0          // The number of milliseconds before responding (defaults to the delay of the server)
+   *   }
+   * </pre>
+   *
+   * Requests that don't match a route are answered with a 404.
+   *
+   * @constructor
+   */
+  constructor() {
+    Utils.bindAll(this);
+    this.autoRespond = true;
+    this.delay = 0;
+    this.requests = [];
+    this.routes = [];
+    this._installed = false;
+    this._pending = [];
+  }
+
+  /**
+   * Throws an Error unless the server received a request for the given method and URL pattern.
+   *
+   * @param {string} method The HTTP method or '*' for any method.
+   * @param {string|RegExp} url The URL pattern (see {@link #withRoute}).
+   * @param {number} [count] The exact number of requests that must have been received.
+   * @returns {FakeServer} This.
+   */
+  assertReceived(method, url, count) {
+    const received = this.received(method, url).length;
+    if ((Utils.isDefined(count) && received !== count) || (!Utils.isDefined(count) && received === 0)) {
+      const expected = Utils.isDefined(count) ? count : 'at least one';
+      throw new Error('Expected ' + expected + ' [' + method + ' ' + url + '] request(s) but received [' + received +
+          ']. The requests were [' + this.requests.map(function(request) {
+            return request.method + ' ' + request.url;
+          }).join(', ') + ']');
+    }
+
+    return this;
+  }
+
+  /**
+   * Creates a transport that sends its requests to this server. Pass it to {@link PrimeRequest#usingTransport} to use
+   * the server for a single request without installing it.
+   *
+   * @returns {FakeTransport} The transport.
+   */
+  createTransport() {
+    return new FakeTransport(this);
+  }
+
+  /**
+   * Answers every PrimeRequest using this server until {@link #uninstall} is called.
+   *
+   * @returns {FakeServer} This.
+   */
+  install() {
+    if (!this._installed) {
+      PrimeRequest.addRequestInterceptor(this._intercept);
+      this._installed = true;
+    }
+
+    return this;
+  }
+
+  /**
+   * @returns {?Object} The last request the server received or null if it hasn't received any.
+   */
+  lastRequest() {
+    return this.requests.length > 0 ? this.requests[this.requests.length - 1] : null;
+  }
+
+  /**
+   * Returns the requests the server received for the given method and URL pattern. Each request has the
+   * <code>method</code>, <code>url</code>, <code>headers</code>, <code>body</code>, <code>async</code> flag,
+   * <code>username</code>, <code>password</code> and the <code>params</code> from the URL pattern of the route that
+   * answered it.
+   *
+   * @param {string} [method] The HTTP method or '*' for any method. Leave out to return every request.
+   * @param {string|RegExp} [url] The URL pattern (see {@link #withRoute}).
+   * @returns {Array<Object>} The requests.
+   */
+  received(method, url) {
+    if (!Utils.isDefined(method)) {
+      return this.requests.slice();
+    }
+
+    const pattern = Utils.isDefined(url) ? this._compile(url) : null;
+    return this.requests.filter(function(request) {
+      return this._matches(method, pattern, request) !== null;
+    }.bind(this));
+  }
+
+  /**
+   * Forgets the received requests and cancels the responses that haven't been sent yet. The routes are kept.
+   *
+   * @returns {FakeServer} This.
+   */
+  reset() {
+    for (let i = 0; i < this._pending.length; i++) {
+      if (this._pending[i].timeoutId !== null) {
+        clearTimeout(this._pending[i].timeoutId);
+      }
+    }
+
+    this._pending = [];
+    this.requests = [];
+    return this;
+  }
+
+  /**
+   * Sends the responses that are waiting, in the order the requests were received. This is used when automatic
+   * responses are turned off to check the state of the code while requests are in-flight.
+   *
+   * @returns {FakeServer} This.
+   */
+  respond() {
+    const pending = this._pending;
+    this._pending = [];
+    for (let i = 0; i < pending.length; i++) {
+      if (pending[i].timeoutId !== null) {
+        clearTimeout(pending[i].timeoutId);
+      }
+
+      pending[i].transport._respond(pending[i].response);
+    }
+
+    return this;
+  }
+
+  /**
+   * Stops answering PrimeRequests. Any responses that haven't been sent yet are cancelled.
+   *
+   * @returns {FakeServer} This.
+   */
+  uninstall() {
+    PrimeRequest.removeRequestInterceptor(this._intercept);
+    this._installed = false;
+    this.reset();
+    return this;
+  }
+
+  /**
+   * Turns the automatic responses on or off. When they are off, the responses wait until {@link #respond} is called.
+   *
+   * @param {boolean} autoRespond True to respond automatically.
+   * @returns {FakeServer} This.
+   */
+  withAutoRespond(autoRespond) {
+    this.autoRespond = autoRespond;
+    return this;
+  }
+
+  /**
+   * Sets the number of milliseconds before responding for the routes that don't have their own delay.
+   *
+   * @param {number} delay The delay in milliseconds.
+   * @returns {FakeServer} This.
+   */
+  withDelay(delay) {
+    this.delay = delay;
+    return this;
+  }
+
+  /**
+   * Adds a route. The URL pattern is either a RegExp that is tested against the full URL or a String that is compared
+   * to the URL without the query string (unless the pattern has one). Strings can contain named parameters such as
+   * <code>/api/user/:id</code> and <code>*</code> wildcards. The named parameters (or the groups of a RegExp) are
+   * available as the <code>params</code> of the request.
+   *
+   * The response is either a response object or a function that is passed the request and returns a response object.
+   * When more than one route matches, the route added last is used.
+   *
+   * @param {string} method The HTTP method or '*' for any method.
+   * @param {string|RegExp} url The URL pattern.
+   * @param {Object|Function} response The response or a function that creates it.
+   * @returns {FakeServer} This.
+   */
+  withRoute(method, url, response) {
+    this.routes.push({method: method, pattern: this._compile(url), response: response});
+    return this;
+  }
+
+  /* ===================================================================================================================
+   * Private Methods
+   * ===================================================================================================================*/
+
+  /**
+   * Cancels the response for the given transport if it hasn't been sent yet.
+   *
+   * @param {FakeTransport} transport The transport.
+   * @private
+   */
+  _cancel(transport) {
+    for (let i = 0; i < this._pending.length; i++) {
+      if (this._pending[i].transport === transport) {
+        if (this._pending[i].timeoutId !== null) {
+          clearTimeout(this._pending[i].timeoutId);
+        }
+
+        this._pending.splice(i, 1);
+        return;
+      }
+    }
+  }
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * Compiles a URL pattern into a RegExp and the names of its parameters.
+   *
+   * @param {string|RegExp} url The URL pattern.
+   * @returns {{names: Array<string>, query: boolean, regexp: RegExp}} The compiled pattern.
+   * @private
+   */
+  _compile(url) {
+    if (url instanceof RegExp) {
+      return {names: null, query: true, regexp: url};
+    }
+
+    const names = [];
+    const source = url.replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+        .replace(/:(\w+)/g, function(match, name) {
+          names.push(name);
+          return '([^/?#]+)';
+        })
+        .replace(/\*/g, '.*');
+    return {names: names, query: url.indexOf('?') !== -1, regexp: new RegExp('^' + source + '$')};
+  }
+
+  /**
+   * Creates the response for the request using the routes.
+   *
+   * @param {Object} request The request.
+   * @returns {{status: number, statusText: string, headers: Object, body: string, delay: number}} The response.
+   * @private
+   */
+  _createResponse(request) {
+    let route = null;
+    for (let i = this.routes.length - 1; i >= 0 && route === null; i--) {
+      const params = this._matches(this.routes[i].method, this.routes[i].pattern, request);
+      if (params !== null) {
+        route = this.routes[i];
+        request.params = params;
+      }
+    }
+
+    let response = {status: 404, body: 'Not Found'};
+    if (route !== null) {
+      response = typeof route.response === 'function' ? route.response(request) : route.response;
+    }
+
+    response = response || {};
+    const headers = {};
+    for (let name in response.headers) {
+      if (response.headers.hasOwnProperty(name)) {
+        headers[name.toLowerCase()] = String(response.headers[name]);
+      }
+    }
+
+    let body = Utils.isDefined(response.body) && response.body !== null ? response.body : '';
+    if (typeof body !== 'string') {
+      body = JSON.stringify(body);
+      headers['content-type'] = headers['content-type'] || 'application/json';
+    }
+
+    return {
+      body: body,
+      delay: Utils.isDefined(response.delay) ? response.delay : this.delay,
+      headers: headers,
+      status: Utils.isDefined(response.status) ? response.status : 200,
+      statusText: response.statusText || ''
+    };
+  }
+
+  /**
+   * The request interceptor that sends the requests to this server.
+   *
+   * @param {PrimeRequest} request The request.
+   * @private
+   */
+  _intercept(request) {
+    if (request.xhr instanceof FakeTransport) {
+      return;
+    }
+
+    const transport = this.createTransport();
+    transport.responseType = request.xhr.responseType || '';
+    request.xhr = transport;
+  }
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * Matches the request against the method and URL pattern.
+   *
+   * @param {string} method The HTTP method or '*' for any method.
+   * @param {?{names: Array<string>, query: boolean, regexp: RegExp}} pattern The compiled URL pattern or null for any URL.
+   * @param {Object} request The request.
+   * @returns {?Object} The parameters from the URL pattern or null if the request doesn't match.
+   * @private
+   */
+  _matches(method, pattern, request) {
+    if (method !== '*' && method.toUpperCase() !== request.method) {
+      return null;
+    }
+
+    if (pattern === null) {
+      return {};
+    }
+
+    const url = pattern.query ? request.url : request.url.split('?')[0];
+    const match = pattern.regexp.exec(url);
+    if (match === null) {
+      return null;
+    }
+
+    const params = {};
+    for (let i = 1; i < match.length; i++) {
+      const name = pattern.names !== null ? pattern.names[i - 1] : i - 1;
+      params[name] = Utils.isDefined(match[i]) ? decodeURIComponent(match[i]) : null;
+    }
+
+    return params;
+  }
+
+  /**
+   * Records the request the transport sent and responds (or queues the response when automatic responses are off).
+   *
+   * @param {FakeTransport} transport The transport.
+   * @private
+   */
+  _receive(transport) {
+    const request = transport.request;
+    this.requests.push(request);
+
+    const response = this._createResponse(request);
+    if (!request.async) {
+      transport._respond(response);
+      return;
+    }
+
+    const pending = {response: response, timeoutId: null, transport: transport};
+    this._pending.push(pending);
+    if (this.autoRespond) {
+      pending.timeoutId = setTimeout(function() {
+        this._cancel(transport);
+        transport._respond(response);
+      }.bind(this), response.delay);
+    }
+  }
+}
+
+export {FakeServer};
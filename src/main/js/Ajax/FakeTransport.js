@@ -0,0 +1,255 @@
+/*
+ * Copyright (c) 2020, Inversoft Inc., All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+'use strict';
+
+import {Utils} from "../Utils.js";
+
+class FakeTransport {
+  /**
+   * An AJAX transport with the same interface as XMLHttpRequest whose requests are answered by a {@link FakeServer}
+   * rather than the network. The transport goes through the same ready states as XMLHttpRequest: "open" when it is
+   * opened, then "headers received", "loading" and "done" once the server responds.
+   *
+   * Transports are created by the server, either for every PrimeRequest once the server is installed or by calling
+   * {@link FakeServer#createTransport}.
+   *
+   * @constructor
+   * @param {FakeServer} server The server that answers the requests.
+   */
+  constructor(server) {
+    Utils.bindAll(this);
+    this.onprogress = null;
+    this.onreadystatechange = null;
+    this.readyState = 0;
+    this.request = null;
+    this.response = null;
+    this.responseText = '';
+    this.responseType = '';
+    this.responseURL = '';
+    this.responseXML = null;
+    this.server = server;
+    this.status = 0;
+    this.statusText = '';
+    this.upload = {onprogress: null};
+    this._responseHeaders = null;
+  }
+
+  /**
+   * Aborts the request. Just like XMLHttpRequest, this completes the request with a status of zero.
+   */
+  abort() {
+    if (this.readyState === 0 || this.readyState === 4) {
+      return;
+    }
+
+    this.server._cancel(this);
+    this.status = 0;
+    this.statusText = '';
+    this._responseHeaders = null;
+    this._changeState(4);
+  }
+
+  /**
+   * Returns the response headers as a single string in the same format as XMLHttpRequest.
+   *
+   * @returns {string} The headers or an empty string if the response has not been received.
+   */
+  getAllResponseHeaders() {
+    if (this._responseHeaders === null) {
+      return '';
+    }
+
+    let result = '';
+    for (let name in this._responseHeaders) {
+      if (this._responseHeaders.hasOwnProperty(name)) {
+        result += name + ': ' + this._responseHeaders[name] + '\r\n';
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Returns the value of the given response header.
+   *
+   * @param {string} name The name of the header (case insensitive).
+   * @returns {?string} The header value or null if the header was not in the response.
+   */
+  getResponseHeader(name) {
+    if (this._responseHeaders === null) {
+      return null;
+    }
+
+    const value = this._responseHeaders[name.toLowerCase()];
+    return Utils.isDefined(value) ? value : null;
+  }
+
+  /**
+   * Initializes the request.
+   *
+   * @param {string} method The HTTP method.
+   * @param {string} url The URL.
+   * @param {boolean} [async=true] False to answer the request as soon as it is sent.
+   * @param {?string} [username] The username for basic authentication.
+   * @param {?string} [password] The password for basic authentication.
+   */
+  open(method, url, async, username, password) {
+    this.server._cancel(this);
+    this.request = {
+      async: async !== false,
+      body: null,
+      headers: {},
+      method: method.toUpperCase(),
+      params: {},
+      password: Utils.isDefined(password) ? password : null,
+      url: url,
+      username: Utils.isDefined(username) ? username : null
+    };
+    this.response = null;
+    this.responseText = '';
+    this.responseURL = '';
+    this.responseXML = null;
+    this.status = 0;
+    this.statusText = '';
+    this._responseHeaders = null;
+    this._changeState(1);
+  }
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * Does nothing. This exists for compatibility with XMLHttpRequest. Use the response type instead.
+   */
+  overrideMimeType() {
+  }
+
+  /**
+   * Sends the request to the server.
+   *
+   * @param {*} [body] The request body.
+   */
+  send(body) {
+    if (this.readyState !== 1) {
+      throw new TypeError('The transport must be opened before the request is sent');
+    }
+
+    this.request.body = Utils.isDefined(body) ? body : null;
+    this.server._receive(this);
+  }
+
+  /**
+   * Adds a request header.
+   *
+   * @param {string} name The header name.
+   * @param {string} value The header value.
+   */
+  setRequestHeader(name, value) {
+    this.request.headers[name] = value;
+  }
+
+  /* ===================================================================================================================
+   * Private Methods
+   * ===================================================================================================================*/
+
+  /**
+   * @param {number} readyState The new ready state.
+   * @private
+   */
+  _changeState(readyState) {
+    this.readyState = readyState;
+    if (this.onreadystatechange !== null) {
+      this.onreadystatechange();
+    }
+  }
+
+  /**
+   * Converts the response body based on the response type.
+   *
+   * @param {string} text The response body.
+   * @returns {*} The response.
+   * @private
+   */
+  _convertBody(text) {
+    const contentType = this.getResponseHeader('Content-Type') || '';
+    if (this.responseType === 'json') {
+      try {
+        return text !== '' ? JSON.parse(text) : null;
+      } catch (e) {
+        // Just like XMLHttpRequest, the response is null when the JSON is invalid
+        return null;
+      }
+    } else if (this.responseType === 'blob') {
+      return new Blob([text], {type: contentType});
+    } else if (this.responseType === 'arraybuffer') {
+      return new TextEncoder().encode(text).buffer;
+    } else if (this.responseType === 'document') {
+      return new DOMParser().parseFromString(text, /xml/i.test(contentType) ? 'application/xml' : 'text/html');
+    }
+
+    return text;
+  }
+
+  /**
+   * Answers the request with the given response, going through the "headers received", "loading" and "done" states.
+   * This is called by the server.
+   *
+   * @param {{status: number, statusText: string, headers: Object, body: string}} response The response.
+   * @private
+   */
+  _respond(response) {
+    if (response.status === 0) {
+      this._changeState(4);
+      return;
+    }
+
+    this.status = response.status;
+    this.statusText = response.statusText;
+    this.responseURL = this.request.url;
+    this._responseHeaders = response.headers;
+    this._changeState(2);
+
+    if (this.readyState !== 2) {
+      return;
+    }
+
+    if (response.body !== '') {
+      if (this.responseType === '' || this.responseType === 'text') {
+        this.responseText = response.body;
+      }
+
+      this._changeState(3);
+      if (this.onprogress !== null) {
+        this.onprogress({lengthComputable: true, loaded: response.body.length, total: response.body.length, target: this});
+      }
+
+      if (this.readyState !== 3) {
+        return;
+      }
+    }
+
+    this.response = this._convertBody(response.body);
+    if (this.responseType === 'document') {
+      this.responseXML = this.response;
+    } else if (this.responseType === '' && /[/+]xml\b/i.test(this.getResponseHeader('Content-Type') || '')) {
+      // Just like XMLHttpRequest, the XML is null when it isn't well-formed
+      const xml = new DOMParser().parseFromString(response.body, 'application/xml');
+      this.responseXML = xml.getElementsByTagName('parsererror').length > 0 ? null : xml;
+    }
+
+    this._changeState(4);
+  }
+}
+
+export {FakeTransport};
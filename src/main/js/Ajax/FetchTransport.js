@@ -0,0 +1,349 @@
+/*
+ * Copyright (c) 2020, Inversoft Inc., All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+'use strict';
+
+import {Utils} from "../Utils.js";
+
+class FetchTransport {
+  /**
+   * An AJAX transport that uses the fetch API but exposes the same interface as XMLHttpRequest. This allows a
+   * PrimeRequest to use fetch without changing how the request is built or how its handlers are called. Pass an instance
+   * to {@link PrimeRequest#usingTransport}.
+   *
+   * The response body is streamed for the text and JSON response types. Each chunk moves the transport to the "loading"
+   * state, where <code>responseText</code> contains everything received so far. Download progress is reported to the
+   * <code>onprogress</code> handler for each chunk. Upload progress is not available because fetch doesn't report it.
+   *
+   * The options are passed to fetch and can contain any of the fetch request options such as <code>cache</code>,
+   * <code>credentials</code>, <code>mode</code>, <code>redirect</code>, <code>referrerPolicy</code> and
+   * <code>keepalive</code>.
+   *
+   * @constructor
+   * @param {Object} [options] The fetch request options.
+   */
+  constructor(options) {
+    Utils.bindAll(this);
+    this.options = options || {};
+    this.onprogress = null;
+    this.onreadystatechange = null;
+    this.readyState = 0;
+    this.response = null;
+    this.responseText = '';
+    this.responseType = '';
+    this.responseURL = '';
+    this.status = 0;
+    this.statusText = '';
+    this._controller = null;
+    this._generation = 0;
+    this._headers = {};
+    this._method = null;
+    this._responseHeaders = null;
+    this._url = null;
+  }
+
+  /**
+   * Aborts the fetch. Just like XMLHttpRequest, this completes the request with a status of zero.
+   */
+  abort() {
+    if (this.readyState === 0 || this.readyState === 4) {
+      return;
+    }
+
+    if (this._controller !== null) {
+      this._controller.abort();
+    }
+
+    this._complete(0, '');
+  }
+
+  /**
+   * Returns the response headers as a single string in the same format as XMLHttpRequest.
+   *
+   * @returns {string} The headers or an empty string if the response has not been received.
+   */
+  getAllResponseHeaders() {
+    if (this._responseHeaders === null) {
+      return '';
+    }
+
+    let result = '';
+    this._responseHeaders.forEach(function(value, name) {
+      result += name + ': ' + value + '\r\n';
+    });
+    return result;
+  }
+
+  /**
+   * Returns the value of the given response header.
+   *
+   * @param {string} name The name of the header.
+   * @returns {?string} The header value or null if the header was not in the response.
+   */
+  getResponseHeader(name) {
+    if (this._responseHeaders === null) {
+      return null;
+    }
+
+    return this._responseHeaders.get(name);
+  }
+
+  /**
+   * Initializes the request.
+   *
+   * @param {string} method The HTTP method.
+   * @param {string} url The URL.
+   * @param {boolean} [async=true] This must be true because fetch is always asynchronous.
+   * @param {?string} [username] The username for basic authentication.
+   * @param {?string} [password] The password for basic authentication.
+   */
+  open(method, url, async, username, password) {
+    if (async === false) {
+      throw new TypeError('The fetch transport does not support synchronous requests');
+    }
+
+    this._controller = null;
+    this._generation++;
+    this._headers = {};
+    this._method = method;
+    this._responseHeaders = null;
+    this._url = url;
+    this.response = null;
+    this.responseText = '';
+    this.responseURL = '';
+    this.status = 0;
+    this.statusText = '';
+
+    if (Utils.isDefined(username)) {
+      this._headers['Authorization'] = 'Basic ' + btoa(username + ':' + (password || ''));
+    }
+
+    this._changeState(1);
+  }
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * Does nothing. This exists for compatibility with XMLHttpRequest. Use the response type instead.
+   */
+  overrideMimeType() {
+  }
+
+  /**
+   * Sends the request.
+   *
+   * @param {*} [body] The request body. Anything that fetch accepts is allowed, including a ReadableStream.
+   */
+  send(body) {
+    if (this.readyState !== 1) {
+      throw new TypeError('The transport must be opened before the request is sent');
+    }
+
+    const init = {};
+    for (let key in this.options) {
+      if (this.options.hasOwnProperty(key)) {
+        init[key] = this.options[key];
+      }
+    }
+
+    init.method = this._method;
+    init.headers = this._headers;
+    if (Utils.isDefined(body) && this._method !== 'GET' && this._method !== 'HEAD') {
+      init.body = body;
+
+      // Streaming request bodies must be sent half duplex
+      if (typeof ReadableStream !== 'undefined' && body instanceof ReadableStream) {
+        init.duplex = 'half';
+      }
+    }
+
+    if (typeof AbortController !== 'undefined') {
+      this._controller = new AbortController();
+      init.signal = this._controller.signal;
+    }
+
+    // The generation changes when the transport is re-opened, which means the results of this fetch are stale
+    const generation = this._generation;
+    const current = function() {
+      return generation === this._generation && this.readyState !== 4;
+    }.bind(this);
+
+    fetch(this._url, init)
+        .then(function(response) {
+          if (!current()) {
+            return null;
+          }
+
+          this.status = response.status;
+          this.statusText = response.statusText;
+          this.responseURL = response.url;
+          this._responseHeaders = response.headers;
+          this._changeState(2);
+          return this._readBody(response, current);
+        }.bind(this))
+        .catch(function() {
+          // Network errors complete with a status of zero just like XMLHttpRequest
+          if (current()) {
+            this.statusText = '';
+            this._responseHeaders = null;
+            this._complete(0, '');
+          }
+        }.bind(this));
+  }
+
+  /**
+   * Adds a request header.
+   *
+   * @param {string} name The header name.
+   * @param {string} value The header value.
+   */
+  setRequestHeader(name, value) {
+    this._headers[name] = value;
+  }
+
+  /* ===================================================================================================================
+   * Private Methods
+   * ===================================================================================================================*/
+
+  /**
+   * @param {number} readyState The new ready state.
+   * @private
+   */
+  _changeState(readyState) {
+    this.readyState = readyState;
+    if (this.onreadystatechange === null) {
+      return;
+    }
+
+    // Report errors from the handler outside of the fetch Promise chain the same way they would be for XMLHttpRequest
+    try {
+      this.onreadystatechange();
+    } catch (e) {
+      setTimeout(function() {
+        throw e;
+      });
+    }
+  }
+
+  /**
+   * Moves the transport to the "done" state.
+   *
+   * @param {?number} status The final status or null to keep the status from the response.
+   * @param {*} response The response.
+   * @private
+   */
+  _complete(status, response) {
+    if (status !== null) {
+      this.status = status;
+    }
+
+    this.response = response;
+    this._controller = null;
+    this._changeState(4);
+  }
+
+  /**
+   * Calls the <code>onprogress</code> handler with an object that looks like a ProgressEvent.
+   *
+   * @param {number} loaded The number of bytes received so far.
+   * @param {number} total The total number of bytes or zero if it is unknown.
+   * @private
+   */
+  _fireProgress(loaded, total) {
+    if (this.onprogress === null) {
+      return;
+    }
+
+    this.onprogress({lengthComputable: total > 0, loaded: loaded, total: total, target: this});
+  }
+
+  /**
+   * Reads the response body based on the response type. Text is streamed when the browser supports it.
+   *
+   * @param {Response} response The fetch response.
+   * @param {Function} current A function that returns false once the fetch was aborted or superseded.
+   * @returns {Promise} A Promise that is resolved once the body has been read.
+   * @private
+   */
+  _readBody(response, current) {
+    if (this.responseType === 'arraybuffer' || this.responseType === 'blob') {
+      const promise = this.responseType === 'blob' ? response.blob() : response.arrayBuffer();
+      return promise.then(function(body) {
+        if (current()) {
+          this._complete(null, body);
+        }
+      }.bind(this));
+    }
+
+    const finish = function() {
+      if (!current()) {
+        return;
+      }
+
+      if (this.responseType === 'json') {
+        let json = null;
+        try {
+          json = this.responseText !== '' ? JSON.parse(this.responseText) : null;
+        } catch (e) {
+          // Just like XMLHttpRequest, the response is null when the JSON is invalid
+        }
+
+        this._complete(null, json);
+      } else if (this.responseType === 'document') {
+        const contentType = this.getResponseHeader('Content-Type') || '';
+        const mimeType = /xml/i.test(contentType) ? 'application/xml' : 'text/html';
+        this._complete(null, new DOMParser().parseFromString(this.responseText, mimeType));
+      } else {
+        this._complete(null, this.responseText);
+      }
+    }.bind(this);
+
+    if (!response.body || typeof response.body.getReader !== 'function' || typeof TextDecoder === 'undefined') {
+      return response.text().then(function(text) {
+        this.responseText = text;
+        finish();
+      }.bind(this));
+    }
+
+    const contentLength = parseInt(response.headers.get('Content-Length'), 10);
+    const total = isNaN(contentLength) ? 0 : contentLength;
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let loaded = 0;
+    const read = function() {
+      return reader.read().then(function(result) {
+        if (!current()) {
+          reader.cancel();
+          return null;
+        }
+
+        if (result.done) {
+          this.responseText += decoder.decode();
+          finish();
+          return null;
+        }
+
+        loaded += result.value.length;
+        this.responseText += decoder.decode(result.value, {stream: true});
+        this._changeState(3);
+        this._fireProgress(loaded, total);
+        return read();
+      }.bind(this));
+    }.bind(this);
+
+    return read();
+  }
+}
+
+export {FetchTransport};
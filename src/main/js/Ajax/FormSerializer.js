@@ -0,0 +1,281 @@
+/*
+ * Copyright (c) 2020, Inversoft Inc., All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+'use strict';
+
+import {PrimeElement} from "../Document/PrimeElement.js";
+import {Utils} from "../Utils.js";
+
+const UnsafeKeys = ['__proto__', 'constructor', 'prototype'];
+
+const FormSerializer = {
+  /**
+   * Populates the fields of the given form from the given object. This is the reverse of {@link #serialize}, so the field
+   * names are paths into the object. Fields whose path does not exist in the object are left alone. When an array is
+   * populated into fields that share a name (like multiple hidden inputs), each field gets the next value.
+   *
+   * @param {PrimeElement|HTMLFormElement} form The form.
+   * @param {Object} data The object.
+   */
+  populate: function(form, data) {
+    const domElement = form instanceof PrimeElement ? form.domElement : form;
+    const occurrences = {};
+    for (let i = 0; i < domElement.elements.length; i++) {
+      const primeElement = new PrimeElement(domElement.elements[i]);
+      const type = FormSerializer._getType(primeElement);
+      const name = primeElement.domElement.name;
+      if (!primeElement.isInput() || !name || type === 'file' || FormSerializer._isButton(type)) {
+        continue;
+      }
+
+      const path = FormSerializer._parsePath(name);
+      const value = path !== null ? FormSerializer._resolve(data, path) : undefined;
+      if (typeof value === 'undefined') {
+        continue;
+      }
+
+      if (type === 'checkbox' || type === 'radio') {
+        primeElement.setChecked(FormSerializer._isChecked(primeElement, value));
+      } else if (primeElement.getTagName() === 'SELECT') {
+        const values = Utils.isArray(value) ? value : [value];
+        primeElement.setSelectedValues(values.map(FormSerializer._toString));
+      } else if (Utils.isArray(value)) {
+        const index = occurrences[name] || 0;
+        occurrences[name] = index + 1;
+        if (index < value.length) {
+          primeElement.setValue(FormSerializer._toString(value[index]));
+        }
+      } else {
+        primeElement.setValue(FormSerializer._toString(value));
+      }
+    }
+  },
+
+  /**
+   * Serializes the fields of the given form into an object. The field names are paths into the object:
+   *
+   * <ul>
+   *   <li><code>user.address.city</code> creates nested objects</li>
+   *   <li><code>roles[]</code> adds the value to an array</li>
+   *   <li><code>items[0].qty</code> (or <code>items[0][qty]</code>) creates an array of objects</li>
+   * </ul>
+   *
+   * Disabled fields are skipped just like they are in {@link PrimeRequest#withDataFromForm}, as are buttons and file
+   * inputs. Number and range inputs are converted to numbers (or null if they are empty). A checkbox without a value (or
+   * with a value of <code>true</code>) is converted to a boolean. Other checkboxes and radio buttons only add their value
+   * when they are checked. Multiple selects always produce an array. Names that are used by more than one field collect
+   * the values into an array.
+   *
+   * @param {PrimeElement|HTMLFormElement} form The form.
+   * @returns {Object} The object.
+   */
+  serialize: function(form) {
+    const domElement = form instanceof PrimeElement ? form.domElement : form;
+    const result = {};
+    for (let i = 0; i < domElement.elements.length; i++) {
+      const primeElement = new PrimeElement(domElement.elements[i]);
+      const type = FormSerializer._getType(primeElement);
+      const name = primeElement.domElement.name;
+      if (primeElement.isDisabled() || !primeElement.isInput() || !name || type === 'file' || FormSerializer._isButton(type)) {
+        continue;
+      }
+
+      let value;
+      if (primeElement.getTagName() === 'SELECT') {
+        value = primeElement.getSelectedValues();
+        if (!primeElement.domElement.multiple) {
+          value = value.length > 0 ? value[0] : null;
+        }
+      } else if (type === 'checkbox' && FormSerializer._isBoolean(primeElement)) {
+        value = primeElement.isChecked();
+      } else if ((type === 'radio' || type === 'checkbox') && !primeElement.isChecked()) {
+        continue;
+      } else if (type === 'number' || type === 'range') {
+        const text = primeElement.getValue().trim();
+        value = text === '' || isNaN(Number(text)) ? null : Number(text);
+      } else {
+        value = primeElement.getValue();
+      }
+
+      const path = FormSerializer._parsePath(name);
+      if (path !== null) {
+        FormSerializer._assign(result, path, value);
+      }
+    }
+
+    return result;
+  },
+
+  /* ===================================================================================================================
+   * Private methods
+   * ===================================================================================================================*/
+
+  /**
+   * Sets the value at the given path, creating any objects and arrays along the way.
+   *
+   * @param {Object} target The object to add the value to.
+   * @param {Array<string|number|null>} path The path from {@link #_parsePath}.
+   * @param {*} value The value.
+   * @private
+   */
+  _assign: function(target, path, value) {
+    let current = target;
+    for (let i = 0; i < path.length - 1; i++) {
+      const key = path[i];
+      const container = typeof path[i + 1] === 'string' ? {} : [];
+      if (key === null) {
+        current.push(container);
+        current = container;
+      } else {
+        if (current[key] === null || typeof current[key] !== 'object') {
+          current[key] = container;
+        }
+
+        current = current[key];
+      }
+    }
+
+    const last = path[path.length - 1];
+    if (last === null) {
+      if (Utils.isArray(value)) {
+        Array.prototype.push.apply(current, value);
+      } else {
+        current.push(value);
+      }
+    } else if (typeof current[last] === 'undefined') {
+      current[last] = value;
+    } else if (Utils.isArray(current[last])) {
+      current[last] = current[last].concat(value);
+    } else {
+      // The same name was used more than once (like radio buttons or multiple hidden inputs)
+      current[last] = [current[last]].concat(value);
+    }
+  },
+
+  /**
+   * @param {PrimeElement} primeElement The element.
+   * @returns {?string} The lower case type attribute or null if there isn't one.
+   * @private
+   */
+  _getType: function(primeElement) {
+    const type = primeElement.getAttribute('type');
+    return type !== null ? type.toLowerCase() : null;
+  },
+
+  /**
+   * @param {PrimeElement} primeElement The checkbox.
+   * @returns {boolean} True if the checkbox represents a boolean rather than one value out of many.
+   * @private
+   */
+  _isBoolean: function(primeElement) {
+    const value = primeElement.getAttribute('value');
+    return !/\[]$/.test(primeElement.domElement.name) && (value === null || value === 'true');
+  },
+
+  /**
+   * @param {?string} type The input type.
+   * @returns {boolean} True if the type is a button.
+   * @private
+   */
+  _isButton: function(type) {
+    return type === 'button' || type === 'image' || type === 'reset' || type === 'submit';
+  },
+
+  /**
+   * Determines if the given checkbox or radio button should be checked for the value from the object.
+   *
+   * @param {PrimeElement} primeElement The checkbox or radio button.
+   * @param {*} value The value from the object.
+   * @returns {boolean} True if it should be checked.
+   * @private
+   */
+  _isChecked: function(primeElement, value) {
+    if (typeof value === 'boolean' && FormSerializer._isBoolean(primeElement)) {
+      return value;
+    }
+
+    const values = Utils.isArray(value) ? value : [value];
+    return values.map(FormSerializer._toString).indexOf(primeElement.getValue()) !== -1;
+  },
+
+  /**
+   * Parses a field name into a path. Object keys are strings, array indexes are numbers and <code>[]</code> is null.
+   * Names with a <code>__proto__</code>, <code>constructor</code> or <code>prototype</code> key are rejected, because they
+   * would reach into (and modify) the prototypes of the objects rather than the objects themselves.
+   *
+   * @param {string} name The field name.
+   * @returns {?Array<string|number|null>} The path or null if the name isn't safe to use.
+   * @private
+   */
+  _parsePath: function(name) {
+    const path = [];
+    const regex = /[^.[\]]+|\[([^\]]*)]/g;
+    let match;
+    while ((match = regex.exec(name)) !== null) {
+      if (match[0].charAt(0) !== '[') {
+        path.push(match[0]);
+      } else if (match[1] === '') {
+        path.push(null);
+      } else if (/^\d+$/.test(match[1])) {
+        path.push(parseInt(match[1], 10));
+      } else {
+        path.push(match[1]);
+      }
+
+      if (UnsafeKeys.indexOf(path[path.length - 1]) !== -1) {
+        return null;
+      }
+    }
+
+    return path;
+  },
+
+  /**
+   * Returns the value at the given path. A <code>[]</code> in the path returns the whole array.
+   *
+   * @param {Object} data The object.
+   * @param {Array<string|number|null>} path The path from {@link #_parsePath}.
+   * @returns {*} The value or undefined if the path doesn't exist.
+   * @private
+   */
+  _resolve: function(data, path) {
+    let current = data;
+    for (let i = 0; i < path.length; i++) {
+      if (path[i] === null) {
+        // A nested [] (i.e. items[].qty) can't be mapped back to a single value
+        return i === path.length - 1 ? current : undefined;
+      }
+
+      if (current === null || typeof current !== 'object') {
+        return undefined;
+      }
+
+      current = current[path[i]];
+    }
+
+    return current;
+  },
+
+  /**
+   * @param {*} value The value.
+   * @returns {string} The value as a String, where null and undefined are empty.
+   * @private
+   */
+  _toString: function(value) {
+    return value === null || typeof value === 'undefined' ? '' : String(value);
+  }
+};
+
+export {FormSerializer};
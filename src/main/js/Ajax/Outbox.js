@@ -0,0 +1,499 @@
+/*
+ * Copyright (c) 2020, Inversoft Inc., All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+'use strict';
+
+import {DataQueue} from "../DataQueue.js";
+import {PrimeRequest} from "../PrimeRequest.js";
+import {PrimeStorage} from "../Storage.js";
+import {Utils} from "../Utils.js";
+
+const MutatingMethods = ['DELETE', 'PATCH', 'POST', 'PUT'];
+let count = 0;
+
+class Outbox {
+  /**
+   * A durable queue for requests that change data on the server (POST, PUT, PATCH and DELETE). Requests sent through the
+   * outbox while the browser is offline, or that fail with a network error, are stored using {@link PrimeStorage} and
+   * replayed in order once the browser is back online.
+   *
+   * Requests are stored with their method, URL, query parameters, headers, content-type and body. Requests with a body
+   * that isn't a String (such as FormData) can't be stored, so they are sent normally. The username and password of the
+   * request aren't stored either, use a request interceptor to add authentication to replayed requests.
+   *
+   * Anything stored during a previous visit is sent by calling {@link #replay} once the handlers are set up.
+   *
+   * The browser can be online while the server can't be reached (such as during an outage or behind a captive portal),
+   * so after a network error the pending requests are also replayed with exponential backoff (see
+   * {@link #withRetryPolicy}). Requests that time out aren't stored or replayed again, since the server might have
+   * received them.
+   *
+   * @constructor
+   * @param {string} storageKey The key used to store the pending requests.
+   * @param {string} [storage='local'] Either 'local' or 'session'.
+   */
+  constructor(storageKey, storage) {
+    Utils.bindAll(this);
+    this.conflictHandler = this.onConflict;
+    this.conflictStatuses = [409, 412];
+    this.failureHandler = this.onFailure;
+    this.queue = new DataQueue();
+    this.replayHandler = this.onReplay;
+    this.retryPolicy = {baseDelay: 1000, maxDelay: 60000};
+    this.storage = storage || 'local';
+    this.storageKey = storageKey;
+    this._replaying = null;
+    this._retryAttempt = 0;
+    this._retryId = null;
+
+    if (this.storage !== 'local' && this.storage !== 'session') {
+      throw new TypeError('Invalid storage [' + this.storage + ']. Use local or session');
+    }
+
+    const stored = this.storage === 'local' ? PrimeStorage.getLocalObject(storageKey) : PrimeStorage.getSessionObject(storageKey);
+    if (stored !== null) {
+      for (let i = 0; i < stored.length; i++) {
+        this.queue.add(stored[i]);
+      }
+    }
+
+    window.addEventListener('online', this._handleOnline);
+  }
+
+  /**
+   * Removes every pending request.
+   *
+   * @returns {Outbox} This.
+   */
+  clear() {
+    this.queue = new DataQueue();
+    this._save();
+    return this;
+  }
+
+  /**
+   * Stops listening for the browser to come back online and cancels any scheduled replay. The pending requests stay in
+   * storage.
+   */
+  destroy() {
+    window.removeEventListener('online', this._handleOnline);
+    if (this._retryId !== null) {
+      clearTimeout(this._retryId);
+      this._retryId = null;
+    }
+  }
+
+  /**
+   * @returns {boolean} True if there are no pending requests.
+   */
+  isEmpty() {
+    return this.queue.isEmpty();
+  }
+
+  /**
+   * Returns copies of the pending requests, oldest first. Each item has an <code>id</code>, <code>createdAt</code>
+   * timestamp, <code>method</code>, <code>url</code>, <code>queryParams</code>, <code>headers</code>,
+   * <code>contentType</code> and <code>body</code>.
+   *
+   * @returns {Array<Object>} The pending requests.
+   */
+  items() {
+    return this._toArray().map(function(item) {
+      return JSON.parse(JSON.stringify(item));
+    });
+  }
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * Default handler for a replayed request that the server rejected with a conflict status (409 or 412 by default).
+   * This does nothing.
+   *
+   * @param {Object} item The pending request.
+   * @param {PrimeResponse} response The response.
+   */
+  onConflict(item, response) {
+  }
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * Default handler for a replayed request that failed for any other reason than a network error or conflict. This does
+   * nothing.
+   *
+   * @param {Object} item The pending request.
+   * @param {Error} error The error from {@link PrimeRequest#send}.
+   */
+  onFailure(item, error) {
+  }
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * Default handler for a replayed request that succeeded. This does nothing.
+   *
+   * @param {Object} item The pending request.
+   * @param {PrimeResponse} response The response.
+   */
+  onReplay(item, response) {
+  }
+
+  /**
+   * Removes the pending request with the given id.
+   *
+   * @param {string} id The id of the pending request.
+   * @returns {boolean} True if the request was removed.
+   */
+  remove(id) {
+    const items = this._toArray();
+    const queue = new DataQueue();
+    let removed = false;
+    for (let i = 0; i < items.length; i++) {
+      if (items[i].id === id) {
+        removed = true;
+      } else {
+        queue.add(items[i]);
+      }
+    }
+
+    this.queue = queue;
+    this._save();
+    return removed;
+  }
+
+  /**
+   * Sends the pending requests, oldest first, one at a time. Replaying stops at the first network error and continues
+   * after a delay or when the browser is back online. Requests that the server rejects are removed after calling the conflict or failure
+   * handler. To try them again, send them through the outbox again.
+   *
+   * @returns {Promise} A Promise that is resolved when replaying stops.
+   */
+  replay() {
+    if (this._replaying !== null) {
+      return this._replaying;
+    }
+
+    if (this.isEmpty() || !this._isOnline()) {
+      return Promise.resolve();
+    }
+
+    this._replaying = new Promise(function(resolve) {
+      const next = function() {
+        const item = this.queue.peek();
+        if (item === null || !this._isOnline()) {
+          this._replaying = null;
+          resolve();
+          return;
+        }
+
+        this._createRequest(item).send().then(function(response) {
+          this._retryAttempt = 0;
+          this._removeHead(item);
+          try {
+            this.replayHandler(item, response);
+          } finally {
+            next();
+          }
+        }.bind(this), function(error) {
+          if (this._isNetworkError(error)) {
+            this._replaying = null;
+            this._scheduleReplay();
+            resolve();
+            return;
+          }
+
+          this._retryAttempt = 0;
+          this._removeHead(item);
+          try {
+            if (error.response && this.conflictStatuses.indexOf(error.response.status) !== -1) {
+              this.conflictHandler(item, error.response);
+            } else {
+              this.failureHandler(item, error);
+            }
+          } finally {
+            next();
+          }
+        }.bind(this));
+      }.bind(this);
+
+      next();
+    }.bind(this));
+
+    return this._replaying;
+  }
+
+  /**
+   * Sends the request, storing it in the outbox if the browser is offline or the request fails with a network error. It
+   * is also stored if older requests are still pending, so that the requests reach the server in order, and waits for
+   * them to be replayed. The error
+   * handler of the request isn't called when the request is stored.
+   *
+   * Requests that don't change data and requests that can't be stored are sent normally.
+   *
+   * @param {PrimeRequest} request The request.
+   * @returns {Promise<?PrimeResponse>} A Promise for the response, which is resolved with null if the request was stored.
+   */
+  send(request) {
+    if (MutatingMethods.indexOf(request.method) === -1 || (request.body !== null && typeof request.body !== 'string')) {
+      return request.send();
+    }
+
+    if (!this._isOnline() || !this.isEmpty()) {
+      this._store(request);
+
+      // While the pending requests are being replayed, or a replay is scheduled after a network error, the request waits
+      // for it rather than going out right away
+      if (this._isOnline() && this._replaying === null && this._retryId === null) {
+        this.replay();
+      }
+
+      return Promise.resolve(null);
+    }
+
+    // The error handler is only wrapped for this attempt, so the caller's handler is put back once it is done
+    let stored = false;
+    const errorHandler = request.errorHandler;
+    const restore = function() {
+      request.withErrorHandler(errorHandler);
+    };
+    request.withErrorHandler(function(xhr, error) {
+      restore();
+      if (this._isNetworkError(error)) {
+        stored = true;
+        this._store(request);
+        this._scheduleReplay();
+      } else {
+        errorHandler(xhr, error);
+      }
+    }.bind(this));
+
+    return request.send().then(function(response) {
+      restore();
+      return response;
+    }, function(error) {
+      restore();
+      if (stored) {
+        return null;
+      }
+
+      throw error;
+    });
+  }
+
+  /**
+   * @returns {number} The number of pending requests.
+   */
+  size() {
+    return this.queue.size();
+  }
+
+  /**
+   * Sets the handler that is called when the server rejects a replayed request with a conflict status. The handler is
+   * passed the pending request and the PrimeResponse.
+   *
+   * @param {Function} func The handler function.
+   * @returns {Outbox} This.
+   */
+  withConflictHandler(func) {
+    this.conflictHandler = func;
+    return this;
+  }
+
+  /**
+   * Sets the statuses that are passed to the conflict handler rather than the failure handler.
+   *
+   * @param {Array<number>} statuses The HTTP statuses.
+   * @returns {Outbox} This.
+   */
+  withConflictStatuses(statuses) {
+    this.conflictStatuses = statuses;
+    return this;
+  }
+
+  /**
+   * Sets the handler that is called when a replayed request fails for any other reason than a network error or conflict.
+   * The handler is passed the pending request and the error from {@link PrimeRequest#send}.
+   *
+   * @param {Function} func The handler function.
+   * @returns {Outbox} This.
+   */
+  withFailureHandler(func) {
+    this.failureHandler = func;
+    return this;
+  }
+
+  /**
+   * Sets the delays used to replay the pending requests after a network error while the browser is online. The delay
+   * doubles after each network error, with jitter, and is reset once a request is replayed.
+   *
+   * @param {{baseDelay: number, maxDelay: number}} policy The delay in milliseconds after the first network error (1000
+   *        by default) and the maximum delay in milliseconds (60000 by default).
+   * @returns {Outbox} This.
+   */
+  withRetryPolicy(policy) {
+    this.retryPolicy = {
+      baseDelay: Utils.isDefined(policy.baseDelay) ? policy.baseDelay : 1000,
+      maxDelay: Utils.isDefined(policy.maxDelay) ? policy.maxDelay : 60000
+    };
+    return this;
+  }
+
+  /**
+   * Sets the handler that is called when a replayed request succeeds. The handler is passed the pending request and the
+   * PrimeResponse.
+   *
+   * @param {Function} func The handler function.
+   * @returns {Outbox} This.
+   */
+  withReplayHandler(func) {
+    this.replayHandler = func;
+    return this;
+  }
+
+  /* ===================================================================================================================
+   * Private Methods
+   * ===================================================================================================================*/
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * @param {Object} item The pending request.
+   * @returns {PrimeRequest} A new request for the pending request.
+   * @private
+   */
+  _createRequest(item) {
+    const request = new PrimeRequest(item.url, item.method)
+        .withHeaders(item.headers)
+        .withBody(item.body)
+        .withContentType(item.contentType);
+    request.queryParams = item.queryParams;
+    return request;
+  }
+
+  /**
+   * @private
+   */
+  _handleOnline() {
+    this.replay();
+  }
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * @returns {boolean} True if the browser is online.
+   * @private
+   */
+  _isOnline() {
+    return typeof navigator === 'undefined' || navigator.onLine !== false;
+  }
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * A request that timed out might have reached the server, so only network errors are retried.
+   *
+   * @param {Error} error The error from {@link PrimeRequest#send}.
+   * @returns {boolean} True if the request didn't reach the server.
+   * @private
+   */
+  _isNetworkError(error) {
+    return error.type === PrimeRequest.ErrorType.NETWORK;
+  }
+
+  /**
+   * Removes the given item if it is still the oldest pending request. It might have been removed while it was sent.
+   *
+   * @param {Object} item The pending request.
+   * @private
+   */
+  _removeHead(item) {
+    if (this.queue.peek() === item) {
+      this.queue.poll();
+      this._save();
+    }
+  }
+
+  /**
+   * Writes the pending requests to storage.
+   *
+   * @private
+   */
+  _save() {
+    const items = this._toArray();
+    if (this.storage === 'local') {
+      PrimeStorage.setLocalObject(this.storageKey, items);
+    } else {
+      PrimeStorage.setSessionObject(this.storageKey, items);
+    }
+  }
+
+  /**
+   * Replays the pending requests after the backoff delay. Nothing is scheduled while the browser is offline, since the
+   * requests are replayed when it comes back online.
+   *
+   * @private
+   */
+  _scheduleReplay() {
+    if (this._retryId !== null || !this._isOnline()) {
+      return;
+    }
+
+    this._retryAttempt++;
+    const delay = Utils.calculateBackoff(this._retryAttempt, this.retryPolicy.baseDelay, this.retryPolicy.maxDelay);
+    this._retryId = setTimeout(function() {
+      this._retryId = null;
+      this.replay();
+    }.bind(this), delay);
+  }
+
+  /**
+   * Adds the request to the end of the queue and writes the queue to storage.
+   *
+   * @param {PrimeRequest} request The request.
+   * @private
+   */
+  _store(request) {
+    const headers = {};
+    for (let name in request.headers) {
+      if (request.headers.hasOwnProperty(name)) {
+        headers[name] = request.headers[name];
+      }
+    }
+
+    this.queue.add({
+      id: new Date().getTime() + '-' + (count++),
+      body: request.body,
+      contentType: request.contentType,
+      createdAt: new Date().getTime(),
+      headers: headers,
+      method: request.method,
+      queryParams: request.queryParams,
+      url: request.url
+    });
+    this._save();
+  }
+
+  /**
+   * @returns {Array<Object>} The pending requests, oldest first.
+   * @private
+   */
+  _toArray() {
+    const items = [];
+    const size = this.queue.size();
+    for (let i = 0; i < size; i++) {
+      const item = this.queue.poll();
+      items.push(item);
+      this.queue.add(item);
+    }
+
+    return items;
+  }
+}
+
+export {Outbox};
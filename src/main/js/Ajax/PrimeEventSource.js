@@ -0,0 +1,437 @@
+/*
+ * Copyright (c) 2020, Inversoft Inc., All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+'use strict';
+
+import {PrimeElement} from "../Document/PrimeElement.js";
+import {Utils} from "../Utils.js";
+
+let ErrorEvent = 'EventSource:error';
+let MessageEvent = 'EventSource:message';
+let OpenEvent = 'EventSource:open';
+
+class PrimeEventSource {
+  /**
+   * A client for Server-Sent Events. This wraps the browser EventSource and adds JSON decoding of the messages and
+   * reconnecting with exponential backoff when the connection fails.
+   *
+   * If an element is set using {@link #withElement}, custom events are fired on it for the connection opening, errors
+   * and every message. Named events from the server are fired as <code>EventSource:&lt;name&gt;</code>. The event object
+   * has the <code>data</code>, the original <code>event</code> and the <code>source</code> (this object).
+   *
+   * Since reconnecting creates a new EventSource, the browser doesn't send the <code>Last-Event-ID</code> header.
+   * Instead, the id of the last message that was received is added to the URL of the new connection as the
+   * <code>lastEventId</code> query parameter, so that the server can send the messages that were missed.
+   *
+   * @constructor
+   * @param {string} url The URL of the event stream.
+   */
+  constructor(url) {
+    Utils.bindAll(this);
+    this.attempt = 0;
+    this.credentials = false;
+    this.element = null;
+    this.errorHandler = this.onError;
+    this.eventHandlers = {};
+    this.json = false;
+    this.lastEventId = null;
+    this.messageHandler = this.onMessage;
+    this.openHandler = this.onOpen;
+    this.reconnectHandler = this.onReconnect;
+    this.reconnectPolicy = {baseDelay: 1000, maxAttempts: null, maxDelay: 30000};
+    this.source = null;
+    this.transport = typeof EventSource !== 'undefined' ? EventSource : null;
+    this.url = url;
+    this._reconnectId = null;
+  }
+
+  /*
+   * Statics
+   */
+  /**
+   * @returns {string}
+   */
+  static get ErrorEvent() {
+    return ErrorEvent;
+  }
+
+  /**
+   * @param {string} value
+   */
+  static set ErrorEvent(value) {
+    ErrorEvent = value;
+  }
+
+  /**
+   * @returns {string}
+   */
+  static get MessageEvent() {
+    return MessageEvent;
+  }
+
+  /**
+   * @param {string} value
+   */
+  static set MessageEvent(value) {
+    MessageEvent = value;
+  }
+
+  /**
+   * @returns {string}
+   */
+  static get OpenEvent() {
+    return OpenEvent;
+  }
+
+  /**
+   * @param {string} value
+   */
+  static set OpenEvent(value) {
+    OpenEvent = value;
+  }
+
+  /**
+   * Closes the connection and stops reconnecting. Opening it again starts over without a last event id.
+   *
+   * @returns {PrimeEventSource} This.
+   */
+  close() {
+    if (this._reconnectId !== null) {
+      clearTimeout(this._reconnectId);
+      this._reconnectId = null;
+    }
+
+    if (this.source !== null) {
+      this.source.close();
+      this.source = null;
+    }
+
+    this.attempt = 0;
+    this.lastEventId = null;
+    return this;
+  }
+
+  /**
+   * @returns {boolean} True if the connection is open.
+   */
+  isOpen() {
+    return this.source !== null && this.source.readyState === 1;
+  }
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * Default handler for errors. This does nothing.
+   *
+   * @param {Event|Error} error The error event from the EventSource or the error from decoding a JSON message.
+   */
+  onError(error) {
+  }
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * Default handler for messages. This does nothing.
+   *
+   * @param {*} data The data of the message (decoded if JSON is being used).
+   * @param {MessageEvent} event The event.
+   */
+  onMessage(data, event) {
+  }
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * Default handler for the connection opening. This does nothing.
+   *
+   * @param {Event} event The event.
+   */
+  onOpen(event) {
+  }
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * Default handler for reconnecting. This does nothing.
+   *
+   * @param {number} attempt The reconnect attempt (starting at 1).
+   * @param {number} delay The number of milliseconds before reconnecting.
+   */
+  onReconnect(attempt, delay) {
+  }
+
+  /**
+   * Opens the connection. This does nothing if the connection is already open or reconnecting.
+   *
+   * @returns {PrimeEventSource} This.
+   */
+  open() {
+    if (this.transport === null) {
+      throw new TypeError('Server-Sent Events are not supported by this browser');
+    }
+
+    if (this.source === null && this._reconnectId === null) {
+      this._connect();
+    }
+
+    return this;
+  }
+
+  /**
+   * Decodes the data of every message as JSON.
+   *
+   * @returns {PrimeEventSource} This.
+   */
+  usingJSON() {
+    this.json = true;
+    return this;
+  }
+
+  /**
+   * Sets the constructor used to create the connection, which defaults to the browser EventSource. This allows the
+   * client to be tested against a local stand-in.
+   *
+   * @param {Function} transport The EventSource constructor.
+   * @returns {PrimeEventSource} This.
+   */
+  usingTransport(transport) {
+    this.transport = transport;
+    return this;
+  }
+
+  /**
+   * Sends cookies with cross-origin requests.
+   *
+   * @returns {PrimeEventSource} This.
+   */
+  withCredentials() {
+    this.credentials = true;
+    return this;
+  }
+
+  /**
+   * Fires custom events on the given element.
+   *
+   * @param {PrimeElement|Element|EventTarget} element The element.
+   * @returns {PrimeEventSource} This.
+   */
+  withElement(element) {
+    this.element = PrimeElement.wrap(element);
+    return this;
+  }
+
+  /**
+   * Sets the handler for errors. The handler is passed the error event from the EventSource or the error from decoding a
+   * JSON message.
+   *
+   * @param {Function} func The handler function.
+   * @returns {PrimeEventSource} This.
+   */
+  withErrorHandler(func) {
+    this.errorHandler = func;
+    return this;
+  }
+
+  /**
+   * Sets the handler for events with the given name (the <code>event</code> field of the server message). The handler is
+   * passed the data and the event.
+   *
+   * @param {string} name The name of the event.
+   * @param {Function} func The handler function.
+   * @returns {PrimeEventSource} This.
+   */
+  withEventHandler(name, func) {
+    const listen = !Utils.isDefined(this.eventHandlers[name]);
+    this.eventHandlers[name] = func;
+    if (listen && this.source !== null) {
+      this._listen(name);
+    }
+
+    return this;
+  }
+
+  /**
+   * Sets the handler for messages without an event name. The handler is passed the data and the event.
+   *
+   * @param {Function} func The handler function.
+   * @returns {PrimeEventSource} This.
+   */
+  withMessageHandler(func) {
+    this.messageHandler = func;
+    return this;
+  }
+
+  /**
+   * Sets the handler for the connection opening.
+   *
+   * @param {Function} func The handler function.
+   * @returns {PrimeEventSource} This.
+   */
+  withOpenHandler(func) {
+    this.openHandler = func;
+    return this;
+  }
+
+  /**
+   * Sets the handler that is called before reconnecting. The handler is passed the attempt and the delay.
+   *
+   * @param {Function} func The handler function.
+   * @returns {PrimeEventSource} This.
+   */
+  withReconnectHandler(func) {
+    this.reconnectHandler = func;
+    return this;
+  }
+
+  /**
+   * Sets how the client reconnects after the connection fails. The delay doubles with each attempt, starting at the
+   * <code>baseDelay</code> (1 second by default) up to the <code>maxDelay</code> (30 seconds by default). The
+   * <code>maxAttempts</code> is the number of reconnect attempts before giving up (null, the default, never gives up).
+   *
+   * @param {?{baseDelay: number, maxAttempts: ?number, maxDelay: number}} policy The policy or null to never reconnect.
+   * @returns {PrimeEventSource} This.
+   */
+  withReconnectPolicy(policy) {
+    if (policy === null) {
+      this.reconnectPolicy = null;
+      return this;
+    }
+
+    this.reconnectPolicy = {
+      baseDelay: Utils.isDefined(policy.baseDelay) ? policy.baseDelay : 1000,
+      maxAttempts: Utils.isDefined(policy.maxAttempts) ? policy.maxAttempts : null,
+      maxDelay: Utils.isDefined(policy.maxDelay) ? policy.maxDelay : 30000
+    };
+    return this;
+  }
+
+  /* ===================================================================================================================
+   * Private Methods
+   * ===================================================================================================================*/
+
+  /**
+   * Creates the EventSource. After a message with an id was received, the id is added to the URL.
+   *
+   * @private
+   */
+  _connect() {
+    let url = this.url;
+    if (this.lastEventId !== null) {
+      url += (url.indexOf('?') === -1 ? '?' : '&') + 'lastEventId=' + encodeURIComponent(this.lastEventId);
+    }
+
+    this.source = new this.transport(url, {withCredentials: this.credentials});
+    this.source.onopen = this._handleOpen;
+    this.source.onerror = this._handleError;
+    this.source.onmessage = function(event) {
+      this._handleMessage(MessageEvent, this.messageHandler, event);
+    }.bind(this);
+
+    for (let name in this.eventHandlers) {
+      if (this.eventHandlers.hasOwnProperty(name)) {
+        this._listen(name);
+      }
+    }
+  }
+
+  /**
+   * Handles a failed connection. The browser would reconnect on its own, but without backing off, so the EventSource is
+   * closed and a new one is created after the delay, which resumes after the last message that was received.
+   *
+   * @param {Event} event The error event.
+   * @private
+   */
+  _handleError(event) {
+    if (this.source !== null) {
+      this.source.close();
+      this.source = null;
+    }
+
+    this._reportError(event);
+
+    if (this.reconnectPolicy === null || (this.reconnectPolicy.maxAttempts !== null && this.attempt >= this.reconnectPolicy.maxAttempts)) {
+      return;
+    }
+
+    this.attempt++;
+    const delay = Utils.calculateBackoff(this.attempt, this.reconnectPolicy.baseDelay, this.reconnectPolicy.maxDelay);
+    this.reconnectHandler(this.attempt, delay);
+    this._reconnectId = setTimeout(function() {
+      this._reconnectId = null;
+      this._connect();
+    }.bind(this), delay);
+  }
+
+  /**
+   * @param {string} customEvent The name of the custom event.
+   * @param {Function} handler The handler.
+   * @param {MessageEvent} event The event.
+   * @private
+   */
+  _handleMessage(customEvent, handler, event) {
+    // The server resets the id by sending an empty one
+    if (typeof event.lastEventId === 'string') {
+      this.lastEventId = event.lastEventId !== '' ? event.lastEventId : null;
+    }
+
+    let data = event.data;
+    if (this.json) {
+      try {
+        data = JSON.parse(data);
+      } catch (e) {
+        this._reportError(e);
+        return;
+      }
+    }
+
+    handler(data, event);
+    if (this.element !== null) {
+      this.element.fireCustomEvent(customEvent, {data: data, event: event, source: this});
+    }
+  }
+
+  /**
+   * @param {Event} event The open event.
+   * @private
+   */
+  _handleOpen(event) {
+    this.attempt = 0;
+    this.openHandler(event);
+    if (this.element !== null) {
+      this.element.fireCustomEvent(OpenEvent, {event: event, source: this});
+    }
+  }
+
+  /**
+   * Listens for the named event on the current EventSource.
+   *
+   * @param {string} name The name of the event.
+   * @private
+   */
+  _listen(name) {
+    this.source.addEventListener(name, function(event) {
+      this._handleMessage('EventSource:' + name, this.eventHandlers[name], event);
+    }.bind(this));
+  }
+
+  /**
+   * @param {Event|Error} error The error.
+   * @private
+   */
+  _reportError(error) {
+    this.errorHandler(error);
+    if (this.element !== null) {
+      this.element.fireCustomEvent(ErrorEvent, {error: error, source: this});
+    }
+  }
+}
+
+export {PrimeEventSource};
@@ -0,0 +1,157 @@
+/*
+ * Copyright (c) 2020, Inversoft Inc., All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+'use strict';
+
+import {Utils} from "../Utils.js";
+
+class PrimeResponse {
+  /**
+   * Captures the result of a completed AJAX request so that it can be handed to handlers and Promise callbacks. The body
+   * is decoded into the <code>data</code> based on the XMLHttpRequest response type or, if no response type was set,
+   * the response Content-Type:
+   *
+   * <ul>
+   *   <li>json - The parsed JSON (also available as <code>json</code>)</li>
+   *   <li>document - An XML Document. Responses with an XML Content-Type are parsed as well</li>
+   *   <li>blob - A Blob</li>
+   *   <li>arraybuffer - An ArrayBuffer</li>
+   *   <li>text - The response text. This is also used for any other Content-Type</li>
+   * </ul>
+   *
+   * @constructor
+   * @param {XMLHttpRequest} xhr The completed XMLHttpRequest.
+   * @param {boolean} [decode=true] False to leave the body undecoded, in which case the data and JSON are null.
+   * @throws {SyntaxError} If the response claims to be JSON or XML but could not be parsed.
+   */
+  constructor(xhr, decode) {
+    Utils.bindAll(this);
+    this.status = xhr.status;
+    this.statusText = xhr.statusText;
+    this.headers = this._parseHeaders(xhr.getAllResponseHeaders());
+    this.xhr = xhr;
+
+    const responseType = xhr.responseType || '';
+    this.text = responseType === '' || responseType === 'text' ? xhr.responseText : null;
+    this.data = null;
+    this.json = null;
+    if (decode === false) {
+      return;
+    }
+
+    if (responseType === 'json') {
+      this.json = xhr.response;
+      this.data = this.json;
+    } else if (responseType !== '' && responseType !== 'text') {
+      this.data = xhr.response;
+    } else if (this.isJSON()) {
+      this.json = this.text ? JSON.parse(this.text) : null;
+      this.data = this.json;
+    } else if (this.isXML()) {
+      this.data = this.text ? this._parseXML(xhr) : null;
+    } else {
+      this.data = this.text;
+    }
+  }
+
+  /**
+   * Returns the value of the given response header.
+   *
+   * @param {string} name The name of the header (case insensitive).
+   * @returns {?string} The header value or null if the header was not in the response.
+   */
+  getHeader(name) {
+    const value = this.headers[name.toLowerCase()];
+    return Utils.isDefined(value) ? value : null;
+  }
+
+  /**
+   * @returns {boolean} True if the response Content-Type is JSON.
+   */
+  isJSON() {
+    const contentType = this.getHeader('Content-Type');
+    return contentType !== null && /[/+]json\b/i.test(contentType);
+  }
+
+  /**
+   * @returns {boolean} True if the HTTP response status is 2xx.
+   */
+  isSuccess() {
+    return this.status >= 200 && this.status <= 299;
+  }
+
+  /**
+   * @returns {boolean} True if the response Content-Type is XML.
+   */
+  isXML() {
+    const contentType = this.getHeader('Content-Type');
+    return contentType !== null && /[/+]xml\b/i.test(contentType);
+  }
+
+  /* ===================================================================================================================
+   * Private Methods
+   * ===================================================================================================================*/
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * Parses the raw header string returned from XMLHttpRequest.getAllResponseHeaders into an object keyed by the lower
+   * case header names.
+   *
+   * @param {?string} headerString The raw headers.
+   * @returns {Object} The headers.
+   * @private
+   */
+  _parseHeaders(headerString) {
+    const headers = {};
+    if (!headerString) {
+      return headers;
+    }
+
+    const lines = headerString.trim().split(/[\r\n]+/);
+    for (let i = 0; i < lines.length; i++) {
+      const index = lines[i].indexOf(':');
+      if (index > 0) {
+        const name = lines[i].substring(0, index).trim().toLowerCase();
+        const value = lines[i].substring(index + 1).trim();
+        headers[name] = Utils.isDefined(headers[name]) ? headers[name] + ', ' + value : value;
+      }
+    }
+
+    return headers;
+  }
+
+  /**
+   * Parses the XML response. The XMLHttpRequest has usually done this already, but the fetch transport has not.
+   *
+   * @param {XMLHttpRequest} xhr The XMLHttpRequest.
+   * @returns {Document} The XML Document.
+   * @throws {SyntaxError} If the response is not well-formed XML.
+   * @private
+   */
+  _parseXML(xhr) {
+    let xml = Utils.isDefined(xhr.responseXML) ? xhr.responseXML : null;
+    if (xml === null) {
+      xml = new DOMParser().parseFromString(this.text, 'application/xml');
+    }
+
+    if (xml.getElementsByTagName('parsererror').length > 0) {
+      throw new SyntaxError('The XML response could not be parsed');
+    }
+
+    return xml;
+  }
+}
+
+export {PrimeResponse};
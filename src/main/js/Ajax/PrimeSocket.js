@@ -0,0 +1,437 @@
+/*
+ * Copyright (c) 2020, Inversoft Inc., All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+'use strict';
+
+import {DataQueue} from "../DataQueue.js";
+import {PrimeElement} from "../Document/PrimeElement.js";
+import {Utils} from "../Utils.js";
+
+let CloseEvent = 'Socket:close';
+let ErrorEvent = 'Socket:error';
+let MessageEvent = 'Socket:message';
+let OpenEvent = 'Socket:open';
+
+class PrimeSocket {
+  /**
+   * A WebSocket client. This wraps the browser WebSocket and adds JSON encoding and decoding of the messages and
+   * reconnecting with exponential backoff when the connection is lost. Messages sent while the connection is not open
+   * are queued and sent once it opens.
+   *
+   * If an element is set using {@link #withElement}, custom events are fired on it for the connection opening and
+   * closing, errors and every message. The event object has the <code>data</code>, the original <code>event</code> and
+   * the <code>socket</code> (this object).
+   *
+   * @constructor
+   * @param {string} url The URL of the WebSocket.
+   * @param {string|Array<string>} [protocols] The sub-protocols.
+   */
+  constructor(url, protocols) {
+    Utils.bindAll(this);
+    this.attempt = 0;
+    this.closeHandler = this.onClose;
+    this.element = null;
+    this.errorHandler = this.onError;
+    this.json = false;
+    this.messageHandler = this.onMessage;
+    this.openHandler = this.onOpen;
+    this.pending = new DataQueue();
+    this.protocols = protocols;
+    this.reconnectHandler = this.onReconnect;
+    this.reconnectPolicy = {baseDelay: 1000, maxAttempts: null, maxDelay: 30000};
+    this.socket = null;
+    this.transport = typeof WebSocket !== 'undefined' ? WebSocket : null;
+    this.url = url;
+    this._reconnectId = null;
+  }
+
+  /*
+   * Statics
+   */
+  /**
+   * @returns {string}
+   */
+  static get CloseEvent() {
+    return CloseEvent;
+  }
+
+  /**
+   * @param {string} value
+   */
+  static set CloseEvent(value) {
+    CloseEvent = value;
+  }
+
+  /**
+   * @returns {string}
+   */
+  static get ErrorEvent() {
+    return ErrorEvent;
+  }
+
+  /**
+   * @param {string} value
+   */
+  static set ErrorEvent(value) {
+    ErrorEvent = value;
+  }
+
+  /**
+   * @returns {string}
+   */
+  static get MessageEvent() {
+    return MessageEvent;
+  }
+
+  /**
+   * @param {string} value
+   */
+  static set MessageEvent(value) {
+    MessageEvent = value;
+  }
+
+  /**
+   * @returns {string}
+   */
+  static get OpenEvent() {
+    return OpenEvent;
+  }
+
+  /**
+   * @param {string} value
+   */
+  static set OpenEvent(value) {
+    OpenEvent = value;
+  }
+
+  /**
+   * Closes the connection and stops reconnecting. Messages that haven't been sent are discarded.
+   *
+   * @param {number} [code=1000] The close code.
+   * @param {string} [reason] The reason.
+   * @returns {PrimeSocket} This.
+   */
+  close(code, reason) {
+    if (this._reconnectId !== null) {
+      clearTimeout(this._reconnectId);
+      this._reconnectId = null;
+    }
+
+    if (this.socket !== null) {
+      // Stop listening first so that closing doesn't reconnect
+      const socket = this.socket;
+      this.socket = null;
+      socket.onclose = null;
+      socket.close(Utils.isDefined(code) ? code : 1000, reason);
+    }
+
+    this.attempt = 0;
+    this.pending = new DataQueue();
+    return this;
+  }
+
+  /**
+   * @returns {boolean} True if the connection is open.
+   */
+  isOpen() {
+    return this.socket !== null && this.socket.readyState === 1;
+  }
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * Default handler for the connection closing. This does nothing.
+   *
+   * @param {CloseEvent} event The event.
+   */
+  onClose(event) {
+  }
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * Default handler for errors. This does nothing.
+   *
+   * @param {Event|Error} error The error event from the WebSocket or the error from decoding a JSON message.
+   */
+  onError(error) {
+  }
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * Default handler for messages. This does nothing.
+   *
+   * @param {*} data The data of the message (decoded if JSON is being used).
+   * @param {MessageEvent} event The event.
+   */
+  onMessage(data, event) {
+  }
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * Default handler for the connection opening. This does nothing.
+   *
+   * @param {Event} event The event.
+   */
+  onOpen(event) {
+  }
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * Default handler for reconnecting. This does nothing.
+   *
+   * @param {number} attempt The reconnect attempt (starting at 1).
+   * @param {number} delay The number of milliseconds before reconnecting.
+   */
+  onReconnect(attempt, delay) {
+  }
+
+  /**
+   * Opens the connection. This does nothing if the connection is already open or reconnecting.
+   *
+   * @returns {PrimeSocket} This.
+   */
+  open() {
+    if (this.transport === null) {
+      throw new TypeError('WebSockets are not supported by this browser');
+    }
+
+    if (this.socket === null && this._reconnectId === null) {
+      this._connect();
+    }
+
+    return this;
+  }
+
+  /**
+   * Sends the message. If JSON is being used, anything other than a String is encoded as JSON. If the connection isn't
+   * open, the message is sent once it opens.
+   *
+   * @param {*} data The message.
+   * @returns {PrimeSocket} This.
+   */
+  send(data) {
+    const message = this.json && typeof data !== 'string' ? JSON.stringify(data) : data;
+    if (this.isOpen()) {
+      this.socket.send(message);
+    } else {
+      this.pending.add(message);
+    }
+
+    return this;
+  }
+
+  /**
+   * Decodes the data of every message as JSON and encodes the messages that are sent as JSON.
+   *
+   * @returns {PrimeSocket} This.
+   */
+  usingJSON() {
+    this.json = true;
+    return this;
+  }
+
+  /**
+   * Sets the constructor used to create the connection, which defaults to the browser WebSocket. This allows the client
+   * to be tested against a local stand-in.
+   *
+   * @param {Function} transport The WebSocket constructor.
+   * @returns {PrimeSocket} This.
+   */
+  usingTransport(transport) {
+    this.transport = transport;
+    return this;
+  }
+
+  /**
+   * Sets the handler for the connection closing. The handler is passed the close event.
+   *
+   * @param {Function} func The handler function.
+   * @returns {PrimeSocket} This.
+   */
+  withCloseHandler(func) {
+    this.closeHandler = func;
+    return this;
+  }
+
+  /**
+   * Fires custom events on the given element.
+   *
+   * @param {PrimeElement|Element|EventTarget} element The element.
+   * @returns {PrimeSocket} This.
+   */
+  withElement(element) {
+    this.element = PrimeElement.wrap(element);
+    return this;
+  }
+
+  /**
+   * Sets the handler for errors. The handler is passed the error event from the WebSocket or the error from decoding a
+   * JSON message.
+   *
+   * @param {Function} func The handler function.
+   * @returns {PrimeSocket} This.
+   */
+  withErrorHandler(func) {
+    this.errorHandler = func;
+    return this;
+  }
+
+  /**
+   * Sets the handler for messages. The handler is passed the data and the event.
+   *
+   * @param {Function} func The handler function.
+   * @returns {PrimeSocket} This.
+   */
+  withMessageHandler(func) {
+    this.messageHandler = func;
+    return this;
+  }
+
+  /**
+   * Sets the handler for the connection opening.
+   *
+   * @param {Function} func The handler function.
+   * @returns {PrimeSocket} This.
+   */
+  withOpenHandler(func) {
+    this.openHandler = func;
+    return this;
+  }
+
+  /**
+   * Sets the handler that is called before reconnecting. The handler is passed the attempt and the delay.
+   *
+   * @param {Function} func The handler function.
+   * @returns {PrimeSocket} This.
+   */
+  withReconnectHandler(func) {
+    this.reconnectHandler = func;
+    return this;
+  }
+
+  /**
+   * Sets how the client reconnects after the connection is lost. The delay doubles with each attempt, starting at the
+   * <code>baseDelay</code> (1 second by default) up to the <code>maxDelay</code> (30 seconds by default). The
+   * <code>maxAttempts</code> is the number of reconnect attempts before giving up (null, the default, never gives up).
+   *
+   * @param {?{baseDelay: number, maxAttempts: ?number, maxDelay: number}} policy The policy or null to never reconnect.
+   * @returns {PrimeSocket} This.
+   */
+  withReconnectPolicy(policy) {
+    if (policy === null) {
+      this.reconnectPolicy = null;
+      return this;
+    }
+
+    this.reconnectPolicy = {
+      baseDelay: Utils.isDefined(policy.baseDelay) ? policy.baseDelay : 1000,
+      maxAttempts: Utils.isDefined(policy.maxAttempts) ? policy.maxAttempts : null,
+      maxDelay: Utils.isDefined(policy.maxDelay) ? policy.maxDelay : 30000
+    };
+    return this;
+  }
+
+  /* ===================================================================================================================
+   * Private Methods
+   * ===================================================================================================================*/
+
+  /**
+   * @private
+   */
+  _connect() {
+    this.socket = Utils.isDefined(this.protocols) ? new this.transport(this.url, this.protocols) : new this.transport(this.url);
+    this.socket.onclose = this._handleClose;
+    this.socket.onerror = this._handleError;
+    this.socket.onmessage = this._handleMessage;
+    this.socket.onopen = this._handleOpen;
+  }
+
+  /**
+   * Handles the connection closing without {@link #close} being called by reconnecting after the delay.
+   *
+   * @param {CloseEvent} event The close event.
+   * @private
+   */
+  _handleClose(event) {
+    this.socket = null;
+    this.closeHandler(event);
+    if (this.element !== null) {
+      this.element.fireCustomEvent(CloseEvent, {event: event, socket: this});
+    }
+
+    if (this.reconnectPolicy === null || (this.reconnectPolicy.maxAttempts !== null && this.attempt >= this.reconnectPolicy.maxAttempts)) {
+      return;
+    }
+
+    this.attempt++;
+    const delay = Utils.calculateBackoff(this.attempt, this.reconnectPolicy.baseDelay, this.reconnectPolicy.maxDelay);
+    this.reconnectHandler(this.attempt, delay);
+    this._reconnectId = setTimeout(function() {
+      this._reconnectId = null;
+      this._connect();
+    }.bind(this), delay);
+  }
+
+  /**
+   * @param {Event|Error} error The error.
+   * @private
+   */
+  _handleError(error) {
+    this.errorHandler(error);
+    if (this.element !== null) {
+      this.element.fireCustomEvent(ErrorEvent, {error: error, socket: this});
+    }
+  }
+
+  /**
+   * @param {MessageEvent} event The message event.
+   * @private
+   */
+  _handleMessage(event) {
+    let data = event.data;
+    if (this.json) {
+      try {
+        data = JSON.parse(data);
+      } catch (e) {
+        this._handleError(e);
+        return;
+      }
+    }
+
+    this.messageHandler(data, event);
+    if (this.element !== null) {
+      this.element.fireCustomEvent(MessageEvent, {data: data, event: event, socket: this});
+    }
+  }
+
+  /**
+   * Sends the queued messages once the connection is open.
+   *
+   * @param {Event} event The open event.
+   * @private
+   */
+  _handleOpen(event) {
+    this.attempt = 0;
+    while (!this.pending.isEmpty()) {
+      this.socket.send(this.pending.poll());
+    }
+
+    this.openHandler(event);
+    if (this.element !== null) {
+      this.element.fireCustomEvent(OpenEvent, {event: event, socket: this});
+    }
+  }
+}
+
+export {PrimeSocket};
@@ -0,0 +1,393 @@
+/*
+ * Copyright (c) 2020, Inversoft Inc., All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+'use strict';
+
+import {DataQueue} from "../DataQueue.js";
+import {Utils} from "../Utils.js";
+
+const Priority = Object.freeze({
+  HIGH: 10,
+  NORMAL: 0,
+  LOW: -10
+});
+
+class RequestScheduler {
+  /**
+   * Limits the number of PrimeRequests that run at the same time, both in total and for each host. Requests that can't
+   * start right away are queued (in a DataQueue for each priority) and started in priority order as the running requests
+   * complete. Requests with the same priority start in the order they were scheduled.
+   *
+   * A batch is every request scheduled from the time the scheduler is idle until it is idle again. The progress handler
+   * is called each time a request in the batch completes and the complete handler is called once the batch is done. An
+   * InProgress can be used to cover the whole batch.
+   *
+   * @constructor
+   */
+  constructor() {
+    Utils.bindAll(this);
+    this.completeHandler = this.onComplete;
+    this.inProgress = null;
+    this.maxConcurrent = 6;
+    this.maxPerHost = null;
+    this.progressHandler = this.onProgress;
+    this._batch = {completed: 0, failed: 0, total: 0};
+    this._queues = {};
+    this._running = [];
+  }
+
+  /**
+   * The standard priorities. Any number can be used as a priority, higher numbers start first.
+   *
+   * @returns {{HIGH: number, NORMAL: number, LOW: number}}
+   */
+  static get Priority() {
+    return Priority;
+  }
+
+  /**
+   * Aborts the running requests and rejects the queued requests. Queued requests are never sent, so none of their
+   * handlers are called.
+   *
+   * @returns {RequestScheduler} This.
+   */
+  abortAll() {
+    const priorities = this._priorities();
+    for (let i = 0; i < priorities.length; i++) {
+      const queue = this._queues[priorities[i]];
+      while (!queue.isEmpty()) {
+        const item = queue.poll();
+        const error = new Error('The AJAX request was aborted');
+        error.aborted = true;
+        error.request = item.request;
+        error.response = null;
+        error.timedOut = false;
+        item.reject(error);
+        this._batch.completed++;
+        this._batch.failed++;
+      }
+    }
+
+    // Aborting completes the requests, which removes them from the running list
+    const running = this._running.slice(0);
+    for (let i = 0; i < running.length; i++) {
+      running[i].request.abort();
+    }
+
+    this._checkDone();
+    return this;
+  }
+
+  /**
+   * @returns {boolean} True if there are no running or queued requests.
+   */
+  isIdle() {
+    return this._running.length === 0 && this.queued() === 0;
+  }
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * Default handler for the completion of a batch. This does nothing.
+   *
+   * @param {{completed: number, failed: number, total: number}} batch The number of requests in the batch that completed
+   *        (successfully or not), the number that failed and the total number of requests in the batch.
+   */
+  onComplete(batch) {
+  }
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * Default handler for the progress of a batch. This does nothing.
+   *
+   * @param {{completed: number, failed: number, total: number, running: number, queued: number, percent: number}} progress
+   *        The progress of the batch.
+   */
+  onProgress(progress) {
+  }
+
+  /**
+   * @returns {number} The number of requests that are waiting to start.
+   */
+  queued() {
+    let count = 0;
+    for (let priority in this._queues) {
+      if (this._queues.hasOwnProperty(priority)) {
+        count += this._queues[priority].size();
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * @returns {number} The number of requests that are running.
+   */
+  running() {
+    return this._running.length;
+  }
+
+  /**
+   * Sends the request as soon as the limits allow it. The returned Promise is settled the same way as the Promise from
+   * {@link PrimeRequest#send} and the request handlers are invoked as usual once the request starts.
+   *
+   * @param {PrimeRequest} request The request.
+   * @param {number} [priority=RequestScheduler.Priority.NORMAL] The priority.
+   * @returns {Promise<PrimeResponse>} The Promise for the response.
+   */
+  schedule(request, priority) {
+    priority = Utils.isDefined(priority) ? priority : Priority.NORMAL;
+    return new Promise(function(resolve, reject) {
+      if (this.isIdle() && this.inProgress !== null) {
+        this.inProgress.open();
+      }
+
+      if (!Utils.isDefined(this._queues[priority])) {
+        this._queues[priority] = new DataQueue();
+      }
+
+      this._queues[priority].add({host: this._hostOf(request.url), request: request, resolve: resolve, reject: reject});
+      this._batch.total++;
+      this._startNext();
+    }.bind(this));
+  }
+
+  /**
+   * Sets the handler that is called when every request in the batch has completed.
+   *
+   * @param {Function} func The handler function.
+   * @returns {RequestScheduler} This.
+   */
+  withCompleteHandler(func) {
+    this.completeHandler = func;
+    return this;
+  }
+
+  /**
+   * Sets the InProgress that is opened when a batch starts, shows the progress of the batch and is closed once the batch
+   * is done.
+   *
+   * @param {InProgress} inProgress The InProgress.
+   * @returns {RequestScheduler} This.
+   */
+  withInProgress(inProgress) {
+    this.inProgress = inProgress;
+    return this;
+  }
+
+  /**
+   * Sets the maximum number of requests that run at the same time.
+   *
+   * @param {number} maxConcurrent The maximum.
+   * @returns {RequestScheduler} This.
+   */
+  withMaxConcurrent(maxConcurrent) {
+    this.maxConcurrent = maxConcurrent;
+    return this;
+  }
+
+  /**
+   * Sets the maximum number of requests to a single host that run at the same time.
+   *
+   * @param {?number} maxPerHost The maximum or null for no limit.
+   * @returns {RequestScheduler} This.
+   */
+  withMaxPerHost(maxPerHost) {
+    this.maxPerHost = maxPerHost;
+    return this;
+  }
+
+  /**
+   * Sets the handler that is called each time a request in the batch completes.
+   *
+   * @param {Function} func The handler function.
+   * @returns {RequestScheduler} This.
+   */
+  withProgressHandler(func) {
+    this.progressHandler = func;
+    return this;
+  }
+
+  /* ===================================================================================================================
+   * Private Methods
+   * ===================================================================================================================*/
+
+  /**
+   * @param {Object} item The queued item.
+   * @returns {boolean} True if the request can start without going over the limits.
+   * @private
+   */
+  _canStart(item) {
+    if (this.maxPerHost === null) {
+      return true;
+    }
+
+    let count = 0;
+    for (let i = 0; i < this._running.length; i++) {
+      if (this._running[i].host === item.host) {
+        count++;
+      }
+    }
+
+    return count < this.maxPerHost;
+  }
+
+  /**
+   * Completes the batch if there is nothing left to do.
+   *
+   * @private
+   */
+  _checkDone() {
+    if (!this.isIdle() || this._batch.total === 0) {
+      return;
+    }
+
+    const batch = this._batch;
+    this._batch = {completed: 0, failed: 0, total: 0};
+    const complete = function() {
+      this.completeHandler(batch);
+    }.bind(this);
+
+    if (this.inProgress !== null) {
+      this.inProgress.close(complete);
+    } else {
+      complete();
+    }
+  }
+
+  /**
+   * Handles the completion of a running request.
+   *
+   * @param {Object} item The item of the request.
+   * @param {boolean} success True if the request succeeded.
+   * @private
+   */
+  _handleDone(item, success) {
+    Utils.removeFromArray(this._running, item);
+    this._batch.completed++;
+    if (!success) {
+      this._batch.failed++;
+    }
+
+    this._startNext();
+    const progress = {
+      completed: this._batch.completed,
+      failed: this._batch.failed,
+      percent: Math.round(this._batch.completed / this._batch.total * 100),
+      queued: this.queued(),
+      running: this._running.length,
+      total: this._batch.total
+    };
+
+    try {
+      if (this.inProgress !== null) {
+        this.inProgress.setProgress(progress.percent);
+      }
+
+      this.progressHandler(progress);
+    } finally {
+      this._checkDone();
+    }
+  }
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * @param {string} url The URL.
+   * @returns {string} The host of the URL (relative URLs are for the host of the page).
+   * @private
+   */
+  _hostOf(url) {
+    const match = /^(?:[a-z][a-z0-9+.-]*:)?\/\/([^/?#]+)/i.exec(url);
+    return match !== null ? match[1].toLowerCase() : window.location.host;
+  }
+
+  /**
+   * @returns {Array<string>} The priorities that have queues, highest first.
+   * @private
+   */
+  _priorities() {
+    return Object.keys(this._queues).sort(function(a, b) {
+      return b - a;
+    });
+  }
+
+  /**
+   * Starts as many of the queued requests as the limits allow.
+   *
+   * @private
+   */
+  _startNext() {
+    const priorities = this._priorities();
+    while (this._running.length < this.maxConcurrent) {
+      let next = null;
+      for (let i = 0; i < priorities.length && next === null; i++) {
+        next = this._takeFrom(this._queues[priorities[i]]);
+      }
+
+      if (next === null) {
+        return;
+      }
+
+      this._start(next);
+    }
+  }
+
+  /**
+   * @param {Object} item The queued item.
+   * @private
+   */
+  _start(item) {
+    this._running.push(item);
+
+    // PrimeRequest settles after calling the request's handlers. The caller's Promise is settled next, before the progress
+    // and complete handlers of the scheduler, so that one of those that throws can't leave it pending.
+    item.request.send().then(function(response) {
+      item.resolve(response);
+      this._handleDone(item, true);
+    }.bind(this), function(error) {
+      item.reject(error);
+      this._handleDone(item, false);
+    }.bind(this)).catch(function(error) {
+      // An error thrown by a handler is reported like an error thrown by an event listener
+      setTimeout(function() {
+        throw error;
+      }, 0);
+    });
+  }
+
+  /**
+   * Removes the first request from the queue that can start. The requests that are skipped because their host is busy
+   * keep their order.
+   *
+   * @param {DataQueue} queue The queue.
+   * @returns {?Object} The item or null if none of the requests can start.
+   * @private
+   */
+  _takeFrom(queue) {
+    let result = null;
+    const size = queue.size();
+    for (let i = 0; i < size; i++) {
+      const item = queue.poll();
+      if (result === null && this._canStart(item)) {
+        result = item;
+      } else {
+        queue.add(item);
+      }
+    }
+
+    return result;
+  }
+}
+
+export {RequestScheduler};
@@ -0,0 +1,330 @@
+/*
+ * Copyright (c) 2020, Inversoft Inc., All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+'use strict';
+
+import {PrimeStorage} from "../Storage.js";
+import {Utils} from "../Utils.js";
+
+let shared = null;
+
+class ResponseCache {
+  /**
+   * An in-memory LRU cache of GET responses. Entries expire after the TTL (or the <code>max-age</code> from the
+   * Cache-Control header of the response). Expired entries that have an ETag or Last-Modified header are revalidated
+   * with a conditional request instead of being downloaded again. Responses with <code>Cache-Control: no-store</code>
+   * are never cached.
+   *
+   * The cache can optionally be persisted to local or session storage using {@link PrimeStorage}.
+   *
+   * Use {@link PrimeRequest#withCache} to cache the responses of a request. Identical GET requests that are in-flight at
+   * the same time are coalesced so that only one of them goes out and every request gets the result.
+   *
+   * The request headers are part of the key, so a request only gets a response cached for a request with the same
+   * headers. Requests with an Authorization header or a username aren't cached unless {@link #withAuthorizedRequests} is
+   * used. The cache doesn't see cookies, so a cache that is persisted should use a storage key per user.
+   *
+   * @constructor
+   */
+  constructor() {
+    Utils.bindAll(this);
+    this.authorizedRequests = false;
+    this.inFlight = {};
+    this.maxEntries = 100;
+    this.storage = null;
+    this.storageKey = null;
+    this.ttl = 60000;
+    this._entries = null;
+  }
+
+  /**
+   * @returns {ResponseCache} The cache that is used by {@link PrimeRequest#withCache} when no cache is given.
+   */
+  static get shared() {
+    if (shared === null) {
+      shared = new ResponseCache();
+    }
+
+    return shared;
+  }
+
+  /**
+   * Removes all of the entries from the cache.
+   *
+   * @returns {ResponseCache} This.
+   */
+  clear() {
+    this._entries = new Map();
+    this._save();
+    return this;
+  }
+
+  /**
+   * Returns the entry for the given key and marks it as the most recently used. Expired entries that can't be
+   * revalidated are removed.
+   *
+   * @param {string} key The key from {@link #keyFor}.
+   * @returns {?Object} The entry or null if there isn't one.
+   */
+  get(key) {
+    const entries = this._load();
+    const entry = entries.get(key);
+    if (!Utils.isDefined(entry)) {
+      return null;
+    }
+
+    entries.delete(key);
+    if (!this.isFresh(entry) && entry.etag === null && entry.lastModified === null) {
+      this._save();
+      return null;
+    }
+
+    entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * @param {Object} entry The entry.
+   * @returns {boolean} True if the entry has not expired.
+   */
+  isFresh(entry) {
+    return entry.expires > Date.now();
+  }
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * Builds the key for a URL. The response type is part of the key because the cached body is decoded differently for
+   * each response type. The request headers are part of the key because they can change the response (such as the
+   * Accept header), except for the Authorization header, which isn't stored.
+   *
+   * @param {string} url The URL (including the query string).
+   * @param {string} [responseType] The XMLHttpRequest response type.
+   * @param {Object} [headers] The request headers.
+   * @returns {string} The key.
+   */
+  keyFor(url, responseType, headers) {
+    const lines = [];
+    for (let name in headers) {
+      if (headers.hasOwnProperty(name) && name.toLowerCase() !== 'authorization') {
+        lines.push(name.toLowerCase() + ': ' + headers[name]);
+      }
+    }
+
+    // The URL can't contain a newline, so the headers can't be mistaken for part of it
+    return (responseType || '') + ' ' + url + (lines.length > 0 ? '\n' + lines.sort().join('\n') : '');
+  }
+
+  /**
+   * Adds the given entry to the cache, evicting the least recently used entries if the cache is full. The expiration is
+   * calculated from the TTL of the cache and the Cache-Control header in the entry.
+   *
+   * @param {string} key The key from {@link #keyFor}.
+   * @param {Object} entry The entry.
+   * @returns {boolean} True if the entry was cached, false if the response can't be stored.
+   */
+  put(key, entry) {
+    const ttl = this._calculateTTL(entry.headers);
+    if (ttl === null) {
+      return false;
+    }
+
+    entry.expires = Date.now() + ttl;
+
+    const entries = this._load();
+    entries.delete(key);
+    entries.set(key, entry);
+
+    // Map.keys() isn't available in IE11, but forEach visits the entries in the same (least recently used) order
+    const evicted = [];
+    const count = entries.size - this.maxEntries;
+    entries.forEach(function(cached, cachedKey) {
+      if (evicted.length < count) {
+        evicted.push(cachedKey);
+      }
+    });
+
+    for (let i = 0; i < evicted.length; i++) {
+      entries.delete(evicted[i]);
+    }
+
+    this._save();
+    return true;
+  }
+
+  /**
+   * Removes every entry for the given URL (for any response type). Use this after a request changes the resource.
+   *
+   * @param {string} url The URL (including the query string).
+   * @returns {ResponseCache} This.
+   */
+  remove(url) {
+    const entries = this._load();
+    const keys = [];
+    entries.forEach(function(entry, key) {
+      const newline = key.indexOf('\n');
+      if (key.substring(key.indexOf(' ') + 1, newline !== -1 ? newline : key.length) === url) {
+        keys.push(key);
+      }
+    });
+
+    for (let i = 0; i < keys.length; i++) {
+      entries.delete(keys[i]);
+    }
+
+    this._save();
+    return this;
+  }
+
+  /**
+   * @returns {number} The number of entries in the cache.
+   */
+  size() {
+    return this._load().size;
+  }
+
+  /**
+   * Caches the responses of requests with an Authorization header or a username. The Authorization header isn't part of
+   * the key, so only use this for a cache that belongs to one user, such as one that is cleared when the user logs out.
+   *
+   * @returns {ResponseCache} This.
+   */
+  withAuthorizedRequests() {
+    this.authorizedRequests = true;
+    return this;
+  }
+
+  /**
+   * Sets the maximum number of entries. Once the cache is full the least recently used entries are evicted.
+   *
+   * @param {number} maxEntries The maximum number of entries.
+   * @returns {ResponseCache} This.
+   */
+  withMaxEntries(maxEntries) {
+    this.maxEntries = maxEntries;
+    return this;
+  }
+
+  /**
+   * Persists the cache using {@link PrimeStorage}. Any entries already stored under the key are loaded the next time the
+   * cache is used.
+   *
+   * @param {string} storage Either 'local' or 'session'.
+   * @param {string} key The storage key.
+   * @returns {ResponseCache} This.
+   */
+  withStorage(storage, key) {
+    if (storage !== 'local' && storage !== 'session') {
+      throw new TypeError('Invalid storage [' + storage + ']. Use local or session');
+    }
+
+    this.storage = storage;
+    this.storageKey = key;
+    this._entries = null;
+    return this;
+  }
+
+  /**
+   * Sets how long responses are fresh when they don't have a Cache-Control max-age.
+   *
+   * @param {number} ttl The time to live in milliseconds.
+   * @returns {ResponseCache} This.
+   */
+  withTTL(ttl) {
+    this.ttl = ttl;
+    return this;
+  }
+
+  /* ===================================================================================================================
+   * Private Methods
+   * ===================================================================================================================*/
+
+  /**
+   * Determines how long the response is fresh from the Cache-Control header.
+   *
+   * @param {Object} headers The response headers keyed by lower case name.
+   * @returns {?number} The TTL in milliseconds or null if the response can't be stored.
+   * @private
+   */
+  _calculateTTL(headers) {
+    const cacheControl = headers['cache-control'];
+    if (!Utils.isDefined(cacheControl)) {
+      return this.ttl;
+    }
+
+    if (/(^|[\s,])no-store\b/i.test(cacheControl)) {
+      return null;
+    }
+
+    // no-cache means the response can be stored but must be revalidated every time
+    if (/(^|[\s,])no-cache\b/i.test(cacheControl)) {
+      return 0;
+    }
+
+    const maxAge = /(^|[\s,])max-age=(\d+)/i.exec(cacheControl);
+    return maxAge !== null ? parseInt(maxAge[2], 10) * 1000 : this.ttl;
+  }
+
+  /**
+   * Lazily creates the entries, loading them from storage if the cache is persisted.
+   *
+   * @returns {Map} The entries, in least recently used order.
+   * @private
+   */
+  _load() {
+    if (this._entries !== null) {
+      return this._entries;
+    }
+
+    this._entries = new Map();
+    if (this.storage !== null) {
+      const stored = this.storage === 'local' ? PrimeStorage.getLocalObject(this.storageKey) : PrimeStorage.getSessionObject(this.storageKey);
+      if (stored !== null) {
+        for (let i = 0; i < stored.length; i++) {
+          this._entries.set(stored[i].key, stored[i].entry);
+        }
+      }
+    }
+
+    return this._entries;
+  }
+
+  /**
+   * Writes the entries to storage if the cache is persisted.
+   *
+   * @private
+   */
+  _save() {
+    if (this.storage === null) {
+      return;
+    }
+
+    const stored = [];
+    this._entries.forEach(function(entry, key) {
+      stored.push({key: key, entry: entry});
+    });
+
+    // Persistence is best effort, the in-memory cache keeps working when the storage is full
+    try {
+      if (this.storage === 'local') {
+        PrimeStorage.setLocalObject(this.storageKey, stored);
+      } else {
+        PrimeStorage.setSessionObject(this.storageKey, stored);
+      }
+    } catch (e) {
+    }
+  }
+}
+
+export {ResponseCache};
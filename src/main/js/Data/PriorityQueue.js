@@ -0,0 +1,221 @@
+/*
+ * Copyright (c) 2020, Inversoft Inc., All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+'use strict';
+
+import {Utils} from "../Utils.js";
+
+class PriorityQueue {
+  /**
+   * Queue that returns its elements in priority order rather than the order they were added, modeled after
+   * java.util.PriorityQueue. The comparator orders the elements like the comparator of Array.sort, so the element that
+   * sorts first is the head of the queue. Elements with the same priority are returned in the order they were added.
+   *
+   * <pre>
+   *   const work = new PriorityQueue(function(a, b) {
+   *     return b.priority - a.priority; // Highest priority first
+   *   });
+   * </pre>
+   *
+   * In browsers that support Symbol, the queue is iterable, in priority order.
+   *
+   * @constructor
+   * @param {Function} [comparator] The comparator. Defaults to the natural order of the elements (smallest first).
+   */
+  constructor(comparator) {
+    Utils.bindAll(this);
+    this.comparator = Utils.isDefined(comparator) ? comparator : PriorityQueue._naturalOrder;
+    this._heap = [];
+    this._sequence = 0;
+  }
+
+  /**
+   * Adds the element to the queue.
+   *
+   * @param {Object} element An object to store in the queue.
+   * @returns {PriorityQueue} This.
+   */
+  add(element) {
+    this._heap.push({element: element, sequence: this._sequence++});
+    this._siftUp(this._heap.length - 1);
+    return this;
+  }
+
+  /**
+   * Calls the callback with each element, in priority order, and its index.
+   *
+   * @param {Function} callback The callback.
+   * @returns {PriorityQueue} This.
+   */
+  forEach(callback) {
+    this.toArray().forEach(function(element, index) {
+      callback(element, index);
+    });
+    return this;
+  }
+
+  /**
+   * Return true if the queue is empty.
+   *
+   * @returns {boolean} True if the queue is empty, false if not.
+   */
+  isEmpty() {
+    return this._heap.length === 0;
+  }
+
+  /**
+   * Return but do not remove the head of the queue. This is the element with the highest priority.
+   *
+   * @returns {Object} The object at the head of the queue, or null if empty.
+   */
+  peek() {
+    return this.isEmpty() ? null : this._heap[0].element;
+  }
+
+  /**
+   * Return and remove the head of the queue. This is the element with the highest priority.
+   *
+   * @returns {Object} The object at the head of the queue, or null if the queue is empty.
+   */
+  poll() {
+    if (this.isEmpty()) {
+      return null;
+    }
+
+    const head = this._heap[0];
+    const last = this._heap.pop();
+    if (this._heap.length > 0) {
+      this._heap[0] = last;
+      this._siftDown(0);
+    }
+
+    return head.element;
+  }
+
+  /**
+   * Return the size of the queue.
+   *
+   * @returns {Number} The size of the queue.
+   */
+  size() {
+    return this._heap.length;
+  }
+
+  /**
+   * @returns {Array} The elements in priority order.
+   */
+  toArray() {
+    return this._heap.slice().sort(this._compare).map(function(node) {
+      return node.element;
+    });
+  }
+
+  /* ===================================================================================================================
+   * Private methods
+   * ===================================================================================================================*/
+
+  /**
+   * @param {*} a An element.
+   * @param {*} b Another element.
+   * @returns {number} The natural order of the elements.
+   * @private
+   */
+  static _naturalOrder(a, b) {
+    return a < b ? -1 : (a > b ? 1 : 0);
+  }
+
+  /**
+   * Compares two nodes of the heap, using the order they were added when the comparator finds them equal.
+   *
+   * @param {{element: *, sequence: number}} a A node.
+   * @param {{element: *, sequence: number}} b Another node.
+   * @returns {number} Negative if a comes first, positive if b comes first.
+   * @private
+   */
+  _compare(a, b) {
+    const result = this.comparator(a.element, b.element);
+    return result !== 0 ? result : a.sequence - b.sequence;
+  }
+
+  /**
+   * Moves the node at the index down the heap until its children come after it.
+   *
+   * @param {number} index The index.
+   * @private
+   */
+  _siftDown(index) {
+    const length = this._heap.length;
+    while (true) {
+      const left = 2 * index + 1;
+      const right = left + 1;
+      let first = index;
+      if (left < length && this._compare(this._heap[left], this._heap[first]) < 0) {
+        first = left;
+      }
+
+      if (right < length && this._compare(this._heap[right], this._heap[first]) < 0) {
+        first = right;
+      }
+
+      if (first === index) {
+        return;
+      }
+
+      this._swap(index, first);
+      index = first;
+    }
+  }
+
+  /**
+   * Moves the node at the index up the heap until its parent comes before it.
+   *
+   * @param {number} index The index.
+   * @private
+   */
+  _siftUp(index) {
+    while (index > 0) {
+      const parent = Math.floor((index - 1) / 2);
+      if (this._compare(this._heap[index], this._heap[parent]) >= 0) {
+        return;
+      }
+
+      this._swap(index, parent);
+      index = parent;
+    }
+  }
+
+  /**
+   * @param {number} i An index.
+   * @param {number} j Another index.
+   * @private
+   */
+  _swap(i, j) {
+    const node = this._heap[i];
+    this._heap[i] = this._heap[j];
+    this._heap[j] = node;
+  }
+}
+
+// Assigned after the class, since a computed Symbol key would throw in browsers without Symbol (IE11)
+if (typeof Symbol !== 'undefined') {
+  /**
+   * @returns {Iterator} An iterator over the elements in priority order.
+   */
+  PriorityQueue.prototype[Symbol.iterator] = function() {
+    return this.toArray()[Symbol.iterator]();
+  };
+}
+
+export {PriorityQueue};
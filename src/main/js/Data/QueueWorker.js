@@ -0,0 +1,302 @@
+/*
+ * Copyright (c) 2020, Inversoft Inc., All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+'use strict';
+
+import {Utils} from "../Utils.js";
+
+class QueueWorker {
+  /**
+   * Takes the elements of a {@link DataQueue} as they are added and passes each one to the processor, which returns a
+   * Promise (or a value) once the element is processed. Up to the concurrency elements are processed at once. Elements
+   * whose processing fails can be retried (see {@link #withRetryPolicy}).
+   *
+   * <pre>
+   *   const worker = new QueueWorker(saves, function(change) {
+   *     return new PrimeRequest('/api/change', 'POST').withJSON(change).send();
+   *   }).withConcurrency(2)
+   *     .withRetryPolicy({maxAttempts: 5})
+   *     .withErrorHandler(function(change, error) {
+   *       ...
+   *     })
+   *     .start();
+   * </pre>
+   *
+   * @constructor
+   * @param {DataQueue} queue The queue.
+   * @param {Function} processor The function that is passed each element and returns a Promise or a value.
+   */
+  constructor(queue, processor) {
+    Utils.bindAll(this);
+    this.active = 0;
+    this.completeHandler = this.onComplete;
+    this.concurrency = 1;
+    this.errorHandler = this.onError;
+    this.processor = processor;
+    this.queue = queue;
+    this.retryHandler = this.onRetry;
+    this.retryPolicy = null;
+    this.running = false;
+    this._takes = [];
+  }
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * Default handler for an element that was processed. You can pass in a handler function to the
+   * {@link #withCompleteHandler}.
+   *
+   * @param {Object} element The element.
+   * @param {*} result The result of the processor.
+   */
+  onComplete(element, result) {
+  }
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * Default handler for an element that couldn't be processed, after any retries. You can pass in a handler function
+   * to the {@link #withErrorHandler}.
+   *
+   * @param {Object} element The element.
+   * @param {*} error The error of the last attempt.
+   */
+  onError(element, error) {
+  }
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * Default handler for an element that is about to be retried. You can pass in a handler function to the
+   * {@link #withRetryHandler}.
+   *
+   * @param {Object} element The element.
+   * @param {*} error The error of the attempt that failed.
+   * @param {number} attempt The attempt that failed (starting at 1).
+   * @param {number} delay The number of milliseconds before the next attempt.
+   */
+  onRetry(element, error, attempt, delay) {
+  }
+
+  /**
+   * Starts taking elements from the queue. If the worker was stopped while elements were being processed, those count
+   * against the concurrency until they are finished.
+   *
+   * @returns {QueueWorker} This.
+   */
+  start() {
+    if (this.running) {
+      return this;
+    }
+
+    this.running = true;
+    const count = this.concurrency - this.active - this._takes.length;
+    for (let i = 0; i < count; i++) {
+      this._next();
+    }
+
+    return this;
+  }
+
+  /**
+   * Stops taking elements from the queue. The elements that are being processed (including their retries) are finished.
+   *
+   * @returns {QueueWorker} This.
+   */
+  stop() {
+    this.running = false;
+
+    // Takes that were already resolved can't be cancelled, their elements are put back when they are received
+    this._takes = this._takes.filter(function(take) {
+      return !this.queue.cancelTake(take);
+    }.bind(this));
+    return this;
+  }
+
+  /**
+   * Sets the handler that is called with each element and the result of the processor once the element is processed.
+   *
+   * @param {Function} func The handler function.
+   * @returns {QueueWorker} This.
+   */
+  withCompleteHandler(func) {
+    this.completeHandler = func;
+    return this;
+  }
+
+  /**
+   * Sets the number of elements that are processed at once. This must be set before the worker is started.
+   *
+   * @param {number} concurrency The number of elements (1 by default).
+   * @returns {QueueWorker} This.
+   */
+  withConcurrency(concurrency) {
+    this.concurrency = concurrency;
+    return this;
+  }
+
+  /**
+   * Sets the handler that is called with each element and the error once processing it has failed for the last time.
+   *
+   * @param {Function} func The handler function.
+   * @returns {QueueWorker} This.
+   */
+  withErrorHandler(func) {
+    this.errorHandler = func;
+    return this;
+  }
+
+  /**
+   * Sets the handler that is called before an element is retried. The handler is passed the element, the error, the
+   * attempt that failed and the delay.
+   *
+   * @param {Function} func The handler function.
+   * @returns {QueueWorker} This.
+   */
+  withRetryHandler(func) {
+    this.retryHandler = func;
+    return this;
+  }
+
+  /**
+   * Enables retrying an element when processing it fails. Each retry is delayed using exponential backoff with jitter.
+   * The error handler is only called once the final attempt fails.
+   *
+   * The policy can contain any of the following (the defaults are shown):
+   *
+   * <pre>
+   *   {
+   *     maxAttempts: 3,                // The total number of attempts, including the first
+   *     retryable: function(error) {   // Whether or not the error can be retried
+   *       return true;
+   *     },
+   *     baseDelay: 500,                // The delay in milliseconds before the first retry
+   *     maxDelay: 30000                // The maximum delay in milliseconds between attempts
+   *   }
+   * </pre>
+   *
+   * @param {Object} [policy] The retry policy. Anything that is not specified uses the default.
+   * @returns {QueueWorker} This.
+   */
+  withRetryPolicy(policy) {
+    this.retryPolicy = {
+      maxAttempts: 3,
+      retryable: function() {
+        return true;
+      },
+      baseDelay: 500,
+      maxDelay: 30000
+    };
+
+    for (let key in policy) {
+      if (policy.hasOwnProperty(key)) {
+        this.retryPolicy[key] = policy[key];
+      }
+    }
+
+    return this;
+  }
+
+  /* ===================================================================================================================
+   * Private methods
+   * ===================================================================================================================*/
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * Calls the handler. An error thrown by the handler is reported like an error thrown by an event listener, rather than
+   * as a rejection that nothing handles.
+   *
+   * @param {Function} handler The handler.
+   * @param {Array} args The arguments.
+   * @private
+   */
+  _callHandler(handler, args) {
+    try {
+      handler.apply(null, args);
+    } catch (error) {
+      setTimeout(function() {
+        throw error;
+      }, 0);
+    }
+  }
+
+  /**
+   * @param {*} error The error of the attempt that failed.
+   * @param {number} attempt The attempt that failed (starting at 1).
+   * @returns {boolean} True if the retry policy allows the element to be retried.
+   * @private
+   */
+  _isRetryable(error, attempt) {
+    return this.retryPolicy !== null && attempt < this.retryPolicy.maxAttempts && this.retryPolicy.retryable(error);
+  }
+
+  /**
+   * Waits for the next element, unless the worker has been stopped.
+   *
+   * @private
+   */
+  _next() {
+    if (!this.running) {
+      return;
+    }
+
+    const take = this.queue.take();
+    this._takes.push(take);
+    take.then(function(element) {
+      Utils.removeFromArray(this._takes, take);
+
+      // Stopped after the element was taken, but before it was received
+      if (!this.running) {
+        this.queue.requeue(element);
+        return;
+      }
+
+      this.active++;
+      this._process(element, 1);
+    }.bind(this), function() {
+      // Cancelled by stop
+      Utils.removeFromArray(this._takes, take);
+    }.bind(this));
+  }
+
+  /**
+   * Passes the element to the processor and retries it or calls the handlers once it is done.
+   *
+   * @param {Object} element The element.
+   * @param {number} attempt The attempt (starting at 1).
+   * @private
+   */
+  _process(element, attempt) {
+    new Promise(function(resolve) {
+      resolve(this.processor(element));
+    }.bind(this)).then(function(result) {
+      this.active--;
+      this._next();
+      this._callHandler(this.completeHandler, [element, result]);
+    }.bind(this), function(error) {
+      if (this._isRetryable(error, attempt)) {
+        const delay = Utils.calculateBackoff(attempt, this.retryPolicy.baseDelay, this.retryPolicy.maxDelay);
+        setTimeout(function() {
+          this._process(element, attempt + 1);
+        }.bind(this), delay);
+        this._callHandler(this.retryHandler, [element, error, attempt, delay]);
+        return;
+      }
+
+      this.active--;
+      this._next();
+      this._callHandler(this.errorHandler, [element, error]);
+    }.bind(this));
+  }
+}
+
+export {QueueWorker};
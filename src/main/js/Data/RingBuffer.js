@@ -0,0 +1,203 @@
+/*
+ * Copyright (c) 2020, Inversoft Inc., All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+'use strict';
+
+import {Utils} from "../Utils.js";
+
+const OverflowPolicies = ['dropOldest', 'rejectNewest'];
+
+class RingBuffer {
+  /**
+   * First-In-First-Out queue that holds a fixed number of elements, such as the last events or log messages. When the
+   * buffer is full, adding an element either drops the oldest element to make room (the default) or rejects the new
+   * element (see {@link #withOverflowPolicy}). Either way, the element that didn't make it is passed to the overflow
+   * handler.
+   *
+   * <pre>
+   *   const log = new RingBuffer(100);
+   *   log.add(message);
+   *   ...
+   *   report(log.toArray());
+   * </pre>
+   *
+   * In browsers that support Symbol, the buffer is iterable, from the oldest element to the newest.
+   *
+   * @constructor
+   * @param {number} capacity The maximum number of elements.
+   */
+  constructor(capacity) {
+    Utils.bindAll(this);
+    if (typeof capacity !== 'number' || capacity < 1 || Math.floor(capacity) !== capacity) {
+      throw new TypeError('Invalid capacity [' + capacity + ']. It must be a positive integer');
+    }
+
+    this.capacity = capacity;
+    this.overflowHandler = this.onOverflow;
+    this.overflowPolicy = 'dropOldest';
+    this._elements = new Array(capacity);
+    this._size = 0;
+    this._start = 0;
+  }
+
+  /**
+   * Adds the element to the head of the buffer. If the buffer is full, the oldest element is dropped or the element is
+   * rejected, depending on the overflow policy.
+   *
+   * @param {Object} element An object to store in the buffer.
+   * @returns {RingBuffer} This.
+   */
+  add(element) {
+    if (this.isFull()) {
+      if (this.overflowPolicy === 'rejectNewest') {
+        this.overflowHandler(element);
+        return this;
+      }
+
+      this.overflowHandler(this.poll());
+    }
+
+    this._elements[(this._start + this._size) % this.capacity] = element;
+    this._size++;
+    return this;
+  }
+
+  /**
+   * Calls the callback with each element, from the oldest to the newest, and its index.
+   *
+   * @param {Function} callback The callback.
+   * @returns {RingBuffer} This.
+   */
+  forEach(callback) {
+    this.toArray().forEach(function(element, index) {
+      callback(element, index);
+    });
+    return this;
+  }
+
+  /**
+   * Return true if the buffer is empty.
+   *
+   * @returns {boolean} True if the buffer is empty, false if not.
+   */
+  isEmpty() {
+    return this._size === 0;
+  }
+
+  /**
+   * Return true if the buffer holds as many elements as its capacity.
+   *
+   * @returns {boolean} True if the buffer is full, false if not.
+   */
+  isFull() {
+    return this._size === this.capacity;
+  }
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * Default handler for an element that was dropped or rejected because the buffer was full. You can pass in a handler
+   * function to the {@link #withOverflowHandler}.
+   *
+   * @param {Object} element The element.
+   */
+  onOverflow(element) {
+  }
+
+  /**
+   * Return but do not remove the tail of the buffer. This is the oldest element in the buffer.
+   *
+   * @returns {Object} The object at the tail of the buffer, or null if empty.
+   */
+  peek() {
+    return this.isEmpty() ? null : this._elements[this._start];
+  }
+
+  /**
+   * Return and remove the tail of the buffer. This is the oldest element in the buffer.
+   *
+   * @returns {Object} the object at the tail of the buffer, or null if the buffer is empty.
+   */
+  poll() {
+    if (this.isEmpty()) {
+      return null;
+    }
+
+    const object = this._elements[this._start];
+    this._elements[this._start] = undefined;
+    this._start = (this._start + 1) % this.capacity;
+    this._size--;
+    return object;
+  }
+
+  /**
+   * Return the size of the buffer.
+   *
+   * @returns {Number} The size of the buffer.
+   */
+  size() {
+    return this._size;
+  }
+
+  /**
+   * @returns {Array} The elements from the oldest to the newest.
+   */
+  toArray() {
+    const elements = [];
+    for (let i = 0; i < this._size; i++) {
+      elements.push(this._elements[(this._start + i) % this.capacity]);
+    }
+
+    return elements;
+  }
+
+  /**
+   * Sets the handler that is called with each element that is dropped or rejected because the buffer is full.
+   *
+   * @param {Function} handler The handler.
+   * @returns {RingBuffer} This.
+   */
+  withOverflowHandler(handler) {
+    this.overflowHandler = handler;
+    return this;
+  }
+
+  /**
+   * Sets what happens when an element is added to a full buffer.
+   *
+   * @param {string} policy Either dropOldest to drop the oldest element (the default) or rejectNewest to reject the
+   *        element that is added.
+   * @returns {RingBuffer} This.
+   */
+  withOverflowPolicy(policy) {
+    if (OverflowPolicies.indexOf(policy) === -1) {
+      throw new TypeError('Invalid overflow policy [' + policy + ']. It must be one of ' + OverflowPolicies.join(', '));
+    }
+
+    this.overflowPolicy = policy;
+    return this;
+  }
+}
+
+// Assigned after the class, since a computed Symbol key would throw in browsers without Symbol (IE11)
+if (typeof Symbol !== 'undefined') {
+  /**
+   * @returns {Iterator} An iterator over the elements from the oldest to the newest.
+   */
+  RingBuffer.prototype[Symbol.iterator] = function() {
+    return this.toArray()[Symbol.iterator]();
+  };
+}
+
+export {RingBuffer};
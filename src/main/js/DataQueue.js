@@ -19,15 +19,39 @@ import {Utils} from "./Utils.js";
 
 class DataQueue {
   /**
-   * First-In-First-Out Queue implementation modeled after java.util.Deque interface.
+   * First-In-First-Out Queue implementation modeled after java.util.Deque interface. In browsers that support
+   * Symbol, the queue is iterable, from the oldest element to the newest.
+   *
+   * The queue can be used as a buffer between producers and consumers. Consumers call {@link #take} to wait for the next
+   * element, or use a {@link QueueWorker} to process the elements as they are added:
+   *
+   * <pre>
+   *   const saves = new DataQueue()
+   *       .withCapacity(50)
+   *       .withFullHandler(function() {
+   *         form.addClass('saving');
+   *       })
+   *       .withDrainedHandler(function() {
+   *         form.removeClass('saving');
+   *       });
+   *   saves.take().then(function(change) {
+   *     ...
+   *   });
+   * </pre>
    *
    * @constructor
    */
   constructor() {
     Utils.bindAll(this);
+    this.capacity = null;
+    this.dequeueHandler = this.onDequeue;
+    this.drainedHandler = this.onDrained;
+    this.enqueueHandler = this.onEnqueue;
+    this.fullHandler = this.onFull;
     this._elements = {};
     this._head = 0;
     this._tail = 0;
+    this._takers = [];
   }
 
   /**
@@ -39,7 +63,42 @@ class DataQueue {
   add(element) {
     this._elements[this._head] = element;
     this._head++;
+    this._added(element);
+
+    return this;
+  }
+
+  /**
+   * Stops waiting for an element that was requested using {@link #take}. The Promise returned by take is rejected with
+   * an Error named AbortError.
+   *
+   * @param {Promise} promise The Promise returned by take.
+   * @returns {boolean} True if the take was still waiting, false if it had already been resolved.
+   */
+  cancelTake(promise) {
+    for (let i = 0; i < this._takers.length; i++) {
+      if (this._takers[i].promise === promise) {
+        const taker = this._takers.splice(i, 1)[0];
+        const error = new Error('The take was cancelled');
+        error.name = 'AbortError';
+        taker.reject(error);
+        return true;
+      }
+    }
+
+    return false;
+  }
 
+  /**
+   * Calls the callback with each element, from the oldest to the newest, and its index.
+   *
+   * @param {Function} callback The callback.
+   * @returns {DataQueue} This.
+   */
+  forEach(callback) {
+    this.toArray().forEach(function(element, index) {
+      callback(element, index);
+    });
     return this;
   }
 
@@ -52,6 +111,42 @@ class DataQueue {
     return this._head === this._tail;
   }
 
+  // noinspection JSMethodCanBeStatic
+  /**
+   * Default handler for an element being removed from the queue. You can pass in a handler function to the
+   * {@link #withDequeueHandler}.
+   *
+   * @param {Object} element The element.
+   */
+  onDequeue(element) {
+  }
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * Default handler for the queue becoming empty after an element was removed. You can pass in a handler function to
+   * the {@link #withDrainedHandler}.
+   */
+  onDrained() {
+  }
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * Default handler for an element being added to the queue. You can pass in a handler function to the
+   * {@link #withEnqueueHandler}.
+   *
+   * @param {Object} element The element.
+   */
+  onEnqueue(element) {
+  }
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * Default handler for the queue reaching its capacity. You can pass in a handler function to the
+   * {@link #withFullHandler}.
+   */
+  onFull() {
+  }
+
   /**
    * Return but do not remove the tail of the queue. This is the oldest element in the queue.
    *
@@ -79,14 +174,29 @@ class DataQueue {
     delete this._elements[this._tail];
     this._tail++;
 
-    // The cursor should not go off the end of the queue
-    if (this._cursor < this._tail) {
-      this._cursor = this._tail;
+    this.dequeueHandler(object);
+    if (this.isEmpty()) {
+      this.drainedHandler();
     }
 
     return object;
   }
 
+  /**
+   * Adds the element back to the tail of the queue, so that it is the next element returned by {@link #poll}. This is
+   * used to return an element that was taken but couldn't be processed.
+   *
+   * @param {Object} element An object to store in the queue.
+   * @returns {DataQueue} This.
+   */
+  requeue(element) {
+    this._tail--;
+    this._elements[this._tail] = element;
+    this._added(element);
+
+    return this;
+  }
+
   /**
    * Return the size of the queue.
    *
@@ -96,6 +206,122 @@ class DataQueue {
     return this._head - this._tail;
   }
 
+  /**
+   * Removes and returns the oldest element once there is one. Consumers that are waiting receive the elements in the
+   * order they called take.
+   *
+   * @returns {Promise} A Promise that is resolved with the element. Pass it to {@link #cancelTake} to stop waiting.
+   */
+  take() {
+    if (!this.isEmpty()) {
+      return Promise.resolve(this.poll());
+    }
+
+    const taker = {};
+    taker.promise = new Promise(function(resolve, reject) {
+      taker.resolve = resolve;
+      taker.reject = reject;
+    });
+    this._takers.push(taker);
+    return taker.promise;
+  }
+
+  /**
+   * @returns {Array} The elements from the oldest to the newest.
+   */
+  toArray() {
+    const elements = [];
+    for (let i = this._tail; i < this._head; i++) {
+      elements.push(this._elements[i]);
+    }
+
+    return elements;
+  }
+
+  /**
+   * Sets the number of elements at which the queue is full. The full handler is called when the queue reaches the
+   * capacity so that producers can slow down. Elements added after that are still queued.
+   *
+   * @param {?number} capacity The capacity or null for none (the default).
+   * @returns {DataQueue} This.
+   */
+  withCapacity(capacity) {
+    this.capacity = capacity;
+    return this;
+  }
+
+  /**
+   * Sets the handler that is called with each element that is removed from the queue.
+   *
+   * @param {Function} func The handler function.
+   * @returns {DataQueue} This.
+   */
+  withDequeueHandler(func) {
+    this.dequeueHandler = func;
+    return this;
+  }
+
+  /**
+   * Sets the handler that is called when the queue becomes empty after an element was removed.
+   *
+   * @param {Function} func The handler function.
+   * @returns {DataQueue} This.
+   */
+  withDrainedHandler(func) {
+    this.drainedHandler = func;
+    return this;
+  }
+
+  /**
+   * Sets the handler that is called with each element that is added to the queue.
+   *
+   * @param {Function} func The handler function.
+   * @returns {DataQueue} This.
+   */
+  withEnqueueHandler(func) {
+    this.enqueueHandler = func;
+    return this;
+  }
+
+  /**
+   * Sets the handler that is called when the queue reaches its capacity (see {@link #withCapacity}).
+   *
+   * @param {Function} func The handler function.
+   * @returns {DataQueue} This.
+   */
+  withFullHandler(func) {
+    this.fullHandler = func;
+    return this;
+  }
+
+  /* ===================================================================================================================
+   * Private methods
+   * ===================================================================================================================*/
+
+  /**
+   * Calls the handlers for an element that was added and hands it to the oldest consumer waiting in {@link #take}.
+   *
+   * @param {Object} element The element.
+   * @private
+   */
+  _added(element) {
+    this.enqueueHandler(element);
+    if (this._takers.length > 0) {
+      this._takers.shift().resolve(this.poll());
+    } else if (this.capacity !== null && this.size() === this.capacity) {
+      this.fullHandler();
+    }
+  }
+}
+
+// Assigned after the class, since a computed Symbol key would throw in browsers without Symbol (IE11)
+if (typeof Symbol !== 'undefined') {
+  /**
+   * @returns {Iterator} An iterator over the elements from the oldest to the newest.
+   */
+  DataQueue.prototype[Symbol.iterator] = function() {
+    return this.toArray()[Symbol.iterator]();
+  };
 }
 
 export {DataQueue};
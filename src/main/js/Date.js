@@ -18,7 +18,85 @@
 import {Utils} from "./Utils.js"
 
 const PrimeDate = {
+  AM_PM: ['AM', 'PM'],
+  DAY_NAMES: ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'],
   DAYS_IN_MONTH: [31, 28, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31],
+  MONTH_NAMES: ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'],
+
+  /**
+   * Formats the date using the pattern. The pattern can contain these fields (everything else is copied as is and text
+   * in single quotes is never treated as a field):
+   *
+   * <ul>
+   *   <li>yyyy, yy - The year</li>
+   *   <li>MMMM, MMM, MM, M - The month name, short month name and month number</li>
+   *   <li>dd, d - The day of the month</li>
+   *   <li>EEEE, EEE - The day name and short day name</li>
+   *   <li>HH, H - The hour of the day (0-23)</li>
+   *   <li>hh, h - The hour of the day (1-12)</li>
+   *   <li>mm, m - The minute</li>
+   *   <li>ss, s - The second</li>
+   *   <li>a - AM or PM</li>
+   * </ul>
+   *
+   * For example: PrimeDate.format(new Date(2015, 6, 4, 13, 5), "EEE, MMM d yyyy 'at' h:mm a") --> Sat, Jul 4 2015 at 1:05 PM
+   *
+   * @param date {Date} The date.
+   * @param pattern {String} The pattern.
+   * @returns {String} The formatted date.
+   */
+  format: function(date, pattern) {
+    if (!(date instanceof Date)) {
+      throw TypeError('date parameter must be a Date object.');
+    }
+
+    return pattern.replace(/'([^']*)'|yyyy|yy|MMMM|MMM|MM|M|dd|d|EEEE|EEE|HH|H|hh|h|mm|m|ss|s|a/g, function(field, text) {
+      if (Utils.isDefined(text)) {
+        return text === '' ? "'" : text;
+      }
+
+      switch (field) {
+        case 'yyyy':
+          return String(date.getFullYear());
+        case 'yy':
+          return Utils.leftPadNumber(date.getFullYear() % 100, 2);
+        case 'MMMM':
+          return PrimeDate.MONTH_NAMES[date.getMonth()];
+        case 'MMM':
+          return PrimeDate.MONTH_NAMES[date.getMonth()].substring(0, 3);
+        case 'MM':
+          return Utils.leftPadNumber(date.getMonth() + 1, 2);
+        case 'M':
+          return String(date.getMonth() + 1);
+        case 'dd':
+          return Utils.leftPadNumber(date.getDate(), 2);
+        case 'd':
+          return String(date.getDate());
+        case 'EEEE':
+          return PrimeDate.DAY_NAMES[date.getDay()];
+        case 'EEE':
+          return PrimeDate.DAY_NAMES[date.getDay()].substring(0, 3);
+        case 'HH':
+          return Utils.leftPadNumber(date.getHours(), 2);
+        case 'H':
+          return String(date.getHours());
+        case 'hh':
+          return Utils.leftPadNumber(PrimeDate.getHourOfDay(date), 2);
+        case 'h':
+          return String(PrimeDate.getHourOfDay(date));
+        case 'mm':
+          return Utils.leftPadNumber(date.getMinutes(), 2);
+        case 'm':
+          return String(date.getMinutes());
+        case 'ss':
+          return Utils.leftPadNumber(date.getSeconds(), 2);
+        case 's':
+          return String(date.getSeconds());
+        default:
+          return PrimeDate.AM_PM[date.getHours() < 12 ? 0 : 1];
+      }
+    });
+  },
 
   /**
    * Return the hour in a 12-hour format. AM and PM are not communicated by the returned hour.
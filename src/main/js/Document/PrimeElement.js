@@ -313,6 +313,7 @@ class PrimeElement {
     }
 
     // Custom event
+    this.domElement.customEventListeners = this.domElement.customEventListeners || {};
     this.domElement.customEventListeners[event] = this.domElement.customEventListeners[event] || [];
     for (let index in this.domElement.customEventListeners[event]) {
       if (this.domElement.customEventListeners[event].hasOwnProperty(index)) {
@@ -1093,6 +1094,25 @@ class PrimeElement {
     return computedStyle['display'] !== 'none' && computedStyle['visibility'] !== 'hidden';
   }
 
+  /**
+   * Changes the content of this Element to the given HTML by patching the existing DOM rather than replacing it. Nodes
+   * that haven't changed are left alone and nodes that have are updated in place, so that they keep their focus, their
+   * state and their event listeners. Only the nodes that aren't in the new HTML are removed.
+   *
+   * Element children with a <code>data-key</code> attribute are matched by their key rather than their position, which
+   * allows the items of a list to be reordered, added and removed without rebuilding the other items. The keys must be
+   * unique among the children of an element.
+   *
+   * @param {string|PrimeElement} newHTML The new HTML content for the Element.
+   * @returns {PrimeElement} This Element.
+   */
+  patchHTML(newHTML) {
+    const holder = document.createElement(this.domElement.tagName);
+    holder.innerHTML = (newHTML instanceof PrimeElement) ? newHTML.getHTML() : newHTML;
+    this._patchChildren(this.domElement, holder);
+    return this;
+  }
+
   /**
    * Inserts this Element (which must be a newly created Element) into the DOM inside at the very beginning of the given
    * element.
@@ -1813,6 +1833,122 @@ class PrimeElement {
       Utils.removeFromArray(customListeners, listener);
     }
   }
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * Changes the attributes of the element to the attributes of the new element.
+   *
+   * @param {Element} element The element in the DOM.
+   * @param {Element} newElement The new element.
+   * @private
+   */
+  _patchAttributes(element, newElement) {
+    for (let i = element.attributes.length - 1; i >= 0; i--) {
+      const name = element.attributes[i].name;
+      if (!newElement.hasAttribute(name)) {
+        element.removeAttribute(name);
+      }
+    }
+
+    for (let i = 0; i < newElement.attributes.length; i++) {
+      const attribute = newElement.attributes[i];
+      if (element.getAttribute(attribute.name) !== attribute.value) {
+        element.setAttribute(attribute.name, attribute.value);
+      }
+    }
+
+    // The attributes are only the defaults of form fields, so the current state is updated unless the user is typing
+    if (element === document.activeElement) {
+      return;
+    }
+
+    if (element.tagName === 'INPUT') {
+      element.checked = newElement.checked;
+      if (element.value !== newElement.value) {
+        element.value = newElement.value;
+      }
+    } else if (element.tagName === 'OPTION') {
+      element.selected = newElement.selected;
+    } else if (element.tagName === 'TEXTAREA' && element.value !== newElement.value) {
+      element.value = newElement.value;
+    }
+  }
+
+  /**
+   * Patches the child nodes of the parent to match the child nodes of the new parent. Keyed elements are matched by
+   * key and the others are matched in order with the unkeyed nodes of the same type.
+   *
+   * @param {Node} parent The parent in the DOM.
+   * @param {Node} newParent The new parent, whose child nodes are moved into the DOM when they don't match.
+   * @private
+   */
+  _patchChildren(parent, newParent) {
+    const oldNodes = Array.prototype.slice.call(parent.childNodes);
+    const keyed = {};
+    const unkeyed = [];
+    for (let i = 0; i < oldNodes.length; i++) {
+      const key = oldNodes[i].nodeType === 1 ? oldNodes[i].getAttribute('data-key') : null;
+      if (key !== null) {
+        keyed[key] = oldNodes[i];
+      } else {
+        unkeyed.push(oldNodes[i]);
+      }
+    }
+
+    const newNodes = Array.prototype.slice.call(newParent.childNodes);
+    const kept = [];
+    let unkeyedIndex = 0;
+    for (let i = 0; i < newNodes.length; i++) {
+      const newNode = newNodes[i];
+      const key = newNode.nodeType === 1 ? newNode.getAttribute('data-key') : null;
+      let node = null;
+      if (key !== null) {
+        node = keyed.hasOwnProperty(key) && keyed[key].nodeName === newNode.nodeName ? keyed[key] : null;
+        delete keyed[key];
+      } else if (unkeyedIndex < unkeyed.length && unkeyed[unkeyedIndex].nodeType === newNode.nodeType &&
+          unkeyed[unkeyedIndex].nodeName === newNode.nodeName) {
+        node = unkeyed[unkeyedIndex++];
+      }
+
+      if (node !== null) {
+        this._patchNode(node, newNode);
+        kept.push(node);
+      } else {
+        node = newNode;
+      }
+
+      if (parent.childNodes[i] !== node) {
+        parent.insertBefore(node, parent.childNodes[i] || null);
+      }
+    }
+
+    for (let i = 0; i < oldNodes.length; i++) {
+      if (kept.indexOf(oldNodes[i]) === -1 && oldNodes[i].parentNode === parent) {
+        parent.removeChild(oldNodes[i]);
+      }
+    }
+  }
+
+  /**
+   * Patches the node to match the new node, which has the same type and name.
+   *
+   * @param {Node} node The node in the DOM.
+   * @param {Node} newNode The new node.
+   * @private
+   */
+  _patchNode(node, newNode) {
+    if (node.nodeType !== 1) {
+      if (node.nodeValue !== newNode.nodeValue) {
+        node.nodeValue = newNode.nodeValue;
+      }
+
+      return;
+    }
+
+    this._patchAttributes(node, newNode);
+    this._patchChildren(node.tagName === 'TEMPLATE' ? node.content : node,
+        newNode.tagName === 'TEMPLATE' ? newNode.content : newNode);
+  }
 }
 
 
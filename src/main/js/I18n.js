@@ -0,0 +1,422 @@
+/*
+ * Copyright (c) 2020, Inversoft Inc., All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+'use strict';
+
+import {PrimeDate} from "./Date.js";
+import {Utils} from "./Utils.js";
+
+const bundles = {};
+const fallbacks = {};
+const parsed = {};
+
+/**
+ * The I18n namespace. This contains the message bundles for each locale and formats the messages.
+ *
+ * Bundles are added for a locale using {@link I18n.addBundle}. A message is looked up in the bundle of the current
+ * locale and then in the bundles of its fallback locales. The fallbacks of a locale are the locales set using
+ * {@link I18n.setFallbacks}, then the locale with its subtags removed one at a time (pt-BR falls back to pt) and finally
+ * the default locale. The default labels of the widgets are in the bundle of the default locale, so a bundle only needs
+ * to contain the messages it translates:
+ *
+ * <pre>
+ *   I18n.addBundle('de', {
+ *     MultipleSelect: {placeholder: 'Auswählen'},
+ *     cart: '{count, plural, =0 {Ihr Warenkorb ist leer} one {# Artikel} other {# Artikel}}'
+ *   });
+ *   I18n.locale = 'de-AT';
+ *   I18n.message('cart', {count: 3}); // --> 3 Artikel
+ * </pre>
+ *
+ * Messages use a subset of the ICU message format:
+ *
+ * <ul>
+ *   <li><code>{name}</code> - The parameter with the name</li>
+ *   <li><code>{name, number}</code> - The parameter formatted as a number for the locale</li>
+ *   <li><code>{name, date, pattern}</code> - The parameter formatted using {@link PrimeDate.format} (the pattern defaults
+ *   to yyyy-MM-dd)</li>
+ *   <li><code>{name, plural, =0 {...} one {...} other {...}}</code> - The message for the exact value or the plural
+ *   category of the locale (zero, one, two, few, many or other). Inside the messages, # is replaced with the number. An
+ *   <code>offset:n</code> before the messages subtracts n from the number for the categories and #</li>
+ *   <li><code>{name, select, male {...} female {...} other {...}}</code> - The message for the value or other</li>
+ * </ul>
+ *
+ * Use two apostrophes for an apostrophe next to a brace or #, and an apostrophe before a brace or # to start literal text
+ * that ends at the next apostrophe, such as <code>'{name}'</code>. Parameters that are not passed are left as is.
+ *
+ * @namespace I18n
+ */
+const I18n = {
+  /**
+   * The locale that is used when all of the fallbacks of a locale don't have a message. This locale contains the
+   * default labels of the widgets.
+   *
+   * @type {string}
+   */
+  defaultLocale: 'en',
+
+  /**
+   * The current locale, which defaults to the language of the browser.
+   *
+   * @type {string}
+   */
+  locale: (typeof navigator !== 'undefined' && navigator.language) || 'en',
+
+  /**
+   * Adds the messages to the bundle of the locale. The messages are merged with the messages that were already added
+   * for the locale. Nested objects are flattened so that <code>{Searcher: {customAddLabel: 'Add'}}</code> is the same
+   * as <code>{'Searcher.customAddLabel': 'Add'}</code>. Messages are usually Strings, but they can be any value, such as
+   * an Array of month names.
+   *
+   * @param {string} locale The locale.
+   * @param {Object} messages The messages.
+   */
+  addBundle: function(locale, messages) {
+    locale = I18n._normalize(locale);
+    bundles[locale] = bundles[locale] || {};
+    I18n._flatten(messages, '', bundles[locale]);
+  },
+
+  /**
+   * Formats the message pattern using the parameters.
+   *
+   * @param {string} pattern The message pattern.
+   * @param {Object} [parameters] The parameters.
+   * @param {string} [locale] The locale for the plural rules and numbers, which defaults to the current locale.
+   * @returns {string} The message.
+   * @throws {TypeError} If the pattern is malformed.
+   */
+  format: function(pattern, parameters, locale) {
+    if (!parsed.hasOwnProperty(pattern)) {
+      const result = I18n._parse(pattern, 0, false);
+      if (result.index < pattern.length) {
+        throw new TypeError('Invalid message [' + pattern + ']. There is an unmatched } at position [' + result.index + ']');
+      }
+
+      parsed[pattern] = result.nodes;
+    }
+
+    return I18n._render(parsed[pattern], parameters || {}, Utils.isDefined(locale) ? locale : I18n.locale, null);
+  },
+
+  /**
+   * Returns the locales that are searched for a message, in order.
+   *
+   * @param {string} [locale] The locale, which defaults to the current locale.
+   * @returns {Array<string>} The locale and its fallbacks.
+   */
+  getFallbacks: function(locale) {
+    const chain = [];
+    const add = function(value) {
+      value = I18n._normalize(value);
+      if (chain.indexOf(value) === -1) {
+        chain.push(value);
+        (fallbacks[value] || []).forEach(add);
+        if (value.lastIndexOf('-') !== -1) {
+          add(value.substring(0, value.lastIndexOf('-')));
+        }
+      }
+    };
+
+    add(Utils.isDefined(locale) ? locale : I18n.locale);
+    add(I18n.defaultLocale);
+    return chain;
+  },
+
+  /**
+   * @param {string} key The key.
+   * @param {string} [locale] The locale, which defaults to the current locale.
+   * @returns {boolean} True if the locale or one of its fallbacks has a message for the key.
+   */
+  has: function(key, locale) {
+    return typeof I18n.lookup(key, locale) !== 'undefined';
+  },
+
+  /**
+   * Returns the message for the key without formatting it.
+   *
+   * @param {string} key The key.
+   * @param {string} [locale] The locale, which defaults to the current locale.
+   * @returns {*} The message or undefined if neither the locale nor its fallbacks have a message for the key.
+   */
+  lookup: function(key, locale) {
+    const chain = I18n.getFallbacks(locale);
+    for (let i = 0; i < chain.length; i++) {
+      if (bundles.hasOwnProperty(chain[i]) && bundles[chain[i]].hasOwnProperty(key)) {
+        return bundles[chain[i]][key];
+      }
+    }
+
+    return undefined;
+  },
+
+  /**
+   * Returns the message for the key formatted using the parameters (see {@link I18n.format}). Messages that aren't
+   * Strings are returned as is.
+   *
+   * @param {string} key The key.
+   * @param {Object} [parameters] The parameters.
+   * @param {string} [locale] The locale, which defaults to the current locale.
+   * @returns {*} The message or the key if neither the locale nor its fallbacks have a message for the key.
+   */
+  message: function(key, parameters, locale) {
+    const message = I18n.lookup(key, locale);
+    if (typeof message === 'undefined') {
+      return key;
+    }
+
+    return typeof message === 'string' ? I18n.format(message, parameters, Utils.isDefined(locale) ? locale : I18n.locale) : message;
+  },
+
+  /**
+   * Removes the bundle of the locale.
+   *
+   * @param {string} locale The locale.
+   */
+  removeBundle: function(locale) {
+    delete bundles[I18n._normalize(locale)];
+  },
+
+  /**
+   * Sets the locales that are searched after the locale and before its parent locale. For example, if pt-BR falls back
+   * to pt-PT, the locales pt-BR, pt-PT, pt and the default locale are searched in that order.
+   *
+   * @param {string} locale The locale.
+   * @param {Array<string>} fallbackLocales The fallback locales.
+   */
+  setFallbacks: function(locale, fallbackLocales) {
+    fallbacks[I18n._normalize(locale)] = fallbackLocales.map(I18n._normalize);
+  },
+
+  /* ===================================================================================================================
+   * Private methods
+   * ===================================================================================================================*/
+
+  _flatten: function(messages, prefix, bundle) {
+    for (let key in messages) {
+      if (messages.hasOwnProperty(key)) {
+        const value = messages[key];
+        if (value !== null && typeof value === 'object' && !Utils.isArray(value)) {
+          I18n._flatten(value, prefix + key + '.', bundle);
+        } else {
+          bundle[prefix + key] = value;
+        }
+      }
+    }
+  },
+
+  _formatNumber: function(value, locale) {
+    if (typeof Intl !== 'undefined') {
+      try {
+        return new Intl.NumberFormat(locale).format(value);
+      } catch (e) {
+        // Fall through for unknown locales
+      }
+    }
+
+    return String(value);
+  },
+
+  _normalize: function(locale) {
+    return locale.replace(/_/g, '-').toLowerCase();
+  },
+
+  /**
+   * Parses the message pattern until the end of the pattern or an unmatched } (which ends a sub-message).
+   *
+   * @param {string} pattern The pattern.
+   * @param {number} index The index to start at.
+   * @param {boolean} plural True if this is a sub-message of a plural, where # is the number.
+   * @returns {{index: number, nodes: Array}} The nodes and the index of the unmatched } or the end of the pattern.
+   * @private
+   */
+  _parse: function(pattern, index, plural) {
+    const nodes = [];
+    let text = '';
+    while (index < pattern.length) {
+      const c = pattern.charAt(index);
+      const next = pattern.charAt(index + 1);
+      if (c === '\'' && next === '\'') {
+        text += '\'';
+        index += 2;
+      } else if (c === '\'' && (next === '{' || next === '}' || next === '#')) {
+        const end = pattern.indexOf('\'', index + 1);
+        text += pattern.substring(index + 1, end === -1 ? pattern.length : end);
+        index = end === -1 ? pattern.length : end + 1;
+      } else if (c === '{') {
+        nodes.push(text);
+        text = '';
+        const argument = I18n._parseArgument(pattern, index + 1);
+        nodes.push(argument.node);
+        index = argument.index;
+      } else if (c === '}') {
+        break;
+      } else if (c === '#' && plural) {
+        nodes.push(text, {type: 'count'});
+        text = '';
+        index++;
+      } else {
+        text += c;
+        index++;
+      }
+    }
+
+    nodes.push(text);
+    return {index: index, nodes: nodes.filter(function(node) {
+      return node !== '';
+    })};
+  },
+
+  _parseArgument: function(pattern, index) {
+    const fail = function(message) {
+      throw new TypeError('Invalid message [' + pattern + ']. ' + message);
+    };
+    const token = function(terminators) {
+      let end = index;
+      while (end < pattern.length && terminators.indexOf(pattern.charAt(end)) === -1) {
+        end++;
+      }
+
+      if (end === pattern.length) {
+        fail('There is an unmatched {');
+      }
+
+      const value = pattern.substring(index, end).trim();
+      index = end;
+      return value;
+    };
+
+    const node = {name: token(',}'), type: 'argument'};
+    if (pattern.charAt(index) === ',') {
+      index++;
+      node.type = token(',}');
+      if (pattern.charAt(index) === ',' && (node.type === 'plural' || node.type === 'select')) {
+        index++;
+        node.offset = 0;
+        node.options = {};
+        while (true) {
+          const key = token('{}');
+          if (pattern.charAt(index) === '}') {
+            break;
+          }
+
+          const words = key.split(/\s+/);
+          if (words[0].indexOf('offset:') === 0) {
+            node.offset = parseInt(words.shift().substring(7), 10);
+          }
+
+          if (words.length !== 1 || words[0] === '') {
+            fail('The option [' + key + '] of the argument [' + node.name + '] is invalid');
+          }
+
+          const result = I18n._parse(pattern, index + 1, node.type === 'plural');
+          if (result.index === pattern.length) {
+            fail('There is an unmatched {');
+          }
+
+          node.options[words[0]] = result.nodes;
+          index = result.index + 1;
+        }
+      } else if (pattern.charAt(index) === ',') {
+        index++;
+        node.style = token('}');
+      } else if (node.type === 'plural' || node.type === 'select') {
+        fail('The argument [' + node.name + '] doesn\'t have any options');
+      }
+    }
+
+    return {index: index + 1, node: node};
+  },
+
+  _pluralCategory: function(value, locale) {
+    if (typeof Intl !== 'undefined' && Utils.isDefined(Intl.PluralRules)) {
+      try {
+        return new Intl.PluralRules(locale).select(value);
+      } catch (e) {
+        // Fall through for unknown locales
+      }
+    }
+
+    return value === 1 ? 'one' : 'other';
+  },
+
+  /**
+   * @param {Array} nodes The parsed message.
+   * @param {Object} parameters The parameters.
+   * @param {string} locale The locale.
+   * @param {?number} count The number that replaces # in plural sub-messages.
+   * @returns {string} The message.
+   * @private
+   */
+  _render: function(nodes, parameters, locale, count) {
+    let result = '';
+    for (let i = 0; i < nodes.length; i++) {
+      const node = nodes[i];
+      if (typeof node === 'string') {
+        result += node;
+      } else if (node.type === 'count') {
+        result += I18n._formatNumber(count, locale);
+      } else if (!parameters.hasOwnProperty(node.name)) {
+        result += '{' + node.name + '}';
+      } else {
+        result += I18n._renderArgument(node, parameters, locale);
+      }
+    }
+
+    return result;
+  },
+
+  _renderArgument: function(node, parameters, locale) {
+    const value = parameters[node.name];
+    if (node.type === 'number') {
+      return I18n._formatNumber(Number(value), locale);
+    } else if (node.type === 'date') {
+      return PrimeDate.format(value instanceof Date ? value : new Date(value), node.style || 'yyyy-MM-dd');
+    } else if (node.type === 'plural') {
+      const number = Number(value);
+      let option = node.options['=' + number];
+      if (!Utils.isDefined(option)) {
+        option = node.options[I18n._pluralCategory(number - node.offset, locale)] || node.options.other || [];
+      }
+
+      return I18n._render(option, parameters, locale, number - node.offset);
+    } else if (node.type === 'select') {
+      const option = node.options.hasOwnProperty(String(value)) ? node.options[String(value)] : node.options.other;
+      return I18n._render(option || [], parameters, locale, null);
+    }
+
+    return value === null ? '' : String(value);
+  }
+};
+
+I18n.addBundle('en', {
+  DateTimePicker: {
+    amPm: ['AM', 'PM'],
+    months: ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'],
+    shortDayNames: ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa']
+  },
+  MultipleSelect: {
+    customAddLabel: 'Add Custom Value: ',
+    noSearchResultsLabel: 'No Matches For: ',
+    placeholder: 'Choose'
+  },
+  Searcher: {
+    customAddLabel: 'Add Custom: ',
+    noSearchResultsLabel: 'No Matches For: ',
+    tooManySearchResultsLabel: 'Too Many Matches For: '
+  }
+});
+
+export {I18n};
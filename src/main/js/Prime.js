@@ -18,11 +18,24 @@ import * as Widgets from "./Widgets/Widgets.js"
 import * as Effects from "./Effects.js"
 // Do any polyfill imports here for backwards compatibility
 import {DataQueue} from "./DataQueue.js";
+import {PriorityQueue} from "./Data/PriorityQueue.js";
+import {QueueWorker} from "./Data/QueueWorker.js";
+import {RingBuffer} from "./Data/RingBuffer.js";
+import {FakeServer} from "./Ajax/FakeServer.js";
+import {FetchTransport} from "./Ajax/FetchTransport.js";
+import {FormSerializer} from "./Ajax/FormSerializer.js";
+import {Outbox} from "./Ajax/Outbox.js";
+import {PrimeEventSource} from "./Ajax/PrimeEventSource.js";
 import {PrimeRequest} from "./PrimeRequest.js";
+import {PrimeResponse} from "./Ajax/PrimeResponse.js";
+import {PrimeSocket} from "./Ajax/PrimeSocket.js";
+import {RequestScheduler} from "./Ajax/RequestScheduler.js";
+import {ResponseCache} from "./Ajax/ResponseCache.js";
 
 export {Browser} from "./Browser.js"
 export {Effects}
 export {Events} from "./Events.js"
+export {I18n} from "./I18n.js"
 export {PrimeDate as Date} from "./Date.js"
 export {PrimeDocument as Document} from "./PrimeDocument.js"
 export {PrimeStorage as Storage} from "./Storage.js"
@@ -32,11 +45,23 @@ export {Utils} from "./Utils.js"
 export {Widgets}
 
 const Ajax = {
-  Request: PrimeRequest
+  EventSource: PrimeEventSource,
+  FakeServer: FakeServer,
+  FetchTransport: FetchTransport,
+  FormSerializer: FormSerializer,
+  Outbox: Outbox,
+  Request: PrimeRequest,
+  RequestScheduler: RequestScheduler,
+  Response: PrimeResponse,
+  ResponseCache: ResponseCache,
+  Socket: PrimeSocket
 };
 
 const Data = {
-  Queue: DataQueue
+  PriorityQueue: PriorityQueue,
+  Queue: DataQueue,
+  QueueWorker: QueueWorker,
+  RingBuffer: RingBuffer
 };
 
 export {Ajax}
@@ -17,34 +17,212 @@
 
 import {Utils} from "./Utils.js";
 import {PrimeElement} from "./Document/PrimeElement.js";
+import {CacheTransport} from "./Ajax/CacheTransport.js";
+import {FetchTransport} from "./Ajax/FetchTransport.js";
+import {FormSerializer} from "./Ajax/FormSerializer.js";
+import {PrimeResponse} from "./Ajax/PrimeResponse.js";
+import {ResponseCache} from "./Ajax/ResponseCache.js";
+
+const ErrorType = Object.freeze({
+  ABORT: 'abort',
+  CLIENT: 'client',
+  HANDLED: 'handled',
+  NETWORK: 'network',
+  PARSE: 'parse',
+  SERVER: 'server',
+  TIMEOUT: 'timeout'
+});
+const InterceptorResult = Object.freeze({
+  ERROR: 'error',
+  HANDLED: 'handled',
+  SUCCESS: 'success'
+});
+const requestInterceptors = [];
+const responseInterceptors = [];
 
 class PrimeRequest {
   /**
    * Makes a new AJAX request.
    *
+   * The request is made using an XMLHttpRequest by default. The fetch API can be used instead by passing a
+   * {@link FetchTransport} to {@link #usingTransport}, which is also the default where XMLHttpRequest is not available
+   * (i.e. in service workers). Either way, the handlers are passed an object with the XMLHttpRequest interface.
+   *
    * @constructor
    * @param {string} [url] The URL to call. This can be left out for sub-classing but should otherwise be provided.
    * @param {string} [method=GET] The HTTP method to use. You can specify GET, POST, PUT, DELETE, HEAD, SEARCH, etc.
    */
   constructor(url, method) {
     Utils.bindAll(this);
-    this.xhr = new XMLHttpRequest();
+    this.xhr = typeof XMLHttpRequest !== 'undefined' ? new XMLHttpRequest() : new FetchTransport();
+    this.abortHandler = this.onAbort;
+    this.aborted = false;
     this.async = true;
+    this.attempt = 0;
     this.body = null;
+    this.cache = null;
     this.queryParams = null;
     this.contentType = null;
+    this.downloadProgressHandler = null;
     this.inProgress = null;
+    this.error = null;
     this.errorHandler = this.onError;
+    this.handled = false;
+    this.handledHandler = this.onHandled;
     this.headers = {};
+    this.inFlight = false;
     this.loadingHandler = this.onLoading;
     this.method = method || 'GET';
     this.openHandler = this.onOpen;
     this.password = null;
+    this.reject = null;
+    this.resolve = null;
+    this.response = null;
+    this.retryHandler = this.onRetry;
+    this.retryPolicy = null;
     this.sendHandler = this.onSend;
     this.successHandler = this.onSuccess;
+    this.timedOut = false;
+    this.timeout = 0;
+    this.timeoutHandler = this.onTimeout;
     this.unsetHandler = this.onUnset;
+    this.uploadProgressHandler = null;
     this.url = url;
     this.username = null;
+    this._retryId = null;
+    this._timeoutId = null;
+  }
+
+  /*
+   * Statics
+   */
+  /**
+   * The types of the errors passed to the error, timeout and abort handlers and used to reject the Promise returned from
+   * {@link #send}:
+   *
+   * <ul>
+   *   <li>ABORT - The request was aborted using {@link #abort}</li>
+   *   <li>CLIENT - The HTTP response status was 4xx (or any other status that isn't 2xx or 5xx)</li>
+   *   <li>HANDLED - A response interceptor took care of the response (see {@link PrimeRequest.InterceptorResult})</li>
+   *   <li>NETWORK - The request did not reach the server or the response never came back</li>
+   *   <li>PARSE - The HTTP response status was 2xx, but the JSON or XML body could not be parsed</li>
+   *   <li>SERVER - The HTTP response status was 5xx</li>
+   *   <li>TIMEOUT - The request did not complete within the timeout set using {@link #withTimeout}</li>
+   * </ul>
+   *
+   * @returns {{ABORT: string, CLIENT: string, HANDLED: string, NETWORK: string, PARSE: string, SERVER: string, TIMEOUT: string}}
+   */
+  static get ErrorType() {
+    return ErrorType;
+  }
+
+  /**
+   * The values a response interceptor can return to decide the outcome of a request:
+   *
+   * <ul>
+   *   <li>SUCCESS - The success handler is invoked (and the Promise is resolved) regardless of the HTTP status</li>
+   *   <li>ERROR - The error handler is invoked (and the Promise is rejected) regardless of the HTTP status</li>
+   *   <li>HANDLED - The interceptor took care of the response. Only the handled handler is invoked and the Promise is
+   *   rejected with an Error of the HANDLED type</li>
+   * </ul>
+   *
+   * @returns {{ERROR: string, HANDLED: string, SUCCESS: string}}
+   */
+  static get InterceptorResult() {
+    return InterceptorResult;
+  }
+
+  /**
+   * Adds a request interceptor that is called for every request (including the requests made by the widgets) right
+   * before it is sent. The interceptor is passed the PrimeRequest and can modify the URL, headers and body using the
+   * normal builder methods. For example:
+   *
+   * <pre>
+   *   PrimeRequest.addRequestInterceptor(function(request) {
+   *     request.withHeader('X-CSRF-Token', token);
+   *   });
+   * </pre>
+   *
+   * @param {Function} interceptor The interceptor function.
+   */
+  static addRequestInterceptor(interceptor) {
+    requestInterceptors.push(interceptor);
+  }
+
+  /**
+   * Adds a response interceptor that is called for every request that completes (including the requests made by the
+   * widgets) before the success or error handler. The interceptor is passed the XMLHttpRequest and the PrimeRequest.
+   * It can inspect or decorate the response and it can return one of the {@link PrimeRequest.InterceptorResult} values to
+   * decide the outcome of the request. Returning nothing leaves the outcome to the HTTP status and the next interceptor.
+   * For example:
+   *
+   * <pre>
+   *   PrimeRequest.addResponseInterceptor(function(xhr) {
+   *     if (xhr.status === 401) {
+   *       window.location = '/login';
+   *       return PrimeRequest.InterceptorResult.HANDLED;
+   *     }
+   *   });
+   * </pre>
+   *
+   * Aborted requests are not passed to the response interceptors.
+   *
+   * @param {Function} interceptor The interceptor function.
+   */
+  static addResponseInterceptor(interceptor) {
+    responseInterceptors.push(interceptor);
+  }
+
+  /**
+   * Removes all of the request and response interceptors.
+   */
+  static clearInterceptors() {
+    requestInterceptors.length = 0;
+    responseInterceptors.length = 0;
+  }
+
+  /**
+   * Removes a request interceptor that was added using {@link PrimeRequest.addRequestInterceptor}.
+   *
+   * @param {Function} interceptor The interceptor function.
+   */
+  static removeRequestInterceptor(interceptor) {
+    Utils.removeFromArray(requestInterceptors, interceptor);
+  }
+
+  /**
+   * Removes a response interceptor that was added using {@link PrimeRequest.addResponseInterceptor}.
+   *
+   * @param {Function} interceptor The interceptor function.
+   */
+  static removeResponseInterceptor(interceptor) {
+    Utils.removeFromArray(responseInterceptors, interceptor);
+  }
+
+  /**
+   * Aborts the request if it is in flight. The abort handler is called instead of the success or error handler and the
+   * Promise returned from {@link #send} is rejected. Calling this once the request has completed does nothing.
+   *
+   * @returns {PrimeRequest} This PrimeRequest.
+   */
+  abort() {
+    if (!this.inFlight || this.aborted) {
+      return this;
+    }
+
+    this.aborted = true;
+
+    // If the XHR is already done, the request is either waiting to retry or the completion is waiting on the InProgress
+    // and will pick up the aborted flag
+    if (this._retryId !== null) {
+      clearTimeout(this._retryId);
+      this._retryId = null;
+      this._handleDone();
+    } else if (this.xhr.readyState !== 4) {
+      this.xhr.abort();
+    }
+
+    return this;
   }
 
   /**
@@ -59,58 +237,78 @@ class PrimeRequest {
   }
 
   /**
-   * Invokes the AJAX request. If the URL is not set, this throws an exception.
+   * Invokes the AJAX request. If the URL is not set, this throws an exception. Use {@link #send} instead if you want a
+   * Promise for the result.
    *
    * @returns {PrimeRequest} This PrimeRequest.
    */
   go() {
+    for (let i = 0; i < requestInterceptors.length; i++) {
+      requestInterceptors[i](this);
+    }
+
     if (!this.url) {
       throw new TypeError('No URL set for AJAX request');
     }
 
-    let requestUrl = this.url;
-    if ((this.method === 'GET' || this.method === 'DELETE') && this.queryParams !== null) {
-      if (requestUrl.indexOf('?') === -1) {
-        requestUrl += '?' + this.queryParams;
-      } else {
-        requestUrl += '&' + this.queryParams;
-      }
+    if (this.cache !== null && !(this.xhr instanceof CacheTransport)) {
+      this.xhr = new CacheTransport(this.cache, this.xhr);
     }
 
+    this.aborted = false;
+    this.attempt = 1;
+    this.error = null;
+    this.handled = false;
+    this.response = null;
+    this.timedOut = false;
+    this.inFlight = this.async;
+
     if (this.async) {
       if (this.inProgress !== null) {
         this.inProgress.open();
       }
 
       this.xhr.onreadystatechange = this._handler.bind(this);
-    }
-
-    this.xhr.open(this.method, requestUrl, this.async, this.username, this.password);
+      this.xhr.onprogress = this._handleDownloadProgress;
 
-    if (Object.keys(this.headers).length > 0) {
-      for (let key in this.headers) {
-        if (this.headers.hasOwnProperty(key)) {
-          this.xhr.setRequestHeader(key, this.headers[key]);
-        }
+      // Upload listeners make cross-origin requests pre-flighted, so only listen to real uploads
+      if (this.xhr.upload && this.body !== null && typeof this.body !== 'string') {
+        this.xhr.upload.onprogress = this._handleUploadProgress;
       }
     }
 
-    if (this.contentType) {
-      this.xhr.setRequestHeader('Content-Type', this.contentType);
-    }
-
-    this.xhr.send(this.body);
-
+    this._sendXHR();
     return this;
   }
 
+  /**
+   * Default handler for a request that was aborted using {@link #abort}. Sub-classes can override this handler or you can
+   * pass in a handler function to the {@link #withAbortHandler}.
+   *
+   * @param {XMLHttpRequest} xhr The XMLHttpRequest object.
+   * @param {Error} error The error (see {@link #send}).
+   */
+  onAbort(xhr, error) {
+  }
+
   /**
    * Default handler for the "completed" state and an HTTP response status of anything but 2xx. Sub-classes can override
    * this handler or you can pass in a handler function to the {@link #withUnsetHandler}.
    *
    * @param {XMLHttpRequest} xhr The XMLHttpRequest object.
+   * @param {Error} error The error (see {@link #send}).
    */
-  onError(xhr) {
+  onError(xhr, error) {
+  }
+
+  /**
+   * Default handler for a response that a response interceptor took care of (see
+   * {@link PrimeRequest.InterceptorResult}). None of the other handlers are invoked for the response. Sub-classes can
+   * override this handler or you can pass in a handler function to the {@link #withHandledHandler}.
+   *
+   * @param {XMLHttpRequest} xhr The XMLHttpRequest object.
+   */
+  onHandled(xhr) {
   }
 
   /**
@@ -131,6 +329,18 @@ class PrimeRequest {
   onOpen(xhr) {
   }
 
+  /**
+   * Default handler for a failed attempt that is going to be retried based on the policy set using
+   * {@link #withRetryPolicy}. Sub-classes can override this handler or you can pass in a handler function to the
+   * {@link #withRetryHandler}.
+   *
+   * @param {XMLHttpRequest} xhr The XMLHttpRequest object of the failed attempt.
+   * @param {number} attempt The number of the attempt that failed, starting at 1.
+   * @param {number} delay The number of milliseconds until the next attempt.
+   */
+  onRetry(xhr, attempt, delay) {
+  }
+
   /**
    * Default handler for the "send" state. Sub-classes can override this handler or you can pass in a handler function
    * to the {@link #withSendHandler}.
@@ -145,8 +355,19 @@ class PrimeRequest {
    * or you can pass in a handler function to the {@link #withUnsetHandler}.
    *
    * @param {XMLHttpRequest} xhr The XMLHttpRequest object.
+   * @param {PrimeResponse} response The response with the decoded body.
    */
-  onSuccess(xhr) {
+  onSuccess(xhr, response) {
+  }
+
+  /**
+   * Default handler for a request that did not complete within the timeout set using {@link #withTimeout}. Sub-classes
+   * can override this handler or you can pass in a handler function to the {@link #withTimeoutHandler}.
+   *
+   * @param {XMLHttpRequest} xhr The XMLHttpRequest object.
+   * @param {Error} error The error (see {@link #send}).
+   */
+  onTimeout(xhr, error) {
   }
 
   /**
@@ -158,6 +379,45 @@ class PrimeRequest {
   onUnset(xhr) {
   }
 
+  /**
+   * Invokes the AJAX request and returns a Promise for the result. The Promise is resolved with a {@link PrimeResponse}
+   * when the HTTP response status is 2xx and the body could be decoded. It is rejected with an Error for any other status
+   * or when the request could not be completed (for example a network error). The Error has these properties for
+   * inspecting the failure:
+   *
+   * <ul>
+   *   <li>type - One of the {@link PrimeRequest.ErrorType} values</li>
+   *   <li>status - The HTTP response status (0 if there was no response)</li>
+   *   <li>body - The decoded response body, such as the validation errors of a 400 response, or null</li>
+   *   <li>response - The {@link PrimeResponse}</li>
+   *   <li>request - This PrimeRequest</li>
+   *   <li>cause - The SyntaxError if the body could not be parsed, otherwise null</li>
+   *   <li>aborted and timedOut - Flags for aborted requests and timeouts</li>
+   * </ul>
+   *
+   * The same Error is passed to the error, timeout and abort handlers and the PrimeResponse is passed to the success
+   * handler, after the XMLHttpRequest. They are also available as the <code>error</code> and <code>response</code>
+   * properties of this PrimeRequest once the request completes.
+   *
+   * The success and error handlers are still called and the Promise is settled after they return, which means any
+   * InProgress is closed by the time the Promise callbacks run.
+   *
+   * @returns {Promise<PrimeResponse>} The Promise.
+   */
+  send() {
+    return new Promise(function(resolve, reject) {
+      this.resolve = resolve;
+      this.reject = reject;
+      this.go();
+
+      // Synchronous requests are complete once go returns and no state change handlers are invoked
+      if (!this.async) {
+        this._decodeResponse(this.xhr.status >= 200 && this.xhr.status <= 299);
+        this._settle();
+      }
+    }.bind(this));
+  }
+
   /**
    * Sets the async flag to false.
    *
@@ -179,6 +439,31 @@ class PrimeRequest {
     return this;
   }
 
+  /**
+   * Sets the transport used to make the AJAX request. The transport must have the same interface as XMLHttpRequest,
+   * such as a {@link FetchTransport}. The transport is passed to the handlers in place of the XMLHttpRequest.
+   *
+   * @param {XMLHttpRequest|FetchTransport} transport The transport.
+   * @returns {PrimeRequest} This PrimeRequest.
+   */
+  usingTransport(transport) {
+    transport.responseType = this.xhr.responseType;
+    this.xhr = transport;
+    return this;
+  }
+
+  /**
+   * Sets the handler to invoke when the request is aborted using {@link #abort}. The success and error handlers are not
+   * invoked for an aborted request.
+   *
+   * @param {Function} func The handler function.
+   * @returns {PrimeRequest} This PrimeRequest.
+   */
+  withAbortHandler(func) {
+    this.abortHandler = func;
+    return this;
+  }
+
   /**
    * Sets the request body for the request.
    *
@@ -190,6 +475,21 @@ class PrimeRequest {
     return this;
   }
 
+  /**
+   * Caches the response of this request if it is a GET. Fresh responses are returned from the cache without a request
+   * to the server, expired responses are revalidated using their ETag or Last-Modified header and identical GET requests
+   * that are in-flight at the same time share a single request. The handlers are invoked the same way for cached
+   * responses, except that they go straight to the "done" state. Requests with an Authorization header or a username
+   * aren't cached unless the cache allows them (see {@link ResponseCache#withAuthorizedRequests}).
+   *
+   * @param {ResponseCache} [cache] The cache. Defaults to {@link ResponseCache.shared}.
+   * @returns {PrimeRequest} This PrimeRequest.
+   */
+  withCache(cache) {
+    this.cache = cache || ResponseCache.shared;
+    return this;
+  }
+
   /**
    * Sets the content type for the request.
    *
@@ -212,7 +512,7 @@ class PrimeRequest {
     for (let prop in data) {
       if (data.hasOwnProperty(prop)) {
         if (this.method === 'PUT' || this.method === 'POST') {
-          this.body = this._addDataValue(this.body, prop, data[prop]);
+          this._addBodyValue(prop, data[prop]);
         } else {
           this.queryParams = this._addDataValue(this.queryParams, prop, data[prop]);
         }
@@ -220,7 +520,7 @@ class PrimeRequest {
     }
 
     if (this.method === "PUT" || this.method === "POST") {
-      this.contentType = 'application/x-www-form-urlencoded';
+      this._setFormContentType();
     }
     return this;
   }
@@ -228,7 +528,8 @@ class PrimeRequest {
   /**
    * Sets the data for the request using the form fields in the given form element. Will store the values for query
    * parameters or post data depending on the method that is set.  If the method is a post or put, will also set
-   * content-type to x-www-form-urlencoded.
+   * content-type to x-www-form-urlencoded, unless the form has file inputs with selected files. In that case the body is
+   * a FormData and it is sent as multipart/form-data. Files are not sent for any other method.
    *
    * @param {PrimeElement|HTMLFormElement} form The form object.
    * @returns {PrimeRequest} This PrimeRequest.
@@ -250,6 +551,15 @@ class PrimeRequest {
         type = type.toLowerCase();
       }
 
+      const name = primeElement.domElement.name;
+      if (type === 'file') {
+        if ((this.method === 'PUT' || this.method === 'POST') && primeElement.domElement.files.length > 0) {
+          this._addBodyFiles(name, primeElement.domElement.files);
+        }
+
+        continue;
+      }
+
       let values;
       if (primeElement.getTagName() === 'SELECT') {
         values = primeElement.getSelectedValues();
@@ -259,24 +569,37 @@ class PrimeRequest {
         values = primeElement.getValue();
       }
 
-      const name = primeElement.domElement.name;
       if (this.method === 'PUT' || this.method === 'POST') {
-        this.body = this._addDataValue(this.body, name, values)
+        this._addBodyValue(name, values);
       } else {
         this.queryParams = this._addDataValue(this.queryParams, name, values);
       }
     }
 
     if (this.method === "PUT" || this.method === "POST") {
-      this.contentType = 'application/x-www-form-urlencoded';
+      this._setFormContentType();
     }
 
     return this;
   }
 
+  /**
+   * Sets the handler to invoke as the response is downloaded. The handler is passed an object with the number of bytes
+   * <code>loaded</code>, the <code>total</code> number of bytes and the <code>percent</code> complete (the total and
+   * percent are null if the size of the response is unknown) and the XMLHttpRequest.
+   *
+   * @param {Function} func The handler function.
+   * @returns {PrimeRequest} This PrimeRequest.
+   */
+  withDownloadProgressHandler(func) {
+    this.downloadProgressHandler = func;
+    return this;
+  }
+
   /**
    * Sets the handler to invoke when the state of the AJAX request is "complete" and the HTTP status in the response is
-   * not 2xx.
+   * not 2xx or the body could not be decoded. The handler is passed the XMLHttpRequest and the error (see
+   * {@link #send}).
    *
    * @param {Function} func The handler function.
    * @returns {PrimeRequest} This PrimeRequest.
@@ -286,6 +609,45 @@ class PrimeRequest {
     return this;
   }
 
+  /**
+   * Adds the given files to the request body, which turns the body into a FormData that is sent as multipart/form-data.
+   * Any data already added to the body using {@link #withData} or {@link #withDataFromForm} is kept.
+   *
+   * @param {string} name The name of the form field.
+   * @param {FileList|Array<File|Blob>|File|Blob} files The files.
+   * @returns {PrimeRequest} This PrimeRequest.
+   */
+  withFiles(name, files) {
+    this._addBodyFiles(name, files);
+    this.contentType = null;
+    return this;
+  }
+
+  /**
+   * Sets the request body to the given FormData, which is sent as multipart/form-data. The browser sets the content-type
+   * (including the multipart boundary).
+   *
+   * @param {FormData} formData The FormData.
+   * @returns {PrimeRequest} This PrimeRequest.
+   */
+  withFormData(formData) {
+    this.body = formData;
+    this.contentType = null;
+    return this;
+  }
+
+  /**
+   * Sets the handler to invoke when a response interceptor returns {@link PrimeRequest.InterceptorResult}.HANDLED. The
+   * handler is passed the XMLHttpRequest.
+   *
+   * @param {Function} func The handler function.
+   * @returns {PrimeRequest} This PrimeRequest.
+   */
+  withHandledHandler(func) {
+    this.handledHandler = func;
+    return this;
+  }
+
   /**
    * Sets an InProgress object that will be called by this AJAX request.
    *
@@ -310,6 +672,18 @@ class PrimeRequest {
     return this;
   }
 
+  /**
+   * Sets the body of the request to the JSON serialization of the given form. The names of the form fields are paths
+   * into the JSON, so <code>user.address.city</code>, <code>roles[]</code> and <code>items[0].qty</code> produce nested
+   * objects and arrays. See {@link FormSerializer#serialize} for how the values are converted.
+   *
+   * @param {PrimeElement|HTMLFormElement} form The form.
+   * @returns {PrimeRequest} This PrimeRequest.
+   */
+  withJSONFromForm(form) {
+    return this.withJSON(FormSerializer.serialize(form));
+  }
+
   /**
    * Sets the handler to invoke when the state of the AJAX request is "loading".
    *
@@ -370,6 +744,60 @@ class PrimeRequest {
     return this;
   }
 
+  /**
+   * Sets the handler to invoke when a failed attempt is going to be retried. The handler is passed the XMLHttpRequest,
+   * the number of the attempt that failed and the number of milliseconds until the next attempt. Any InProgress stays
+   * open until the last attempt completes.
+   *
+   * @param {Function} func The handler function.
+   * @returns {PrimeRequest} This PrimeRequest.
+   */
+  withRetryHandler(func) {
+    this.retryHandler = func;
+    return this;
+  }
+
+  /**
+   * Enables retrying the request when an attempt fails with a retryable HTTP status or a network error. Each retry is
+   * delayed using exponential backoff with jitter, unless the response contains a Retry-After header, in which case the
+   * server's delay is used. If the server asks for a delay longer than <code>maxDelay</code>, the request is not retried.
+   * The success or error handler is only invoked once the final attempt completes.
+   *
+   * The policy can contain any of the following (the defaults are shown):
+   *
+   * <pre>
+   *   {
+   *     maxAttempts: 3,                                     // The total number of attempts, including the first
+   *     methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],  // The HTTP methods that are safe to retry
+   *     statuses: [408, 429, 502, 503, 504],                // The HTTP response statuses to retry
+   *     networkErrors: true,                                // Whether or not to retry network errors and timeouts
+   *     baseDelay: 500,                                     // The delay in milliseconds before the first retry
+   *     maxDelay: 30000                                     // The maximum delay in milliseconds between attempts
+   *   }
+   * </pre>
+   *
+   * @param {Object} [policy] The retry policy. Anything that is not specified uses the default.
+   * @returns {PrimeRequest} This PrimeRequest.
+   */
+  withRetryPolicy(policy) {
+    this.retryPolicy = {
+      maxAttempts: 3,
+      methods: ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'],
+      statuses: [408, 429, 502, 503, 504],
+      networkErrors: true,
+      baseDelay: 500,
+      maxDelay: 30000
+    };
+
+    for (let key in policy) {
+      if (policy.hasOwnProperty(key)) {
+        this.retryPolicy[key] = policy[key];
+      }
+    }
+
+    return this;
+  }
+
   /**
    * Sets the handler to invoke when the state of the AJAX request is "send".
    *
@@ -383,7 +811,7 @@ class PrimeRequest {
 
   /**
    * Sets the handler to invoke when the state of the AJAX request is "complete" and the HTTP status in the response is
-   * 2xx.
+   * 2xx. The handler is passed the XMLHttpRequest and the {@link PrimeResponse} with the decoded body.
    *
    * @param {Function} func The handler function.
    * @returns {PrimeRequest} This PrimeRequest.
@@ -393,6 +821,30 @@ class PrimeRequest {
     return this;
   }
 
+  /**
+   * Sets the number of milliseconds the request is allowed to take. If the request has not completed by then, it is
+   * aborted and the timeout handler is called instead of the success or error handler. This only applies to asynchronous
+   * requests.
+   *
+   * @param {number} timeout The timeout in milliseconds. Zero means no timeout.
+   * @returns {PrimeRequest} This PrimeRequest.
+   */
+  withTimeout(timeout) {
+    this.timeout = timeout;
+    return this;
+  }
+
+  /**
+   * Sets the handler to invoke when the request does not complete within the timeout set using {@link #withTimeout}.
+   *
+   * @param {Function} func The handler function.
+   * @returns {PrimeRequest} This PrimeRequest.
+   */
+  withTimeoutHandler(func) {
+    this.timeoutHandler = func;
+    return this;
+  }
+
   /**
    * Sets the handler to invoke when the state of the AJAX request is "unset".
    *
@@ -404,6 +856,20 @@ class PrimeRequest {
     return this;
   }
 
+  /**
+   * Sets the handler to invoke as the request body is uploaded. The handler is passed an object with the number of bytes
+   * <code>loaded</code>, the <code>total</code> number of bytes and the <code>percent</code> complete (the total and
+   * percent are null if the size of the body is unknown) and the XMLHttpRequest. Upload progress is only reported for
+   * bodies that are not strings (i.e. FormData, Blob and ArrayBuffer) and not at all by the fetch transport.
+   *
+   * @param {Function} func The handler function.
+   * @returns {PrimeRequest} This PrimeRequest.
+   */
+  withUploadProgressHandler(func) {
+    this.uploadProgressHandler = func;
+    return this;
+  }
+
   /**
    * Resets the Request back to a base state (basically just the URL + method).  This can be
    * useful if a component is going to make many requests to the same endpoint with different parameters.
@@ -422,6 +888,47 @@ class PrimeRequest {
    * Private Methods
    * ===================================================================================================================*/
 
+  /**
+   * Adds the given files to the body, converting the body to a FormData if it isn't one already.
+   *
+   * @param {string} name The name of the form field.
+   * @param {FileList|Array<File|Blob>|File|Blob} files The files.
+   * @private
+   */
+  _addBodyFiles(name, files) {
+    this._convertBodyToFormData();
+    if (files instanceof Blob) {
+      this.body.append(name, files);
+      return;
+    }
+
+    for (let i = 0; i < files.length; i++) {
+      this.body.append(name, files[i]);
+    }
+  }
+
+  /**
+   * Adds the given name-value pair to the body, which is either a URL encoded String or a FormData.
+   *
+   * @param {string} name The name of the name-value pair.
+   * @param {string|Array} value The value of the name-value pair.
+   * @private
+   */
+  _addBodyValue(name, value) {
+    if (!(typeof FormData !== 'undefined' && this.body instanceof FormData)) {
+      this.body = this._addDataValue(this.body, name, value);
+      return;
+    }
+
+    if (value instanceof Array) {
+      for (let i = 0; i < value.length; i++) {
+        this.body.append(name, value[i]);
+      }
+    } else {
+      this.body.append(name, value);
+    }
+  }
+
   // noinspection JSMethodCanBeStatic
   /**
    * Adds the given name-value pair to the given data String. If the value is an array, it adds multiple values for each
@@ -455,6 +962,258 @@ class PrimeRequest {
     return result;
   }
 
+  /**
+   * Determines how long to wait before retrying the failed attempt. This is the value of the Retry-After response header
+   * if there is one. Otherwise, the delay doubles for every attempt and half of it is randomized so that many clients
+   * failing at the same time don't all retry at the same time.
+   *
+   * @returns {number} The delay in milliseconds.
+   * @private
+   */
+  _calculateRetryDelay() {
+    if (this.xhr.status !== 0) {
+      const retryAfter = this.xhr.getResponseHeader('Retry-After');
+      if (retryAfter !== null) {
+        const seconds = parseInt(retryAfter, 10);
+        if (!isNaN(seconds)) {
+          return Math.max(0, seconds * 1000);
+        }
+
+        const date = Date.parse(retryAfter);
+        if (!isNaN(date)) {
+          return Math.max(0, date - new Date().getTime());
+        }
+      }
+    }
+
+    return Utils.calculateBackoff(this.attempt, this.retryPolicy.baseDelay, this.retryPolicy.maxDelay);
+  }
+
+  /**
+   * Converts the body to a FormData. If the body is a URL encoded String, the name-value pairs are added to the FormData.
+   *
+   * @private
+   */
+  _convertBodyToFormData() {
+    if (this.body instanceof FormData) {
+      return;
+    }
+
+    const formData = new FormData();
+    if (typeof this.body === 'string' && this.body !== '') {
+      const pairs = this.body.split('&');
+      for (let i = 0; i < pairs.length; i++) {
+        const index = pairs[i].indexOf('=');
+        const name = pairs[i].substring(0, index);
+        const value = pairs[i].substring(index + 1);
+        formData.append(decodeURIComponent(name.replace(/\+/g, ' ')), decodeURIComponent(value.replace(/\+/g, ' ')));
+      }
+    }
+
+    this.body = formData;
+  }
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * Creates the error for a request that failed.
+   *
+   * @param {?Error} cause The error from decoding the body or null.
+   * @returns {Error} The error.
+   * @private
+   */
+  _createError(cause) {
+    let message;
+    let type;
+    if (this.aborted) {
+      message = 'The AJAX request to [' + this.url + '] was aborted';
+      type = ErrorType.ABORT;
+    } else if (this.handled) {
+      message = 'The response of the AJAX request to [' + this.url + '] was handled by a response interceptor';
+      type = ErrorType.HANDLED;
+    } else if (this.timedOut) {
+      message = 'The AJAX request to [' + this.url + '] timed out after [' + this.timeout + '] milliseconds';
+      type = ErrorType.TIMEOUT;
+    } else if (this.response.status === 0) {
+      message = 'The AJAX request to [' + this.url + '] did not complete';
+      type = ErrorType.NETWORK;
+    } else if (this.response.isSuccess() && cause !== null) {
+      message = 'The response of the AJAX request to [' + this.url + '] could not be parsed. ' + cause.message;
+      type = ErrorType.PARSE;
+    } else {
+      message = 'The AJAX request to [' + this.url + '] failed with HTTP status [' + this.response.status + ']';
+      type = this.response.status >= 500 ? ErrorType.SERVER : ErrorType.CLIENT;
+    }
+
+    const error = new Error(message);
+    error.aborted = this.aborted;
+    error.body = this.response.data;
+    error.cause = cause;
+    error.request = this;
+    error.response = this.response;
+    error.status = this.response.status;
+    error.timedOut = this.timedOut;
+    error.type = type;
+    return error;
+  }
+
+  /**
+   * Converts a ProgressEvent into the progress object passed to the progress handlers.
+   *
+   * @param {ProgressEvent} event The event.
+   * @returns {{loaded: number, total: ?number, percent: ?number}} The progress.
+   * @private
+   */
+  _createProgress(event) {
+    const computable = event.lengthComputable && event.total > 0;
+    return {
+      loaded: event.loaded,
+      total: computable ? event.total : null,
+      percent: computable ? Math.round(event.loaded / event.total * 100) : null
+    };
+  }
+
+  /**
+   * Decodes the response of the completed request and creates the error if the request failed.
+   *
+   * @param {boolean} success True if the HTTP status (or a response interceptor) says the request succeeded.
+   * @private
+   */
+  _decodeResponse(success) {
+    let cause = null;
+    try {
+      this.response = new PrimeResponse(this.xhr);
+    } catch (e) {
+      cause = e;
+      this.response = new PrimeResponse(this.xhr, false);
+    }
+
+    this.error = success && cause === null && !this.aborted ? null : this._createError(cause);
+  }
+
+  /**
+   * Invokes the abort, timeout, success, error or handled handler for the completed request and then settles the Promise
+   * returned from {@link #send} if there is one.
+   *
+   * @private
+   */
+  _handleComplete() {
+    this.inFlight = false;
+
+    let success = !this.timedOut && this.xhr.status >= 200 && this.xhr.status <= 299;
+    if (!this.aborted) {
+      const result = this._interceptResponse();
+      if (result === InterceptorResult.HANDLED) {
+        this.handled = true;
+        this._decodeResponse(false);
+        try {
+          this.handledHandler(this.xhr);
+        } finally {
+          this._settle();
+        }
+
+        return;
+      } else if (result === InterceptorResult.SUCCESS) {
+        success = true;
+      } else if (result === InterceptorResult.ERROR) {
+        success = false;
+      }
+    }
+
+    this._decodeResponse(success);
+    try {
+      if (this.aborted) {
+        this.abortHandler(this.xhr, this.error);
+      } else if (this.error === null) {
+        this.successHandler(this.xhr, this.response);
+      } else if (this.timedOut) {
+        this.timeoutHandler(this.xhr, this.error);
+      } else {
+        this.errorHandler(this.xhr, this.error);
+      }
+    } finally {
+      this._settle();
+    }
+  }
+
+  /**
+   * Handles an attempt that is done. If the attempt failed and can be retried, the next attempt is scheduled. Otherwise,
+   * this closes the InProgress (if there is one) and completes the request.
+   *
+   * @private
+   */
+  _handleDone() {
+    if (this._timeoutId !== null) {
+      clearTimeout(this._timeoutId);
+      this._timeoutId = null;
+    }
+
+    if (this._isRetryable()) {
+      const delay = this._calculateRetryDelay();
+      if (delay <= this.retryPolicy.maxDelay) {
+        this.retryHandler(this.xhr, this.attempt, delay);
+
+        // The retry handler is allowed to abort the request
+        if (!this.aborted) {
+          this._retryId = setTimeout(this._retry, delay);
+          return;
+        }
+      }
+    }
+
+    // Call the InProgress before hand because the success handler might call another AJAX method that might open another InProgress
+    if (this.inProgress !== null) {
+      this.inProgress.close(this._handleComplete);
+    } else {
+      this._handleComplete();
+    }
+  }
+
+  /**
+   * Handles the download progress events. The InProgress is only updated when there is no upload, otherwise the upload
+   * progress is shown.
+   *
+   * @param {ProgressEvent} event The event.
+   * @private
+   */
+  _handleDownloadProgress(event) {
+    const progress = this._createProgress(event);
+    if (this.downloadProgressHandler !== null) {
+      this.downloadProgressHandler(progress, this.xhr);
+    }
+
+    if (this.inProgress !== null && progress.percent !== null && (this.body === null || typeof this.body === 'string')) {
+      this.inProgress.setProgress(progress.percent);
+    }
+  }
+
+  /**
+   * Handles the expiration of the timeout by aborting the XHR.
+   *
+   * @private
+   */
+  _handleTimeout() {
+    this._timeoutId = null;
+    this.timedOut = true;
+    this.xhr.abort();
+  }
+
+  /**
+   * Handles the upload progress events.
+   *
+   * @param {ProgressEvent} event The event.
+   * @private
+   */
+  _handleUploadProgress(event) {
+    const progress = this._createProgress(event);
+    if (this.uploadProgressHandler !== null) {
+      this.uploadProgressHandler(progress, this.xhr);
+    }
+
+    if (this.inProgress !== null && progress.percent !== null) {
+      this.inProgress.setProgress(progress.percent);
+    }
+  }
+
   /**
    * @private
    */
@@ -468,24 +1227,128 @@ class PrimeRequest {
     } else if (this.xhr.readyState === 3) {
       this.loadingHandler(this.xhr);
     } else if (this.xhr.readyState === 4) {
+      this._handleDone();
+    }
+  }
 
-      // Call the InProgress before hand because the success handler might call another AJAX method that might open another InProgress
-      if (this.inProgress !== null) {
-        this.inProgress.close(function() {
-          if (this.xhr.status >= 200 && this.xhr.status <= 299) {
-            this.successHandler(this.xhr);
-          } else {
-            this.errorHandler(this.xhr);
-          }
-        }.bind(this));
+  /**
+   * Calls the response interceptors until one of them decides the outcome of the request.
+   *
+   * @returns {?string} The {@link PrimeRequest.InterceptorResult} or null if none of the interceptors decided.
+   * @private
+   */
+  _interceptResponse() {
+    for (let i = 0; i < responseInterceptors.length; i++) {
+      const result = responseInterceptors[i](this.xhr, this);
+      if (Utils.isDefined(result)) {
+        return result;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Determines if the attempt that just finished failed in a way that the retry policy allows to be retried.
+   *
+   * @returns {boolean} True if the request should be retried.
+   * @private
+   */
+  _isRetryable() {
+    if (this.retryPolicy === null || this.aborted || this.attempt >= this.retryPolicy.maxAttempts ||
+        this.retryPolicy.methods.indexOf(this.method.toUpperCase()) === -1) {
+      return false;
+    }
+
+    if (this.timedOut || this.xhr.status === 0) {
+      return this.retryPolicy.networkErrors;
+    }
+
+    return this.retryPolicy.statuses.indexOf(this.xhr.status) !== -1;
+  }
+
+  /**
+   * Starts the next attempt.
+   *
+   * @private
+   */
+  _retry() {
+    this._retryId = null;
+    this.attempt++;
+    this.timedOut = false;
+    this._sendXHR();
+  }
+
+  /**
+   * Opens and sends the XHR for the current attempt.
+   *
+   * @private
+   */
+  _sendXHR() {
+    let requestUrl = this.url;
+    if ((this.method === 'GET' || this.method === 'DELETE') && this.queryParams !== null) {
+      if (requestUrl.indexOf('?') === -1) {
+        requestUrl += '?' + this.queryParams;
       } else {
-        if (this.xhr.status >= 200 && this.xhr.status <= 299) {
-          this.successHandler(this.xhr);
-        } else {
-          this.errorHandler(this.xhr);
+        requestUrl += '&' + this.queryParams;
+      }
+    }
+
+    this.xhr.open(this.method, requestUrl, this.async, this.username, this.password);
+
+    if (Object.keys(this.headers).length > 0) {
+      for (let key in this.headers) {
+        if (this.headers.hasOwnProperty(key)) {
+          this.xhr.setRequestHeader(key, this.headers[key]);
         }
       }
     }
+
+    if (this.contentType) {
+      this.xhr.setRequestHeader('Content-Type', this.contentType);
+    }
+
+    this.xhr.send(this.body);
+
+    if (this.async && this.timeout > 0) {
+      this._timeoutId = setTimeout(this._handleTimeout, this.timeout);
+    }
+  }
+
+  /**
+   * Sets the content-type for form data. FormData bodies don't have one because the browser adds the multipart boundary.
+   *
+   * @private
+   */
+  _setFormContentType() {
+    if (typeof FormData !== 'undefined' && this.body instanceof FormData) {
+      this.contentType = null;
+    } else {
+      this.contentType = 'application/x-www-form-urlencoded';
+    }
+  }
+
+  /**
+   * Resolves or rejects the Promise returned from {@link #send} using the response or error of the completed request.
+   * This does nothing if the request was started using {@link #go}.
+   *
+   * @private
+   */
+  _settle() {
+    if (this.resolve === null) {
+      return;
+    }
+
+    const resolve = this.resolve;
+    const reject = this.reject;
+    this.resolve = null;
+    this.reject = null;
+
+    if (this.error === null) {
+      resolve(this.response);
+    } else {
+      reject(this.error);
+    }
   }
 }
 
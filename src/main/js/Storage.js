@@ -15,6 +15,16 @@
  */
 'use strict';
 
+import {IndexedDBStorage} from "./Storage/IndexedDBStorage.js";
+import {MemoryStorage} from "./Storage/MemoryStorage.js";
+import {MessageBus} from "./Storage/MessageBus.js";
+import {NamespacedStorage} from "./Storage/NamespacedStorage.js";
+import {Schemas} from "./Storage/Schemas.js";
+
+const changeListeners = [];
+const checkedStorages = {};
+const memoryStorage = new MemoryStorage();
+
 const PrimeStorage = {
   /**
    * True if local storage is supported.
@@ -26,9 +36,10 @@ const PrimeStorage = {
    * Set an object into session storage.
    * @param key {string} the key to store the object.
    * @param object {object} the object to store.
+   * @return {boolean} true if the object was stored, false if storage is not supported or is full.
    */
   setSessionObject: function(key, object) {
-    PrimeStorage._setObject(sessionStorage, key, object);
+    return PrimeStorage._setObject('session', key, object);
   },
 
   /**
@@ -37,16 +48,17 @@ const PrimeStorage = {
    * @return {object} the stored object or null if it does not exist or local storage is not supported.
    */
   getSessionObject: function(key) {
-    return PrimeStorage._getObject(sessionStorage, key);
+    return PrimeStorage._getObject('session', key);
   },
 
   /**
    * Set an object into local storage storage.
    * @param key {string} the key to store the object.
    * @param object {object} the object to store.
+   * @return {boolean} true if the object was stored, false if storage is not supported or is full.
    */
   setLocalObject: function(key, object) {
-    PrimeStorage._setObject(localStorage, key, object);
+    return PrimeStorage._setObject('local', key, object);
   },
 
   /**
@@ -55,27 +67,274 @@ const PrimeStorage = {
    * @return {object} the stored object or null if it does not exist or local storage is not supported.
    */
   getLocalObject: function(key) {
-    return PrimeStorage._getObject(localStorage, key);
+    return PrimeStorage._getObject('local', key);
+  },
+
+  /**
+   * Creates a bus that sends messages to the other tabs and windows (see {@link MessageBus}).
+   *
+   * @param {string} name The name of the bus.
+   * @returns {MessageBus} The bus.
+   */
+  messageBus: function(name) {
+    return new MessageBus(name);
+  },
+
+  /**
+   * Creates a view of a storage backend whose entries are kept apart from every other namespace and can expire (see
+   * {@link NamespacedStorage}). Use a namespace per user or application, such as 'app:' + userId, for state that must not
+   * leak to other users of the browser. The backend is one of:
+   *
+   * <ul>
+   *   <li>local - localStorage (the default)</li>
+   *   <li>session - sessionStorage</li>
+   *   <li>memory - A {@link MemoryStorage} that is shared by the namespaces of this page and lost when it is unloaded</li>
+   *   <li>indexedDB - IndexedDB, for large objects. This returns an {@link IndexedDBStorage}, whose methods return
+   *   Promises</li>
+   *   <li>Any object with the interface of localStorage</li>
+   * </ul>
+   *
+   * When local or session storage isn't available, such as in the private mode of some browsers, the memory backend is
+   * used instead.
+   *
+   * @param {string} name The name of the namespace.
+   * @param {string|Storage} [backend='local'] The backend.
+   * @returns {NamespacedStorage|IndexedDBStorage} The storage for the namespace.
+   */
+  namespace: function(name, backend) {
+    backend = backend || 'local';
+    if (backend === 'indexedDB') {
+      return new IndexedDBStorage(name);
+    } else if (backend === 'memory') {
+      return new NamespacedStorage(name, memoryStorage);
+    } else if (backend === 'local' || backend === 'session') {
+      const storage = PrimeStorage._getStorage(backend);
+      return new NamespacedStorage(name, storage !== null ? storage : memoryStorage);
+    } else if (typeof backend === 'object' && typeof backend.getItem === 'function') {
+      return new NamespacedStorage(name, backend);
+    }
+
+    throw new TypeError('Invalid storage backend [' + backend + ']. It must be local, session, memory, indexedDB or an ' +
+        'object with the interface of localStorage');
+  },
+
+  /**
+   * Calls the listener when another tab or window changes the object stored under the key. The listener is passed the
+   * new object, the old object and the key. The objects are null when the key is removed or the storage is cleared.
+   * Changes made by this window don't call the listener, because browsers only fire storage events in the other windows.
+   *
+   * @param {?string} key The key or null for every key.
+   * @param {Function} listener The listener.
+   */
+  onChange: function(key, listener) {
+    if (changeListeners.length === 0) {
+      window.addEventListener('storage', PrimeStorage._handleStorageEvent);
+    }
+
+    changeListeners.push({key: key, listener: listener});
+  },
+
+  /**
+   * Registers the schema of the objects stored under the key, in local and session storage and in every namespace. The
+   * objects are stored with the version and migrated to the current version when they are read, and stored again.
+   * Objects that were stored before the schema was registered are version 0. Objects of a newer version, or of a version
+   * without a migration, are removed rather than used:
+   *
+   * <pre>
+   *   PrimeStorage.registerSchema('users-table', 2, {
+   *     // Version 2 added a column before the sorted one
+   *     1: function(state) {
+   *       state.columnIndex++;
+   *       return state;
+   *     }
+   *   });
+   * </pre>
+   *
+   * Here state stored before the schema was registered (version 0) is discarded, because there isn't a migration for it.
+   *
+   * @param {string} key The key.
+   * @param {number} version The current version, which is a positive integer.
+   * @param {Object<number, Function>} [migrations] The migrations by the version they migrate from. Each is passed an
+   *        object of that version and returns the object for the next version. A migration that throws discards the
+   *        object.
+   */
+  registerSchema: function(key, version, migrations) {
+    Schemas.register(key, version, migrations);
+  },
+
+  /**
+   * Removes a listener that was added using {@link PrimeStorage.onChange}.
+   *
+   * @param {?string} key The key or null for every key.
+   * @param {Function} listener The listener.
+   */
+  removeChangeListener: function(key, listener) {
+    for (let i = 0; i < changeListeners.length; i++) {
+      if (changeListeners[i].key === key && changeListeners[i].listener === listener) {
+        changeListeners.splice(i, 1);
+        break;
+      }
+    }
+
+    if (changeListeners.length === 0) {
+      window.removeEventListener('storage', PrimeStorage._handleStorageEvent);
+    }
+  },
+
+  /**
+   * Removes the schema of the objects stored under the key. The objects that are stored with a version are left as is.
+   *
+   * @param {string} key The key.
+   */
+  unregisterSchema: function(key) {
+    Schemas.unregister(key);
   },
 
   /* ===================================================================================================================
    * Private methods
    * ===================================================================================================================*/
 
-  _getObject: function(storage, key) {
-    if (PrimeStorage.supported) {
-      const item = storage.getItem(key);
-      if (item !== null) {
-        return JSON.parse(item);
+  _handleStorageEvent: function(event) {
+    const listeners = changeListeners.slice();
+    for (let i = 0; i < listeners.length; i++) {
+      if (listeners[i].key === null || event.key === null || listeners[i].key === event.key) {
+        listeners[i].listener(PrimeStorage._unwrap(event.key, event.newValue), PrimeStorage._unwrap(event.key, event.oldValue),
+            event.key);
       }
     }
+  },
+
+  _parse: function(item) {
+    if (item === null) {
+      return null;
+    }
 
-    return null;
+    try {
+      return JSON.parse(item);
+    } catch (e) {
+      return item;
+    }
   },
 
-  _setObject: function(storage, key, object) {
-    if (PrimeStorage.supported) {
+  /**
+   * Parses an object from a storage event and migrates it if the key has a schema. Nothing is stored, since the window
+   * that changed the object has already stored it.
+   *
+   * @param {?string} key The key.
+   * @param {?string} item The stored JSON.
+   * @returns {*} The object or null if it is missing or must be discarded.
+   * @private
+   */
+  _unwrap: function(key, item) {
+    const object = PrimeStorage._parse(item);
+    if (key === null || object === null || Schemas.version(key) === null) {
+      return object;
+    }
+
+    const migrated = PrimeStorage._migrate(key, object);
+    return migrated !== null ? migrated.value : null;
+  },
+
+  _getObject: function(type, key) {
+    const storage = PrimeStorage._getStorage(type);
+    const item = storage !== null ? storage.getItem(key) : null;
+    if (item === null) {
+      return null;
+    }
+
+    let object = null;
+    try {
+      object = JSON.parse(item);
+    } catch (e) {
+      // Not stored by PrimeStorage
+      return null;
+    }
+
+    const version = Schemas.version(key);
+    if (version === null || object === null) {
+      return object;
+    }
+
+    const migrated = PrimeStorage._migrate(key, object);
+    if (migrated === null) {
+      storage.removeItem(key);
+      return null;
+    } else if (object.version !== version) {
+      PrimeStorage._setObject(type, key, migrated.value);
+    }
+
+    return migrated.value;
+  },
+
+  /**
+   * Returns local or session storage if it can be used. Some browsers throw an Error when storage is accessed while
+   * cookies are blocked or throw on every write in private mode. Empty storage is only probed once per type, since the
+   * probe fires storage events in the other windows.
+   *
+   * @param {string} type The type of storage, either 'local' or 'session'.
+   * @returns {?Storage} The storage or null if it can't be used.
+   * @private
+   */
+  _getStorage: function(type) {
+    if (!PrimeStorage.supported) {
+      return null;
+    }
+
+    if (checkedStorages.hasOwnProperty(type)) {
+      return checkedStorages[type];
+    }
+
+    try {
+      const storage = window[type + 'Storage'];
+      if (storage.length === 0) {
+        // An empty storage that can't be written to is read-only (the storage of a full one can still be read)
+        storage.setItem('prime-storage-test', '1');
+        storage.removeItem('prime-storage-test');
+        checkedStorages[type] = storage;
+      }
+
+      return storage;
+    } catch (e) {
+      checkedStorages[type] = null;
+      return null;
+    }
+  },
+
+  /**
+   * Migrates an object that was stored under a key with a schema.
+   *
+   * @param {string} key The key.
+   * @param {*} object The stored object, which is a version and the value unless it was stored before the schema was
+   *        registered.
+   * @returns {?{value: *, version: number}} The migrated value or null if it must be discarded.
+   * @private
+   */
+  _migrate: function(key, object) {
+    const versioned = object !== null && typeof object === 'object' && object.hasOwnProperty('version') &&
+        object.hasOwnProperty('value');
+    return Schemas.migrate(key, versioned ? object.version : 0, versioned ? object.value : object);
+  },
+
+  _setObject: function(type, key, object) {
+    const storage = PrimeStorage._getStorage(type);
+    if (storage === null) {
+      return false;
+    }
+
+    const version = Schemas.version(key);
+    if (version !== null) {
+      object = {version: version, value: object};
+    }
+
+    try {
       storage.setItem(key, JSON.stringify(object));
+      return true;
+    } catch (e) {
+      if (NamespacedStorage.isQuotaExceededError(e)) {
+        return false;
+      }
+
+      throw e;
     }
   }
 };
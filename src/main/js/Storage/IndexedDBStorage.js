@@ -0,0 +1,335 @@
+/*
+ * Copyright (c) 2020, Inversoft Inc., All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+'use strict';
+
+import {MemoryStorage} from "./MemoryStorage.js";
+import {NamespacedStorage} from "./NamespacedStorage.js";
+import {Schemas} from "./Schemas.js";
+import {Utils} from "../Utils.js";
+
+const StoreName = 'entries';
+
+class IndexedDBStorage {
+  /**
+   * A namespaced storage that keeps its entries in IndexedDB, which holds far more than local storage and stores values
+   * using the structured clone algorithm, so large objects, Dates, Blobs and ArrayBuffers can be stored as is. It has
+   * the same methods as {@link NamespacedStorage}, but they are asynchronous and return Promises:
+   *
+   * <pre>
+   *   const storage = PrimeStorage.namespace('app:' + userId, 'indexedDB');
+   *   storage.set('report', report, 60 * 60 * 1000)
+   *       .then(function() {
+   *         return storage.get('report');
+   *       })
+   *       .then(function(report) {
+   *         ...
+   *       });
+   * </pre>
+   *
+   * Each namespace is a separate database. If IndexedDB isn't supported or can't be opened (such as in the private mode
+   * of some browsers), the entries are kept in memory instead.
+   *
+   * Like {@link NamespacedStorage}, entries of keys with a schema are stored with its version and migrated when they are
+   * read.
+   *
+   * @constructor
+   * @param {string} namespace The name of the namespace.
+   */
+  constructor(namespace) {
+    Utils.bindAll(this);
+    this.defaultTTL = null;
+    this.namespace = namespace;
+    this._database = null;
+    this._fallback = null;
+  }
+
+  /**
+   * Removes every entry in the namespace.
+   *
+   * @returns {Promise} A Promise that is resolved once the entries are removed.
+   */
+  clear() {
+    return this._transaction('readwrite', function(store) {
+      return store.clear();
+    }, function(fallback) {
+      fallback.clear();
+    }).then(function() {
+      return undefined;
+    });
+  }
+
+  /**
+   * Returns the value of the entry.
+   *
+   * @param {string} key The key.
+   * @returns {Promise} A Promise that is resolved with the value or null if there isn't an entry for the key or it has
+   *          expired.
+   */
+  get(key) {
+    return this._transaction('readonly', function(store) {
+      return store.get(key);
+    }, function(fallback) {
+      // The fallback has already migrated the value
+      return {expires: null, value: fallback.get(key), version: Schemas.version(key)};
+    }).then(function(entry) {
+      if (!Utils.isDefined(entry) || entry === null) {
+        return null;
+      }
+
+      const migrated = this._isExpired(entry) ? null : Schemas.migrate(key, entry.version, entry.value);
+      if (migrated === null) {
+        return this.remove(key).then(function() {
+          return null;
+        });
+      } else if (migrated.version !== entry.version) {
+        const ttl = entry.expires !== null ? entry.expires - Date.now() : null;
+        const resolve = function() {
+          return migrated.value;
+        };
+
+        // The migrated value is returned even if it can't be stored again
+        return this.set(key, migrated.value, ttl).then(resolve, resolve);
+      }
+
+      return entry.value;
+    }.bind(this));
+  }
+
+  /**
+   * @param {string} key The key.
+   * @returns {Promise} A Promise that is resolved with true if there is an entry for the key that hasn't expired.
+   */
+  has(key) {
+    return this.get(key).then(function(value) {
+      return value !== null;
+    });
+  }
+
+  /**
+   * Lists the keys of the entries in the namespace that haven't expired. Expired entries are removed.
+   *
+   * @returns {Promise} A Promise that is resolved with the keys.
+   */
+  keys() {
+    return this._scan().then(function(result) {
+      return result.keys;
+    });
+  }
+
+  /**
+   * Removes the entries in the namespace that have expired.
+   *
+   * @returns {Promise} A Promise that is resolved with the number of entries that were removed.
+   */
+  purge() {
+    return this._scan().then(function(result) {
+      return result.removed;
+    });
+  }
+
+  /**
+   * Removes the entry.
+   *
+   * @param {string} key The key.
+   * @returns {Promise} A Promise that is resolved once the entry is removed.
+   */
+  remove(key) {
+    return this._transaction('readwrite', function(store) {
+      return store.delete(key);
+    }, function(fallback) {
+      fallback.remove(key);
+    }).then(function() {
+      return undefined;
+    });
+  }
+
+  /**
+   * Stores the value, replacing the existing entry for the key. If the storage is full, the expired entries are removed
+   * and the value is stored again.
+   *
+   * @param {string} key The key.
+   * @param {*} value The value, which must be supported by the structured clone algorithm.
+   * @param {?number} [ttl] The number of milliseconds until the entry expires or null for an entry that never expires.
+   *        Defaults to the default TTL of this storage.
+   * @returns {Promise} A Promise that is resolved once the value is stored. It is rejected with the error if the value
+   *          can't be stored, such as an Error named QuotaExceededError when the storage is still full.
+   */
+  set(key, value, ttl) {
+    ttl = typeof ttl !== 'undefined' ? ttl : this.defaultTTL;
+    const entry = {
+      expires: ttl !== null ? Date.now() + ttl : null,
+      value: value
+    };
+    const version = Schemas.version(key);
+    if (version !== null) {
+      entry.version = version;
+    }
+
+    const put = function() {
+      return this._transaction('readwrite', function(store) {
+        return store.put(entry, key);
+      }, function(fallback) {
+        fallback.set(key, value, ttl);
+      });
+    }.bind(this);
+
+    return put()
+        .catch(function(error) {
+          if (!NamespacedStorage.isQuotaExceededError(error)) {
+            throw error;
+          }
+
+          return this.purge().then(put);
+        }.bind(this))
+        .then(function() {
+          return undefined;
+        });
+  }
+
+  /**
+   * Sets the number of milliseconds until the entries expire when {@link #set} isn't passed a TTL.
+   *
+   * @param {?number} ttl The TTL in milliseconds or null for entries that never expire (the default).
+   * @returns {IndexedDBStorage} This.
+   */
+  withDefaultTTL(ttl) {
+    this.defaultTTL = ttl;
+    return this;
+  }
+
+  /* ===================================================================================================================
+   * Private methods
+   * ===================================================================================================================*/
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * @param {{expires: ?number}} entry The entry.
+   * @returns {boolean} True if the entry has expired.
+   * @private
+   */
+  _isExpired(entry) {
+    return entry.expires !== null && entry.expires <= Date.now();
+  }
+
+  /**
+   * Opens the database the first time it is used. If it can't be opened, the entries are kept in memory.
+   *
+   * @returns {Promise} A Promise that is resolved with the database or null if the entries are kept in memory.
+   * @private
+   */
+  _open() {
+    if (this._database !== null) {
+      return this._database;
+    }
+
+    this._database = new Promise(function(resolve) {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+
+      let request = null;
+      try {
+        request = indexedDB.open('prime:' + this.namespace, 1);
+      } catch (e) {
+        resolve(null);
+        return;
+      }
+
+      request.onupgradeneeded = function() {
+        request.result.createObjectStore(StoreName);
+      };
+      request.onsuccess = function() {
+        resolve(request.result);
+      };
+      request.onerror = function(event) {
+        event.preventDefault();
+        resolve(null);
+      };
+    }.bind(this)).then(function(database) {
+      if (database === null) {
+        this._fallback = new NamespacedStorage(this.namespace, new MemoryStorage());
+      }
+
+      return database;
+    }.bind(this));
+
+    return this._database;
+  }
+
+  /**
+   * Walks the entries, removing the ones that have expired.
+   *
+   * @returns {Promise} A Promise that is resolved with the keys of the entries that haven't expired and the number of
+   *          entries that were removed.
+   * @private
+   */
+  _scan() {
+    const result = {keys: [], removed: 0};
+    return this._transaction('readwrite', function(store) {
+      const request = store.openCursor();
+      request.onsuccess = function() {
+        const cursor = request.result;
+        if (cursor) {
+          if (this._isExpired(cursor.value)) {
+            cursor.delete();
+            result.removed++;
+          } else {
+            result.keys.push(cursor.key);
+          }
+
+          cursor.continue();
+        }
+      }.bind(this);
+    }.bind(this), function(fallback) {
+      result.removed = fallback.purge();
+      result.keys = fallback.keys();
+    }).then(function() {
+      return result;
+    });
+  }
+
+  /**
+   * Runs the operation in a transaction on the entries, or the fallback operation on the entries in memory.
+   *
+   * @param {string} mode The transaction mode (readonly or readwrite).
+   * @param {Function} operation The operation, which is passed the object store and returns a request or nothing.
+   * @param {Function} fallbackOperation The operation on the entries in memory, which is passed a NamespacedStorage.
+   * @returns {Promise} A Promise that is resolved with the result of the request (or the fallback operation) once the
+   *          transaction completes, or rejected with the error if it fails.
+   * @private
+   */
+  _transaction(mode, operation, fallbackOperation) {
+    return this._open().then(function(database) {
+      if (database === null) {
+        return fallbackOperation(this._fallback);
+      }
+
+      return new Promise(function(resolve, reject) {
+        const transaction = database.transaction(StoreName, mode);
+        const request = operation(transaction.objectStore(StoreName));
+        transaction.oncomplete = function() {
+          resolve(Utils.isDefined(request) ? request.result : undefined);
+        };
+        transaction.onerror = transaction.onabort = function() {
+          reject(transaction.error || (Utils.isDefined(request) ? request.error : null) || new Error('The transaction failed'));
+        };
+      });
+    }.bind(this));
+  }
+}
+
+export {IndexedDBStorage};
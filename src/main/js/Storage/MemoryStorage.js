@@ -0,0 +1,111 @@
+/*
+ * Copyright (c) 2020, Inversoft Inc., All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+'use strict';
+
+import {Utils} from "../Utils.js";
+
+class MemoryStorage {
+  /**
+   * A storage backend with the same interface as localStorage that keeps the items in memory, so they are lost when the
+   * page is unloaded. This is used when local and session storage aren't available, such as in the private mode of some
+   * browsers, and in tests.
+   *
+   * The storage can be limited to a number of characters (the keys and values) to test the handling of full storage.
+   * When the limit is reached, setItem throws an Error named QuotaExceededError, just like the browser.
+   *
+   * @constructor
+   * @param {?number} [quota] The maximum number of characters or null for no limit.
+   */
+  constructor(quota) {
+    this.quota = Utils.isDefined(quota) ? quota : null;
+    this._items = {};
+    this._keys = [];
+    this._size = 0;
+    // After the items are initialized, because binding reads the length getter
+    Utils.bindAll(this);
+  }
+
+  /**
+   * @returns {number} The number of items.
+   */
+  get length() {
+    return this._keys.length;
+  }
+
+  /**
+   * Removes every item.
+   */
+  clear() {
+    this._items = {};
+    this._keys = [];
+    this._size = 0;
+  }
+
+  /**
+   * @param {string} key The key.
+   * @returns {?string} The item or null if there isn't an item for the key.
+   */
+  getItem(key) {
+    key = String(key);
+    return this._items.hasOwnProperty(key) ? this._items[key] : null;
+  }
+
+  /**
+   * @param {number} index The index.
+   * @returns {?string} The key of the item at the index or null if the index is out of range.
+   */
+  key(index) {
+    return index >= 0 && index < this._keys.length ? this._keys[index] : null;
+  }
+
+  /**
+   * @param {string} key The key.
+   */
+  removeItem(key) {
+    key = String(key);
+    if (this._items.hasOwnProperty(key)) {
+      this._size -= key.length + this._items[key].length;
+      delete this._items[key];
+      this._keys.splice(this._keys.indexOf(key), 1);
+    }
+  }
+
+  /**
+   * @param {string} key The key.
+   * @param {string} value The item.
+   * @throws {Error} If the item would exceed the quota.
+   */
+  setItem(key, value) {
+    key = String(key);
+    value = String(value);
+    const exists = this._items.hasOwnProperty(key);
+    const size = this._size + key.length + value.length - (exists ? key.length + this._items[key].length : 0);
+    if (this.quota !== null && size > this.quota) {
+      const error = new Error('Setting the value of [' + key + '] exceeded the quota');
+      error.name = 'QuotaExceededError';
+      throw error;
+    }
+
+    if (!exists) {
+      this._keys.push(key);
+    }
+
+    this._items[key] = value;
+    this._size = size;
+  }
+}
+
+export {MemoryStorage};
@@ -0,0 +1,170 @@
+/*
+ * Copyright (c) 2020, Inversoft Inc., All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+'use strict';
+
+import {Utils} from "../Utils.js";
+
+class MessageBus {
+  /**
+   * Sends messages to the other tabs and windows of the same origin that have a bus with the same name. Unlike storage,
+   * nothing is kept, so this is used for signals such as "the user logged out" or "refresh the list":
+   *
+   * <pre>
+   *   const bus = PrimeStorage.messageBus('app');
+   *   bus.subscribe('logout', function() {
+   *     window.location = '/login';
+   *   });
+   *   ...
+   *   bus.post('logout');
+   * </pre>
+   *
+   * Messages are sent using a BroadcastChannel. Browsers that don't support BroadcastChannel send them using storage
+   * events by briefly writing them to local storage. Either way, messages are not received by the bus that posted them.
+   *
+   * @constructor
+   * @param {string} name The name of the bus.
+   */
+  constructor(name) {
+    Utils.bindAll(this);
+    this.name = name;
+    this.listeners = {};
+    this._channel = null;
+    this._storageKey = 'prime-bus:' + name;
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      this._channel = new BroadcastChannel('prime-bus:' + name);
+      this._channel.onmessage = this._handleChannelMessage;
+    } else {
+      window.addEventListener('storage', this._handleStorageEvent);
+    }
+  }
+
+  /**
+   * Stops sending and receiving messages.
+   */
+  close() {
+    if (this._channel !== null) {
+      this._channel.close();
+      this._channel = null;
+    } else {
+      window.removeEventListener('storage', this._handleStorageEvent);
+    }
+
+    this.listeners = {};
+  }
+
+  /**
+   * Sends a message to the other buses with the same name. In browsers that don't support BroadcastChannel, the message
+   * is dropped if local storage is full or can't be used.
+   *
+   * @param {string} type The type of the message.
+   * @param {*} [data] The data of the message, which must be supported by the structured clone algorithm (or by
+   *        JSON.stringify in browsers that don't support BroadcastChannel).
+   * @returns {MessageBus} This.
+   */
+  post(type, data) {
+    const message = {data: Utils.isDefined(data) ? data : null, type: type};
+    if (this._channel !== null) {
+      this._channel.postMessage(message);
+    } else {
+      // The time makes every message unique, because storage events are only fired when the value changes
+      message.time = Date.now() + Math.random();
+      try {
+        localStorage.setItem(this._storageKey, JSON.stringify(message));
+        localStorage.removeItem(this._storageKey);
+      } catch (e) {
+        // Storage that is full or blocked can't carry the message, so it is dropped
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Calls the listener with the data and type of each message of the given type that is received.
+   *
+   * @param {string} type The type of the messages or '*' for every message.
+   * @param {Function} listener The listener.
+   * @returns {MessageBus} This.
+   */
+  subscribe(type, listener) {
+    this.listeners[type] = this.listeners[type] || [];
+    this.listeners[type].push(listener);
+    return this;
+  }
+
+  /**
+   * Removes the listener.
+   *
+   * @param {string} type The type of the messages or '*'.
+   * @param {Function} listener The listener.
+   * @returns {MessageBus} This.
+   */
+  unsubscribe(type, listener) {
+    if (this.listeners.hasOwnProperty(type)) {
+      Utils.removeFromArray(this.listeners[type], listener);
+    }
+
+    return this;
+  }
+
+  /* ===================================================================================================================
+   * Private methods
+   * ===================================================================================================================*/
+
+  /**
+   * @param {{data: *, type: string}} message The message.
+   * @private
+   */
+  _dispatch(message) {
+    const listeners = (this.listeners[message.type] || []).concat(this.listeners['*'] || []);
+    for (let i = 0; i < listeners.length; i++) {
+      listeners[i](message.data, message.type);
+    }
+  }
+
+  /**
+   * @param {MessageEvent} event The message event from the BroadcastChannel.
+   * @private
+   */
+  _handleChannelMessage(event) {
+    if (event.data !== null && typeof event.data === 'object' && Utils.isDefined(event.data.type)) {
+      this._dispatch(event.data);
+    }
+  }
+
+  /**
+   * @param {StorageEvent} event The storage event.
+   * @private
+   */
+  _handleStorageEvent(event) {
+    if (event.key !== this._storageKey || event.newValue === null) {
+      return;
+    }
+
+    let message = null;
+    try {
+      message = JSON.parse(event.newValue);
+    } catch (e) {
+      // Ignore messages that aren't valid
+      return;
+    }
+
+    this._dispatch(message);
+  }
+}
+
+export {MessageBus};
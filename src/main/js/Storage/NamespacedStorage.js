@@ -0,0 +1,391 @@
+/*
+ * Copyright (c) 2020, Inversoft Inc., All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+'use strict';
+
+import {Schemas} from "./Schemas.js";
+import {Utils} from "../Utils.js";
+
+class NamespacedStorage {
+  /**
+   * A view of local or session storage that keeps its entries apart from every other namespace, such as the entries of
+   * other users or applications. Entries can expire after a number of milliseconds. Expired entries are removed the
+   * next time they are read (or listed) and {@link #purge} removes all of them at once.
+   *
+   * <pre>
+   *   const storage = PrimeStorage.namespace('app:' + userId).withDefaultTTL(24 * 60 * 60 * 1000);
+   *   storage.set('table', {columnIndex: 2, sortAscending: true});
+   *   storage.set('draft', text, 5 * 60 * 1000);
+   *   ...
+   *   storage.clear(); // When the user logs out
+   * </pre>
+   *
+   * Each entry is stored as JSON under <code>prime:</code>, the URI encoded name of the namespace, a <code>|</code> and the
+   * key, so that the entries of the <code>app</code> namespace are kept apart from those of <code>app:1</code>. The
+   * storage backend is anything with the interface of localStorage, such as sessionStorage or a {@link MemoryStorage}.
+   * If the backend is null, nothing is stored and every entry is missing.
+   *
+   * When the backend is full, the expired entries are removed and the value is stored again. If the backend is still
+   * full, the quota exceeded handler is called (see {@link #withQuotaExceededHandler}) rather than throwing.
+   *
+   * Entries of keys with a schema (see {@link PrimeStorage.registerSchema}) are stored with its version and migrated when
+   * they are read. Entries that can't be migrated are removed.
+   *
+   * @constructor
+   * @param {string} namespace The name of the namespace.
+   * @param {?Storage} storage The storage backend or null if storage isn't supported.
+   */
+  constructor(namespace, storage) {
+    Utils.bindAll(this);
+    this.defaultTTL = null;
+    this.namespace = namespace;
+    this.quotaExceededHandler = this.onQuotaExceeded;
+    this.storage = Utils.isDefined(storage) ? storage : null;
+    this._changeListeners = [];
+    // The name is encoded so that a namespace can't see the entries of another one whose name starts with its name
+    this._prefix = 'prime:' + encodeURIComponent(namespace) + '|';
+  }
+
+  /**
+   * @param {*} error The error thrown by a storage backend.
+   * @returns {boolean} True if the error was thrown because the storage is full.
+   */
+  static isQuotaExceededError(error) {
+    return error !== null && typeof error === 'object' && (error.name === 'QuotaExceededError' ||
+        error.name === 'NS_ERROR_DOM_QUOTA_REACHED' || error.code === 22 || error.code === 1014);
+  }
+
+  /**
+   * Removes every entry in the namespace. Entries in other namespaces are left alone.
+   *
+   * @returns {NamespacedStorage} This.
+   */
+  clear() {
+    this._storageKeys().forEach(function(storageKey) {
+      this.storage.removeItem(storageKey);
+    }.bind(this));
+    return this;
+  }
+
+  /**
+   * Returns the value of the entry.
+   *
+   * @param {string} key The key.
+   * @returns {*} The value or null if there isn't an entry for the key or it has expired.
+   */
+  get(key) {
+    const entry = this._read(this._prefix + key);
+    return entry !== null ? entry.value : null;
+  }
+
+  /**
+   * @param {string} key The key.
+   * @returns {boolean} True if there is an entry for the key that hasn't expired.
+   */
+  has(key) {
+    return this._read(this._prefix + key) !== null;
+  }
+
+  /**
+   * Lists the keys of the entries in the namespace that haven't expired. Expired entries are removed.
+   *
+   * @returns {Array<string>} The keys.
+   */
+  keys() {
+    const keys = [];
+    this._storageKeys().forEach(function(storageKey) {
+      if (this._read(storageKey) !== null) {
+        keys.push(storageKey.substring(this._prefix.length));
+      }
+    }.bind(this));
+    return keys;
+  }
+
+  /**
+   * Calls the listener when another tab or window changes the entry for the key. The listener is passed the new value,
+   * the old value and the key. The values are null when the entry is removed or has expired. Changes made by this window
+   * don't call the listener, because browsers only fire storage events in the other windows.
+   *
+   * @param {?string} key The key or null for every key in the namespace.
+   * @param {Function} listener The listener.
+   * @returns {NamespacedStorage} This.
+   */
+  onChange(key, listener) {
+    if (this._changeListeners.length === 0 && this.storage !== null) {
+      window.addEventListener('storage', this._handleStorageEvent);
+    }
+
+    this._changeListeners.push({key: key, listener: listener});
+    return this;
+  }
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * Default handler for a value that can't be stored because the storage is full, even after the expired entries were
+   * removed. You can pass in a handler function to the {@link #withQuotaExceededHandler}.
+   *
+   * @param {string} key The key.
+   * @param {*} value The value that wasn't stored.
+   * @param {Error} error The error thrown by the storage backend.
+   */
+  onQuotaExceeded(key, value, error) {
+  }
+
+  /**
+   * Removes the entries in the namespace that have expired.
+   *
+   * @returns {number} The number of entries that were removed.
+   */
+  purge() {
+    const count = this._storageKeys().length;
+    return count - this.keys().length;
+  }
+
+  /**
+   * Removes the entry.
+   *
+   * @param {string} key The key.
+   * @returns {NamespacedStorage} This.
+   */
+  remove(key) {
+    if (this.storage !== null) {
+      this.storage.removeItem(this._prefix + key);
+    }
+
+    return this;
+  }
+
+  /**
+   * Removes a listener that was added using {@link #onChange}.
+   *
+   * @param {?string} key The key or null for every key in the namespace.
+   * @param {Function} listener The listener.
+   * @returns {NamespacedStorage} This.
+   */
+  removeChangeListener(key, listener) {
+    for (let i = 0; i < this._changeListeners.length; i++) {
+      if (this._changeListeners[i].key === key && this._changeListeners[i].listener === listener) {
+        this._changeListeners.splice(i, 1);
+        break;
+      }
+    }
+
+    if (this._changeListeners.length === 0) {
+      window.removeEventListener('storage', this._handleStorageEvent);
+    }
+
+    return this;
+  }
+
+  /**
+   * Stores the value, replacing the existing entry for the key.
+   *
+   * @param {string} key The key.
+   * @param {*} value The value, which must be supported by JSON.stringify.
+   * @param {?number} [ttl] The number of milliseconds until the entry expires or null for an entry that never expires.
+   *        Defaults to the default TTL of this storage.
+   * @returns {NamespacedStorage} This.
+   */
+  set(key, value, ttl) {
+    if (this.storage === null) {
+      return this;
+    }
+
+    ttl = typeof ttl !== 'undefined' ? ttl : this.defaultTTL;
+    const entry = {
+      expires: ttl !== null ? Date.now() + ttl : null,
+      value: value
+    };
+    const version = Schemas.version(key);
+    if (version !== null) {
+      entry.version = version;
+    }
+
+    const item = JSON.stringify(entry);
+    try {
+      this.storage.setItem(this._prefix + key, item);
+    } catch (error) {
+      if (!NamespacedStorage.isQuotaExceededError(error)) {
+        throw error;
+      }
+
+      try {
+        this.purge();
+        this.storage.setItem(this._prefix + key, item);
+      } catch (retryError) {
+        if (!NamespacedStorage.isQuotaExceededError(retryError)) {
+          throw retryError;
+        }
+
+        this.quotaExceededHandler(key, value, retryError);
+      }
+    }
+
+    return this;
+  }
+
+  /**
+   * Sets the number of milliseconds until the entries expire when {@link #set} isn't passed a TTL.
+   *
+   * @param {?number} ttl The TTL in milliseconds or null for entries that never expire (the default).
+   * @returns {NamespacedStorage} This.
+   */
+  withDefaultTTL(ttl) {
+    this.defaultTTL = ttl;
+    return this;
+  }
+
+  /**
+   * Sets the handler that is called with the key, the value and the error when a value can't be stored because the
+   * storage is full.
+   *
+   * @param {Function} handler The handler.
+   * @returns {NamespacedStorage} This.
+   */
+  withQuotaExceededHandler(handler) {
+    this.quotaExceededHandler = handler;
+    return this;
+  }
+
+  /* ===================================================================================================================
+   * Private methods
+   * ===================================================================================================================*/
+
+  /**
+   * Calls the change listeners when an entry in the namespace is changed by another window.
+   *
+   * @param {StorageEvent} event The storage event.
+   * @private
+   */
+  _handleStorageEvent(event) {
+    if (event.storageArea !== this.storage || (event.key !== null && event.key.indexOf(this._prefix) !== 0)) {
+      return;
+    }
+
+    const key = event.key !== null ? event.key.substring(this._prefix.length) : null;
+    const newEntry = this._migrate(key, this._parse(event.newValue));
+    const oldEntry = this._migrate(key, this._parse(event.oldValue));
+    const listeners = this._changeListeners.slice();
+    for (let i = 0; i < listeners.length; i++) {
+      if (listeners[i].key === null || key === null || listeners[i].key === key) {
+        listeners[i].listener(newEntry !== null ? newEntry.value : null, oldEntry !== null ? oldEntry.value : null, key);
+      }
+    }
+  }
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * Brings the entry up to the current version of the schema for the key.
+   *
+   * @param {?string} key The key (without the namespace).
+   * @param {?{expires: ?number, value: *, version: ?number}} entry The entry.
+   * @returns {?{expires: ?number, value: *, version: ?number}} The entry (a new one if it was migrated) or null if it is
+   *          missing or must be discarded.
+   * @private
+   */
+  _migrate(key, entry) {
+    if (entry === null || key === null) {
+      return entry;
+    }
+
+    const migrated = Schemas.migrate(key, entry.version, entry.value);
+    if (migrated === null) {
+      return null;
+    } else if (migrated.version === entry.version) {
+      return entry;
+    }
+
+    return {expires: entry.expires, value: migrated.value, version: migrated.version};
+  }
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * Parses a stored entry.
+   *
+   * @param {?string} item The stored JSON.
+   * @returns {?{expires: ?number, value: *}} The entry or null if the item is missing, not valid or has expired.
+   * @private
+   */
+  _parse(item) {
+    if (item === null) {
+      return null;
+    }
+
+    let entry = null;
+    try {
+      entry = JSON.parse(item);
+    } catch (e) {
+      return null;
+    }
+
+    if (entry === null || typeof entry !== 'object' || !entry.hasOwnProperty('value') ||
+        (entry.expires !== null && entry.expires <= Date.now())) {
+      return null;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Reads the entry from storage and migrates it. Entries that have expired, aren't valid or can't be migrated are
+   * removed. Migrated entries are stored again.
+   *
+   * @param {string} storageKey The key in storage, which includes the namespace.
+   * @returns {?{expires: ?number, value: *}} The entry or null if there isn't one.
+   * @private
+   */
+  _read(storageKey) {
+    if (this.storage === null) {
+      return null;
+    }
+
+    const item = this.storage.getItem(storageKey);
+    const entry = this._parse(item);
+    const migrated = this._migrate(storageKey.substring(this._prefix.length), entry);
+    if (item !== null && migrated === null) {
+      this.storage.removeItem(storageKey);
+    } else if (migrated !== entry) {
+      try {
+        this.storage.setItem(storageKey, JSON.stringify(migrated));
+      } catch (e) {
+        // The migrated entry is still returned and is migrated again the next time it is read
+      }
+    }
+
+    return migrated;
+  }
+
+  /**
+   * @returns {Array<string>} The keys in storage (including the namespace) of every entry in the namespace.
+   * @private
+   */
+  _storageKeys() {
+    const storageKeys = [];
+    if (this.storage === null) {
+      return storageKeys;
+    }
+
+    for (let i = 0; i < this.storage.length; i++) {
+      const storageKey = this.storage.key(i);
+      if (storageKey !== null && storageKey.indexOf(this._prefix) === 0) {
+        storageKeys.push(storageKey);
+      }
+    }
+
+    return storageKeys;
+  }
+}
+
+export {NamespacedStorage};
@@ -0,0 +1,103 @@
+/*
+ * Copyright (c) 2020, Inversoft Inc., All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+'use strict';
+
+const schemas = {};
+
+/**
+ * The schema versions of stored values. A value stored under a key that has a schema is stored with the version of the
+ * schema. When the value is read, the migrations bring it up to the current version. Values with a version that can't
+ * be migrated (a newer version or one without a migration) are discarded rather than used, since a value of the wrong
+ * shape, such as the index of a column that has moved, is worse than no value at all.
+ *
+ * Schemas are registered by key using {@link PrimeStorage.registerSchema}, so they apply to the key in local and session
+ * storage and in every namespace.
+ */
+const Schemas = {
+  /**
+   * Brings the stored value up to the current version of the schema for the key.
+   *
+   * @param {string} key The key.
+   * @param {?number} version The version the value was stored with. Values stored without a version are version 0.
+   * @param {*} value The stored value.
+   * @returns {?{value: *, version: ?number}} The value and its version or null if the value must be discarded. Values
+   *          of keys without a schema are returned as is.
+   */
+  migrate: function(key, version, value) {
+    if (!schemas.hasOwnProperty(key)) {
+      return {value: value, version: version};
+    }
+
+    const schema = schemas[key];
+    version = typeof version === 'number' ? version : 0;
+    if (version > schema.version) {
+      return null;
+    }
+
+    while (version < schema.version) {
+      const migration = schema.migrations[version];
+      if (typeof migration !== 'function') {
+        return null;
+      }
+
+      try {
+        value = migration(value);
+      } catch (e) {
+        // A value the migration can't handle is discarded like one of an unknown version
+        return null;
+      }
+
+      version++;
+    }
+
+    return {value: value, version: version};
+  },
+
+  /**
+   * Registers the schema of the values stored under the key.
+   *
+   * @param {string} key The key.
+   * @param {number} version The current version of the schema, which is a positive integer.
+   * @param {Object<number, Function>} [migrations] The migrations by the version they migrate from. Each is passed a
+   *        value of that version and returns the value for the next version.
+   */
+  register: function(key, version, migrations) {
+    if (typeof version !== 'number' || version < 1 || Math.floor(version) !== version) {
+      throw new TypeError('Invalid schema version [' + version + '] for [' + key + ']. It must be a positive integer');
+    }
+
+    schemas[key] = {migrations: migrations || {}, version: version};
+  },
+
+  /**
+   * Removes the schema of the values stored under the key.
+   *
+   * @param {string} key The key.
+   */
+  unregister: function(key) {
+    delete schemas[key];
+  },
+
+  /**
+   * @param {string} key The key.
+   * @returns {?number} The current version of the schema for the key or null if the key doesn't have a schema.
+   */
+  version: function(key) {
+    return schemas.hasOwnProperty(key) ? schemas[key].version : null;
+  }
+};
+
+export {Schemas};
@@ -16,12 +16,184 @@
 'use strict';
 
 import {Utils} from "./Utils.js"
+import {PrimeDate} from "./Date.js";
 import {PrimeElement} from "./Document/PrimeElement.js";
+import {PrimeElementList} from "./Document/PrimeElementList.js";
+
+const Escapes = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+};
+const Unescapes = {
+  amp: '&',
+  gt: '>',
+  lt: '<',
+  quot: '"'
+};
+const ScriptType = 'text/x-prime-template';
+const registry = {};
+
+const filters = {
+  capitalize: function(value) {
+    return isEmpty(value) ? value : Utils.capitalize(String(value));
+  },
+
+  currency: function(value, currency, locale) {
+    if (isEmpty(value) || isNaN(Number(value))) {
+      return value;
+    }
+
+    currency = currency || 'USD';
+    if (typeof Intl !== 'undefined') {
+      return new Intl.NumberFormat(locale, {style: 'currency', currency: currency}).format(Number(value));
+    }
+
+    return currency + ' ' + Number(value).toFixed(2);
+  },
+
+  date: function(value, pattern) {
+    if (isEmpty(value)) {
+      return value;
+    }
+
+    let date = value;
+    if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+      // Date only ISO strings are UTC, but they mean the local date
+      const parts = value.split('-');
+      date = new Date(parseInt(parts[0], 10), parseInt(parts[1], 10) - 1, parseInt(parts[2], 10));
+    } else if (!(value instanceof Date)) {
+      date = new Date(value);
+    }
+
+    return isNaN(date.getTime()) ? value : PrimeDate.format(date, pattern || 'yyyy-MM-dd');
+  },
+
+  default: function(value, defaultValue) {
+    return isEmpty(value) || value === '' ? defaultValue : value;
+  },
+
+  escape: function(value) {
+    return isEmpty(value) ? value : Utils.escapeHTML(String(value));
+  },
+
+  join: function(value, separator) {
+    return Utils.isArray(value) ? value.join(Utils.isDefined(separator) ? separator : ', ') : value;
+  },
+
+  json: function(value) {
+    return JSON.stringify(value);
+  },
+
+  lower: function(value) {
+    return isEmpty(value) ? value : String(value).toLowerCase();
+  },
+
+  number: function(value, decimals, locale) {
+    if (isEmpty(value) || isNaN(Number(value))) {
+      return value;
+    }
+
+    if (typeof Intl !== 'undefined') {
+      const options = Utils.isDefined(decimals) ? {minimumFractionDigits: decimals, maximumFractionDigits: decimals} : {};
+      return new Intl.NumberFormat(locale, options).format(Number(value));
+    }
+
+    return Utils.isDefined(decimals) ? Number(value).toFixed(decimals) : String(value);
+  },
+
+  pluralize: function(value, singular, plural) {
+    return Number(value) === 1 ? singular : (Utils.isDefined(plural) ? plural : singular + 's');
+  },
+
+  truncate: function(value, length, suffix) {
+    if (isEmpty(value)) {
+      return value;
+    }
+
+    const string = String(value);
+    return string.length > length ? string.substring(0, length) + (Utils.isDefined(suffix) ? suffix : '...') : string;
+  },
+
+  upper: function(value) {
+    return isEmpty(value) ? value : String(value).toUpperCase();
+  }
+};
+
+/**
+ * @param {*} value The value.
+ * @returns {boolean} True if the value is null or undefined.
+ */
+function isEmpty(value) {
+  return value === null || typeof value === 'undefined';
+}
+
+/**
+ * Returns the source of a template that is in the document. The content of a template element is serialized as HTML,
+ * which escapes characters such as the > of a partial, so those are un-escaped inside the tags.
+ *
+ * @param {Element} element The script or template element.
+ * @returns {string} The source.
+ */
+function sourceOf(element) {
+  if (element.tagName.toLowerCase() === 'script') {
+    return element.textContent.trim();
+  }
+
+  return element.innerHTML.trim().replace(/#\{[^}]*}}?/g, function(tag) {
+    return tag.replace(/&(lt|gt|quot|amp);/g, function(entity, name) {
+      return Unescapes[name];
+    });
+  });
+}
 
 class Template {
   /**
    * A Javascript Object that can serve to generate Prime.Document.Element from a source string and optional parameters.
    *
+   * The template can contain the following tags:
+   *
+   * <ul>
+   *   <li><code>#{key}</code> - The value of the parameter, HTML escaped (including quotes, so the tag is safe in
+   *   attribute values). Dotted paths such as <code>#{user.name}</code> look up nested values. A tag whose value is
+   *   undefined is left in the result as is</li>
+   *   <li><code>#{{key}}</code> - The value of the parameter without escaping. Only use this for trusted HTML</li>
+   *   <li><code>#{if key}...#{else}...#{/if}</code> - Renders the first part if the value is truthy (an empty Array is
+   *   falsy) and the optional else part otherwise. Use <code>#{if !key}</code> to negate the condition</li>
+   *   <li><code>#{each items as item, index}...#{else}...#{/each}</code> - Renders the first part for every item of the
+   *   Array (or every value of the Object) with the item and the optional index (or key) as parameters. The optional
+   *   else part is rendered if there are no items</li>
+   *   <li><code>#{&gt; name}</code> - Renders the template registered with the name (see {@link Template.register})
+   *   using the same parameters. Use <code>#{&gt; name key}</code> to add the properties of the value to the
+   *   parameters, such as <code>#{&gt; row user}</code></li>
+   * </ul>
+   *
+   * Values can be passed through filters using pipes, such as <code>#{createdAt | date:'yyyy-MM-dd'}</code> or
+   * <code>#{name | truncate:20 | upper}</code>. The arguments of a filter are separated by colons and are either quoted
+   * Strings, numbers, true, false, null or the (dotted) path of a parameter. These filters are built in:
+   *
+   * <ul>
+   *   <li>capitalize - Capitalizes the first letter</li>
+   *   <li>currency:code:locale - Formats a number as currency (the code defaults to USD and the locale to the browser's)</li>
+   *   <li>date:pattern - Formats a Date, timestamp or ISO String using {@link PrimeDate.format} (yyyy-MM-dd by default)</li>
+   *   <li>default:value - Replaces null, undefined and empty values</li>
+   *   <li>escape - HTML escapes the value using {@link Utils.escapeHTML}, for use in <code>#{{key}}</code> tags</li>
+   *   <li>join:separator - Joins an Array (the separator defaults to ', ')</li>
+   *   <li>json - Converts the value to JSON</li>
+   *   <li>lower and upper - Changes the case</li>
+   *   <li>number:decimals:locale - Formats a number with grouping and the number of decimals</li>
+   *   <li>pluralize:singular:plural - The singular word if the value is 1, otherwise the plural word (which defaults to the
+   *   singular word with an s)</li>
+   *   <li>truncate:length:suffix - Cuts the value at the length and adds the suffix (which defaults to ...)</li>
+   * </ul>
+   *
+   * Use {@link Template.registerFilter} to add your own.
+   *
+   * The template is compiled into a render function the first time it is used, so generating the same template many
+   * times only parses it once.
+   *
    * @constructor
    * @param {string} template The String that defines the source of the template.
    */
@@ -30,92 +202,705 @@ class Template {
     this.init(template);
   }
 
+  /*
+   * Statics
+   */
+  /**
+   * Registers the templates in the <code>&lt;script type="text/x-prime-template"&gt;</code> and
+   * <code>&lt;template&gt;</code> elements of the document (or the given element) using their ids as the names.
+   * Script elements are better for templates with sections inside tables, because the browser moves text that is
+   * between table rows out of template elements.
+   *
+   * @param {PrimeElement|Element|Document} [root=document] The element to search.
+   * @returns {Array<string>} The names of the templates that were registered.
+   */
+  static load(root) {
+    root = Utils.isDefined(root) ? root : document;
+    if (root instanceof PrimeElement) {
+      root = root.domElement;
+    }
+
+    const names = [];
+    const elements = root.querySelectorAll('script[type="' + ScriptType + '"], template');
+    for (let i = 0; i < elements.length; i++) {
+      const element = elements[i];
+      if (!element.id) {
+        continue;
+      }
+
+      Template.register(element.id, sourceOf(element));
+      names.push(element.id);
+    }
+
+    return names;
+  }
+
+  /**
+   * Returns the template registered with the given name.
+   *
+   * @param {string} name The name.
+   * @returns {?Template} The template or null if there isn't one.
+   */
+  static lookup(name) {
+    return registry.hasOwnProperty(name) ? registry[name] : null;
+  }
+
+  /**
+   * Registers a template with the given name so that it can be rendered using {@link Template.render} and included in
+   * other templates as a partial. A template that is already registered with the name is replaced.
+   *
+   * @param {string} name The name.
+   * @param {string|Template} template The template or its source.
+   * @returns {Template} The registered template.
+   */
+  static register(name, template) {
+    registry[name] = template instanceof Template ? template : new Template(template);
+    return registry[name];
+  }
+
+  /**
+   * Registers a filter for the pipes of the templates. The filter is passed the value and the arguments from the
+   * template and returns the new value. A filter that is already registered with the name is replaced.
+   *
+   * @param {string} name The name.
+   * @param {Function} filter The filter function.
+   */
+  static registerFilter(name, filter) {
+    filters[name] = filter;
+  }
+
+  /**
+   * Generates the template registered with the given name.
+   *
+   * @param {string} name The name.
+   * @param {Object} [parameters] The parameters for the template.
+   * @returns {string} The result of executing the template.
+   * @throws {TypeError} If there isn't a template registered with the name.
+   */
+  static render(name, parameters) {
+    const template = Template.lookup(name);
+    if (template === null) {
+      throw new TypeError('There is no template registered with the name [' + name + ']');
+    }
+
+    return template.generate(parameters);
+  }
+
+  /**
+   * Removes the template registered with the given name.
+   *
+   * @param {string} name The name.
+   */
+  static unregister(name) {
+    delete registry[name];
+  }
+
+  /**
+   * Removes the filter registered with the given name.
+   *
+   * @param {string} name The name.
+   */
+  static unregisterFilter(name) {
+    delete filters[name];
+  }
+
   init(template) {
     this.template = template;
+    this._renderer = null;
+  }
+
+  /**
+   * Compiles the template (if it hasn't been compiled yet) and returns its render function, which is the fastest way to
+   * generate the same template many times.
+   *
+   * @returns {Function} A function that takes the parameters and returns the result of executing the template.
+   * @throws {SyntaxError} If an #{if} or #{each} section isn't closed properly.
+   */
+  compile() {
+    const renderer = this._getRenderer();
+    return function(parameters) {
+      return renderer([Utils.isDefined(parameters) ? parameters : {}]);
+    };
   }
 
   /**
    * Generates a String from the given parameterHash.  Provide a hash of String keys to values.
    * Keys can be regular text strings, in which case it will look for and replace #{key} as with the value.  You can
-   * also make the key a String "/key/", which will be converted to a Regex and run.
+   * also make the key a String "/key/", which will be converted to a Regex and run against the template before the tags
+   * are replaced. Templates with Regex keys must be parsed every time they are generated.
    *
    * For the value you can provide a straight up String, int, etc, or you can provide a function which will be called
-   * to provide the value
+   * to provide the value. Null values are replaced with an empty String.
    *
    * @param {Object} parameters An object that contains the parameters for the template to replace.
    * @returns {string} The result of executing the template.
+   * @throws {SyntaxError} If an #{if} or #{each} section isn't closed properly.
    */
   generate(parameters) {
     parameters = Utils.isDefined(parameters) ? parameters : {};
-    let templateCopy = String(this.template);
-    for (let key in parameters) {
-      if (parameters.hasOwnProperty(key)) {
-        const value = parameters[key];
-        let expressedValue;
-        if (typeof(value) === 'function') {
-          expressedValue = value();
-        } else {
-          expressedValue = value;
-        }
 
-        if (key.indexOf('/') === 0 && key.lastIndexOf('/') === key.length - 1) {
-          templateCopy = templateCopy.replace(new RegExp(key.substring(1, key.length - 1), "g"), expressedValue);
-        } else {
-          const expressedKey = "#{" + key + "}";
-          while (templateCopy.indexOf(expressedKey) !== -1) {
-            templateCopy = templateCopy.replace(expressedKey, expressedValue);
-          }
-        }
+    let renderer = null;
+    let source = String(this.template);
+    for (let key in parameters) {
+      if (parameters.hasOwnProperty(key) && key.indexOf('/') === 0 && key.lastIndexOf('/') === key.length - 1 && key.length > 1) {
+        source = source.replace(new RegExp(key.substring(1, key.length - 1), 'g'), this._callValue(parameters[key], null));
+        renderer = this._compileNodes(this._parse(source));
       }
     }
 
-    return templateCopy;
+    if (renderer === null) {
+      renderer = this._getRenderer();
+    }
+
+    return renderer([parameters]);
   }
 
   /**
-   * Calls to generate and then appends the resulting value to the inner HTML of the provided primeElement.
+   * Calls to generate and then appends the resulting nodes to the end of the provided primeElement. The existing
+   * children of the element are left alone.
    *
    * @param {PrimeElement} primeElement The prime Element instance to append the result of executing the template to.
    * @param {Object} parameters An object that contains the parameters for the template to replace.
+   * @returns {PrimeElementList} The elements that were inserted.
    */
   appendTo(primeElement, parameters) {
-    if (Utils.isDefined(primeElement)) {
-      primeElement.setHTML(primeElement.getHTML() + this.generate(parameters));
-    } else {
+    if (!Utils.isDefined(primeElement)) {
       throw new TypeError('Please supply an element to append to');
     }
+
+    return this._insert(primeElement.domElement, null, parameters);
   }
 
   /**
-   * Calls to generate and then inserts the resulting elements into the dom before the primeElement
+   * Calls to generate and then inserts the resulting nodes into the dom before the primeElement.
    *
    * @param {PrimeElement} primeElement The prime Element instance to insert the result of executing the template before.
    * @param {Object} parameters An object that contains the parameters for the template to replace.
+   * @returns {PrimeElementList} The elements that were inserted.
    */
   insertBefore(primeElement, parameters) {
-    if (Utils.isDefined(primeElement)) {
-      const holder = document.createElement('div');
-      holder.innerHTML = this.generate(parameters);
-      new PrimeElement(holder.children[0]).insertBefore(primeElement);
-    } else {
-      throw new TypeError('Please supply an element to append to');
+    if (!Utils.isDefined(primeElement)) {
+      throw new TypeError('Please supply an element to insert before');
     }
+
+    return this._insert(this._getParent(primeElement, 'insertBefore'), primeElement.domElement, parameters);
   }
 
   /**
-   * Calls to generate and then inserts the resulting elements into the dom after the primeElement
+   * Calls to generate and then inserts the resulting nodes into the dom after the primeElement.
    *
    * @param {PrimeElement} primeElement The prime Element instance to insert the result of executing the template after.
    * @param {Object} parameters An object that contains the parameters for the template to replace.
+   * @returns {PrimeElementList} The elements that were inserted.
    */
   insertAfter(primeElement, parameters) {
+    if (!Utils.isDefined(primeElement)) {
+      throw new TypeError('Please supply an element to insert after');
+    }
+
+    return this._insert(this._getParent(primeElement, 'insertAfter'), primeElement.domElement.nextSibling, parameters);
+  }
+
+  /**
+   * Calls to generate and then inserts the resulting nodes at the beginning of the provided primeElement.
+   *
+   * @param {PrimeElement} primeElement The prime Element instance to prepend the result of executing the template to.
+   * @param {Object} parameters An object that contains the parameters for the template to replace.
+   * @returns {PrimeElementList} The elements that were inserted.
+   */
+  prependTo(primeElement, parameters) {
+    if (!Utils.isDefined(primeElement)) {
+      throw new TypeError('Please supply an element to prepend to');
+    }
+
+    return this._insert(primeElement.domElement, primeElement.domElement.firstChild, parameters);
+  }
+
+  /**
+   * Calls to generate and then replaces the primeElement with the resulting nodes. The primeElement is removed from the
+   * dom.
+   *
+   * @param {PrimeElement} primeElement The prime Element instance to replace with the result of executing the template.
+   * @param {Object} parameters An object that contains the parameters for the template to replace.
+   * @returns {PrimeElementList} The elements that were inserted.
+   */
+  replace(primeElement, parameters) {
+    if (!Utils.isDefined(primeElement)) {
+      throw new TypeError('Please supply an element to replace');
+    }
+
+    const elements = this._insert(this._getParent(primeElement, 'replace'), primeElement.domElement, parameters);
+    primeElement.removeFromDOM();
+    return elements;
+  }
+
+  /**
+   * Calls to generate and then parses the result into a DocumentFragment that contains all of the nodes, including
+   * text nodes and elements such as table rows that can't be parsed on their own.
+   *
+   * @param {Object} parameters An object that contains the parameters for the template to replace.
+   * @returns {DocumentFragment} The fragment.
+   */
+  toFragment(parameters) {
+    const holder = document.createElement('template');
+    holder.innerHTML = this.generate(parameters);
+    if (Utils.isDefined(holder.content)) {
+      return holder.content;
+    }
+
+    // Browsers without template elements parse the HTML in a div and the nodes are moved to a fragment
+    const fragment = document.createDocumentFragment();
+    while (holder.firstChild) {
+      fragment.appendChild(holder.firstChild);
+    }
+
+    return fragment;
+  }
+
+  /**
+   * Calls to generate and then patches the content of the provided primeElement to match the result (see
+   * {@link PrimeElement#patchHTML}). Unlike replacing the HTML, the nodes that didn't change keep their focus and event
+   * listeners. This is used to re-render a template with new parameters, such as a live-updating list:
+   *
+   * <pre>
+   *   const template = new Template('#{each users as user}&lt;li data-key="#{user.id}"&gt;#{user.name}&lt;/li&gt;#{/each}');
+   *   template.update(list, {users: users});
+   * </pre>
+   *
+   * Give the items of lists a unique <code>data-key</code> so they are moved rather than rebuilt when the list is
+   * reordered.
+   *
+   * @param {PrimeElement} primeElement The prime Element instance to update with the result of executing the template.
+   * @param {Object} parameters An object that contains the parameters for the template to replace.
+   */
+  update(primeElement, parameters) {
     if (Utils.isDefined(primeElement)) {
-      const holder = document.createElement('div');
-      holder.innerHTML = this.generate(parameters);
-      new PrimeElement(holder.children[0]).insertAfter(primeElement);
+      primeElement.patchHTML(this.generate(parameters));
     } else {
-      throw new TypeError('Please supply an element to append to');
+      throw new TypeError('Please supply an element to update');
+    }
+  }
+
+  /* ===================================================================================================================
+   * Private Methods
+   * ===================================================================================================================*/
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * @param {*} value The value.
+   * @param {*} context The object that contains the value.
+   * @returns {*} The value or the result of calling it if it is a function.
+   * @private
+   */
+  _callValue(value, context) {
+    return typeof value === 'function' ? value.call(context) : value;
+  }
+
+  /**
+   * Compiles a node into a function that takes the scopes and returns the result.
+   *
+   * @param {Object} node The node.
+   * @returns {Function} The render function.
+   * @private
+   */
+  _compileNode(node) {
+    const escape = this._escape;
+    const isTruthy = this._isTruthy;
+    const resolve = this._resolve;
+    if (node.type === 'text') {
+      const text = node.text;
+      return function() {
+        return text;
+      };
+    }
+
+    if (node.type === 'value') {
+      const filter = this._filter;
+      return function(scopes) {
+        let value = resolve(node.names, scopes);
+        for (let i = 0; i < node.filters.length; i++) {
+          value = filter(node.filters[i], value, scopes);
+        }
+
+        if (typeof value === 'undefined') {
+          return node.source;
+        } else if (value === null) {
+          return '';
+        }
+
+        return node.raw ? String(value) : escape(String(value));
+      };
+    }
+
+    if (node.type === 'partial') {
+      return function(scopes) {
+        const template = Template.lookup(node.name);
+        if (template === null) {
+          throw new TypeError('There is no template registered with the name [' + node.name + '] for the partial');
+        }
+
+        if (node.names === null) {
+          return template._getRenderer()(scopes);
+        }
+
+        const value = resolve(node.names, scopes);
+        scopes.push(value !== null && typeof value === 'object' ? value : {});
+        try {
+          return template._getRenderer()(scopes);
+        } finally {
+          scopes.pop();
+        }
+      };
+    }
+
+    const children = this._compileNodes(node.children);
+    const otherwise = this._compileNodes(node.otherwise);
+    if (node.type === 'if') {
+      return function(scopes) {
+        return isTruthy(resolve(node.names, scopes)) !== node.negate ? children(scopes) : otherwise(scopes);
+      };
+    }
+
+    return function(scopes) {
+      const items = resolve(node.names, scopes);
+      let result = '';
+      let count = 0;
+      const renderItem = function(item, index) {
+        const scope = {};
+        scope[node.name] = item;
+        if (node.index !== null) {
+          scope[node.index] = index;
+        }
+
+        scopes.push(scope);
+        try {
+          result += children(scopes);
+        } finally {
+          scopes.pop();
+        }
+
+        count++;
+      };
+
+      if (items !== null && typeof items === 'object') {
+        if (typeof items.length === 'number') {
+          for (let i = 0; i < items.length; i++) {
+            renderItem(items[i], i);
+          }
+        } else {
+          for (let key in items) {
+            if (items.hasOwnProperty(key)) {
+              renderItem(items[key], key);
+            }
+          }
+        }
+      }
+
+      return count > 0 ? result : otherwise(scopes);
+    };
+  }
+
+  /**
+   * Compiles the nodes into a function that takes the scopes and returns the result.
+   *
+   * @param {Array<Object>} nodes The nodes.
+   * @returns {Function} The render function.
+   * @private
+   */
+  _compileNodes(nodes) {
+    const renderers = nodes.map(this._compileNode);
+    if (renderers.length === 1) {
+      return renderers[0];
+    }
+
+    return function(scopes) {
+      let result = '';
+      for (let i = 0; i < renderers.length; i++) {
+        result += renderers[i](scopes);
+      }
+
+      return result;
+    };
+  }
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * @param {string} value The value.
+   * @returns {string} The HTML escaped value.
+   * @private
+   */
+  _escape(value) {
+    return value.replace(/[&<>"']/g, function(c) {
+      return Escapes[c];
+    });
+  }
+
+  /**
+   * Passes the value through the filter.
+   *
+   * @param {{name: string, args: Array<Object>}} filter The filter from the template.
+   * @param {*} value The value.
+   * @param {Array<Object>} scopes The scopes for resolving the arguments.
+   * @returns {*} The filtered value.
+   * @throws {TypeError} If there isn't a filter registered with the name.
+   * @private
+   */
+  _filter(filter, value, scopes) {
+    if (!filters.hasOwnProperty(filter.name)) {
+      throw new TypeError('There is no template filter registered with the name [' + filter.name + ']');
+    }
+
+    const args = [value];
+    for (let i = 0; i < filter.args.length; i++) {
+      const arg = filter.args[i];
+      args.push(arg.hasOwnProperty('value') ? arg.value : this._resolve(arg.path, scopes));
+    }
+
+    return filters[filter.name].apply(null, args);
+  }
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * @param {PrimeElement} primeElement The element.
+   * @param {string} method The name of the method for the error message.
+   * @returns {Node} The parent node of the element.
+   * @throws {TypeError} If the element isn't in the dom.
+   * @private
+   */
+  _getParent(primeElement, method) {
+    const parent = primeElement.domElement.parentNode;
+    if (!parent) {
+      throw new TypeError('The element you passed into ' + method + ' is not in the DOM');
+    }
+
+    return parent;
+  }
+
+  /**
+   * @returns {Function} The render function of the template, which is compiled the first time.
+   * @private
+   */
+  _getRenderer() {
+    if (this._renderer === null) {
+      this._renderer = this._compileNodes(this._parse(String(this.template)));
     }
+
+    return this._renderer;
+  }
+
+  /**
+   * Generates the template and inserts all of the resulting nodes into the parent.
+   *
+   * @param {Node} parent The parent node.
+   * @param {?Node} before The child node to insert before or null to insert at the end.
+   * @param {Object} parameters The parameters for the template.
+   * @returns {PrimeElementList} The elements that were inserted.
+   * @private
+   */
+  _insert(parent, before, parameters) {
+    const fragment = this.toFragment(parameters);
+    const elements = [];
+    for (let node = fragment.firstChild; node !== null; node = node.nextSibling) {
+      if (node.nodeType === 1) {
+        elements.push(node);
+      }
+    }
+
+    parent.insertBefore(fragment, before);
+    return new PrimeElementList(elements);
+  }
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * @param {*} value The value.
+   * @returns {boolean} True if the value is truthy. Empty Arrays are not.
+   * @private
+   */
+  _isTruthy(value) {
+    return Utils.isArray(value) ? value.length > 0 : !!value;
+  }
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * Parses the template into a tree of text, value, partial, if and each nodes.
+   *
+   * @param {string} source The template.
+   * @returns {Array<Object>} The nodes.
+   * @throws {SyntaxError} If an #{if} or #{each} section isn't closed properly.
+   * @private
+   */
+  _parse(source) {
+    const root = [];
+    const stack = [{children: root, node: null}];
+    const pattern = /#\{\{([^}]*)}}|#\{([^}]*)}/g;
+    let last = 0;
+    let match;
+    while ((match = pattern.exec(source)) !== null) {
+      let current = stack[stack.length - 1];
+      if (match.index > last) {
+        current.children.push({type: 'text', text: source.substring(last, match.index)});
+      }
+
+      last = pattern.lastIndex;
+      const raw = Utils.isDefined(match[1]);
+      const expression = (raw ? match[1] : match[2]).trim();
+      let section;
+      if (raw) {
+        current.children.push(this._parseValue(expression, true, match[0]));
+      } else if ((section = /^if\s+(!?)\s*(\S+)$/.exec(expression)) !== null) {
+        const node = {type: 'if', children: [], names: this._parsePath(section[2]), negate: section[1] === '!', otherwise: []};
+        current.children.push(node);
+        stack.push({children: node.children, node: node});
+      } else if ((section = /^each\s+(\S+)\s+as\s+(\w+)(?:\s*,\s*(\w+))?$/.exec(expression)) !== null) {
+        const node = {type: 'each', children: [], index: section[3] || null, name: section[2], names: this._parsePath(section[1]), otherwise: []};
+        current.children.push(node);
+        stack.push({children: node.children, node: node});
+      } else if ((section = /^>\s*([\w.:-]+)(?:\s+(\S+))?$/.exec(expression)) !== null) {
+        current.children.push({type: 'partial', name: section[1], names: section[2] ? this._parsePath(section[2]) : null});
+      } else if (/^(if|each|>)(\s|$)/.test(expression)) {
+        throw new SyntaxError('Invalid tag [' + match[0] + '] in the template');
+      } else if (expression === 'else') {
+        if (current.node === null || current.children === current.node.otherwise) {
+          throw new SyntaxError('Unexpected [#{else}] in the template');
+        }
+
+        current.children = current.node.otherwise;
+      } else if (expression === '/if' || expression === '/each') {
+        if (current.node === null || '/' + current.node.type !== expression) {
+          throw new SyntaxError('Unexpected [' + match[0] + '] in the template');
+        }
+
+        stack.pop();
+      } else {
+        current.children.push(this._parseValue(expression, false, match[0]));
+      }
+    }
+
+    if (stack.length > 1) {
+      throw new SyntaxError('The [#{' + stack[stack.length - 1].node.type + '}] section is not closed in the template');
+    }
+
+    if (last < source.length) {
+      root.push({type: 'text', text: source.substring(last)});
+    }
+
+    return root;
+  }
+
+  /**
+   * Parses an argument of a filter.
+   *
+   * @param {string} arg The argument from the template.
+   * @returns {{value: *}|{path: {path: string, names: Array<string>}}} The literal value or the path to resolve.
+   * @private
+   */
+  _parseArgument(arg) {
+    if (/^'.*'$|^".*"$/.test(arg)) {
+      return {value: arg.substring(1, arg.length - 1)};
+    } else if (/^-?\d+(\.\d+)?$/.test(arg)) {
+      return {value: Number(arg)};
+    } else if (arg === 'true' || arg === 'false') {
+      return {value: arg === 'true'};
+    } else if (arg === 'null') {
+      return {value: null};
+    }
+
+    return {path: this._parsePath(arg)};
+  }
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * @param {string} path The (dotted) path.
+   * @returns {{path: string, names: Array<string>}} The path and its names.
+   * @private
+   */
+  _parsePath(path) {
+    return {names: path.split('.'), path: path};
+  }
+
+  /**
+   * Parses a value tag and its filters.
+   *
+   * @param {string} expression The expression in the tag.
+   * @param {boolean} raw True if the value isn't escaped.
+   * @param {string} source The tag.
+   * @returns {Object} The value node.
+   * @private
+   */
+  _parseValue(expression, raw, source) {
+    const parts = this._split(expression, '|');
+    const valueFilters = [];
+    for (let i = 1; i < parts.length; i++) {
+      const args = this._split(parts[i], ':');
+      valueFilters.push({name: args[0], args: args.slice(1).map(this._parseArgument)});
+    }
+
+    return {type: 'value', filters: valueFilters, names: this._parsePath(parts[0]), raw: raw, source: source};
+  }
+
+  /**
+   * Looks up the value of a (dotted) path in the scopes, starting with the innermost scope. Functions are called to get
+   * the value.
+   *
+   * @param {{path: string, names: Array<string>}} path The path.
+   * @param {Array<Object>} scopes The scopes.
+   * @returns {*} The value or undefined if the path couldn't be resolved.
+   * @private
+   */
+  _resolve(path, scopes) {
+    const names = path.names;
+    for (let i = scopes.length - 1; i >= 0; i--) {
+      const scope = scopes[i];
+      if (Object.prototype.hasOwnProperty.call(scope, path.path)) {
+        return this._callValue(scope[path.path], scope);
+      }
+
+      if (!Object.prototype.hasOwnProperty.call(scope, names[0])) {
+        continue;
+      }
+
+      let value = this._callValue(scope[names[0]], scope);
+      for (let j = 1; j < names.length; j++) {
+        if (value === null || !Utils.isDefined(value)) {
+          return undefined;
+        }
+
+        value = this._callValue(value[names[j]], value);
+      }
+
+      return value;
+    }
+
+    return undefined;
+  }
+
+  // noinspection JSMethodCanBeStatic
+  /**
+   * Splits the text at the separator, except inside quotes, and trims the parts.
+   *
+   * @param {string} text The text.
+   * @param {string} separator The separator character.
+   * @returns {Array<string>} The parts.
+   * @private
+   */
+  _split(text, separator) {
+    const parts = [];
+    let quote = null;
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+      const c = text.charAt(i);
+      if (quote !== null) {
+        quote = c === quote ? null : quote;
+      } else if (c === '\'' || c === '"') {
+        quote = c;
+      } else if (c === separator) {
+        parts.push(text.substring(start, i).trim());
+        start = i + 1;
+      }
+    }
+
+    parts.push(text.substring(start).trim());
+    return parts;
   }
 }
 
@@ -168,6 +168,21 @@ const Utils = {
     return func.bind(context);
   },
 
+  /**
+   * Calculates the delay before the next attempt of something that failed, using exponential backoff with jitter. The
+   * delay doubles with each attempt (up to the maximum) and a random amount of up to half of it is taken off so that
+   * clients that failed at the same time don't all try again at the same time.
+   *
+   * @param {number} attempt The attempt that failed (starting at 1).
+   * @param {number} baseDelay The delay after the first attempt in milliseconds.
+   * @param {number} maxDelay The maximum delay in milliseconds.
+   * @returns {number} The delay in milliseconds.
+   */
+  calculateBackoff: function(attempt, baseDelay, maxDelay) {
+    const delay = Math.min(maxDelay, baseDelay * Math.pow(2, attempt - 1));
+    return delay / 2 + Math.random() * delay / 2;
+  },
+
   /**
    * Calculates the length of the given text using the style of the given element.
    *
@@ -35,6 +35,7 @@ class AJAXDialog {
     this.draggable = null;
     this.element = null;
     this.initialized = false;
+    this.request = null;
     this._setInitialOptions();
   }
 
@@ -65,11 +66,19 @@ class AJAXDialog {
   }
 
   /**
-   * Destroys the dialog by calling the close function.
+   * Destroys the dialog by aborting any outstanding AJAX request and calling the close function.
    * @returns {AJAXDialog} This.
    */
   destroy() {
-    this.close();
+    if (this.request !== null) {
+      this.request.abort();
+      this.request = null;
+    }
+
+    if (this.element !== null) {
+      this.close();
+    }
+
     return this;
   }
 
@@ -89,9 +98,8 @@ class AJAXDialog {
    */
   open(uri) {
     const request = this.options.ajaxRequest || new PrimeRequest(uri, 'GET');
-    request.withSuccessHandler(this._handleAJAXDialogResponse)
-        .withErrorHandler(this._handleAJAXDialogResponse)
-        .go();
+    this._startRequest(request.withSuccessHandler(this._handleAJAXDialogResponse)
+        .withErrorHandler(this._handleAJAXDialogResponse));
     return this;
   }
 
@@ -105,11 +113,10 @@ class AJAXDialog {
    * @returns {AJAXDialog} This.
    */
   openPost(uri, form, extraData) {
-    new PrimeRequest(uri, 'POST')
+    this._startRequest(new PrimeRequest(uri, 'POST')
         .withDataFromForm(form)
         .withData(extraData)
-        .withSuccessHandler(this._handleAJAXDialogResponse)
-        .go();
+        .withSuccessHandler(this._handleAJAXDialogResponse));
     return this;
   }
 
@@ -295,11 +302,13 @@ class AJAXDialog {
   }
 
   _handleAJAXDialogResponse(xhr) {
+    this.request = null;
     this.element = PrimeDocument.newElement('<div/>', {class: this.options.className + ' ' + this.options.additionalClasses}).appendTo(document.body);
     this.setHTML(xhr.responseText);
   }
 
   _handleAJAXFormError(xhr) {
+    this.request = null;
     this.setHTML(xhr.responseText);
     this.form = this.element.queryFirst('form').addEventListener('submit', this._handleAJAXFormSubmit);
 
@@ -317,6 +326,7 @@ class AJAXDialog {
   }
 
   _handleAJAXFormSuccess(xhr) {
+    this.request = null;
     if (this.options.formSuccessCallback !== null) {
       this.options.formSuccessCallback(this, xhr);
     } else {
@@ -336,11 +346,10 @@ class AJAXDialog {
       this.options.formPreSubmitCallback(this);
     }
 
-    new PrimeRequest(this.form.getAttribute('action'), this.form.getAttribute('method'))
+    this._startRequest(new PrimeRequest(this.form.getAttribute('action'), this.form.getAttribute('method'))
         .withDataFromForm(this.form)
         .withSuccessHandler(this._handleAJAXFormSuccess)
-        .withErrorHandler(this._handleAJAXFormError)
-        .go();
+        .withErrorHandler(this._handleAJAXFormError));
   }
 
   _initializeDialog() {
@@ -381,6 +390,21 @@ class AJAXDialog {
     this.initialized = true;
   }
 
+  /**
+   * Starts the given request after aborting the outstanding request (if there is one) that it supersedes.
+   *
+   * @param {PrimeRequest} request The request to start.
+   * @private
+   */
+  _startRequest(request) {
+    if (this.request !== null) {
+      this.request.abort();
+    }
+
+    this.request = request;
+    request.go();
+  }
+
   /**
    * Set the initial options for this widget.
    * @private
@@ -16,16 +16,14 @@
 'use strict';
 
 import {Events} from "../Events.js";
+import {I18n} from "../I18n.js";
 import {PrimeDate} from "../Date.js";
 import {PrimeDocument} from "../PrimeDocument.js";
 import {PrimeElement} from "../Document/PrimeElement.js";
 import {Utils} from "../Utils.js";
 
-const SHORT_DAY_NAMES = ['Su', 'Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa'];
-const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
 const DATE_SEPARATOR = '/';
 const TIME_SEPARATOR = ':';
-const AM_PM = ['AM', 'PM'];
 
 class DateTimePicker {
   /**
@@ -47,12 +45,18 @@ class DateTimePicker {
     this._setInitialOptions();
   };
 
+  /**
+   * @returns {Array<string>} The short day names for the current locale (the DateTimePicker.shortDayNames message).
+   */
   static get SHORT_DAY_NAMES() {
-    return SHORT_DAY_NAMES;
+    return I18n.lookup('DateTimePicker.shortDayNames');
   }
 
+  /**
+   * @returns {Array<string>} The month names for the current locale (the DateTimePicker.months message).
+   */
   static get MONTHS() {
-    return MONTHS;
+    return I18n.lookup('DateTimePicker.months');
   }
 
   static get DATE_SEPARATOR() {
@@ -63,8 +67,11 @@ class DateTimePicker {
     return TIME_SEPARATOR;
   }
 
+  /**
+   * @returns {Array<string>} The AM and PM labels for the current locale (the DateTimePicker.amPm message).
+   */
   static get AM_PM() {
-    return AM_PM;
+    return I18n.lookup('DateTimePicker.amPm');
   }
 
   /**
@@ -33,6 +33,8 @@ class InProgress {
     this.element = PrimeElement.wrap(element);
     this._setInitialOptions();
     this.draggable = null;
+    this.overlay = null;
+    this.progressBar = null;
   }
 
   /**
@@ -72,6 +74,7 @@ class InProgress {
   open() {
     this.startInstant = new Date().getTime();
     this.overlay = PrimeDocument.newElement('<div/>').setId('prime-in-progress-overlay').appendTo(document.body);
+    this.progressBar = null;
     PrimeDocument.newElement('<i/>', {class: 'fa fa-spin fa-' + this.options.iconName}).appendTo(this.overlay);
 
     const coords = this.element.getCoordinates();
@@ -87,6 +90,27 @@ class InProgress {
     return this;
   }
 
+  /**
+   * Shows a progress bar in the overlay and sets how far along the process is. The progress bar is only added to the
+   * overlay the first time this is called, so processes that don't know their progress only show the icon.
+   *
+   * @param {number} percent The percent complete (0 - 100).
+   * @returns {InProgress} This.
+   */
+  setProgress(percent) {
+    if (this.overlay === null) {
+      return this;
+    }
+
+    if (this.progressBar === null) {
+      const bar = PrimeDocument.newElement('<div/>', {class: 'prime-in-progress-bar'}).appendTo(this.overlay);
+      this.progressBar = PrimeDocument.newElement('<div/>').appendTo(bar);
+    }
+
+    this.progressBar.setStyle('width', Math.min(100, Math.max(0, percent)) + '%');
+    return this;
+  }
+
   /**
    * Sets the end function that is called when the InProgress process is finished.
    *
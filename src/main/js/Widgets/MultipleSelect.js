@@ -16,6 +16,7 @@
 'use strict';
 
 import {Events} from "../Events.js";
+import {I18n} from "../I18n.js";
 import {PrimeDocument} from "../PrimeDocument.js";
 import {PrimeElement} from "../Document/PrimeElement.js";
 import {Utils} from "../Utils.js";
@@ -64,6 +65,8 @@ class MultipleSelect {
    *   <li>noSearchResultsLabel = "No Matches For:"</li>
    * </ul>
    *
+   * The placeholder and labels default to the MultipleSelect messages of the current locale (see {@link I18n}).
+   *
    * @constructor
    * @param {PrimeElement|Element|EventTarget} element The Prime Element for the MultipleSelect.
    */
@@ -894,10 +897,10 @@ class MultipleSelect {
       className: 'prime-multiple-select',
       closeTimeout: 200,
       customAddEnabled: true,
-      customAddLabel: 'Add Custom Value: ',
+      customAddLabel: I18n.message('MultipleSelect.customAddLabel'),
       errorClass: null,
-      noSearchResultsLabel: 'No Matches For: ',
-      placeholder: 'Choose',
+      noSearchResultsLabel: I18n.message('MultipleSelect.noSearchResultsLabel'),
+      placeholder: I18n.message('MultipleSelect.placeholder'),
       removeIcon: 'X',
       searchFunction: Searcher.selectSearchFunction
     };
@@ -16,6 +16,7 @@
 'use strict';
 
 import {Events} from "../Events.js";
+import {I18n} from "../I18n.js";
 import {PrimeDocument} from "../PrimeDocument.js";
 import {PrimeElement} from "../Document/PrimeElement.js";
 import {Utils} from "../Utils.js";
@@ -50,6 +51,8 @@ class Searcher {
    *   <li>noSearchResultsLabel = "No Matches For:"</li>
    * </ul>
    *
+   * The labels default to the Searcher messages of the current locale (see {@link I18n}).
+   *
    * The callback object must conform to this interface:
    *
    * <pre>
@@ -597,9 +600,9 @@ class Searcher {
       'customAddCallback'() {
         return true;
       },
-      customAddLabel: 'Add Custom: ',
-      noSearchResultsLabel: 'No Matches For: ',
-      tooManySearchResultsLabel: 'Too Many Matches For: ',
+      customAddLabel: I18n.message('Searcher.customAddLabel'),
+      noSearchResultsLabel: I18n.message('Searcher.noSearchResultsLabel'),
+      tooManySearchResultsLabel: I18n.message('Searcher.tooManySearchResultsLabel'),
     };
 
     const userOptions = Utils.dataSetToOptions(this.inputElement);
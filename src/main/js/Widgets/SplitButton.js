@@ -18,6 +18,7 @@
 import {PrimeElement} from "../Document/PrimeElement.js";
 import {Utils} from "../Utils.js";
 import {PrimeStorage} from "../Storage.js";
+import {IndexedDBStorage} from "../Storage/IndexedDBStorage.js";
 import {PrimeDocument} from "../PrimeDocument.js";
 
 class SplitButton {
@@ -83,6 +84,9 @@ class SplitButton {
    */
   destroy() {
     this.button.removeEventListener('click', this._handleButtonClick);
+    if (this.options.localStorageKey !== null) {
+      this._getStorage().removeChangeListener(this.options.localStorageKey, this._handleStorageChange);
+    }
   }
 
   /**
@@ -92,6 +96,10 @@ class SplitButton {
   initialize() {
     this.button.addEventListener('click', this._handleButtonClick);
     this.items.each(item => item.addEventListener('click', this._handleItemClick));
+    if (this.options.liveSync && this.options.localStorageKey !== null) {
+      this._getStorage().onChange(this.options.localStorageKey, this._handleStorageChange);
+    }
+
     this.redraw();
     return this;
   }
@@ -99,8 +107,9 @@ class SplitButton {
   redraw() {
     // Load the last action (if any)
     let actionId = null;
-    if (PrimeStorage.supported && this.options.localStorageKey !== null) {
-      actionId = PrimeStorage.getSessionObject(this.options.localStorageKey);
+    if (this.options.localStorageKey !== null) {
+      actionId = this.options.storage !== null ? this.options.storage.get(this.options.localStorageKey) :
+          PrimeStorage.getSessionObject(this.options.localStorageKey);
       if (actionId !== null) {
         this.selectAction(actionId);
       }
@@ -168,6 +177,19 @@ class SplitButton {
     return this;
   }
 
+  /**
+   * Selects the action when it is selected in another tab or window of the browser. Session storage isn't shared
+   * between windows, so this only works with a local storage key and a storage that is backed by local storage (see
+   * {@link #withStorage}). Without one, the actions aren't synced.
+   *
+   * @param {boolean} [liveSync=true] True to keep the selected action in sync.
+   * @returns {SplitButton} This SplitButton.
+   */
+  withLiveSync(liveSync) {
+    this.options.liveSync = liveSync !== false;
+    return this;
+  }
+
   withLocalStorageKey(localStorageKey) {
     this.options.localStorageKey = localStorageKey;
     return this;
@@ -187,10 +209,31 @@ class SplitButton {
     return this;
   }
 
+  /**
+   * Stores the last action in the given storage rather than session storage, such as
+   * <code>PrimeStorage.namespace('app', 'local')</code> to share it between windows.
+   *
+   * @param {NamespacedStorage} storage The storage.
+   * @returns {SplitButton} This SplitButton.
+   * @throws {TypeError} If the storage is an IndexedDBStorage, whose methods return Promises.
+   */
+  withStorage(storage) {
+    if (storage instanceof IndexedDBStorage) {
+      throw new TypeError('The SplitButton state must be stored synchronously. Use a local, session or memory namespace');
+    }
+
+    this.options.storage = storage;
+    return this;
+  }
+
   /* ===================================================================================================================
    * Private methods
    * ===================================================================================================================*/
 
+  _getStorage() {
+    return this.options.storage !== null ? this.options.storage : PrimeStorage;
+  }
+
   /**
    * Handles the button click event.
    * @private
@@ -220,9 +263,23 @@ class SplitButton {
     }
   }
 
+  /**
+   * Selects the action that was taken in another window.
+   * @private
+   */
+  _handleStorageChange(actionId) {
+    if (actionId !== null && actionId !== this.currentAction.getId()) {
+      this.selectAction(actionId);
+    }
+  }
+
   _saveLastAction(actionId) {
-    if (PrimeStorage.supported && this.options.localStorageKey !== null) {
-      PrimeStorage.setSessionObject(this.options.localStorageKey, actionId);
+    if (this.options.localStorageKey !== null) {
+      if (this.options.storage !== null) {
+        this.options.storage.set(this.options.localStorageKey, actionId);
+      } else {
+        PrimeStorage.setSessionObject(this.options.localStorageKey, actionId);
+      }
     }
   }
 
@@ -233,7 +290,9 @@ class SplitButton {
   _setInitialOptions() {
     // Defaults
     this.options = {
-      localStorageKey: null
+      liveSync: false,
+      localStorageKey: null,
+      storage: null
     };
 
     const userOptions = Utils.dataSetToOptions(this.element);
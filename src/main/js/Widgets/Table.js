@@ -18,6 +18,7 @@
 import {Utils} from "../Utils.js";
 import {PrimeElement} from "../Document/PrimeElement.js";
 import {PrimeStorage} from "../Storage.js";
+import {IndexedDBStorage} from "../Storage/IndexedDBStorage.js";
 
 class Table {
   /**
@@ -50,6 +51,10 @@ class Table {
    * @returns {Table} This.
    */
   initialize() {
+    if (this.options.localStorageKey !== null && this.options.stateVersion !== null) {
+      PrimeStorage.registerSchema(this.options.localStorageKey, this.options.stateVersion, this.options.stateMigrations);
+    }
+
     // Sortable by default unless it is disabled
     if (this.element.getDataAttribute('sortable') !== 'false') {
       this._initializeSort();
@@ -105,12 +110,16 @@ class Table {
     }
 
     // Save current sorted column state in local storage.
-    if (PrimeStorage.supported && this.options.localStorageKey !== null) {
+    if (this.options.localStorageKey !== null) {
       const data = {
         columnIndex: this.columnIndex,
         sortAscending: this.sortAscending
       };
-      PrimeStorage.setSessionObject(this.options.localStorageKey, data);
+      if (this.options.storage !== null) {
+        this.options.storage.set(this.options.localStorageKey, data);
+      } else {
+        PrimeStorage.setSessionObject(this.options.localStorageKey, data);
+      }
     }
   }
 
@@ -156,6 +165,38 @@ class Table {
     return this;
   }
 
+  /**
+   * Sets the version of the stored sorted column. Increment the version when the markup changes in a way that makes the
+   * stored state wrong, such as reordering the columns. State of an older version is migrated, or discarded if there isn't a
+   * migration for it (see {@link PrimeStorage.registerSchema}). This requires a local storage key.
+   *
+   * @param {number} version The version, which is a positive integer.
+   * @param {Object<number, Function>} [migrations] The migrations by the version they migrate from.
+   * @returns {Table} This.
+   */
+  withStateVersion(version, migrations) {
+    this.options.stateVersion = version;
+    this.options.stateMigrations = migrations || null;
+    return this;
+  }
+
+  /**
+   * Stores the sorted column in the given storage rather than session storage. Use a namespaced storage to keep the
+   * state of each user apart and to expire it.
+   *
+   * @param {NamespacedStorage} storage The storage.
+   * @returns {Table} This.
+   * @throws {TypeError} If the storage is an IndexedDBStorage, whose methods return Promises.
+   */
+  withStorage(storage) {
+    if (storage instanceof IndexedDBStorage) {
+      throw new TypeError('The Table state must be stored synchronously. Use a local, session or memory namespace');
+    }
+
+    this.options.storage = storage;
+    return this;
+  }
+
   /* ===================================================================================================================
    * Private methods
    * ===================================================================================================================*/
@@ -305,8 +346,9 @@ class Table {
   _initializeSort() {
     this.thead.query('th').each(this._initializeColumn);
 
-    if (PrimeStorage.supported && this.options.localStorageKey !== null) {
-      const state = PrimeStorage.getSessionObject(this.options.localStorageKey);
+    if (this.options.localStorageKey !== null) {
+      const state = this.options.storage !== null ? this.options.storage.get(this.options.localStorageKey) :
+          PrimeStorage.getSessionObject(this.options.localStorageKey);
       if (state !== null) {
         this.columnIndex = state.columnIndex;
         this.sortAscending = state.sortAscending;
@@ -331,7 +373,10 @@ class Table {
     // Defaults
     this.options = {
       localStorageKey: null,
-      checkEventCallback: null
+      checkEventCallback: null,
+      stateMigrations: null,
+      stateVersion: null,
+      storage: null
     };
 
     const userOptions = Utils.dataSetToOptions(this.element);
@@ -19,6 +19,7 @@ import {Utils} from "../Utils.js";
 import {PrimeElement} from "../Document/PrimeElement.js";
 import {PrimeDocument} from "../PrimeDocument.js";
 import {PrimeStorage} from "../Storage.js";
+import {IndexedDBStorage} from "../Storage/IndexedDBStorage.js";
 import {PrimeRequest} from "../PrimeRequest.js";
 
 class Tabs {
@@ -43,6 +44,7 @@ class Tabs {
     }
 
     this._setInitialOptions();
+    this.request = null;
     this.tabContents = {};
     this.tabs = {};
     this.tabArray = [];
@@ -53,6 +55,11 @@ class Tabs {
    * Destroys the Tabs widget
    */
   destroy() {
+    if (this.request !== null) {
+      this.request.abort();
+      this.request = null;
+    }
+
     this.tabsContainer.query('a').each(function(a) {
       a.removeEventListener('click', this._handleClick);
     }.bind(this));
@@ -60,6 +67,10 @@ class Tabs {
     for (let i = 0; i < this.tabs.length; i++) {
       this.tabs[i].removeClass(this.options.tabContentClass);
     }
+
+    if (this.options.localStorageKey !== null) {
+      this._getStorage().removeChangeListener(this.options.localStorageKey, this._handleStorageChange);
+    }
   }
 
   /**
@@ -79,6 +90,10 @@ class Tabs {
    * @returns {Tabs} This.
    */
   initialize() {
+    if (this.options.localStorageKey !== null && this.options.stateVersion !== null) {
+      PrimeStorage.registerSchema(this.options.localStorageKey, this.options.stateVersion, this.options.stateMigrations);
+    }
+
     this.tabsContainer.query('li:not(.disabled)').each(function(tab) {
       const a = tab.queryFirst('a').addEventListener('click', this._handleClick);
       const dataSet = tab.getDataSet();
@@ -116,6 +131,11 @@ class Tabs {
       }
     }
 
+    if (this.options.liveSync && this.options.localStorageKey !== null) {
+      this._getStorage().removeChangeListener(this.options.localStorageKey, this._handleStorageChange);
+      this._getStorage().onChange(this.options.localStorageKey, this._handleStorageChange);
+    }
+
     this.redraw();
     return this;
   }
@@ -153,8 +173,9 @@ class Tabs {
 
     let tabId = null;
     if (selectNew || noneActive) {
-      if (PrimeStorage.supported && this.options.localStorageKey !== null) {
-        const state = PrimeStorage.getSessionObject(this.options.localStorageKey);
+      if (this.options.localStorageKey !== null) {
+        const state = this.options.storage !== null ? this.options.storage.get(this.options.localStorageKey) :
+            PrimeStorage.getSessionObject(this.options.localStorageKey);
         if (state !== null) {
           tabId = state.tabId;
         }
@@ -192,6 +213,14 @@ class Tabs {
       return;
     }
 
+    // Abort the AJAX request of the previous tab so that its response doesn't overwrite the newly selected tab
+    if (this.request !== null) {
+      this.request.abort();
+      this.request = null;
+      this.selectedTab.removeClass('loading');
+      this.tabContents[this.selectedTab.getDataSet().tabId].removeClass('loading');
+    }
+
     for (const tabId in this.tabs) {
       if (this.tabs.hasOwnProperty(tabId)) {
         this.tabs[tabId].removeClass('selected');
@@ -213,11 +242,15 @@ class Tabs {
 
     // Save current selected tab state in local storage. The JSON object isn't necessary at the moment,
     // but we can tack on other properties as needed for additional state in the future.
-    if (PrimeStorage.supported && this.options.localStorageKey !== null) {
+    if (this.options.localStorageKey !== null) {
       const data = {
         tabId: id
       };
-      PrimeStorage.setSessionObject(this.options.localStorageKey, data);
+      if (this.options.storage !== null) {
+        this.options.storage.set(this.options.localStorageKey, data);
+      } else {
+        PrimeStorage.setSessionObject(this.options.localStorageKey, data);
+      }
     }
 
     const ajaxURL = this.selectedTab.getDataSet().tabUrl;
@@ -225,7 +258,7 @@ class Tabs {
       this.selectedTab.addClass('loading');
       this.tabContents[id].setHTML('');
       this.tabContents[id].addClass('loading');
-      new PrimeRequest(ajaxURL, 'GET')
+      this.request = new PrimeRequest(ajaxURL, 'GET')
           .withSuccessHandler(this._handleAJAXResponse)
           .withErrorHandler(this._handleAJAXResponse)
           .go();
@@ -275,6 +308,19 @@ class Tabs {
     return this;
   }
 
+  /**
+   * Selects the tab when it is selected in another tab or window of the browser. This requires a local storage key and a
+   * storage that is backed by local storage (see {@link #withStorage}), because session storage isn't shared between
+   * windows.
+   *
+   * @param {boolean} [liveSync=true] True to keep the selected tab in sync.
+   * @returns {Tabs} This Tabs.
+   */
+  withLiveSync(liveSync) {
+    this.options.liveSync = liveSync !== false;
+    return this;
+  }
+
   /**
    * Enables local storage of the currently selected tab. If the user navigates away from the page and back, the same
    * tab will be selected. This key is how the selected tab is stored in local storage and by setting a key you also
@@ -319,6 +365,38 @@ class Tabs {
     return this;
   }
 
+  /**
+   * Sets the version of the stored selected tab. Increment the version when the markup changes in a way that makes the
+   * stored state wrong, such as renaming the tabs. State of an older version is migrated, or discarded if there isn't a
+   * migration for it (see {@link PrimeStorage.registerSchema}). This requires a local storage key.
+   *
+   * @param {number} version The version, which is a positive integer.
+   * @param {Object<number, Function>} [migrations] The migrations by the version they migrate from.
+   * @returns {Tabs} This.
+   */
+  withStateVersion(version, migrations) {
+    this.options.stateVersion = version;
+    this.options.stateMigrations = migrations || null;
+    return this;
+  }
+
+  /**
+   * Stores the selected tab in the given storage rather than session storage. Use a namespaced storage to keep the
+   * state of each user apart and to expire it.
+   *
+   * @param {NamespacedStorage} storage The storage.
+   * @returns {Tabs} This Tabs.
+   * @throws {TypeError} If the storage is an IndexedDBStorage, whose methods return Promises.
+   */
+  withStorage(storage) {
+    if (storage instanceof IndexedDBStorage) {
+      throw new TypeError('The Tabs state must be stored synchronously. Use a local, session or memory namespace');
+    }
+
+    this.options.storage = storage;
+    return this;
+  }
+
   /**
    * Sets the class name for the tab content elements.
    *
@@ -341,6 +419,7 @@ class Tabs {
    * @private
    */
   _handleAJAXResponse(xhr) {
+    this.request = null;
     this.selectedTab.removeClass('loading');
     const container = this.tabContents[this.selectedTab.getDataSet().tabId];
     container.removeClass('loading');
@@ -351,6 +430,14 @@ class Tabs {
     }
   }
 
+  /**
+   * @returns {NamespacedStorage|PrimeStorage} The storage of the selected tab.
+   * @private
+   */
+  _getStorage() {
+    return this.options.storage !== null ? this.options.storage : PrimeStorage;
+  }
+
   /**
    * Handle the tab click by showing the corresponding panel and hiding the others.
    *
@@ -370,6 +457,18 @@ class Tabs {
     }
   }
 
+  /**
+   * Selects the tab that was selected in another window.
+   *
+   * @param {?{tabId: string}} state The state from storage.
+   * @private
+   */
+  _handleStorageChange(state) {
+    if (state !== null && Utils.isDefined(this.tabs[state.tabId]) && this.tabs[state.tabId].isVisible()) {
+      this.selectTab(state.tabId);
+    }
+  }
+
   /**
    * Set the initial options for this widget.
    * @private
@@ -380,8 +479,12 @@ class Tabs {
       ajaxCallback: null,
       errorClass: null,
       deepLinkingEnabled: true,
+      liveSync: false,
       localStorageKey: null,
       selectCallback: null,
+      stateMigrations: null,
+      stateVersion: null,
+      storage: null,
       tabContentClass: 'prime-tab-content'
     };
 
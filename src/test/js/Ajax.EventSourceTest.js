@@ -0,0 +1,252 @@
+/*
+ * Copyright (c) 2020, Inversoft Inc., All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+'use strict';
+
+describe('EventSource tests', function() {
+  var sources;
+
+  /**
+   * A stand-in for the browser EventSource that the tests drive by hand.
+   */
+  function FakeEventSource(url, options) {
+    this.closed = false;
+    this.listeners = {};
+    this.options = options;
+    this.readyState = 0;
+    this.url = url;
+    sources.push(this);
+  }
+
+  FakeEventSource.prototype.addEventListener = function(name, listener) {
+    this.listeners[name] = listener;
+  };
+
+  FakeEventSource.prototype.close = function() {
+    this.closed = true;
+    this.readyState = 2;
+  };
+
+  FakeEventSource.prototype.emit = function(name, data, id) {
+    var event = {data: data, lastEventId: id || '', type: name};
+    if (name === 'message') {
+      this.onmessage(event);
+    } else {
+      this.listeners[name](event);
+    }
+  };
+
+  FakeEventSource.prototype.fail = function() {
+    this.onerror({type: 'error'});
+  };
+
+  FakeEventSource.prototype.open = function() {
+    this.readyState = 1;
+    this.onopen({type: 'open'});
+  };
+
+  function wait(millis) {
+    return new Promise(function(resolve) {
+      setTimeout(resolve, millis);
+    });
+  }
+
+  beforeEach(function() {
+    sources = [];
+  });
+
+  it('messages', function() {
+    var messages = [];
+    var opened = false;
+    var source = new Prime.Ajax.EventSource('/events')
+        .usingTransport(FakeEventSource)
+        .withCredentials()
+        .withOpenHandler(function() {
+          opened = true;
+        })
+        .withMessageHandler(function(data, event) {
+          messages.push(data + ' ' + event.type);
+        })
+        .open();
+
+    assert.equal(sources.length, 1);
+    assert.equal(sources[0].url, '/events');
+    assert.deepEqual(sources[0].options, {withCredentials: true});
+    assert.isFalse(source.isOpen());
+
+    sources[0].open();
+    assert.isTrue(opened);
+    assert.isTrue(source.isOpen());
+
+    sources[0].emit('message', 'hello');
+    assert.deepEqual(messages, ['hello message']);
+
+    // Opening again does nothing
+    source.open();
+    assert.equal(sources.length, 1);
+
+    source.close();
+    assert.isTrue(sources[0].closed);
+    assert.isFalse(source.isOpen());
+  });
+
+  it('JSON and named events', function() {
+    var messages = [];
+    var errors = [];
+    var source = new Prime.Ajax.EventSource('/events')
+        .usingTransport(FakeEventSource)
+        .usingJSON()
+        .withMessageHandler(function(data) {
+          messages.push(data);
+        })
+        .withEventHandler('update', function(data) {
+          messages.push('update ' + data.id);
+        })
+        .withErrorHandler(function(error) {
+          errors.push(error);
+        })
+        .open();
+
+    sources[0].open();
+    sources[0].emit('message', '{"id":1}');
+    sources[0].emit('update', '{"id":2}');
+    sources[0].emit('message', 'not json');
+
+    assert.deepEqual(messages, [{id: 1}, 'update 2']);
+    assert.equal(errors.length, 1);
+    assert.instanceOf(errors[0], SyntaxError);
+
+    // A bad message doesn't reconnect
+    assert.equal(sources.length, 1);
+    assert.isFalse(sources[0].closed);
+
+    // Handlers added after opening listen right away
+    source.withEventHandler('delete', function(data) {
+      messages.push('delete ' + data.id);
+    });
+    sources[0].emit('delete', '{"id":3}');
+    assert.equal(messages[2], 'delete 3');
+    source.close();
+  });
+
+  it('custom events', function() {
+    var element = Prime.Document.newElement('<div/>');
+    var events = [];
+    element.addEventListener('EventSource:open', function(event) {
+      assert.equal(event.event.type, 'open');
+      events.push('open');
+    }).addEventListener('EventSource:message', function(event) {
+      events.push('message ' + event.data);
+    }).addEventListener('EventSource:update', function(event) {
+      assert.equal(event.source, source);
+      events.push('update ' + event.data.id);
+    });
+
+    var source = new Prime.Ajax.EventSource('/events')
+        .usingTransport(FakeEventSource)
+        .usingJSON()
+        .withElement(element)
+        .withEventHandler('update', function() {
+        })
+        .open();
+
+    sources[0].open();
+    sources[0].emit('message', '"hello"');
+    sources[0].emit('update', '{"id":1}');
+    assert.deepEqual(events, ['open', 'message hello', 'update 1']);
+    source.close();
+  });
+
+  it('reconnects with backoff', function() {
+    var reconnects = [];
+    var source = new Prime.Ajax.EventSource('/events')
+        .usingTransport(FakeEventSource)
+        .withReconnectPolicy({baseDelay: 10, maxAttempts: 2, maxDelay: 20})
+        .withReconnectHandler(function(attempt, delay) {
+          reconnects.push(attempt);
+          assert.isAtMost(delay, 20);
+        })
+        .withEventHandler('update', function() {
+        })
+        .open();
+
+    sources[0].fail();
+    assert.isTrue(sources[0].closed);
+    return wait(30).then(function() {
+      assert.equal(sources.length, 2);
+      assert.isFunction(sources[1].listeners.update);
+      sources[1].fail();
+      return wait(30);
+    }).then(function() {
+      assert.equal(sources.length, 3);
+      sources[2].fail();
+      return wait(30);
+    }).then(function() {
+      // Gives up after the max attempts
+      assert.equal(sources.length, 3);
+      assert.deepEqual(reconnects, [1, 2]);
+
+      // Opening resets the attempts
+      source.open();
+      sources[3].open();
+      assert.equal(source.attempt, 0);
+      source.close();
+    });
+  });
+
+  it('reconnects after the last event id', function() {
+    var source = new Prime.Ajax.EventSource('/events?user=jane')
+        .usingTransport(FakeEventSource)
+        .withReconnectPolicy({baseDelay: 10, maxDelay: 10})
+        .withEventHandler('update', function() {
+        })
+        .open();
+
+    sources[0].open();
+    sources[0].emit('message', 'one', '1');
+    sources[0].emit('update', 'two', 'a b');
+    assert.equal(source.lastEventId, 'a b');
+    sources[0].fail();
+    return wait(20).then(function() {
+      assert.equal(sources[1].url, '/events?user=jane&lastEventId=a%20b');
+
+      // The server reset the id
+      sources[1].open();
+      sources[1].emit('message', 'three');
+      sources[1].fail();
+      return wait(20);
+    }).then(function() {
+      assert.equal(sources[2].url, '/events?user=jane');
+
+      sources[2].open();
+      sources[2].emit('message', 'four', '4');
+      source.close();
+      assert.isNull(source.lastEventId);
+    });
+  });
+
+  it('close stops reconnecting', function() {
+    var source = new Prime.Ajax.EventSource('/events')
+        .usingTransport(FakeEventSource)
+        .withReconnectPolicy({baseDelay: 10})
+        .open();
+
+    sources[0].fail();
+    source.close();
+    return wait(30).then(function() {
+      assert.equal(sources.length, 1);
+    });
+  });
+});
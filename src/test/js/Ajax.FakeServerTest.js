@@ -0,0 +1,193 @@
+/*
+ * Copyright (c) 2020, Inversoft Inc., All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+'use strict';
+
+describe('FakeServer tests', function() {
+  var server;
+
+  beforeEach(function() {
+    server = new Prime.Ajax.FakeServer().install();
+  });
+
+  afterEach(function() {
+    server.uninstall();
+  });
+
+  it('canned responses', function() {
+    server.withRoute('GET', '/api/user/:id', {
+      body: {id: 1, name: 'Jane'},
+      headers: {'X-Request-Id': 'abc'}
+    });
+
+    return new Prime.Ajax.Request('/api/user/1')
+        .withData({fields: 'name'})
+        .send()
+        .then(function(response) {
+          assert.equal(response.status, 200);
+          assert.equal(response.getHeader('Content-Type'), 'application/json');
+          assert.equal(response.getHeader('X-Request-Id'), 'abc');
+          assert.deepEqual(response.data, {id: 1, name: 'Jane'});
+          assert.deepEqual(server.lastRequest().params, {id: '1'});
+          assert.equal(server.lastRequest().url, '/api/user/1?fields=name');
+        });
+  });
+
+  it('function responses', function() {
+    server.withRoute('POST', '/api/user', function(request) {
+      return {status: 201, headers: {'Location': '/api/user/2'}, body: 'Created ' + request.body};
+    }).withRoute('*', /^\/api\/item\/(\d+)$/, function(request) {
+      return {body: request.method + ' item ' + request.params[0]};
+    });
+
+    return new Prime.Ajax.Request('/api/user', 'POST')
+        .withData({name: 'Jane'})
+        .send()
+        .then(function(response) {
+          assert.equal(response.status, 201);
+          assert.equal(response.getHeader('Location'), '/api/user/2');
+          assert.equal(response.data, 'Created name=Jane');
+          return new Prime.Ajax.Request('/api/item/42', 'DELETE').send();
+        })
+        .then(function(response) {
+          assert.equal(response.data, 'DELETE item 42');
+        });
+  });
+
+  it('unmatched requests and network errors', function() {
+    server.withRoute('GET', '/api/offline', {status: 0});
+
+    return new Prime.Ajax.Request('/api/unknown')
+        .send()
+        .then(function() {
+          assert.fail('Should have been rejected');
+        }, function(error) {
+          assert.equal(error.status, 404);
+          return new Prime.Ajax.Request('/api/offline').send();
+        })
+        .then(function() {
+          assert.fail('Should have been rejected');
+        }, function(error) {
+          assert.equal(error.type, Prime.Ajax.Request.ErrorType.NETWORK);
+        });
+  });
+
+  it('ready states', function() {
+    var states = [];
+    server.withRoute('GET', '/api/user', {body: 'Jane'});
+
+    return new Prime.Ajax.Request('/api/user')
+        .withOpenHandler(function(xhr) {
+          states.push(xhr.readyState);
+        })
+        .withSendHandler(function(xhr) {
+          states.push(xhr.readyState);
+        })
+        .withLoadingHandler(function(xhr) {
+          states.push(xhr.readyState + ' ' + xhr.responseText);
+        })
+        .withSuccessHandler(function(xhr) {
+          states.push(xhr.readyState);
+        })
+        .send()
+        .then(function() {
+          assert.deepEqual(states, [1, 2, '3 Jane', 4]);
+        });
+  });
+
+  it('delay, manual responses and abort', function() {
+    var loaded = false;
+    server.withAutoRespond(false).withRoute('GET', '/api/slow', {body: 'done', delay: 1000});
+
+    var request = new Prime.Ajax.Request('/api/slow');
+    var promise = request.send().then(function(response) {
+      loaded = true;
+      return response;
+    });
+    assert.isTrue(request.inFlight);
+    assert.isFalse(loaded);
+
+    server.respond();
+    return promise.then(function(response) {
+      assert.equal(response.data, 'done');
+
+      // Aborting cancels the response
+      var aborted = new Prime.Ajax.Request('/api/slow');
+      var abortedPromise = aborted.send();
+      aborted.abort();
+      server.respond();
+      return abortedPromise.then(function() {
+        assert.fail('Should have been rejected');
+      }, function(error) {
+        assert.isTrue(error.aborted);
+      });
+    });
+  });
+
+  it('synchronous requests and response types', function() {
+    server.withRoute('GET', '/api/user', {body: {name: 'Jane'}});
+
+    var request = new Prime.Ajax.Request('/api/user').synchronously();
+    return request.send().then(function(response) {
+      assert.equal(response.data.name, 'Jane');
+      return new Prime.Ajax.Request('/api/user').withResponseType('json').send();
+    }).then(function(response) {
+      assert.equal(response.data.name, 'Jane');
+      return new Prime.Ajax.Request('/api/user').withResponseType('blob').send();
+    }).then(function(response) {
+      assert.instanceOf(response.data, Blob);
+      assert.equal(response.data.type, 'application/json');
+    });
+  });
+
+  it('assertions', function() {
+    server.withRoute('*', '/api/*', {});
+
+    return Promise.all([
+      new Prime.Ajax.Request('/api/user').send(),
+      new Prime.Ajax.Request('/api/user', 'PUT').withHeader('X-Test', 'true').send(),
+      new Prime.Ajax.Request('/api/user/1', 'PUT').send()
+    ]).then(function() {
+      server.assertReceived('GET', '/api/user', 1)
+          .assertReceived('PUT', '/api/*', 2)
+          .assertReceived('*', '/api/user');
+      assert.equal(server.received('PUT', '/api/user')[0].headers['X-Test'], 'true');
+      assert.equal(server.received().length, 3);
+      assert.throws(function() {
+        server.assertReceived('DELETE', '/api/user');
+      }, /Expected at least one \[DELETE \/api\/user] request\(s\) but received \[0]/);
+
+      server.reset();
+      assert.isNull(server.lastRequest());
+    });
+  });
+
+  it('single request transport', function() {
+    server.uninstall();
+    server.withRoute('GET', '/ajax/ajax-response.html', {body: 'Fake'});
+
+    return new Prime.Ajax.Request('/ajax/ajax-response.html')
+        .usingTransport(server.createTransport())
+        .send()
+        .then(function(response) {
+          assert.equal(response.data, 'Fake');
+          return new Prime.Ajax.Request('/ajax/ajax-response.html').send();
+        })
+        .then(function(response) {
+          assert.notEqual(response.data, 'Fake');
+          server.assertReceived('GET', '/ajax/ajax-response.html', 1);
+        });
+  });
+});
@@ -0,0 +1,160 @@
+/*
+ * Copyright (c) 2020, Inversoft Inc., All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+'use strict';
+
+describe('FormSerializer tests', function() {
+  var form;
+
+  beforeEach(function() {
+    form = Prime.Document.newElement('<form/>').appendTo(document.body);
+    form.setHTML(
+        '<input type="text" name="user.name" value="Jane"/>' +
+        '<input type="text" name="user.address.city" value="Denver"/>' +
+        '<input type="number" name="user.age" value="42"/>' +
+        '<input type="number" name="user.height" value=""/>' +
+        '<input type="checkbox" name="user.active" checked/>' +
+        '<input type="checkbox" name="user.admin"/>' +
+        '<input type="checkbox" name="roles[]" value="user" checked/>' +
+        '<input type="checkbox" name="roles[]" value="admin"/>' +
+        '<input type="checkbox" name="roles[]" value="support" checked/>' +
+        '<input type="radio" name="plan" value="free"/>' +
+        '<input type="radio" name="plan" value="pro" checked/>' +
+        '<input type="text" name="items[0].name" value="Widget"/>' +
+        '<input type="number" name="items[0].qty" value="2"/>' +
+        '<input type="text" name="items[1][name]" value="Gadget"/>' +
+        '<input type="number" name="items[1][qty]" value="5"/>' +
+        '<select name="color"><option value="red">Red</option><option value="blue" selected>Blue</option></select>' +
+        '<select name="sizes" multiple><option value="S" selected>S</option><option value="M">M</option><option value="L" selected>L</option></select>' +
+        '<textarea name="notes">Some notes</textarea>' +
+        '<input type="hidden" name="tag" value="a"/>' +
+        '<input type="hidden" name="tag" value="b"/>' +
+        '<input type="text" name="secret" value="hidden" disabled/>' +
+        '<input type="file" name="upload"/>' +
+        '<input type="submit" name="action" value="Save"/>');
+  });
+
+  afterEach(function() {
+    form.removeFromDOM();
+  });
+
+  it('serialize', function() {
+    assert.deepEqual(Prime.Ajax.FormSerializer.serialize(form), {
+      user: {
+        name: 'Jane',
+        address: {city: 'Denver'},
+        age: 42,
+        height: null,
+        active: true,
+        admin: false
+      },
+      roles: ['user', 'support'],
+      plan: 'pro',
+      items: [
+        {name: 'Widget', qty: 2},
+        {name: 'Gadget', qty: 5}
+      ],
+      color: 'blue',
+      sizes: ['S', 'L'],
+      notes: 'Some notes',
+      tag: ['a', 'b']
+    });
+  });
+
+  it('serialize DOM element', function() {
+    var json = Prime.Ajax.FormSerializer.serialize(form.domElement);
+    assert.equal(json.user.name, 'Jane');
+  });
+
+  it('serialize empty array', function() {
+    Prime.Document.query('input[name="roles[]"]', form).each(function(element) {
+      element.setChecked(false);
+    });
+
+    // Nothing is checked so the array isn't created, just like the browser wouldn't send anything
+    assert.isUndefined(Prime.Ajax.FormSerializer.serialize(form).roles);
+  });
+
+  it('populate', function() {
+    Prime.Ajax.FormSerializer.populate(form, {
+      user: {
+        name: 'John',
+        address: {city: 'Boulder'},
+        age: 30,
+        height: null,
+        active: false,
+        admin: true
+      },
+      roles: ['admin'],
+      plan: 'free',
+      items: [
+        {name: 'Thing', qty: 7}
+      ],
+      color: 'red',
+      sizes: ['M'],
+      notes: 'Other notes',
+      secret: 'changed'
+    });
+
+    var json = Prime.Ajax.FormSerializer.serialize(form);
+    assert.deepEqual(json.user, {
+      name: 'John',
+      address: {city: 'Boulder'},
+      age: 30,
+      height: null,
+      active: false,
+      admin: true
+    });
+    assert.deepEqual(json.roles, ['admin']);
+    assert.equal(json.plan, 'free');
+    assert.deepEqual(json.items, [{name: 'Thing', qty: 7}, {name: 'Gadget', qty: 5}]);
+    assert.equal(json.color, 'red');
+    assert.deepEqual(json.sizes, ['M']);
+    assert.equal(json.notes, 'Other notes');
+    assert.deepEqual(json.tag, ['a', 'b']);
+
+    // Disabled fields are still populated, they just aren't serialized
+    assert.equal(Prime.Document.queryFirst('input[name="secret"]', form).getValue(), 'changed');
+  });
+
+  it('unsafe names', function() {
+    form.setHTML(
+        '<input type="text" name="__proto__[isAdmin]" value="true"/>' +
+        '<input type="text" name="user[__proto__][isAdmin]" value="true"/>' +
+        '<input type="text" name="user.constructor.prototype.isAdmin" value="true"/>' +
+        '<input type="text" name="user.name" value="Jane"/>');
+
+    var result = Prime.Ajax.FormSerializer.serialize(form);
+    assert.deepEqual(result, {user: {name: 'Jane'}});
+    assert.isUndefined({}.isAdmin);
+    assert.isUndefined(Object.prototype.isAdmin);
+
+    Prime.Ajax.FormSerializer.populate(form, {user: {name: 'John'}});
+    assert.equal(form.queryFirst('[name="user.constructor.prototype.isAdmin"]').getValue(), 'true');
+    assert.equal(form.queryFirst('[name="user.name"]').getValue(), 'John');
+  });
+
+  it('round trip', function() {
+    var json = Prime.Ajax.FormSerializer.serialize(form);
+    Prime.Ajax.FormSerializer.populate(form, json);
+    assert.deepEqual(Prime.Ajax.FormSerializer.serialize(form), json);
+  });
+
+  it('withJSONFromForm', function() {
+    var request = new Prime.Ajax.Request('/ajax/ajax-response.html', 'POST').withJSONFromForm(form);
+    assert.equal(request.contentType, 'application/json');
+    assert.deepEqual(JSON.parse(request.body), Prime.Ajax.FormSerializer.serialize(form));
+  });
+});
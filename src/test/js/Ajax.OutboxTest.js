@@ -0,0 +1,321 @@
+/*
+ * Copyright (c) 2020, Inversoft Inc., All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+'use strict';
+
+describe('Outbox tests', function() {
+  var online;
+  var outbox;
+  var sent;
+  var statuses;
+
+  /**
+   * Answers every request with the status for its URL (200 by default) using a Mock.XHR. A null status never answers.
+   */
+  function fakeServer(request) {
+    var xhr = new Mock.XHR();
+    xhr.send = function(body) {
+      sent.push(request.method + ' ' + request.url + ' ' + body);
+      var status = statuses.hasOwnProperty(request.url) ? statuses[request.url] : 200;
+      if (status === null) {
+        return;
+      }
+
+      setTimeout(function() {
+        xhr.readyState = 4;
+        xhr.status = status;
+        xhr.onreadystatechange();
+      }, 0);
+    };
+    request.xhr = xhr;
+  }
+
+  beforeEach(function() {
+    online = true;
+    sent = [];
+    statuses = {};
+    Object.defineProperty(navigator, 'onLine', {
+      configurable: true,
+      get: function() {
+        return online;
+      }
+    });
+    Prime.Ajax.Request.addRequestInterceptor(fakeServer);
+    outbox = new Prime.Ajax.Outbox('prime-outbox-test');
+  });
+
+  afterEach(function() {
+    outbox.destroy();
+    delete navigator.onLine;
+    Prime.Ajax.Request.clearInterceptors();
+    localStorage.removeItem('prime-outbox-test');
+  });
+
+  it('stores requests while offline', function() {
+    online = false;
+    var errorCalled = false;
+    var request = new Prime.Ajax.Request('/api/user', 'POST')
+        .withData({name: 'Jane'})
+        .withHeader('X-Test', 'true')
+        .withErrorHandler(function() {
+          errorCalled = true;
+        });
+
+    return outbox.send(request).then(function(response) {
+      assert.isNull(response);
+      assert.isFalse(errorCalled);
+      assert.deepEqual(sent, []);
+
+      var items = outbox.items();
+      assert.equal(items.length, 1);
+      assert.equal(items[0].method, 'POST');
+      assert.equal(items[0].url, '/api/user');
+      assert.equal(items[0].body, 'name=Jane');
+      assert.equal(items[0].contentType, 'application/x-www-form-urlencoded');
+      assert.deepEqual(items[0].headers, {'X-Test': 'true'});
+
+      // The items are durable
+      var another = new Prime.Ajax.Outbox('prime-outbox-test');
+      assert.equal(another.size(), 1);
+      another.destroy();
+    });
+  });
+
+  it('stores requests that fail with a network error', function() {
+    statuses['/api/user'] = 0;
+    var errorCalled = false;
+    var request = new Prime.Ajax.Request('/api/user', 'DELETE')
+        .withErrorHandler(function() {
+          errorCalled = true;
+        });
+
+    return outbox.send(request).then(function(response) {
+      assert.isNull(response);
+      assert.isFalse(errorCalled);
+      assert.equal(outbox.size(), 1);
+    });
+  });
+
+  it('replays with backoff after a network error while online', function() {
+    statuses['/api/user'] = 0;
+    var replayed = new Promise(function(resolve) {
+      outbox.withReplayHandler(function(item, response) {
+        resolve(item.url + ' ' + response.status);
+      });
+    });
+    outbox.withRetryPolicy({baseDelay: 10, maxDelay: 20});
+
+    return outbox.send(new Prime.Ajax.Request('/api/user', 'POST')).then(function(response) {
+      assert.isNull(response);
+      assert.equal(outbox.size(), 1);
+
+      // The server is back, without the browser going offline
+      statuses['/api/user'] = 200;
+      return replayed;
+    }).then(function(result) {
+      assert.equal(result, '/api/user 200');
+      assert.isTrue(outbox.isEmpty());
+    });
+  });
+
+  it('requests wait for the scheduled replay while the server is down', function() {
+    statuses['/api/user'] = 0;
+    var replayed = [];
+    var done = new Promise(function(resolve) {
+      outbox.withReplayHandler(function(item) {
+        replayed.push(item.body);
+        if (replayed.length === 3) {
+          resolve();
+        }
+      });
+    });
+    outbox.withRetryPolicy({baseDelay: 20, maxDelay: 20});
+
+    return outbox.send(new Prime.Ajax.Request('/api/user', 'POST').withBody('1')).then(function() {
+      return Promise.all([
+        outbox.send(new Prime.Ajax.Request('/api/user', 'POST').withBody('2')),
+        outbox.send(new Prime.Ajax.Request('/api/user', 'POST').withBody('3'))
+      ]);
+    }).then(function(responses) {
+      assert.deepEqual(responses, [null, null]);
+      assert.deepEqual(sent, ['POST /api/user 1']);
+      assert.equal(outbox.size(), 3);
+
+      statuses['/api/user'] = 200;
+      return done;
+    }).then(function() {
+      assert.deepEqual(replayed, ['1', '2', '3']);
+      assert.equal(sent.length, 4);
+    });
+  });
+
+  it('does not store requests that time out', function() {
+    statuses['/api/slow'] = null;
+    var timedOut = false;
+    var request = new Prime.Ajax.Request('/api/slow', 'POST')
+        .withTimeout(10)
+        .withTimeoutHandler(function() {
+          timedOut = true;
+        });
+
+    return outbox.send(request).then(function() {
+      assert.fail('Should have been rejected');
+    }, function(error) {
+      assert.equal(error.type, Prime.Ajax.Request.ErrorType.TIMEOUT);
+      assert.isTrue(timedOut);
+      assert.isTrue(outbox.isEmpty());
+    });
+  });
+
+  it('restores the error handler of the request', function() {
+    var errorHandler = function() {
+    };
+    var request = new Prime.Ajax.Request('/api/user', 'POST').withErrorHandler(errorHandler);
+
+    return outbox.send(request).then(function() {
+      assert.strictEqual(request.errorHandler, errorHandler);
+
+      statuses['/api/user'] = 0;
+      outbox.clear();
+      return outbox.send(request);
+    }).then(function(response) {
+      assert.isNull(response);
+      assert.strictEqual(request.errorHandler, errorHandler);
+    });
+  });
+
+  it('does not store server errors', function() {
+    statuses['/api/user'] = 500;
+    var errorCalled = false;
+    var request = new Prime.Ajax.Request('/api/user', 'PUT')
+        .withErrorHandler(function() {
+          errorCalled = true;
+        });
+
+    return outbox.send(request).then(function() {
+      assert.fail('Should have been rejected');
+    }, function(error) {
+      assert.equal(error.response.status, 500);
+      assert.isTrue(errorCalled);
+      assert.equal(outbox.size(), 0);
+    });
+  });
+
+  it('sends other requests normally', function() {
+    online = false;
+    var formData = new FormData();
+    formData.append('name', 'Jane');
+    statuses['/api/upload'] = 201;
+
+    // The fake server doesn't know the browser is offline
+    return Promise.all([
+      outbox.send(new Prime.Ajax.Request('/api/user')),
+      outbox.send(new Prime.Ajax.Request('/api/upload', 'POST').withFormData(formData))
+    ]).then(function(responses) {
+      assert.equal(responses[0].status, 200);
+      assert.equal(responses[1].status, 201);
+      assert.equal(sent.length, 2);
+      assert.equal(outbox.size(), 0);
+    });
+  });
+
+  it('replays in order when back online', function() {
+    online = false;
+    var replayed = [];
+    outbox.withReplayHandler(function(item, response) {
+      replayed.push(item.url + ' ' + response.status);
+    });
+
+    return Promise.all([
+      outbox.send(new Prime.Ajax.Request('/api/first', 'POST').withData({a: '1'})),
+      outbox.send(new Prime.Ajax.Request('/api/second', 'DELETE').withData({b: '2'}))
+    ]).then(function() {
+      online = true;
+      window.dispatchEvent(new Event('online'));
+      return outbox.replay();
+    }).then(function() {
+      assert.deepEqual(sent, ['POST /api/first a=1', 'DELETE /api/second null']);
+      assert.deepEqual(replayed, ['/api/first 200', '/api/second 200']);
+      assert.isTrue(outbox.isEmpty());
+      assert.deepEqual(JSON.parse(localStorage.getItem('prime-outbox-test')), []);
+    });
+  });
+
+  it('new requests wait behind pending requests', function() {
+    online = false;
+    return outbox.send(new Prime.Ajax.Request('/api/first', 'POST')).then(function() {
+      online = true;
+      return outbox.send(new Prime.Ajax.Request('/api/second', 'POST'));
+    }).then(function(response) {
+      assert.isNull(response);
+      return outbox.replay();
+    }).then(function() {
+      assert.deepEqual(sent, ['POST /api/first null', 'POST /api/second null']);
+    });
+  });
+
+  it('conflicts, failures and network errors', function() {
+    online = false;
+    var conflicts = [];
+    var failures = [];
+    outbox.withConflictHandler(function(item, response) {
+      conflicts.push(item.url + ' ' + response.status);
+    }).withFailureHandler(function(item, error) {
+      failures.push(item.url + ' ' + error.response.status);
+    });
+
+    statuses['/api/conflict'] = 409;
+    statuses['/api/failure'] = 400;
+    statuses['/api/offline'] = 0;
+    return Promise.all([
+      outbox.send(new Prime.Ajax.Request('/api/conflict', 'PUT')),
+      outbox.send(new Prime.Ajax.Request('/api/failure', 'PUT')),
+      outbox.send(new Prime.Ajax.Request('/api/offline', 'PUT')),
+      outbox.send(new Prime.Ajax.Request('/api/last', 'PUT'))
+    ]).then(function() {
+      online = true;
+      return outbox.replay();
+    }).then(function() {
+      assert.deepEqual(conflicts, ['/api/conflict 409']);
+      assert.deepEqual(failures, ['/api/failure 400']);
+
+      // Replaying stops at the network error
+      assert.deepEqual(outbox.items().map(function(item) {
+        return item.url;
+      }), ['/api/offline', '/api/last']);
+    });
+  });
+
+  it('remove and clear', function() {
+    online = false;
+    return Promise.all([
+      outbox.send(new Prime.Ajax.Request('/api/first', 'POST')),
+      outbox.send(new Prime.Ajax.Request('/api/second', 'POST')),
+      outbox.send(new Prime.Ajax.Request('/api/third', 'POST'))
+    ]).then(function() {
+      var items = outbox.items();
+      assert.isTrue(outbox.remove(items[1].id));
+      assert.isFalse(outbox.remove('unknown'));
+      assert.deepEqual(outbox.items().map(function(item) {
+        return item.url;
+      }), ['/api/first', '/api/third']);
+      assert.equal(JSON.parse(localStorage.getItem('prime-outbox-test')).length, 2);
+
+      outbox.clear();
+      assert.isTrue(outbox.isEmpty());
+      assert.deepEqual(JSON.parse(localStorage.getItem('prime-outbox-test')), []);
+    });
+  });
+});
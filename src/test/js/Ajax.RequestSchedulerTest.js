@@ -0,0 +1,269 @@
+/*
+ * Copyright (c) 2020, Inversoft Inc., All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+'use strict';
+
+describe('RequestScheduler tests', function() {
+  var sent;
+
+  /**
+   * Creates a request whose Mock.XHR is only answered when the test calls respond on it.
+   */
+  function request(url) {
+    var request = new Prime.Ajax.Request(url);
+    var xhr = new Mock.XHR();
+    xhr.send = function() {
+      sent.push(url);
+    };
+    xhr.respond = function(status) {
+      xhr.readyState = 4;
+      xhr.status = status;
+      xhr.onreadystatechange();
+    };
+    request.xhr = xhr;
+    return request;
+  }
+
+  /**
+   * Waits for the Promise callbacks to run.
+   */
+  function tick() {
+    return new Promise(function(resolve) {
+      setTimeout(resolve, 0);
+    });
+  }
+
+  beforeEach(function() {
+    sent = [];
+  });
+
+  it('limits the concurrent requests', function() {
+    var scheduler = new Prime.Ajax.RequestScheduler().withMaxConcurrent(2);
+    var requests = [request('/1'), request('/2'), request('/3')];
+    var promises = requests.map(function(r) {
+      return scheduler.schedule(r);
+    });
+
+    assert.deepEqual(sent, ['/1', '/2']);
+    assert.equal(scheduler.running(), 2);
+    assert.equal(scheduler.queued(), 1);
+
+    requests[0].xhr.respond(200);
+    return tick().then(function() {
+      assert.deepEqual(sent, ['/1', '/2', '/3']);
+      requests[1].xhr.respond(200);
+      requests[2].xhr.respond(500);
+      return Promise.all([promises[0], promises[1], promises[2].catch(function(error) {
+        return error.response.status;
+      })]);
+    }).then(function(results) {
+      assert.equal(results[0].status, 200);
+      assert.equal(results[2], 500);
+      assert.isTrue(scheduler.isIdle());
+    });
+  });
+
+  it('limits the concurrent requests per host', function() {
+    var scheduler = new Prime.Ajax.RequestScheduler().withMaxPerHost(1);
+    var a1 = request('https://a.example.com/1');
+    var a2 = request('https://a.example.com/2');
+    var b1 = request('//b.example.com/1');
+    var local = request('/local');
+    [a1, a2, b1, local].forEach(function(r) {
+      scheduler.schedule(r);
+    });
+
+    // The second request to a.example.com waits, but the requests to other hosts don't wait behind it
+    assert.deepEqual(sent, ['https://a.example.com/1', '//b.example.com/1', '/local']);
+    a1.xhr.respond(200);
+    return tick().then(function() {
+      assert.deepEqual(sent, ['https://a.example.com/1', '//b.example.com/1', '/local', 'https://a.example.com/2']);
+    });
+  });
+
+  it('priorities', function() {
+    var scheduler = new Prime.Ajax.RequestScheduler().withMaxConcurrent(1);
+    var first = request('/first');
+    var ignore = function() {
+    };
+    scheduler.schedule(first);
+    scheduler.schedule(request('/low'), Prime.Ajax.RequestScheduler.Priority.LOW).catch(ignore);
+    scheduler.schedule(request('/normal-1')).catch(ignore);
+    scheduler.schedule(request('/high'), Prime.Ajax.RequestScheduler.Priority.HIGH).catch(ignore);
+    scheduler.schedule(request('/normal-2')).catch(ignore);
+
+    first.xhr.respond(200);
+    return tick().then(function() {
+      assert.deepEqual(sent, ['/first', '/high']);
+      scheduler.abortAll();
+    });
+  });
+
+  it('progress and complete', function() {
+    var progress = [];
+    var batches = [];
+    var scheduler = new Prime.Ajax.RequestScheduler()
+        .withMaxConcurrent(1)
+        .withProgressHandler(function(p) {
+          progress.push([p.completed, p.failed, p.total, p.percent, p.running, p.queued]);
+        })
+        .withCompleteHandler(function(batch) {
+          batches.push(batch);
+        });
+    var requests = [request('/1'), request('/2')];
+    requests.forEach(function(r) {
+      scheduler.schedule(r).catch(function() {
+      });
+    });
+
+    requests[0].xhr.respond(200);
+    return tick().then(function() {
+      requests[1].xhr.respond(404);
+      return tick();
+    }).then(function() {
+      assert.deepEqual(progress, [[1, 0, 2, 50, 1, 0], [2, 1, 2, 100, 0, 0]]);
+      assert.deepEqual(batches, [{completed: 2, failed: 1, total: 2}]);
+
+      // A new batch starts from zero
+      var another = request('/3');
+      scheduler.schedule(another);
+      another.xhr.respond(200);
+      return tick();
+    }).then(function() {
+      assert.deepEqual(batches[1], {completed: 1, failed: 0, total: 1});
+    });
+  });
+
+  it('InProgress covers the batch', function() {
+    var opened = 0;
+    var closed = 0;
+    var inProgress = new Prime.Widgets.InProgress(document.body)
+        .withMinimumTime(0)
+        .withStartFunction(function() {
+          opened++;
+        })
+        .withEndFunction(function() {
+          closed++;
+        });
+    var scheduler = new Prime.Ajax.RequestScheduler().withInProgress(inProgress);
+    var requests = [request('/1'), request('/2')];
+    requests.forEach(function(r) {
+      scheduler.schedule(r);
+    });
+
+    requests[0].xhr.respond(200);
+    return tick().then(function() {
+      assert.equal(opened, 1);
+      assert.equal(closed, 0);
+      requests[1].xhr.respond(200);
+      return tick();
+    }).then(function() {
+      assert.equal(opened, 1);
+      assert.equal(closed, 1);
+    });
+  });
+
+  it('abortAll', function() {
+    var batches = [];
+    var scheduler = new Prime.Ajax.RequestScheduler()
+        .withMaxConcurrent(1)
+        .withCompleteHandler(function(batch) {
+          batches.push(batch);
+        });
+    var running = scheduler.schedule(request('/1'));
+    var queued = scheduler.schedule(request('/2'));
+    scheduler.abortAll();
+
+    return Promise.all([
+      running.catch(function(error) {
+        return error.aborted;
+      }),
+      queued.catch(function(error) {
+        return error.aborted;
+      })
+    ]).then(function(results) {
+      assert.deepEqual(results, [true, true]);
+      assert.deepEqual(sent, ['/1']);
+      assert.isTrue(scheduler.isIdle());
+      assert.deepEqual(batches, [{completed: 2, failed: 2, total: 2}]);
+    });
+  });
+
+  it('responses handled by an interceptor settle and release the slot', function() {
+    var interceptor = function(xhr) {
+      if (xhr.status === 401) {
+        return Prime.Ajax.Request.InterceptorResult.HANDLED;
+      }
+    };
+    Prime.Ajax.Request.addResponseInterceptor(interceptor);
+
+    var handled = [];
+    var scheduler = new Prime.Ajax.RequestScheduler().withMaxConcurrent(1);
+    var first = request('/1').withHandledHandler(function(xhr) {
+      handled.push(xhr.status);
+    });
+    var second = request('/2');
+    var firstPromise = scheduler.schedule(first);
+    var secondPromise = scheduler.schedule(second);
+
+    try {
+      first.xhr.respond(401);
+    } finally {
+      Prime.Ajax.Request.removeResponseInterceptor(interceptor);
+    }
+
+    return firstPromise.then(function() {
+      assert.fail('Should have been rejected');
+    }, function(error) {
+      assert.equal(error.type, Prime.Ajax.Request.ErrorType.HANDLED);
+      assert.deepEqual(handled, [401]);
+      return tick();
+    }).then(function() {
+      assert.deepEqual(sent, ['/1', '/2']);
+      second.xhr.respond(200);
+      return secondPromise;
+    }).then(function(response) {
+      assert.equal(response.status, 200);
+      assert.isTrue(scheduler.isIdle());
+    });
+  });
+
+  it('settles the Promise when a handler throws', function() {
+    var scheduler = new Prime.Ajax.RequestScheduler().withProgressHandler(function() {
+      throw new Error('progress');
+    });
+    var reported = [];
+    var onerror = window.onerror;
+    window.onerror = function(message) {
+      reported.push(message);
+      return true;
+    };
+
+    var r = request('/1');
+    var promise = scheduler.schedule(r);
+    r.xhr.respond(200);
+    return promise.then(function(response) {
+      assert.equal(response.status, 200);
+      return tick().then(tick);
+    }).then(function() {
+      window.onerror = onerror;
+      assert.equal(reported.length, 1);
+      assert.isTrue(scheduler.isIdle());
+    }, function(error) {
+      window.onerror = onerror;
+      throw error;
+    });
+  });
+});
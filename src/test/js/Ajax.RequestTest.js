@@ -307,4 +307,777 @@ describe('AJAX tests', function() {
       done();
     }, 200);
   });
-});
\ No newline at end of file
+});
+describe('AJAX Promise tests', function() {
+  it('send resolves', function() {
+    var called = false;
+    return new Prime.Ajax.Request('/ajax/ajax-response.json')
+        .withSuccessHandler(function() {
+          called = true;
+        })
+        .send()
+        .then(function(response) {
+          assert.isTrue(called);
+          assert.instanceOf(response, Prime.Ajax.Response);
+          assert.equal(response.status, 200);
+          assert.equal(response.getHeader('content-type'), 'application/json');
+          assert.isTrue(response.isJSON());
+          assert.isTrue(response.json.success);
+          assert.include(response.text, '"success"');
+        });
+  });
+
+  it('send rejects', function() {
+    var called = false;
+    return new Prime.Ajax.Request('/ajax/invalid.html')
+        .withErrorHandler(function() {
+          called = true;
+        })
+        .send()
+        .then(function() {
+          assert.fail('Should have been rejected');
+        }, function(error) {
+          assert.isTrue(called);
+          assert.instanceOf(error, Error);
+          assert.equal(error.response.status, 404);
+          assert.isFalse(error.response.isSuccess());
+          assert.isNull(error.response.json);
+        });
+  });
+
+  it('send chained', function() {
+    return new Prime.Ajax.Request('/ajax/ajax-response.json')
+        .send()
+        .then(function(response) {
+          assert.isTrue(response.json.success);
+          return new Prime.Ajax.Request('/ajax/ajax-response.html').send();
+        })
+        .then(function(response) {
+          assert.equal(response.status, 200);
+          assert.isFalse(response.isJSON());
+          assert.isNull(response.json);
+        });
+  });
+
+  it('send without URL', function() {
+    return new Prime.Ajax.Request()
+        .send()
+        .then(function() {
+          assert.fail('Should have been rejected');
+        }, function(error) {
+          assert.instanceOf(error, TypeError);
+        });
+  });
+});
+
+describe('AJAX abort and timeout tests', function() {
+  it('abort', function() {
+    var abortCalled = false;
+    var errorCalled = false;
+    var successCalled = false;
+    var request = new Prime.Ajax.Request('/ajax/ajax-response.html')
+        .withAbortHandler(function() {
+          abortCalled = true;
+        })
+        .withErrorHandler(function() {
+          errorCalled = true;
+        })
+        .withSuccessHandler(function() {
+          successCalled = true;
+        });
+
+    var promise = request.send();
+    assert.isTrue(request.inFlight);
+    request.abort();
+
+    return promise.then(function() {
+      assert.fail('Should have been rejected');
+    }, function(error) {
+      assert.isTrue(error.aborted);
+      assert.isFalse(error.timedOut);
+      assert.isTrue(abortCalled);
+      assert.isFalse(errorCalled);
+      assert.isFalse(successCalled);
+      assert.isFalse(request.inFlight);
+    });
+  });
+
+  it('abort after complete', function() {
+    var abortCalled = false;
+    var request = new Prime.Ajax.Request('/ajax/ajax-response.html')
+        .withAbortHandler(function() {
+          abortCalled = true;
+        });
+
+    return request.send().then(function() {
+      request.abort();
+      assert.isFalse(request.aborted);
+      assert.isFalse(abortCalled);
+    });
+  });
+
+  it('timeout', function() {
+    var errorCalled = false;
+    var timeoutCalled = false;
+    var request = new Prime.Ajax.Request('/ajax/ajax-response.html')
+        .withErrorHandler(function() {
+          errorCalled = true;
+        })
+        .withTimeout(10)
+        .withTimeoutHandler(function() {
+          timeoutCalled = true;
+        });
+
+    // The mock never responds, so the timeout always fires
+    request.xhr = new Mock.XHR();
+    return request.send().then(function() {
+      assert.fail('Should have been rejected');
+    }, function(error) {
+      assert.isTrue(error.timedOut);
+      assert.isFalse(error.aborted);
+      assert.isTrue(request.xhr.aborted);
+      assert.isTrue(timeoutCalled);
+      assert.isFalse(errorCalled);
+    });
+  });
+
+  it('timeout not reached', function() {
+    var timeoutCalled = false;
+    return new Prime.Ajax.Request('/ajax/ajax-response.html')
+        .withTimeout(5000)
+        .withTimeoutHandler(function() {
+          timeoutCalled = true;
+        })
+        .send()
+        .then(function(response) {
+          assert.equal(response.status, 200);
+          assert.isFalse(timeoutCalled);
+        });
+  });
+});
+
+describe('AJAX retry tests', function() {
+  /**
+   * Creates a Mock.XHR that responds to each attempt with the next status from the given list.
+   */
+  function respondingXHR(statuses, responseHeaders) {
+    var xhr = new Mock.XHR();
+    xhr.attempts = 0;
+    xhr.send = function(body) {
+      this.body = body;
+      var status = statuses[this.attempts++];
+      setTimeout(function() {
+        xhr.readyState = 4;
+        xhr.status = status;
+        xhr.onreadystatechange();
+      }, 0);
+    };
+    xhr.getResponseHeader = function(name) {
+      return (responseHeaders || {})[name] || null;
+    };
+    return xhr;
+  }
+
+  it('retries until success', function() {
+    var retries = [];
+    var request = new Prime.Ajax.Request('/ajax/ajax-response.html')
+        .withRetryPolicy({baseDelay: 1})
+        .withRetryHandler(function(xhr, attempt, delay) {
+          retries.push([xhr.status, attempt]);
+          assert.isAtMost(delay, 1 * Math.pow(2, attempt - 1));
+        });
+    request.xhr = respondingXHR([503, 0, 200]);
+
+    return request.send().then(function(response) {
+      assert.equal(response.status, 200);
+      assert.equal(request.attempt, 3);
+      assert.equal(request.xhr.attempts, 3);
+      assert.deepEqual(retries, [[503, 1], [0, 2]]);
+    });
+  });
+
+  it('gives up after max attempts', function() {
+    var errorCalled = 0;
+    var request = new Prime.Ajax.Request('/ajax/ajax-response.html')
+        .withErrorHandler(function(xhr) {
+          errorCalled++;
+          assert.equal(xhr.status, 502);
+        })
+        .withRetryPolicy({baseDelay: 1, maxAttempts: 2});
+    request.xhr = respondingXHR([502, 502, 200]);
+
+    return request.send().then(function() {
+      assert.fail('Should have been rejected');
+    }, function(error) {
+      assert.equal(error.response.status, 502);
+      assert.equal(errorCalled, 1);
+      assert.equal(request.xhr.attempts, 2);
+    });
+  });
+
+  it('does not retry non-retryable status or method', function() {
+    var request = new Prime.Ajax.Request('/ajax/ajax-response.html')
+        .withRetryPolicy({baseDelay: 1});
+    request.xhr = respondingXHR([404, 200]);
+
+    var post = new Prime.Ajax.Request('/ajax/ajax-response.html', 'POST')
+        .withRetryPolicy({baseDelay: 1});
+    post.xhr = respondingXHR([503, 200]);
+
+    return Promise.all([
+      request.send().then(function() {
+        assert.fail('Should have been rejected');
+      }, function(error) {
+        assert.equal(error.response.status, 404);
+        assert.equal(request.xhr.attempts, 1);
+      }),
+      post.send().then(function() {
+        assert.fail('Should have been rejected');
+      }, function(error) {
+        assert.equal(error.response.status, 503);
+        assert.equal(post.xhr.attempts, 1);
+      })
+    ]);
+  });
+
+  it('honors Retry-After', function() {
+    var delays = [];
+    var request = new Prime.Ajax.Request('/ajax/ajax-response.html')
+        .withRetryPolicy({baseDelay: 10000})
+        .withRetryHandler(function(xhr, attempt, delay) {
+          delays.push(delay);
+        });
+    request.xhr = respondingXHR([429, 200], {'Retry-After': '0'});
+
+    return request.send().then(function(response) {
+      assert.equal(response.status, 200);
+      assert.deepEqual(delays, [0]);
+    });
+  });
+
+  it('does not retry when Retry-After exceeds the max delay', function() {
+    var request = new Prime.Ajax.Request('/ajax/ajax-response.html')
+        .withRetryPolicy({maxDelay: 1000});
+    request.xhr = respondingXHR([503, 200], {'Retry-After': '120'});
+
+    return request.send().then(function() {
+      assert.fail('Should have been rejected');
+    }, function(error) {
+      assert.equal(error.response.status, 503);
+      assert.equal(request.xhr.attempts, 1);
+    });
+  });
+
+  it('abort while waiting to retry', function() {
+    var abortCalled = false;
+    var request = new Prime.Ajax.Request('/ajax/ajax-response.html')
+        .withAbortHandler(function() {
+          abortCalled = true;
+        })
+        .withRetryPolicy({baseDelay: 10000})
+        .withRetryHandler(function() {
+          request.abort();
+        });
+    request.xhr = respondingXHR([503, 200]);
+
+    return request.send().then(function() {
+      assert.fail('Should have been rejected');
+    }, function(error) {
+      assert.isTrue(error.aborted);
+      assert.isTrue(abortCalled);
+      assert.equal(request.xhr.attempts, 1);
+    });
+  });
+});
+
+describe('AJAX interceptor tests', function() {
+  afterEach(function() {
+    Prime.Ajax.Request.clearInterceptors();
+  });
+
+  it('request interceptor', function() {
+    Prime.Ajax.Request.addRequestInterceptor(function(request) {
+      request.withHeader('X-CSRF-Token', 'token')
+          .forURL(request.url + '?intercepted=true');
+    });
+
+    var req = new Prime.Ajax.Request('/ajax/invalid.html');
+    req.xhr = new Mock.XHR();
+    req.go();
+
+    assert.equal(req.xhr.getRequestHeader('X-CSRF-Token'), 'token');
+    assert.equal(req.xhr.url, '/ajax/invalid.html?intercepted=true');
+  });
+
+  it('remove request interceptor', function() {
+    var interceptor = function(request) {
+      request.withHeader('X-CSRF-Token', 'token');
+    };
+    Prime.Ajax.Request.addRequestInterceptor(interceptor);
+    Prime.Ajax.Request.removeRequestInterceptor(interceptor);
+
+    var req = new Prime.Ajax.Request('/ajax/invalid.html');
+    req.xhr = new Mock.XHR();
+    req.go();
+
+    assert.isUndefined(req.xhr.getRequestHeader('X-CSRF-Token'));
+  });
+
+  it('response interceptor forces success', function() {
+    var intercepted = null;
+    var successCalled = false;
+    Prime.Ajax.Request.addResponseInterceptor(function(xhr, request) {
+      intercepted = request;
+      if (xhr.status === 404) {
+        return Prime.Ajax.Request.InterceptorResult.SUCCESS;
+      }
+    });
+
+    var req = new Prime.Ajax.Request('/ajax/invalid.html')
+        .withSuccessHandler(function() {
+          successCalled = true;
+        });
+    return req.send().then(function(response) {
+      assert.equal(response.status, 404);
+      assert.isTrue(successCalled);
+      assert.equal(intercepted, req);
+    });
+  });
+
+  it('response interceptor forces error', function() {
+    var errorCalled = false;
+    Prime.Ajax.Request.addResponseInterceptor(function() {
+      return Prime.Ajax.Request.InterceptorResult.ERROR;
+    });
+
+    return new Prime.Ajax.Request('/ajax/ajax-response.html')
+        .withErrorHandler(function() {
+          errorCalled = true;
+        })
+        .send()
+        .then(function() {
+          assert.fail('Should have been rejected');
+        }, function(error) {
+          assert.equal(error.response.status, 200);
+          assert.isTrue(errorCalled);
+        });
+  });
+
+  it('response interceptor handles the Promise', function() {
+    var handled = null;
+    Prime.Ajax.Request.addResponseInterceptor(function() {
+      return Prime.Ajax.Request.InterceptorResult.HANDLED;
+    });
+
+    return new Prime.Ajax.Request('/ajax/invalid.html')
+        .withHandledHandler(function(xhr) {
+          handled = xhr.status;
+        })
+        .send()
+        .then(function() {
+          assert.fail('Should have been rejected');
+        }, function(error) {
+          assert.equal(error.type, Prime.Ajax.Request.ErrorType.HANDLED);
+          assert.equal(error.status, 404);
+          assert.equal(handled, 404);
+        });
+  });
+
+  it('response interceptor handles', function(done) {
+    var called = false;
+    var secondCalled = false;
+    Prime.Ajax.Request.addResponseInterceptor(function() {
+      return Prime.Ajax.Request.InterceptorResult.HANDLED;
+    });
+    Prime.Ajax.Request.addResponseInterceptor(function() {
+      secondCalled = true;
+    });
+
+    new Prime.Ajax.Request('/ajax/invalid.html')
+        .withErrorHandler(function() {
+          called = true;
+        })
+        .withSuccessHandler(function() {
+          called = true;
+        })
+        .go();
+
+    setTimeout(function() {
+      assert.isFalse(called);
+      assert.isFalse(secondCalled);
+      done();
+    }, 200);
+  });
+});
+
+describe('AJAX fetch transport tests', function() {
+  it('success', function() {
+    var loading = false;
+    var transport = null;
+    var request = new Prime.Ajax.Request('/ajax/ajax-response.json')
+        .usingTransport(new Prime.Ajax.FetchTransport({credentials: 'same-origin'}))
+        .withHeader('X-Test', 'true')
+        .withLoadingHandler(function(xhr) {
+          loading = true;
+        })
+        .withSuccessHandler(function(xhr) {
+          transport = xhr;
+        });
+
+    return request.send().then(function(response) {
+      assert.instanceOf(transport, Prime.Ajax.FetchTransport);
+      assert.equal(transport.readyState, 4);
+      assert.equal(transport.status, 200);
+      assert.isTrue(JSON.parse(transport.responseText).success);
+      assert.equal(transport.getResponseHeader('Content-Type'), 'application/json');
+      assert.isTrue(loading);
+      assert.equal(response.status, 200);
+      assert.isTrue(response.json.success);
+    });
+  });
+
+  it('error', function() {
+    var called = false;
+    return new Prime.Ajax.Request('/ajax/invalid.html')
+        .usingTransport(new Prime.Ajax.FetchTransport())
+        .withErrorHandler(function(xhr) {
+          called = xhr.status === 404;
+        })
+        .send()
+        .then(function() {
+          assert.fail('Should have been rejected');
+        }, function(error) {
+          assert.isTrue(called);
+          assert.equal(error.response.status, 404);
+        });
+  });
+
+  it('response type', function() {
+    var request = new Prime.Ajax.Request('/ajax/ajax-response.json')
+        .withResponseType('json')
+        .usingTransport(new Prime.Ajax.FetchTransport());
+
+    return request.send().then(function(response) {
+      assert.isTrue(request.xhr.response.success);
+      assert.isTrue(response.json.success);
+    });
+  });
+
+  it('abort', function() {
+    var abortCalled = false;
+    var request = new Prime.Ajax.Request('/ajax/ajax-response.html')
+        .usingTransport(new Prime.Ajax.FetchTransport())
+        .withAbortHandler(function() {
+          abortCalled = true;
+        });
+
+    var promise = request.send();
+    request.abort();
+    return promise.then(function() {
+      assert.fail('Should have been rejected');
+    }, function(error) {
+      assert.isTrue(error.aborted);
+      assert.isTrue(abortCalled);
+      assert.equal(request.xhr.status, 0);
+    });
+  });
+
+  it('synchronous is not supported', function() {
+    assert.throws(function() {
+      new Prime.Ajax.Request('/ajax/ajax-response.html')
+          .usingTransport(new Prime.Ajax.FetchTransport())
+          .synchronously()
+          .go();
+    }, TypeError);
+  });
+});
+
+describe('AJAX multipart and progress tests', function() {
+  it('withFiles', function() {
+    var blob = new Blob(['file contents'], {type: 'text/plain'});
+    var request = new Prime.Ajax.Request('/ajax/ajax-response.html', 'POST')
+        .withData({foo: 'bar baz'})
+        .withFiles('upload', [blob]);
+
+    assert.instanceOf(request.body, FormData);
+    assert.isNull(request.contentType);
+    assert.equal(request.body.get('foo'), 'bar baz');
+    assert.equal(request.body.getAll('upload').length, 1);
+
+    // Data added afterwards goes into the FormData
+    request.withData({other: ['1', '2']});
+    assert.isNull(request.contentType);
+    assert.deepEqual(request.body.getAll('other'), ['1', '2']);
+  });
+
+  it('withFormData', function() {
+    var formData = new FormData();
+    formData.append('foo', 'bar');
+    var request = new Prime.Ajax.Request('/ajax/ajax-response.html', 'POST')
+        .withContentType('application/json')
+        .withFormData(formData);
+
+    assert.strictEqual(request.body, formData);
+    assert.isNull(request.contentType);
+  });
+
+  it('withDataFromForm without files', function() {
+    var form = Prime.Document.newElement('<form/>').appendTo(document.body);
+    Prime.Document.newElement('<input/>', {type: 'text', name: 'foo', value: 'bar'}).appendTo(form);
+    Prime.Document.newElement('<input/>', {type: 'file', name: 'upload'}).appendTo(form);
+
+    try {
+      var request = new Prime.Ajax.Request('/ajax/ajax-response.html', 'POST').withDataFromForm(form);
+      assert.equal(request.body, 'foo=bar');
+      assert.equal(request.contentType, 'application/x-www-form-urlencoded');
+    } finally {
+      form.removeFromDOM();
+    }
+  });
+
+  it('withDataFromForm with files', function() {
+    if (typeof DataTransfer === 'undefined') {
+      this.skip();
+    }
+
+    var form = Prime.Document.newElement('<form/>').appendTo(document.body);
+    Prime.Document.newElement('<input/>', {type: 'text', name: 'foo', value: 'bar'}).appendTo(form);
+    var input = Prime.Document.newElement('<input/>', {type: 'file', name: 'upload'}).appendTo(form);
+    var transfer = new DataTransfer();
+    transfer.items.add(new File(['file contents'], 'test.txt', {type: 'text/plain'}));
+    input.domElement.files = transfer.files;
+
+    try {
+      var request = new Prime.Ajax.Request('/ajax/ajax-response.html', 'POST').withDataFromForm(form);
+      assert.instanceOf(request.body, FormData);
+      assert.isNull(request.contentType);
+      assert.equal(request.body.get('foo'), 'bar');
+      assert.equal(request.body.get('upload').name, 'test.txt');
+
+      // Files are never sent in the query string
+      request = new Prime.Ajax.Request('/ajax/ajax-response.html').withDataFromForm(form);
+      assert.equal(request.queryParams, 'foo=bar');
+    } finally {
+      form.removeFromDOM();
+    }
+  });
+
+  it('download progress', function() {
+    var progress = [];
+    return new Prime.Ajax.Request('/ajax/ajax-response.html')
+        .withDownloadProgressHandler(function(p) {
+          progress.push(p);
+        })
+        .send()
+        .then(function() {
+          assert.isAbove(progress.length, 0);
+          var last = progress[progress.length - 1];
+          assert.isAbove(last.loaded, 0);
+          if (last.total !== null) {
+            assert.equal(last.percent, 100);
+          }
+        });
+  });
+
+  it('download progress with fetch', function() {
+    var progress = [];
+    return new Prime.Ajax.Request('/ajax/ajax-response.html')
+        .usingTransport(new Prime.Ajax.FetchTransport())
+        .withDownloadProgressHandler(function(p) {
+          progress.push(p);
+        })
+        .send()
+        .then(function(response) {
+          assert.isAbove(progress.length, 0);
+          assert.equal(progress[progress.length - 1].loaded, response.text.length);
+        });
+  });
+
+  it('InProgress setProgress', function() {
+    var inProgress = new Prime.Widgets.InProgress(document.body).withMinimumTime(0);
+    inProgress.setProgress(50);
+    assert.isNull(inProgress.progressBar);
+
+    inProgress.open();
+    try {
+      inProgress.setProgress(25);
+      var bar = Prime.Document.queryFirst('#prime-in-progress-overlay .prime-in-progress-bar > div');
+      assert.isNotNull(bar);
+      assert.equal(bar.domElement.style.width, '25%');
+
+      inProgress.setProgress(150);
+      assert.equal(bar.domElement.style.width, '100%');
+    } finally {
+      inProgress.close();
+    }
+  });
+});
+
+describe('AJAX response decoding and error tests', function() {
+  /**
+   * Answers the request using a Mock.XHR with the given status, Content-Type and body.
+   */
+  function respond(request, status, contentType, body, response) {
+    var xhr = new Mock.XHR();
+    xhr.getAllResponseHeaders = function() {
+      return contentType ? 'Content-Type: ' + contentType + '\r\n' : '';
+    };
+    xhr.send = function() {
+      setTimeout(function() {
+        xhr.readyState = 4;
+        xhr.status = status;
+        xhr.responseText = body;
+        xhr.response = typeof response !== 'undefined' ? response : body;
+        xhr.onreadystatechange();
+      }, 0);
+    };
+    request.xhr = xhr;
+    return request;
+  }
+
+  it('JSON is passed to the success handler', function() {
+    var data = null;
+    return new Prime.Ajax.Request('/ajax/ajax-response.json')
+        .withSuccessHandler(function(xhr, response) {
+          data = response.data;
+        })
+        .send()
+        .then(function(response) {
+          assert.isTrue(data.success);
+          assert.equal(response.data, response.json);
+        });
+  });
+
+  it('text', function() {
+    return new Prime.Ajax.Request('/ajax/ajax-response.html')
+        .send()
+        .then(function(response) {
+          assert.isString(response.data);
+          assert.equal(response.data, response.text);
+        });
+  });
+
+  it('XML', function() {
+    return respond(new Prime.Ajax.Request('/api/user'), 200, 'application/xml', '<user><name>Jane</name></user>')
+        .send()
+        .then(function(response) {
+          assert.isTrue(response.isXML());
+          assert.equal(response.data.documentElement.nodeName, 'user');
+          assert.equal(response.data.getElementsByTagName('name')[0].textContent, 'Jane');
+        });
+  });
+
+  it('Blob and ArrayBuffer', function() {
+    var blob = new Blob(['hello']);
+    var buffer = new ArrayBuffer(8);
+    return respond(new Prime.Ajax.Request('/api/file'), 200, 'application/octet-stream', '', blob)
+        .withResponseType('blob')
+        .send()
+        .then(function(response) {
+          assert.equal(response.data, blob);
+          assert.isNull(response.text);
+          return respond(new Prime.Ajax.Request('/api/file'), 200, 'application/octet-stream', '', buffer)
+              .withResponseType('arraybuffer')
+              .send();
+        })
+        .then(function(response) {
+          assert.equal(response.data, buffer);
+        });
+  });
+
+  it('client error with validation errors', function() {
+    var handlerError = null;
+    return respond(new Prime.Ajax.Request('/api/user', 'POST'), 400, 'application/json', '{"fieldErrors":{"name":["required"]}}')
+        .withErrorHandler(function(xhr, error) {
+          handlerError = error;
+        })
+        .send()
+        .then(function() {
+          assert.fail('Should have been rejected');
+        }, function(error) {
+          assert.equal(error, handlerError);
+          assert.equal(error.type, Prime.Ajax.Request.ErrorType.CLIENT);
+          assert.equal(error.status, 400);
+          assert.deepEqual(error.body, {fieldErrors: {name: ['required']}});
+          assert.isNull(error.cause);
+          assert.equal(error.response.status, 400);
+        });
+  });
+
+  it('server and network errors', function() {
+    return respond(new Prime.Ajax.Request('/api/user'), 503, 'text/plain', 'Down for maintenance')
+        .send()
+        .then(function() {
+          assert.fail('Should have been rejected');
+        }, function(error) {
+          assert.equal(error.type, Prime.Ajax.Request.ErrorType.SERVER);
+          assert.equal(error.body, 'Down for maintenance');
+          return respond(new Prime.Ajax.Request('/api/user'), 0, null, '').send();
+        })
+        .then(function() {
+          assert.fail('Should have been rejected');
+        }, function(error) {
+          assert.equal(error.type, Prime.Ajax.Request.ErrorType.NETWORK);
+          assert.equal(error.status, 0);
+        });
+  });
+
+  it('parse error', function() {
+    var successCalled = false;
+    var handlerError = null;
+    var request = respond(new Prime.Ajax.Request('/api/user'), 200, 'application/json', '{"name":')
+        .withSuccessHandler(function() {
+          successCalled = true;
+        })
+        .withErrorHandler(function(xhr, error) {
+          handlerError = error;
+        });
+
+    return request.send()
+        .then(function() {
+          assert.fail('Should have been rejected');
+        }, function(error) {
+          assert.isFalse(successCalled);
+          assert.equal(error, handlerError);
+          assert.equal(error, request.error);
+          assert.equal(error.type, Prime.Ajax.Request.ErrorType.PARSE);
+          assert.instanceOf(error.cause, SyntaxError);
+          assert.equal(error.status, 200);
+          assert.isNull(error.body);
+        });
+  });
+
+  it('timeout and abort', function() {
+    var timeoutError = null;
+    var xhr = new Mock.XHR();
+    var request = new Prime.Ajax.Request('/api/user')
+        .usingTransport(xhr)
+        .withTimeout(10)
+        .withTimeoutHandler(function(xhr, error) {
+          timeoutError = error;
+        });
+
+    return request.send()
+        .then(function() {
+          assert.fail('Should have been rejected');
+        }, function(error) {
+          assert.equal(error, timeoutError);
+          assert.equal(error.type, Prime.Ajax.Request.ErrorType.TIMEOUT);
+
+          var abortError = null;
+          var aborted = new Prime.Ajax.Request('/api/user')
+              .usingTransport(new Mock.XHR())
+              .withAbortHandler(function(xhr, error) {
+                abortError = error;
+              });
+          var promise = aborted.send();
+          aborted.abort();
+          return promise.then(function() {
+            assert.fail('Should have been rejected');
+          }, function(error) {
+            assert.equal(error, abortError);
+            assert.equal(error.type, Prime.Ajax.Request.ErrorType.ABORT);
+          });
+        });
+  });
+});
@@ -0,0 +1,389 @@
+/*
+ * Copyright (c) 2020, Inversoft Inc., All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+'use strict';
+
+describe('ResponseCache tests', function() {
+  /**
+   * Creates a fake server. Each request gets a Mock.XHR that is answered asynchronously by the responder, which is passed
+   * the Mock.XHR and returns the status, body and response headers.
+   */
+  function fakeServer(responder) {
+    var server = {requests: []};
+    server.request = function(url, method) {
+      var request = new Prime.Ajax.Request(url, method);
+      var xhr = new Mock.XHR();
+      var responseHeaders = {};
+      xhr.send = function(body) {
+        this.body = body;
+        server.requests.push(xhr);
+        var response = responder(xhr);
+        setTimeout(function() {
+          if (xhr.aborted) {
+            return;
+          }
+
+          responseHeaders = response.headers || {};
+          xhr.readyState = 4;
+          xhr.status = response.status;
+          xhr.statusText = '';
+          xhr.responseText = response.body || '';
+          xhr.onreadystatechange();
+        }, 0);
+      };
+      xhr.getAllResponseHeaders = function() {
+        var result = '';
+        for (var name in responseHeaders) {
+          result += name + ': ' + responseHeaders[name] + '\r\n';
+        }
+        return result;
+      };
+      request.xhr = xhr;
+      return request;
+    };
+    return server;
+  }
+
+  var cache;
+  beforeEach(function() {
+    cache = new Prime.Ajax.ResponseCache();
+  });
+
+  it('caches fresh responses', function() {
+    var server = fakeServer(function() {
+      return {status: 200, body: 'Hello'};
+    });
+
+    var successCalled = false;
+    return server.request('/ajax/cached').withCache(cache).send()
+        .then(function() {
+          return server.request('/ajax/cached')
+              .withCache(cache)
+              .withSuccessHandler(function(xhr) {
+                successCalled = xhr.responseText === 'Hello';
+              })
+              .send();
+        })
+        .then(function(response) {
+          assert.equal(server.requests.length, 1);
+          assert.equal(response.status, 200);
+          assert.equal(response.text, 'Hello');
+          assert.isTrue(successCalled);
+          assert.equal(cache.size(), 1);
+        });
+  });
+
+  it('caches JSON', function() {
+    var server = fakeServer(function() {
+      return {status: 200, body: '{"count": 1}', headers: {'Content-Type': 'application/json'}};
+    });
+
+    return server.request('/ajax/cached.json').withCache(cache).send()
+        .then(function(first) {
+          first.json.count = 2;
+          return server.request('/ajax/cached.json').withCache(cache).send();
+        })
+        .then(function(response) {
+          assert.equal(server.requests.length, 1);
+          assert.equal(response.getHeader('Content-Type'), 'application/json');
+          // Every response gets its own copy
+          assert.equal(response.json.count, 1);
+        });
+  });
+
+  it('does not cache errors, other methods or no-store', function() {
+    var server = fakeServer(function(xhr) {
+      if (xhr.url === '/ajax/error') {
+        return {status: 500};
+      }
+
+      return {status: 200, body: 'OK', headers: {'Cache-Control': 'private, no-store'}};
+    });
+
+    return Promise.all([
+      server.request('/ajax/error').withCache(cache).send().catch(function() {
+      }),
+      server.request('/ajax/post', 'POST').withCache(cache).send(),
+      server.request('/ajax/no-store').withCache(cache).send()
+    ]).then(function() {
+      assert.equal(cache.size(), 0);
+    });
+  });
+
+  it('invalidates the URL after other methods', function() {
+    var server = fakeServer(function() {
+      return {status: 200, body: 'OK'};
+    });
+
+    return server.request('/ajax/resource').withCache(cache).send()
+        .then(function() {
+          assert.equal(cache.size(), 1);
+          return server.request('/ajax/resource', 'PUT').withCache(cache).send();
+        })
+        .then(function() {
+          assert.equal(cache.size(), 0);
+        });
+  });
+
+  it('request headers are part of the key', function() {
+    var server = fakeServer(function() {
+      return {status: 200, body: 'OK'};
+    });
+
+    return server.request('/ajax/resource').withCache(cache).withHeader('Accept', 'application/json').send()
+        .then(function() {
+          return server.request('/ajax/resource').withCache(cache).withHeader('Accept', 'application/json').send();
+        })
+        .then(function() {
+          assert.equal(server.requests.length, 1);
+          return server.request('/ajax/resource').withCache(cache).withHeader('Accept', 'text/html').send();
+        })
+        .then(function() {
+          assert.equal(server.requests.length, 2);
+          assert.equal(cache.size(), 2);
+
+          cache.remove('/ajax/resource');
+          assert.equal(cache.size(), 0);
+        });
+  });
+
+  it('does not cache authorized requests unless allowed', function() {
+    var server = fakeServer(function() {
+      return {status: 200, body: 'Private'};
+    });
+
+    return server.request('/ajax/private').withCache(cache).withHeader('Authorization', 'Bearer jane').send()
+        .then(function() {
+          assert.equal(cache.size(), 0);
+          return server.request('/ajax/private').withCache(cache).withHeader('Authorization', 'Bearer joe').send();
+        })
+        .then(function() {
+          assert.equal(server.requests.length, 2);
+
+          cache.withAuthorizedRequests();
+          return server.request('/ajax/private').withCache(cache).withHeader('Authorization', 'Bearer jane').send();
+        })
+        .then(function() {
+          return server.request('/ajax/private').withCache(cache).withHeader('Authorization', 'Bearer jane').send();
+        })
+        .then(function() {
+          assert.equal(server.requests.length, 3);
+          assert.equal(cache.size(), 1);
+        });
+  });
+
+  it('coalesces identical in-flight requests', function() {
+    var server = fakeServer(function() {
+      return {status: 200, body: 'Shared'};
+    });
+
+    return Promise.all([
+      server.request('/ajax/shared').withCache(cache).send(),
+      server.request('/ajax/shared').withCache(cache).send(),
+      server.request('/ajax/shared').withCache(cache).withResponseType('text').send(),
+      server.request('/ajax/other').withCache(cache).send()
+    ]).then(function(responses) {
+      // The response type is part of the key
+      assert.equal(server.requests.length, 3);
+      assert.equal(responses[0].text, 'Shared');
+      assert.equal(responses[1].text, 'Shared');
+      assert.equal(responses[2].text, 'Shared');
+      assert.deepEqual(cache.inFlight, {});
+    });
+  });
+
+  it('coalesced errors are shared', function() {
+    var server = fakeServer(function() {
+      return {status: 503};
+    });
+
+    var errors = 0;
+    var handler = function(xhr) {
+      errors += xhr.status === 503 ? 1 : 0;
+    };
+    return Promise.all([
+      server.request('/ajax/down').withCache(cache).withErrorHandler(handler).send().catch(function(error) {
+        return error;
+      }),
+      server.request('/ajax/down').withCache(cache).withErrorHandler(handler).send().catch(function(error) {
+        return error;
+      })
+    ]).then(function(errorObjects) {
+      assert.equal(server.requests.length, 1);
+      assert.equal(errors, 2);
+      assert.equal(errorObjects[1].response.status, 503);
+    });
+  });
+
+  it('aborting a waiting request does not abort the shared request', function() {
+    var server = fakeServer(function() {
+      return {status: 200, body: 'OK'};
+    });
+
+    var first = server.request('/ajax/shared').withCache(cache);
+    var second = server.request('/ajax/shared').withCache(cache);
+    var firstPromise = first.send();
+    var secondPromise = second.send().then(function() {
+      assert.fail('Should have been rejected');
+    }, function(error) {
+      return error.aborted;
+    });
+    second.abort();
+
+    return Promise.all([firstPromise, secondPromise]).then(function(results) {
+      assert.equal(results[0].text, 'OK');
+      assert.isTrue(results[1]);
+      assert.equal(server.requests.length, 1);
+    });
+  });
+
+  it('aborting the shared request sends the waiting requests', function() {
+    var server = fakeServer(function() {
+      return {status: 200, body: 'OK'};
+    });
+
+    var first = server.request('/ajax/shared').withCache(cache);
+    var firstPromise = first.send().catch(function(error) {
+      return error.aborted;
+    });
+    var secondPromise = server.request('/ajax/shared').withCache(cache).send();
+    first.abort();
+
+    return Promise.all([firstPromise, secondPromise]).then(function(results) {
+      assert.isTrue(results[0]);
+      assert.equal(results[1].text, 'OK');
+      assert.equal(server.requests.length, 2);
+      assert.isTrue(server.requests[0].aborted);
+    });
+  });
+
+  it('revalidates with ETag and Last-Modified', function() {
+    var server = fakeServer(function(xhr) {
+      if (xhr.getRequestHeader('If-None-Match') === '"v1"') {
+        return {status: 304};
+      }
+
+      return {
+        status: 200,
+        body: 'Version 1',
+        headers: {'Cache-Control': 'no-cache', 'ETag': '"v1"', 'Last-Modified': 'Wed, 21 Oct 2015 07:28:00 GMT'}
+      };
+    });
+
+    return server.request('/ajax/versioned').withCache(cache).send()
+        .then(function() {
+          return server.request('/ajax/versioned').withCache(cache).send();
+        })
+        .then(function(response) {
+          assert.equal(server.requests.length, 2);
+          assert.equal(server.requests[1].getRequestHeader('If-Modified-Since'), 'Wed, 21 Oct 2015 07:28:00 GMT');
+          assert.equal(response.status, 200);
+          assert.equal(response.text, 'Version 1');
+          assert.equal(response.getHeader('ETag'), '"v1"');
+        });
+  });
+
+  it('expired entries without validators are removed', function() {
+    var server = fakeServer(function() {
+      return {status: 200, body: 'OK'};
+    });
+
+    cache.withTTL(0);
+    return server.request('/ajax/expired').withCache(cache).send()
+        .then(function() {
+          return server.request('/ajax/expired').withCache(cache).send();
+        })
+        .then(function() {
+          assert.equal(server.requests.length, 2);
+          assert.isUndefined(server.requests[1].getRequestHeader('If-None-Match'));
+        });
+  });
+
+  it('max-age', function() {
+    cache.put('key', {body: '', etag: null, headers: {'cache-control': 'max-age=0'}, lastModified: null});
+    assert.isNull(cache.get('key'));
+
+    cache.put('key', {body: '', etag: null, headers: {'cache-control': 'public, max-age=3600'}, lastModified: null});
+    var entry = cache.get('key');
+    assert.isTrue(cache.isFresh(entry));
+    assert.isAbove(entry.expires, Date.now() + 3500 * 1000);
+  });
+
+  it('evicts the least recently used entries', function() {
+    cache.withMaxEntries(2);
+    cache.put(cache.keyFor('/a'), {body: 'a', etag: null, headers: {}, lastModified: null});
+    cache.put(cache.keyFor('/b'), {body: 'b', etag: null, headers: {}, lastModified: null});
+    cache.get(cache.keyFor('/a'));
+    cache.put(cache.keyFor('/c'), {body: 'c', etag: null, headers: {}, lastModified: null});
+
+    assert.equal(cache.size(), 2);
+    assert.isNotNull(cache.get(cache.keyFor('/a')));
+    assert.isNull(cache.get(cache.keyFor('/b')));
+    assert.isNotNull(cache.get(cache.keyFor('/c')));
+
+    cache.remove('/a');
+    assert.equal(cache.size(), 1);
+    cache.clear();
+    assert.equal(cache.size(), 0);
+  });
+
+  it('evicts without Map iterators', function() {
+    // IE11 doesn't support Map.keys()
+    var keys = Map.prototype.keys;
+    Map.prototype.keys = undefined;
+
+    try {
+      cache.withMaxEntries(1);
+      cache.put(cache.keyFor('/a'), {body: 'a', etag: null, headers: {}, lastModified: null});
+      cache.put(cache.keyFor('/b'), {body: 'b', etag: null, headers: {}, lastModified: null});
+    } finally {
+      Map.prototype.keys = keys;
+    }
+
+    assert.equal(cache.size(), 1);
+    assert.isNull(cache.get(cache.keyFor('/a')));
+    assert.isNotNull(cache.get(cache.keyFor('/b')));
+  });
+
+  it('persists to storage', function() {
+    cache.withStorage('session', 'prime-response-cache-test');
+    cache.put(cache.keyFor('/persisted'), {body: 'stored', etag: null, headers: {}, lastModified: null});
+
+    try {
+      var restored = new Prime.Ajax.ResponseCache().withStorage('session', 'prime-response-cache-test');
+      assert.equal(restored.size(), 1);
+      assert.equal(restored.get(restored.keyFor('/persisted')).body, 'stored');
+    } finally {
+      sessionStorage.removeItem('prime-response-cache-test');
+    }
+
+    assert.throws(function() {
+      cache.withStorage('cookie', 'key');
+    }, TypeError);
+  });
+
+  it('real request', function() {
+    var first = new Prime.Ajax.Request('/ajax/ajax-response.html').withCache(cache);
+    return first.send()
+        .then(function() {
+          return new Prime.Ajax.Request('/ajax/ajax-response.html').withCache(cache).send();
+        })
+        .then(function(response) {
+          assert.equal(response.status, 200);
+          assert.equal(response.text, first.xhr.responseText);
+          assert.equal(cache.size(), 1);
+        });
+  });
+});
@@ -0,0 +1,188 @@
+/*
+ * Copyright (c) 2020, Inversoft Inc., All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+'use strict';
+
+describe('Socket tests', function() {
+  var sockets;
+
+  /**
+   * A stand-in for the browser WebSocket that the tests drive by hand.
+   */
+  function FakeWebSocket(url, protocols) {
+    this.closed = null;
+    this.protocols = protocols;
+    this.readyState = 0;
+    this.sent = [];
+    this.url = url;
+    sockets.push(this);
+  }
+
+  FakeWebSocket.prototype.close = function(code, reason) {
+    this.closed = code + ' ' + reason;
+    this.readyState = 3;
+  };
+
+  FakeWebSocket.prototype.drop = function() {
+    this.readyState = 3;
+    this.onclose({code: 1006, type: 'close'});
+  };
+
+  FakeWebSocket.prototype.emit = function(data) {
+    this.onmessage({data: data, type: 'message'});
+  };
+
+  FakeWebSocket.prototype.open = function() {
+    this.readyState = 1;
+    this.onopen({type: 'open'});
+  };
+
+  FakeWebSocket.prototype.send = function(data) {
+    this.sent.push(data);
+  };
+
+  function wait(millis) {
+    return new Promise(function(resolve) {
+      setTimeout(resolve, millis);
+    });
+  }
+
+  beforeEach(function() {
+    sockets = [];
+  });
+
+  it('sends and receives', function() {
+    var messages = [];
+    var socket = new Prime.Ajax.Socket('ws://localhost/chat', ['v1'])
+        .usingTransport(FakeWebSocket)
+        .withMessageHandler(function(data) {
+          messages.push(data);
+        })
+        .open();
+
+    assert.equal(sockets[0].url, 'ws://localhost/chat');
+    assert.deepEqual(sockets[0].protocols, ['v1']);
+
+    // Queued until the connection opens
+    socket.send('first').send('second');
+    assert.deepEqual(sockets[0].sent, []);
+    sockets[0].open();
+    assert.isTrue(socket.isOpen());
+    assert.deepEqual(sockets[0].sent, ['first', 'second']);
+
+    socket.send('third');
+    assert.deepEqual(sockets[0].sent, ['first', 'second', 'third']);
+
+    sockets[0].emit('hello');
+    assert.deepEqual(messages, ['hello']);
+
+    socket.close(4000, 'done');
+    assert.equal(sockets[0].closed, '4000 done');
+    assert.isFalse(socket.isOpen());
+  });
+
+  it('JSON', function() {
+    var messages = [];
+    var errors = [];
+    var socket = new Prime.Ajax.Socket('ws://localhost/chat')
+        .usingTransport(FakeWebSocket)
+        .usingJSON()
+        .withMessageHandler(function(data) {
+          messages.push(data);
+        })
+        .withErrorHandler(function(error) {
+          errors.push(error);
+        })
+        .open();
+
+    sockets[0].open();
+    socket.send({id: 1}).send('already encoded');
+    assert.deepEqual(sockets[0].sent, ['{"id":1}', 'already encoded']);
+
+    sockets[0].emit('{"id":2}');
+    sockets[0].emit('not json');
+    assert.deepEqual(messages, [{id: 2}]);
+    assert.equal(errors.length, 1);
+    assert.instanceOf(errors[0], SyntaxError);
+    socket.close();
+  });
+
+  it('custom events', function() {
+    var element = Prime.Document.newElement('<div/>');
+    var events = [];
+    element.addEventListener('Socket:open', function() {
+      events.push('open');
+    }).addEventListener('Socket:message', function(event) {
+      assert.equal(event.socket, socket);
+      events.push('message ' + event.data.id);
+    }).addEventListener('Socket:close', function(event) {
+      events.push('close ' + event.event.code);
+    });
+
+    var socket = new Prime.Ajax.Socket('ws://localhost/chat')
+        .usingTransport(FakeWebSocket)
+        .usingJSON()
+        .withElement(element)
+        .withReconnectPolicy(null)
+        .open();
+
+    sockets[0].open();
+    sockets[0].emit('{"id":1}');
+    sockets[0].drop();
+    assert.deepEqual(events, ['open', 'message 1', 'close 1006']);
+  });
+
+  it('reconnects with backoff', function() {
+    var closes = 0;
+    var reconnects = [];
+    var socket = new Prime.Ajax.Socket('ws://localhost/chat')
+        .usingTransport(FakeWebSocket)
+        .withReconnectPolicy({baseDelay: 10, maxDelay: 20})
+        .withCloseHandler(function() {
+          closes++;
+        })
+        .withReconnectHandler(function(attempt, delay) {
+          reconnects.push(attempt);
+          assert.isAtMost(delay, 20);
+        })
+        .open();
+
+    sockets[0].open();
+    sockets[0].drop();
+    socket.send('while reconnecting');
+    return wait(30).then(function() {
+      assert.equal(sockets.length, 2);
+      sockets[1].drop();
+      return wait(30);
+    }).then(function() {
+      assert.equal(sockets.length, 3);
+      assert.deepEqual(reconnects, [1, 2]);
+
+      // The messages sent while reconnecting are sent once open and the attempts are reset
+      sockets[2].open();
+      assert.deepEqual(sockets[2].sent, ['while reconnecting']);
+      assert.equal(socket.attempt, 0);
+      sockets[2].drop();
+      assert.deepEqual(reconnects, [1, 2, 1]);
+
+      // Closing stops reconnecting
+      socket.close();
+      return wait(30);
+    }).then(function() {
+      assert.equal(sockets.length, 3);
+      assert.equal(closes, 3);
+    });
+  });
+});
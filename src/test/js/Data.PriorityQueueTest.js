@@ -0,0 +1,70 @@
+/*
+ * Copyright (c) 2016, Inversoft Inc., All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+'use strict';
+
+describe('Data.PriorityQueue Tests', function() {
+  it('natural order', function() {
+    var queue = new Prime.Data.PriorityQueue();
+    assert.isTrue(queue.isEmpty());
+    assert.isNull(queue.peek());
+    assert.isNull(queue.poll());
+
+    queue.add(5).add(1).add(4).add(2).add(3).add(1);
+    assert.isFalse(queue.isEmpty());
+    assert.equal(queue.size(), 6);
+    assert.equal(queue.peek(), 1);
+    assert.equal(queue.size(), 6);
+
+    var polled = [];
+    while (!queue.isEmpty()) {
+      polled.push(queue.poll());
+    }
+
+    assert.deepEqual(polled, [1, 1, 2, 3, 4, 5]);
+    assert.equal(queue.size(), 0);
+  });
+
+  it('comparator', function() {
+    var queue = new Prime.Data.PriorityQueue(function(a, b) {
+      return b.priority - a.priority;
+    });
+    queue.add({name: 'low', priority: 1})
+        .add({name: 'high', priority: 10})
+        .add({name: 'first', priority: 5})
+        .add({name: 'second', priority: 5})
+        .add({name: 'third', priority: 5});
+
+    assert.equal(queue.peek().name, 'high');
+    var names = function(element) {
+      return element.name;
+    };
+    assert.deepEqual(queue.toArray().map(names), ['high', 'first', 'second', 'third', 'low']);
+    assert.deepEqual(Array.from(queue).map(names), ['high', 'first', 'second', 'third', 'low']);
+
+    var visited = [];
+    queue.forEach(function(element, index) {
+      visited.push(index + element.name);
+    });
+    assert.deepEqual(visited, ['0high', '1first', '2second', '3third', '4low']);
+
+    // Elements with the same priority come out in the order they were added
+    assert.equal(queue.poll().name, 'high');
+    queue.add({name: 'fourth', priority: 5});
+    assert.deepEqual([queue.poll(), queue.poll(), queue.poll(), queue.poll(), queue.poll()].map(names),
+        ['first', 'second', 'third', 'fourth', 'low']);
+    assert.isTrue(queue.isEmpty());
+  });
+});
@@ -49,4 +49,82 @@ describe('Data.Queue Tests', function() {
     queue.add("foo").add("bar").add("baz");
     assert.equal(queue.size(), 3);
   });
+
+  it('iteration', function() {
+    var queue = new Prime.Data.Queue().add("foo").add("bar").add("baz");
+    queue.poll();
+
+    assert.deepEqual(queue.toArray(), ["bar", "baz"]);
+    assert.deepEqual(Array.from(queue), ["bar", "baz"]);
+
+    var visited = [];
+    queue.forEach(function(element, index) {
+      visited.push(index + element);
+    });
+    assert.deepEqual(visited, ["0bar", "1baz"]);
+    assert.deepEqual(new Prime.Data.Queue().toArray(), []);
+  });
+
+  it('handlers', function() {
+    var events = [];
+    var queue = new Prime.Data.Queue()
+        .withCapacity(2)
+        .withEnqueueHandler(function(element) {
+          events.push('enqueue ' + element);
+        })
+        .withDequeueHandler(function(element) {
+          events.push('dequeue ' + element);
+        })
+        .withDrainedHandler(function() {
+          events.push('drained');
+        })
+        .withFullHandler(function() {
+          events.push('full');
+        });
+
+    queue.add('foo').add('bar').add('baz');
+    assert.equal(queue.size(), 3);
+    queue.poll();
+    queue.poll();
+    queue.poll();
+    assert.isNull(queue.poll());
+    assert.deepEqual(events, ['enqueue foo', 'enqueue bar', 'full', 'enqueue baz', 'dequeue foo', 'dequeue bar',
+      'dequeue baz', 'drained']);
+  });
+
+  it('requeue', function() {
+    var queue = new Prime.Data.Queue().add('foo').add('bar');
+    queue.requeue(queue.poll());
+    assert.deepEqual(queue.toArray(), ['foo', 'bar']);
+    assert.equal(queue.poll(), 'foo');
+  });
+
+  it('take', function() {
+    var queue = new Prime.Data.Queue().add('foo');
+    var taken = [];
+    var record = function(element) {
+      taken.push(element);
+    };
+
+    var first = queue.take().then(record);
+    var second = queue.take().then(record);
+    var third = queue.take().then(record);
+    var cancelled = queue.take();
+    assert.isTrue(queue.isEmpty());
+    assert.isTrue(queue.cancelTake(cancelled));
+    assert.isFalse(queue.cancelTake(cancelled));
+
+    queue.add('bar').add('baz').add('qux');
+    assert.deepEqual(queue.toArray(), ['qux']);
+
+    return Promise.all([first, second, third])
+        .then(function() {
+          assert.deepEqual(taken, ['foo', 'bar', 'baz']);
+          return cancelled.then(function() {
+            assert.fail('The take should have been cancelled');
+          }, function(error) {
+            assert.equal(error.name, 'AbortError');
+          });
+        });
+  });
 });
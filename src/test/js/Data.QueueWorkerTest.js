@@ -0,0 +1,196 @@
+/*
+ * Copyright (c) 2016, Inversoft Inc., All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+'use strict';
+
+describe('Data.QueueWorker Tests', function() {
+  /**
+   * Resolves once the condition is true.
+   */
+  function until(condition) {
+    return new Promise(function(resolve, reject) {
+      var start = Date.now();
+      (function check() {
+        if (condition()) {
+          resolve();
+        } else if (Date.now() - start > 1000) {
+          reject(new Error('Timed out'));
+        } else {
+          setTimeout(check, 1);
+        }
+      })();
+    });
+  }
+
+  it('processes elements with concurrency', function() {
+    var queue = new Prime.Data.Queue().add(1).add(2);
+    var pending = [];
+    var completed = [];
+    var maxActive = 0;
+    var worker = new Prime.Data.QueueWorker(queue, function(element) {
+      maxActive = Math.max(maxActive, worker.active);
+      return new Promise(function(resolve) {
+        pending.push(function() {
+          resolve(element * 10);
+        });
+      });
+    }).withConcurrency(2)
+      .withCompleteHandler(function(element, result) {
+        completed.push(result);
+      })
+      .start();
+
+    queue.add(3).add(4);
+    return until(function() {
+      return pending.length === 2;
+    }).then(function() {
+      assert.equal(worker.active, 2);
+      assert.deepEqual(queue.toArray(), [3, 4]);
+      pending.shift()();
+      pending.shift()();
+      return until(function() {
+        return pending.length === 2;
+      });
+    }).then(function() {
+      assert.isTrue(queue.isEmpty());
+      pending.shift()();
+      pending.shift()();
+      return until(function() {
+        return completed.length === 4;
+      });
+    }).then(function() {
+      assert.deepEqual(completed, [10, 20, 30, 40]);
+      assert.equal(maxActive, 2);
+      assert.equal(worker.active, 0);
+
+      // Waits for new elements
+      queue.add(5);
+      return until(function() {
+        return pending.length === 1;
+      });
+    }).then(function() {
+      worker.stop();
+      pending.shift()();
+      queue.add(6);
+      return until(function() {
+        return completed.length === 5;
+      });
+    }).then(function() {
+      assert.deepEqual(queue.toArray(), [6]);
+    });
+  });
+
+  it('restarts without exceeding the concurrency', function() {
+    var queue = new Prime.Data.Queue().add(1).add(2).add(3).add(4);
+    var pending = [];
+    var worker = new Prime.Data.QueueWorker(queue, function() {
+      return new Promise(function(resolve) {
+        pending.push(resolve);
+      });
+    }).withConcurrency(2).start();
+
+    return until(function() {
+      return pending.length === 2;
+    }).then(function() {
+      worker.stop().start();
+      assert.equal(worker.active, 2);
+      pending.shift()();
+      return until(function() {
+        return pending.length === 2;
+      });
+    }).then(function() {
+      assert.equal(worker.active, 2);
+      assert.deepEqual(queue.toArray(), [4]);
+    });
+  });
+
+  it('handlers that throw', function() {
+    var queue = new Prime.Data.Queue();
+    var attempts = 0;
+    var errors = [];
+    var reported = [];
+    var onerror = window.onerror;
+    window.onerror = function(message) {
+      reported.push(message);
+      return true;
+    };
+
+    var worker = new Prime.Data.QueueWorker(queue, function() {
+      attempts++;
+      throw new Error('failed');
+    }).withRetryPolicy({baseDelay: 1, maxDelay: 1, maxAttempts: 2})
+      .withRetryHandler(function() {
+        throw new Error('retry handler');
+      })
+      .withErrorHandler(function(element, error) {
+        errors.push(element + ' ' + error.message);
+        throw new Error('error handler');
+      })
+      .start();
+
+    queue.add('a').add('b');
+    return until(function() {
+      return errors.length === 2 && reported.length === 4;
+    }).then(function() {
+      window.onerror = onerror;
+      assert.equal(attempts, 4);
+      assert.deepEqual(errors, ['a failed', 'b failed']);
+      assert.equal(worker.active, 0);
+    }, function(error) {
+      window.onerror = onerror;
+      throw error;
+    });
+  });
+
+  it('retries and errors', function() {
+    var queue = new Prime.Data.Queue();
+    var attempts = {};
+    var retries = [];
+    var errors = [];
+    var completed = [];
+    new Prime.Data.QueueWorker(queue, function(element) {
+      attempts[element] = (attempts[element] || 0) + 1;
+      if (element === 'flaky' && attempts[element] < 3) {
+        throw new Error('flaky');
+      } else if (element === 'broken' || element === 'invalid') {
+        return Promise.reject(new Error(element));
+      }
+
+      return element;
+    }).withRetryPolicy({
+      baseDelay: 1,
+      maxDelay: 1,
+      retryable: function(error) {
+        return error.message !== 'invalid';
+      }
+    }).withRetryHandler(function(element, error, attempt) {
+      retries.push(element + ' ' + attempt);
+    }).withErrorHandler(function(element, error) {
+      errors.push(element + ' ' + error.message);
+    }).withCompleteHandler(function(element) {
+      completed.push(element);
+    }).start();
+
+    queue.add('flaky').add('broken').add('invalid').add('ok');
+    return until(function() {
+      return completed.length === 2;
+    }).then(function() {
+      assert.deepEqual(completed, ['flaky', 'ok']);
+      assert.deepEqual(retries, ['flaky 1', 'flaky 2', 'broken 1', 'broken 2']);
+      assert.deepEqual(errors, ['broken broken', 'invalid invalid']);
+      assert.deepEqual(attempts, {flaky: 3, broken: 3, invalid: 1, ok: 1});
+    });
+  });
+});
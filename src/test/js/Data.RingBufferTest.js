@@ -0,0 +1,79 @@
+/*
+ * Copyright (c) 2016, Inversoft Inc., All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+'use strict';
+
+describe('Data.RingBuffer Tests', function() {
+  it('drop oldest', function() {
+    var dropped = [];
+    var buffer = new Prime.Data.RingBuffer(3).withOverflowHandler(function(element) {
+      dropped.push(element);
+    });
+    assert.isTrue(buffer.isEmpty());
+    assert.isNull(buffer.peek());
+    assert.isNull(buffer.poll());
+
+    buffer.add('a').add('b').add('c');
+    assert.isTrue(buffer.isFull());
+    assert.equal(buffer.size(), 3);
+
+    buffer.add('d').add('e');
+    assert.deepEqual(dropped, ['a', 'b']);
+    assert.equal(buffer.size(), 3);
+    assert.equal(buffer.peek(), 'c');
+    assert.deepEqual(buffer.toArray(), ['c', 'd', 'e']);
+    assert.deepEqual(Array.from(buffer), ['c', 'd', 'e']);
+
+    var visited = [];
+    buffer.forEach(function(element, index) {
+      visited.push(index + element);
+    });
+    assert.deepEqual(visited, ['0c', '1d', '2e']);
+
+    assert.equal(buffer.poll(), 'c');
+    assert.isFalse(buffer.isFull());
+    buffer.add('f');
+    assert.deepEqual(buffer.toArray(), ['d', 'e', 'f']);
+    assert.equal(buffer.poll(), 'd');
+    assert.equal(buffer.poll(), 'e');
+    assert.equal(buffer.poll(), 'f');
+    assert.isTrue(buffer.isEmpty());
+    assert.deepEqual(dropped, ['a', 'b']);
+  });
+
+  it('reject newest', function() {
+    var rejected = [];
+    var buffer = new Prime.Data.RingBuffer(2)
+        .withOverflowPolicy('rejectNewest')
+        .withOverflowHandler(function(element) {
+          rejected.push(element);
+        });
+
+    buffer.add('a').add('b').add('c');
+    assert.deepEqual(buffer.toArray(), ['a', 'b']);
+    assert.deepEqual(rejected, ['c']);
+
+    assert.equal(buffer.poll(), 'a');
+    buffer.add('d');
+    assert.deepEqual(buffer.toArray(), ['b', 'd']);
+
+    assert.throws(function() {
+      buffer.withOverflowPolicy('dropNewest');
+    }, TypeError);
+    assert.throws(function() {
+      new Prime.Data.RingBuffer(0);
+    }, TypeError);
+  });
+});
@@ -16,6 +16,17 @@
 'use strict';
 
 describe('Prime.Date namespace tests', function() {
+  it('format', function() {
+    var date = new Date(2020, 0, 5, 14, 7, 9);
+    assert.equal(Prime.Date.format(date, 'yyyy-MM-dd HH:mm:ss'), '2020-01-05 14:07:09');
+    assert.equal(Prime.Date.format(date, 'EEEE, MMMM d, yy h:m:s a'), 'Sunday, January 5, 20 2:7:9 PM');
+    assert.equal(Prime.Date.format(date, "EEE MMM dd 'at' hh:mm"), 'Sun Jan 05 at 02:07');
+    assert.equal(Prime.Date.format(new Date(2020, 11, 31, 0, 30), 'M/d h a'), '12/31 12 AM');
+    assert.throws(function() {
+      Prime.Date.format('2020-01-05', 'yyyy');
+    }, TypeError);
+  });
+
   it('getHourOfDay', function() {
     assert.equal(Prime.Date.getHourOfDay(new Date(2015, 8, 1, 0, 0, 0)), 12);
     assert.equal(Prime.Date.getHourOfDay(new Date(2015, 8, 1, 1, 0, 0)), 1);
@@ -771,6 +771,55 @@ describe('Element class tests', function() {
     assert.isTrue(Prime.Document.queryById('query').isVisible());
   });
 
+  describe('patchHTML', function() {
+    var container;
+
+    beforeEach(function() {
+      container = Prime.Document.newElement('<div/>')
+          .setHTML('<p class="title">Users</p><ul><li data-key="1">Jane</li><li data-key="2">Joe</li><li data-key="3">Bob</li></ul>');
+    });
+
+    it('updates in place', function() {
+      var title = container.queryFirst('p').domElement;
+      container.patchHTML('<p class="title active" id="title">Admins</p>text');
+      assert.equal(container.getHTML(), '<p class="title active" id="title">Admins</p>text');
+      assert.strictEqual(container.queryFirst('p').domElement, title);
+
+      container.patchHTML('<h1>Admins</h1>');
+      assert.equal(container.getHTML(), '<h1>Admins</h1>');
+      assert.notStrictEqual(container.queryFirst('h1').domElement, title);
+    });
+
+    it('keyed reordering', function() {
+      var items = [];
+      container.query('li').each(function(item) {
+        items.push(item.domElement);
+      });
+      container.patchHTML('<p class="title">Users</p><ul><li data-key="3">Bob</li><li data-key="4">Ann</li><li data-key="1">Jane Doe</li></ul>');
+
+      var patched = container.query('li');
+      assert.equal(container.queryFirst('ul').getHTML(), '<li data-key="3">Bob</li><li data-key="4">Ann</li><li data-key="1">Jane Doe</li>');
+      assert.strictEqual(patched[0].domElement, items[2]);
+      assert.strictEqual(patched[2].domElement, items[0]);
+      assert.isNull(items[1].parentNode);
+    });
+
+    it('keeps listeners and form state', function() {
+      var clicks = 0;
+      var form = Prime.Document.newElement('<div/>')
+          .setHTML('<input type="text" name="name" value="Jane"/><input type="checkbox" checked/><button>Save</button>');
+      form.queryFirst('button').addEventListener('click', function() {
+        clicks++;
+      });
+
+      form.patchHTML('<input type="text" name="name" value="Joe"/><input type="checkbox"/><button class="primary">Save</button>');
+      assert.equal(form.queryFirst('input[type=text]').getValue(), 'Joe');
+      assert.isFalse(form.queryFirst('input[type=checkbox]').isChecked());
+      form.queryFirst('button').domElement.click();
+      assert.equal(clicks, 1);
+    });
+  });
+
   describe('prependTo', function() {
     afterEach(function() {
       Prime.Document.query('#prependToSingleElementNew').removeAllFromDOM();
@@ -0,0 +1,104 @@
+/*
+ * Copyright (c) 2020, Inversoft Inc., All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+'use strict';
+
+describe('Prime.I18n namespace tests', function() {
+  var locale;
+
+  beforeEach(function() {
+    locale = Prime.I18n.locale;
+    Prime.I18n.locale = 'en-US';
+  });
+
+  afterEach(function() {
+    Prime.I18n.locale = locale;
+    Prime.I18n.removeBundle('de');
+    Prime.I18n.removeBundle('pt');
+    Prime.I18n.removeBundle('pt-PT');
+    Prime.I18n.setFallbacks('pt-BR', []);
+  });
+
+  it('format', function() {
+    assert.equal(Prime.I18n.format('Hello {name}, you have {count, number} points', {name: 'Jane', count: 1234}), 'Hello Jane, you have 1,234 points');
+    assert.equal(Prime.I18n.format('Joined {date, date, MMM d yyyy}', {date: new Date(2020, 0, 5)}), 'Joined Jan 5 2020');
+    assert.equal(Prime.I18n.format('Hello {name}'), 'Hello {name}');
+    assert.equal(Prime.I18n.format("Don't use '{braces}' or ''#''"), "Don't use {braces} or '#'");
+
+    assert.throws(function() {
+      Prime.I18n.format('Hello {name');
+    }, TypeError, /unmatched \{/);
+    assert.throws(function() {
+      Prime.I18n.format('Hello name}');
+    }, TypeError, /unmatched }/);
+  });
+
+  it('plural and select', function() {
+    var cart = '{count, plural, =0 {Your cart is empty} one {# item} other {# items}}';
+    assert.equal(Prime.I18n.format(cart, {count: 0}), 'Your cart is empty');
+    assert.equal(Prime.I18n.format(cart, {count: 1}), '1 item');
+    assert.equal(Prime.I18n.format(cart, {count: 1500}), '1,500 items');
+
+    var likes = '{gender, select, male {He} female {She} other {They}} and {count, plural, offset:1 =0 {nobody} =1 {{name}} one {{name} and # other} other {{name} and # others}} liked it';
+    assert.equal(Prime.I18n.format(likes, {gender: 'female', count: 1, name: 'Joe'}), 'She and Joe liked it');
+    assert.equal(Prime.I18n.format(likes, {gender: 'male', count: 2, name: 'Joe'}), 'He and Joe and 1 other liked it');
+    assert.equal(Prime.I18n.format(likes, {gender: 'unknown', count: 3, name: 'Joe'}), 'They and Joe and 2 others liked it');
+
+    // The plural categories of the locale are used
+    var apples = '{count, plural, one {# jabłko} few {# jabłka} many {# jabłek} other {# jabłka}}';
+    assert.equal(Prime.I18n.format(apples, {count: 3}, 'pl'), '3 jabłka');
+    assert.equal(Prime.I18n.format(apples, {count: 5}, 'pl'), '5 jabłek');
+  });
+
+  it('bundles and fallbacks', function() {
+    Prime.I18n.addBundle('pt', {greeting: 'Olá {name}', nested: {farewell: 'Tchau'}});
+    Prime.I18n.addBundle('pt-PT', {greeting: 'Olá {name}!'});
+    Prime.I18n.addBundle('pt', {farewell: 'Adeus'});
+
+    Prime.I18n.locale = 'pt_BR';
+    assert.deepEqual(Prime.I18n.getFallbacks(), ['pt-br', 'pt', 'en']);
+    assert.equal(Prime.I18n.message('greeting', {name: 'Ana'}), 'Olá Ana');
+    assert.equal(Prime.I18n.message('nested.farewell'), 'Tchau');
+    assert.equal(Prime.I18n.message('farewell'), 'Adeus');
+    assert.equal(Prime.I18n.message('MultipleSelect.placeholder'), 'Choose');
+    assert.equal(Prime.I18n.message('missing'), 'missing');
+    assert.isFalse(Prime.I18n.has('missing'));
+
+    Prime.I18n.setFallbacks('pt-BR', ['pt-PT']);
+    assert.deepEqual(Prime.I18n.getFallbacks(), ['pt-br', 'pt-pt', 'pt', 'en']);
+    assert.equal(Prime.I18n.message('greeting', {name: 'Ana'}), 'Olá Ana!');
+    assert.equal(Prime.I18n.message('greeting', {name: 'Ana'}, 'en'), 'greeting');
+  });
+
+  it('widget labels', function() {
+    Prime.I18n.addBundle('de', {
+      DateTimePicker: {
+        months: ['Januar', 'Februar', 'März', 'April', 'Mai', 'Juni', 'Juli', 'August', 'September', 'Oktober', 'November', 'Dezember']
+      },
+      Searcher: {noSearchResultsLabel: 'Keine Treffer für: '}
+    });
+
+    assert.equal(Prime.Widgets.DateTimePicker.MONTHS[0], 'January');
+    Prime.I18n.locale = 'de-DE';
+    assert.equal(Prime.Widgets.DateTimePicker.MONTHS[2], 'März');
+    assert.equal(Prime.Widgets.DateTimePicker.SHORT_DAY_NAMES[0], 'Su');
+
+    var input = Prime.Document.newElement('<input/>').setAttribute('type', 'text');
+    var results = Prime.Document.newElement('<ul/>');
+    var searcher = new Prime.Widgets.Searcher(input, results, {});
+    assert.equal(searcher.options.noSearchResultsLabel, 'Keine Treffer für: ');
+    assert.equal(searcher.options.customAddLabel, 'Add Custom: ');
+  });
+});
@@ -0,0 +1,491 @@
+/*
+ * Copyright (c) 2020, Inversoft Inc., All Rights Reserved
+ *
+ * Licensed under the Apache License, Version 2.0 (the "License");
+ * you may not use this file except in compliance with the License.
+ * You may obtain a copy of the License at
+ *
+ *   http://www.apache.org/licenses/LICENSE-2.0
+ *
+ * Unless required by applicable law or agreed to in writing,
+ * software distributed under the License is distributed on an
+ * "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND,
+ * either express or implied. See the License for the specific
+ * language governing permissions and limitations under the License.
+ */
+'use strict';
+
+describe('Prime.Storage namespace tests', function() {
+  var now;
+  var originalNow;
+
+  beforeEach(function() {
+    localStorage.clear();
+    now = 1000;
+    originalNow = Date.now;
+    Date.now = function() {
+      return now;
+    };
+  });
+
+  afterEach(function() {
+    Date.now = originalNow;
+    localStorage.clear();
+  });
+
+  it('get and set', function() {
+    var storage = Prime.Storage.namespace('app');
+    assert.isNull(storage.get('table'));
+    assert.isFalse(storage.has('table'));
+
+    storage.set('table', {columnIndex: 2, sortAscending: true}).set('count', 0);
+    assert.deepEqual(storage.get('table'), {columnIndex: 2, sortAscending: true});
+    assert.strictEqual(storage.get('count'), 0);
+    assert.isTrue(storage.has('table'));
+    assert.isNotNull(localStorage.getItem('prime:app|table'));
+
+    storage.remove('table');
+    assert.isNull(storage.get('table'));
+
+    // Invalid entries are removed
+    localStorage.setItem('prime:app|broken', '{not json');
+    assert.isNull(storage.get('broken'));
+    assert.isNull(localStorage.getItem('prime:app|broken'));
+
+    assert.throws(function() {
+      Prime.Storage.namespace('app', 'cookie');
+    }, TypeError);
+  });
+
+  it('namespaces', function() {
+    var user1 = Prime.Storage.namespace('app:user1');
+    var user2 = Prime.Storage.namespace('app:user2');
+    user1.set('tab', 'one').set('sort', 'name');
+    user2.set('tab', 'two');
+    localStorage.setItem('global', 'true');
+
+    assert.equal(user1.get('tab'), 'one');
+    assert.equal(user2.get('tab'), 'two');
+    assert.sameMembers(user1.keys(), ['tab', 'sort']);
+    assert.deepEqual(user2.keys(), ['tab']);
+
+    user1.clear();
+    assert.deepEqual(user1.keys(), []);
+    assert.equal(user2.get('tab'), 'two');
+    assert.equal(localStorage.getItem('global'), 'true');
+
+    var session = Prime.Storage.namespace('app:user1', 'session');
+    session.set('tab', 'session');
+    assert.isNull(user1.get('tab'));
+    assert.equal(session.get('tab'), 'session');
+    session.clear();
+  });
+
+  it('nested namespace names', function() {
+    var app = Prime.Storage.namespace('app');
+    var user = Prime.Storage.namespace('app:user1');
+    var piped = Prime.Storage.namespace('app|user1');
+    app.set('tab', 'app');
+    user.set('tab', 'user').set('user1|tab', 'key');
+    piped.set('tab', 'piped');
+
+    assert.deepEqual(app.keys(), ['tab']);
+    assert.sameMembers(user.keys(), ['tab', 'user1|tab']);
+    assert.deepEqual(piped.keys(), ['tab']);
+
+    app.clear();
+    assert.isNull(app.get('tab'));
+    assert.equal(user.get('tab'), 'user');
+    assert.equal(user.get('user1|tab'), 'key');
+    assert.equal(piped.get('tab'), 'piped');
+  });
+
+  it('TTL', function() {
+    var storage = Prime.Storage.namespace('app').withDefaultTTL(1000);
+    storage.set('default', 'a')
+        .set('short', 'b', 100)
+        .set('forever', 'c', null);
+
+    now += 100;
+    assert.isNull(storage.get('short'));
+    assert.isNull(localStorage.getItem('prime:app|short'));
+    assert.equal(storage.get('default'), 'a');
+
+    now += 5000;
+    localStorage.setItem('prime:app|expired', JSON.stringify({expires: now - 1, value: 'd'}));
+    assert.equal(storage.purge(), 2);
+    assert.deepEqual(storage.keys(), ['forever']);
+    assert.equal(storage.get('forever'), 'c');
+  });
+});
+
+describe('Prime.Storage change tests', function() {
+  /**
+   * Fires the storage event that the browser fires when another window changes storage.
+   */
+  function changeInOtherWindow(key, newValue, oldValue) {
+    window.dispatchEvent(new StorageEvent('storage', {key: key, newValue: newValue, oldValue: oldValue, storageArea: localStorage}));
+  }
+
+  it('onChange', function() {
+    var changes = [];
+    var listener = function(newValue, oldValue, key) {
+      changes.push([key, newValue, oldValue]);
+    };
+    Prime.Storage.onChange('preference', listener);
+
+    changeInOtherWindow('preference', '{"theme":"dark"}', '{"theme":"light"}');
+    changeInOtherWindow('other', '1', null);
+    changeInOtherWindow(null, null, null);
+    Prime.Storage.removeChangeListener('preference', listener);
+    changeInOtherWindow('preference', '{"theme":"light"}', '{"theme":"dark"}');
+
+    assert.deepEqual(changes, [['preference', {theme: 'dark'}, {theme: 'light'}], [null, null, null]]);
+  });
+
+  it('namespaced onChange', function() {
+    var changes = [];
+    var listener = function(newValue, oldValue, key) {
+      changes.push([key, newValue, oldValue]);
+    };
+    var storage = Prime.Storage.namespace('app:user1').onChange(null, listener);
+
+    changeInOtherWindow('prime:app%3Auser1|tab', JSON.stringify({expires: null, value: 'two'}), JSON.stringify({expires: null, value: 'one'}));
+    changeInOtherWindow('prime:app%3Auser2|tab', JSON.stringify({expires: null, value: 'three'}), null);
+    changeInOtherWindow('prime:app%3Auser1|tab', null, JSON.stringify({expires: null, value: 'two'}));
+    storage.removeChangeListener(null, listener);
+    changeInOtherWindow('prime:app%3Auser1|tab', JSON.stringify({expires: null, value: 'one'}), null);
+
+    assert.deepEqual(changes, [['tab', 'two', 'one'], ['tab', null, 'two']]);
+  });
+
+  it('message bus using storage events', function() {
+    var received = [];
+    var sender = Prime.Storage.messageBus('app');
+    var receiver = Prime.Storage.messageBus('app').subscribe('logout', function(data, type) {
+      received.push(type + ' ' + data.user);
+    });
+
+    // Capture the storage event the other windows receive
+    var setItem = Storage.prototype.setItem;
+    var posted = null;
+    Storage.prototype.setItem = function(key, value) {
+      posted = {key: key, value: value};
+      setItem.call(this, key, value);
+    };
+
+    try {
+      sender.post('logout', {user: 'jane'});
+    } finally {
+      Storage.prototype.setItem = setItem;
+    }
+
+    assert.isNull(localStorage.getItem('prime-bus:app'));
+    assert.deepEqual(received, []);
+    changeInOtherWindow(posted.key, posted.value, null);
+    changeInOtherWindow('prime-bus:app', null, posted.value);
+    assert.deepEqual(received, ['logout jane']);
+
+    receiver.close();
+    changeInOtherWindow(posted.key, posted.value, null);
+    assert.deepEqual(received, ['logout jane']);
+    sender.close();
+  });
+
+  it('message bus drops messages when storage is full', function() {
+    var sender = Prime.Storage.messageBus('app');
+    var setItem = Storage.prototype.setItem;
+    Storage.prototype.setItem = function() {
+      var error = new Error('Full');
+      error.name = 'QuotaExceededError';
+      throw error;
+    };
+
+    try {
+      assert.strictEqual(sender.post('logout'), sender);
+    } finally {
+      Storage.prototype.setItem = setItem;
+    }
+
+    assert.isNull(localStorage.getItem('prime-bus:app'));
+    sender.close();
+  });
+
+  it('message bus using BroadcastChannel', function() {
+    var channels = [];
+    window.BroadcastChannel = function(name) {
+      this.closed = false;
+      this.name = name;
+      this.onmessage = null;
+      channels.push(this);
+    };
+    window.BroadcastChannel.prototype.close = function() {
+      this.closed = true;
+    };
+    window.BroadcastChannel.prototype.postMessage = function(message) {
+      channels.forEach(function(channel) {
+        if (channel !== this && channel.name === this.name && !channel.closed && channel.onmessage !== null) {
+          channel.onmessage({data: message});
+        }
+      }.bind(this));
+    };
+
+    try {
+      var received = [];
+      var sender = Prime.Storage.messageBus('app');
+      Prime.Storage.messageBus('app').subscribe('*', function(data, type) {
+        received.push(type);
+      });
+      Prime.Storage.messageBus('other').subscribe('*', function(data, type) {
+        received.push('other ' + type);
+      });
+
+      sender.post('refresh').post('logout');
+      assert.deepEqual(received, ['refresh', 'logout']);
+      sender.close();
+      assert.isTrue(channels[0].closed);
+    } finally {
+      delete window.BroadcastChannel;
+    }
+  });
+});
+
+describe('Prime.Storage backend tests', function() {
+  /**
+   * A backend with the interface of localStorage that holds a limited number of items.
+   */
+  function LimitedStorage(limit) {
+    this.items = {};
+    this.limit = limit;
+    Object.defineProperty(this, 'length', {
+      get: function() {
+        return Object.keys(this.items).length;
+      }
+    });
+  }
+
+  LimitedStorage.prototype.getItem = function(key) {
+    return this.items.hasOwnProperty(key) ? this.items[key] : null;
+  };
+  LimitedStorage.prototype.key = function(index) {
+    var keys = Object.keys(this.items);
+    return index < keys.length ? keys[index] : null;
+  };
+  LimitedStorage.prototype.removeItem = function(key) {
+    delete this.items[key];
+  };
+  LimitedStorage.prototype.setItem = function(key, value) {
+    if (!this.items.hasOwnProperty(key) && this.length >= this.limit) {
+      var error = new Error('Full');
+      error.name = 'QuotaExceededError';
+      throw error;
+    }
+
+    this.items[key] = String(value);
+  };
+
+  it('memory', function() {
+    var storage = Prime.Storage.namespace('app', 'memory');
+    storage.set('table', {columnIndex: 2}).set('tab', 'one');
+    assert.deepEqual(storage.get('table'), {columnIndex: 2});
+    assert.isNull(localStorage.getItem('prime:app|table'));
+
+    // The namespaces share the memory
+    assert.equal(Prime.Storage.namespace('app', 'memory').get('tab'), 'one');
+    assert.isNull(Prime.Storage.namespace('app').get('tab'));
+    storage.clear();
+    assert.deepEqual(storage.keys(), []);
+  });
+
+  it('custom backend and quota', function() {
+    var now = Date.now();
+    var backend = new LimitedStorage(2);
+    var failed = [];
+    var storage = Prime.Storage.namespace('app', backend).withQuotaExceededHandler(function(key, value, error) {
+      failed.push(key + ' ' + value + ' ' + error.name);
+    });
+
+    // The expired entry is purged to make room
+    backend.setItem('prime:app|expired', JSON.stringify({expires: now - 1, value: 'old'}));
+    storage.set('a', 'one').set('b', 'two');
+    assert.deepEqual(failed, []);
+    assert.sameMembers(storage.keys(), ['a', 'b']);
+
+    // Still full
+    storage.set('c', 'three');
+    assert.deepEqual(failed, ['c three QuotaExceededError']);
+    assert.isNull(storage.get('c'));
+
+    // Replacing an entry still works
+    storage.set('a', 'four');
+    assert.equal(storage.get('a'), 'four');
+  });
+
+  it('setLocalObject when storage is full', function() {
+    var setItem = Storage.prototype.setItem;
+    Storage.prototype.setItem = function(key) {
+      if (key !== 'prime-storage-test') {
+        var error = new Error('Full');
+        error.name = 'QuotaExceededError';
+        throw error;
+      }
+
+      setItem.apply(this, arguments);
+    };
+
+    try {
+      assert.isFalse(Prime.Storage.setLocalObject('full', {a: 1}));
+    } finally {
+      Storage.prototype.setItem = setItem;
+    }
+
+    assert.isNull(Prime.Storage.getLocalObject('full'));
+    assert.isTrue(Prime.Storage.setLocalObject('full', {a: 1}));
+    assert.deepEqual(Prime.Storage.getLocalObject('full'), {a: 1});
+
+    // Items that aren't JSON are treated as missing
+    localStorage.setItem('full', '{not json');
+    assert.isNull(Prime.Storage.getLocalObject('full'));
+    localStorage.removeItem('full');
+  });
+
+  it('probes empty storage once', function() {
+    localStorage.clear();
+    Prime.Storage.getLocalObject('missing');
+
+    var setItem = Storage.prototype.setItem;
+    var probes = 0;
+    Storage.prototype.setItem = function(key) {
+      if (key === 'prime-storage-test') {
+        probes++;
+      }
+
+      setItem.apply(this, arguments);
+    };
+
+    try {
+      Prime.Storage.getLocalObject('missing');
+      Prime.Storage.getLocalObject('missing');
+      assert.isTrue(Prime.Storage.setLocalObject('probed', {a: 1}));
+    } finally {
+      Storage.prototype.setItem = setItem;
+    }
+
+    assert.equal(probes, 0);
+    assert.deepEqual(Prime.Storage.getLocalObject('probed'), {a: 1});
+    localStorage.removeItem('probed');
+  });
+
+  it('indexedDB falls back to memory', function() {
+    // IndexedDB isn't available here, so this covers the in-memory fallback
+    var storage = Prime.Storage.namespace('app', 'indexedDB').withDefaultTTL(null);
+    return storage.set('report', {rows: [1, 2]})
+        .then(function() {
+          return storage.set('expired', 'old', -1);
+        })
+        .then(function() {
+          return storage.get('report');
+        })
+        .then(function(report) {
+          assert.deepEqual(report, {rows: [1, 2]});
+          return storage.has('missing');
+        })
+        .then(function(has) {
+          assert.isFalse(has);
+          return storage.keys();
+        })
+        .then(function(keys) {
+          assert.deepEqual(keys, ['report']);
+          return storage.remove('report');
+        })
+        .then(function() {
+          return storage.get('report');
+        })
+        .then(function(report) {
+          assert.isNull(report);
+          assert.isNull(localStorage.getItem('prime:app|report'));
+        });
+  });
+});
+
+describe('Prime.Storage schema tests', function() {
+  afterEach(function() {
+    Prime.Storage.unregisterSchema('prefs');
+    localStorage.clear();
+  });
+
+  it('local objects', function() {
+    // Stored before the schema was registered
+    localStorage.setItem('prefs', JSON.stringify({theme: 'dark'}));
+    Prime.Storage.registerSchema('prefs', 2, {
+      1: function(prefs) {
+        return {colors: prefs.theme};
+      }
+    });
+
+    // Version 0 doesn't have a migration
+    assert.isNull(Prime.Storage.getLocalObject('prefs'));
+    assert.isNull(localStorage.getItem('prefs'));
+
+    localStorage.setItem('prefs', JSON.stringify({version: 1, value: {theme: 'light'}}));
+    assert.deepEqual(Prime.Storage.getLocalObject('prefs'), {colors: 'light'});
+    assert.deepEqual(JSON.parse(localStorage.getItem('prefs')), {version: 2, value: {colors: 'light'}});
+
+    Prime.Storage.setLocalObject('prefs', {colors: 'dark'});
+    assert.deepEqual(JSON.parse(localStorage.getItem('prefs')), {version: 2, value: {colors: 'dark'}});
+    assert.deepEqual(Prime.Storage.getLocalObject('prefs'), {colors: 'dark'});
+
+    // Newer versions are discarded
+    localStorage.setItem('prefs', JSON.stringify({version: 3, value: {colors: 'dark', font: 'large'}}));
+    assert.isNull(Prime.Storage.getLocalObject('prefs'));
+
+    // So are objects the migration can't handle
+    localStorage.setItem('prefs', JSON.stringify({version: 1, value: null}));
+    assert.isNull(Prime.Storage.getLocalObject('prefs'));
+    assert.isNull(localStorage.getItem('prefs'));
+
+    assert.throws(function() {
+      Prime.Storage.registerSchema('prefs', 0);
+    }, TypeError);
+  });
+
+  it('namespaced', function() {
+    var storage = Prime.Storage.namespace('app');
+    storage.set('prefs', {theme: 'dark'}, 60000);
+    Prime.Storage.registerSchema('prefs', 1, {
+      0: function(prefs) {
+        return {colors: prefs.theme};
+      }
+    });
+
+    assert.deepEqual(storage.get('prefs'), {colors: 'dark'});
+    var entry = JSON.parse(localStorage.getItem('prime:app|prefs'));
+    assert.equal(entry.version, 1);
+    assert.deepEqual(entry.value, {colors: 'dark'});
+    assert.isNotNull(entry.expires);
+
+    localStorage.setItem('prime:app|prefs', JSON.stringify({expires: null, value: {colors: 'dark'}, version: 2}));
+    assert.deepEqual(storage.keys(), []);
+    assert.isNull(localStorage.getItem('prime:app|prefs'));
+  });
+
+  it('onChange', function() {
+    var changes = [];
+    var listener = function(newValue) {
+      changes.push(newValue);
+    };
+    Prime.Storage.registerSchema('prefs', 1, {
+      0: function(prefs) {
+        return {colors: prefs.theme};
+      }
+    });
+    Prime.Storage.onChange('prefs', listener);
+
+    window.dispatchEvent(new StorageEvent('storage', {key: 'prefs', newValue: '{"theme":"dark"}', oldValue: null, storageArea: localStorage}));
+    window.dispatchEvent(new StorageEvent('storage', {key: 'prefs', newValue: '{"version":1,"value":{"colors":"light"}}', oldValue: null, storageArea: localStorage}));
+    window.dispatchEvent(new StorageEvent('storage', {key: 'prefs', newValue: '{"version":5,"value":{}}', oldValue: null, storageArea: localStorage}));
+    Prime.Storage.removeChangeListener('prefs', listener);
+
+    assert.deepEqual(changes, [{colors: 'dark'}, {colors: 'light'}, null]);
+  });
+});
@@ -46,7 +46,7 @@ describe('Prime.Template', function() {
   it('generate with multiple key replacement', function() {
     var template = new Prime.Template("<span>#{foo} #{bar}</span>");
     var string = template.generate({foo: 'where\'s', bar: 'waldo?'});
-    assert.equal(string, '<span>where\'s waldo?</span>');
+    assert.equal(string, '<span>where&#39;s waldo?</span>');
   });
 
   it('generate with regex key', function() {
@@ -62,6 +62,22 @@ describe('Prime.Template', function() {
     assert.equal(container.getHTML(), '<span>bar</span>');
   });
 
+  it('update', function() {
+    var template = new Prime.Template('#{each users as user}<li data-key="#{user.id}">#{user.name}</li>#{/each}');
+    var container = Prime.Document.newElement('<ul/>');
+    template.update(container, {users: [{id: 1, name: 'Jane'}, {id: 2, name: 'Joe'}]});
+    assert.equal(container.getHTML(), '<li data-key="1">Jane</li><li data-key="2">Joe</li>');
+
+    var joe = container.getLastChild().domElement;
+    template.update(container, {users: [{id: 2, name: 'Joseph'}, {id: 3, name: 'Bob'}]});
+    assert.equal(container.getHTML(), '<li data-key="2">Joseph</li><li data-key="3">Bob</li>');
+    assert.strictEqual(container.getFirstChild().domElement, joe);
+
+    // Appending keeps the existing nodes
+    new Prime.Template('<li>#{name}</li>').appendTo(container, {name: 'Ann'});
+    assert.strictEqual(container.getFirstChild().domElement, joe);
+  });
+
   it('appendMultiple', function() {
     var template = new Prime.Template("<span>#{foo}</span>");
     var container = Prime.Document.newElement("<div/>");
@@ -109,4 +125,221 @@ describe('Prime.Template', function() {
     assert.equal(target.domElement.parentNode.children[1].innerHTML, 'baz');
     assert.equal(target.domElement.parentNode.children[0].innerHTML, '');
   });
+  it('toFragment', function() {
+    var fragment = new Prime.Template('<tr><td>#{a}</td></tr><tr><td>#{b}</td></tr>').toFragment({a: 1, b: 2});
+    assert.instanceOf(fragment, DocumentFragment);
+    assert.equal(fragment.childNodes.length, 2);
+    assert.equal(fragment.childNodes[1].tagName, 'TR');
+    assert.equal(fragment.childNodes[1].textContent, '2');
+  });
+
+  it('insert multiple nodes', function() {
+    var template = new Prime.Template('<li>#{a}</li><li>#{b}</li>');
+    var list = Prime.Document.newElement('<ul/>').setHTML('<li>first</li><li>last</li>');
+    Prime.Document.bodyElement.appendElement(list);
+
+    try {
+      var first = list.getFirstChild();
+      var inserted = template.insertAfter(first, {a: 'a1', b: 'a2'});
+      assert.instanceOf(inserted, Prime.Document.ElementList);
+      assert.equal(inserted.length, 2);
+      assert.equal(inserted[0].getHTML(), 'a1');
+      template.insertBefore(first, {a: 'b1', b: 'b2'});
+      template.prependTo(list, {a: 'p1', b: 'p2'});
+      template.appendTo(list, {a: 'e1', b: 'e2'});
+      assert.equal(list.getTextContent(), 'p1p2b1b2firsta1a2laste1e2');
+
+      inserted = template.replace(first, {a: 'r1', b: 'r2'});
+      assert.equal(inserted[1].getHTML(), 'r2');
+      assert.isNull(first.domElement.parentNode);
+      assert.equal(list.getTextContent(), 'p1p2b1b2r1r2a1a2laste1e2');
+
+      assert.throws(function() {
+        template.replace(first, {});
+      }, TypeError, /not in the DOM/);
+    } finally {
+      list.removeFromDOM();
+    }
+  });
+
+  it('generate leaves unknown keys', function() {
+    var template = new Prime.Template("<span>#{foo} #{bar} #{baz.qux}</span>");
+    assert.equal(template.generate({foo: 'one'}), '<span>one #{bar} #{baz.qux}</span>');
+  });
+
+  it('generate escapes values', function() {
+    var template = new Prime.Template('<a title="#{title}">#{name}</a>#{{html}}');
+    var string = template.generate({title: '"quoted" & more', name: '<b>Jane</b>', html: '<b>bold</b>'});
+    assert.equal(string, '<a title="&quot;quoted&quot; &amp; more">&lt;b&gt;Jane&lt;/b&gt;</a><b>bold</b>');
+  });
+
+  it('generate escapes single quotes', function() {
+    var template = new Prime.Template("<a title='#{title}'>#{name}</a>");
+    var string = template.generate({title: "' onmouseover='alert(1)", name: "Jane's"});
+    assert.equal(string, "<a title='&#39; onmouseover=&#39;alert(1)'>Jane&#39;s</a>");
+  });
+
+  it('generate with dotted paths', function() {
+    var template = new Prime.Template('#{user.name} #{user.address.city} #{user.fullName} #{user.missing} #{nothing}');
+    var string = template.generate({
+      user: {
+        name: 'Jane',
+        address: {city: 'Denver'},
+        fullName: function() {
+          return this.name + ' Doe';
+        }
+      },
+      nothing: null
+    });
+    assert.equal(string, 'Jane Denver Jane Doe #{user.missing} ');
+  });
+
+  it('generate with if and else', function() {
+    var template = new Prime.Template('#{if admin}Admin#{else}User#{/if}#{if !items} (no items)#{/if}');
+    assert.equal(template.generate({admin: true, items: []}), 'Admin (no items)');
+    assert.equal(template.generate({admin: false, items: [1]}), 'User');
+    assert.equal(template.generate({}), 'User (no items)');
+  });
+
+  it('generate with each', function() {
+    var template = new Prime.Template('<ul>#{each users as user, i}<li>#{i}: #{user.name}#{if user.admin} (#{title})#{/if}</li>#{else}<li>None</li>#{/each}</ul>');
+    var users = [{name: 'Jane', admin: true}, {name: '<Joe>'}];
+    assert.equal(template.generate({users: users, title: 'admin'}), '<ul><li>0: Jane (admin)</li><li>1: &lt;Joe&gt;</li></ul>');
+    assert.equal(template.generate({users: []}), '<ul><li>None</li></ul>');
+
+    var objects = new Prime.Template('#{each colors as color, name}#{name}=#{color};#{/each}');
+    assert.equal(objects.generate({colors: {red: '#f00', blue: '#00f'}}), 'red=#f00;blue=#00f;');
+  });
+
+  it('generate with nested each', function() {
+    var template = new Prime.Template('#{each rows as row}[#{each row.cells as cell}#{cell}#{/each}]#{/each}');
+    assert.equal(template.generate({rows: [{cells: [1, 2]}, {cells: [3]}]}), '[12][3]');
+  });
+
+  it('generate with filters', function() {
+    var date = new Date(2020, 0, 5, 14, 7, 9);
+    assert.equal(new Prime.Template("#{createdAt | date:'yyyy-MM-dd'}").generate({createdAt: date}), '2020-01-05');
+    assert.equal(new Prime.Template("#{createdAt | date:'EEE, MMM d yyyy h:mm a'}").generate({createdAt: '2020-01-05'}), 'Sun, Jan 5 2020 12:00 AM');
+    assert.equal(new Prime.Template("#{price | currency:'USD':'en-US'}").generate({price: 1234.5}), '$1,234.50');
+    assert.equal(new Prime.Template("#{count | number:2:'en-US'}").generate({count: 1234}), '1,234.00');
+    assert.equal(new Prime.Template('#{name | truncate:4 | upper}').generate({name: 'Jonathan'}), 'JONA...');
+    assert.equal(new Prime.Template('#{name | capitalize}').generate({name: 'jane'}), 'Jane');
+    assert.equal(new Prime.Template("#{name | default:'Anonymous'}").generate({}), 'Anonymous');
+    assert.equal(new Prime.Template("#{tags | join:' | '}").generate({tags: ['a', 'b']}), 'a | b');
+    assert.equal(new Prime.Template('#{count} #{count | pluralize:item}').generate({count: 2, item: 'item'}), '2 items');
+    assert.equal(new Prime.Template("#{count | pluralize:'child':'children'}").generate({count: 1}), 'child');
+
+    // Escaped unless the tag is raw, in which case the escape filter can be used
+    assert.equal(new Prime.Template('#{user | json}').generate({user: {name: '<b>'}}), '{&quot;name&quot;:&quot;&lt;b&gt;&quot;}');
+    assert.equal(new Prime.Template('#{{name | escape}} #{{name}}').generate({name: '<b>'}), '&lt;b&gt; <b>');
+
+    // Unknown values are left alone
+    assert.equal(new Prime.Template('#{name | upper}').generate({}), '#{name | upper}');
+    assert.throws(function() {
+      new Prime.Template('#{name | missing}').generate({name: 'Jane'});
+    }, TypeError, /missing/);
+  });
+
+  it('generate with invalid sections', function() {
+    assert.throws(function() {
+      new Prime.Template('#{if foo}bar').generate();
+    }, SyntaxError, /not closed/);
+    assert.throws(function() {
+      new Prime.Template('#{if foo}bar#{/each}').generate();
+    }, SyntaxError, /Unexpected/);
+    assert.throws(function() {
+      new Prime.Template('bar#{else}').generate();
+    }, SyntaxError, /Unexpected/);
+    assert.throws(function() {
+      new Prime.Template('#{each foo}#{/each}').generate();
+    }, SyntaxError, /Invalid tag/);
+  });
+});
+
+describe('Prime.Template registry', function() {
+  afterEach(function() {
+    ['cell', 'row', 'table', 'tree', 'scriptTemplate', 'elementTemplate'].forEach(function(name) {
+      Prime.Template.unregister(name);
+    });
+  });
+
+  it('compile', function() {
+    var render = new Prime.Template('<td>#{name}</td>').compile();
+    assert.equal(render({name: 'Jane'}), '<td>Jane</td>');
+    assert.equal(render({name: '<Joe>'}), '<td>&lt;Joe&gt;</td>');
+    assert.equal(render(), '<td>#{name}</td>');
+  });
+
+  it('register and render', function() {
+    var template = Prime.Template.register('row', '<tr>#{name}</tr>');
+    assert.instanceOf(template, Prime.Template);
+    assert.equal(Prime.Template.lookup('row'), template);
+    assert.equal(Prime.Template.render('row', {name: 'Jane'}), '<tr>Jane</tr>');
+
+    Prime.Template.unregister('row');
+    assert.isNull(Prime.Template.lookup('row'));
+    assert.throws(function() {
+      Prime.Template.render('row');
+    }, TypeError);
+  });
+
+  it('partials', function() {
+    Prime.Template.register('cell', '<td>#{value}</td>');
+    Prime.Template.register('row', '<tr>#{> cell name}#{> cell email}#{if admin}<td>#{title}</td>#{/if}</tr>');
+    Prime.Template.register('table', '<table>#{each users as user}#{> row user}#{/each}</table>');
+
+    var users = [
+      {name: {value: 'Jane'}, email: {value: 'jane@example.com'}, admin: true},
+      {name: {value: 'Joe'}, email: {value: 'joe@example.com'}}
+    ];
+    assert.equal(Prime.Template.render('table', {users: users, title: 'Admin'}),
+        '<table><tr><td>Jane</td><td>jane@example.com</td><td>Admin</td></tr><tr><td>Joe</td><td>joe@example.com</td></tr></table>');
+
+    // Partials can be recursive
+    Prime.Template.register('tree', '<li>#{node.name}#{if node.children}<ul>#{each node.children as node}#{> tree}#{/each}</ul>#{/if}</li>');
+    var tree = {name: 'a', children: [{name: 'b', children: [{name: 'c'}]}]};
+    assert.equal(Prime.Template.render('tree', {node: tree}), '<li>a<ul><li>b<ul><li>c</li></ul></li></ul></li>');
+
+    assert.throws(function() {
+      new Prime.Template('#{> missing}').generate();
+    }, TypeError, /missing/);
+  });
+
+  it('registerFilter', function() {
+    Prime.Template.registerFilter('repeat', function(value, times) {
+      return new Array(times + 1).join(value);
+    });
+    try {
+      assert.equal(new Prime.Template("#{name | repeat:3}").generate({name: 'ab'}), 'ababab');
+    } finally {
+      Prime.Template.unregisterFilter('repeat');
+    }
+
+    assert.throws(function() {
+      new Prime.Template("#{name | repeat:3}").generate({name: 'ab'});
+    }, TypeError, /repeat/);
+  });
+
+  it('load', function() {
+    var container = Prime.Document.newElement('<div/>')
+        .setHTML('<script type="text/x-prime-template" id="scriptTemplate"><tr>#{each items as item}<td>#{item}</td>#{/each}</tr></script>' +
+            '<template id="elementTemplate"><span>#{name}</span></template>' +
+            '<script type="text/x-prime-template"><b>No id</b></script>');
+
+    var names = Prime.Template.load(container);
+    assert.deepEqual(names, ['scriptTemplate', 'elementTemplate']);
+    assert.equal(Prime.Template.render('scriptTemplate', {items: [1, 2]}), '<tr><td>1</td><td>2</td></tr>');
+    assert.equal(Prime.Template.render('elementTemplate', {name: 'Jane'}), '<span>Jane</span>');
+  });
+
+  it('load partials and filters from template elements', function() {
+    var container = Prime.Document.newElement('<div/>')
+        .setHTML('<template id="loadedRow"><li>#{name}</li></template>' +
+            '<template id="loadedList"><ul>#{each users as user}#{> loadedRow user}#{/each}</ul>' +
+            '<p title="#{title | truncate:5:\'&amp;\'}">#{title | truncate:5:\'&\'} &amp; more</p></template>');
+
+    Prime.Template.load(container);
+    assert.equal(Prime.Template.render('loadedList', {users: [{name: 'Jane'}, {name: 'Joe'}], title: 'Hello world'}),
+        '<ul><li>Jane</li><li>Joe</li></ul><p title="Hello&amp;">Hello&amp; &amp; more</p>');
+  });
 });
@@ -109,6 +109,93 @@ describe('Tab initialization tests', function() {
     assert.isTrue(Prime.Document.queryFirst('[data-tab-id="tab-initialization-tab3"]').hasClass('selected'));
   })
 
+  it('withStorage', function() {
+    var storage = Prime.Storage.namespace('tabs.user1', 'session');
+    storage.set('tabs.initialization.test', {tabId: 'tab-initialization-tab2'});
+
+    this.tabs
+        .withDeepLinkingDisabled()
+        .withLocalStorageKey('tabs.initialization.test')
+        .withStorage(storage)
+        .initialize();
+
+    assert.isTrue(Prime.Document.queryFirst('[data-tab-id="tab-initialization-tab2"]').hasClass('selected'));
+    this.tabs.selectTab('tab-initialization-tab1');
+    assert.deepEqual(storage.get('tabs.initialization.test'), {tabId: 'tab-initialization-tab1'});
+    assert.deepEqual(Prime.Storage.getSessionObject('tabs.initialization.test'), {tabId: 'tab-initialization-tab3'});
+    storage.clear();
+  });
+
+  it('withStorage in memory when storage is not supported', function() {
+    var storage = Prime.Storage.namespace('tabs.memory', 'memory');
+    storage.set('tabs.initialization.test', {tabId: 'tab-initialization-tab2'});
+    var supported = Prime.Storage.supported;
+    Prime.Storage.supported = false;
+
+    try {
+      this.tabs
+          .withDeepLinkingDisabled()
+          .withLocalStorageKey('tabs.initialization.test')
+          .withStorage(storage)
+          .initialize();
+
+      assert.isTrue(Prime.Document.queryFirst('[data-tab-id="tab-initialization-tab2"]').hasClass('selected'));
+      this.tabs.selectTab('tab-initialization-tab1');
+      assert.deepEqual(storage.get('tabs.initialization.test'), {tabId: 'tab-initialization-tab1'});
+    } finally {
+      Prime.Storage.supported = supported;
+      storage.clear();
+    }
+  });
+
+  it('withStorage rejects IndexedDB', function() {
+    var tabs = this.tabs;
+    assert.throws(function() {
+      tabs.withStorage(Prime.Storage.namespace('tabs.user1', 'indexedDB'));
+    }, TypeError);
+  });
+
+  it('withStateVersion', function() {
+    // Stored before the tabs were renamed
+    Prime.Storage.setSessionObject('tabs.version.test', {tabId: 'tab-initialization-tab2'});
+
+    this.tabs
+        .withDeepLinkingDisabled()
+        .withLocalStorageKey('tabs.version.test')
+        .withStateVersion(1, {
+          0: function(state) {
+            return {tabId: state.tabId.replace('tab2', 'tab3')};
+          }
+        })
+        .initialize();
+
+    assert.isTrue(Prime.Document.queryFirst('[data-tab-id="tab-initialization-tab3"]').hasClass('selected'));
+    assert.deepEqual(JSON.parse(sessionStorage.getItem('tabs.version.test')), {version: 1, value: {tabId: 'tab-initialization-tab3'}});
+    Prime.Storage.unregisterSchema('tabs.version.test');
+    sessionStorage.removeItem('tabs.version.test');
+  });
+
+  it('withLiveSync', function() {
+    var storage = Prime.Storage.namespace('tabs.user1');
+    this.tabs
+        .withDeepLinkingDisabled()
+        .withLiveSync()
+        .withLocalStorageKey('tabs.initialization.test')
+        .withStorage(storage)
+        .initialize();
+
+    // The tab is selected in another window
+    window.dispatchEvent(new StorageEvent('storage', {
+      key: 'prime:tabs.user1|tabs.initialization.test',
+      newValue: JSON.stringify({expires: null, value: {tabId: 'tab-initialization-tab2'}}),
+      oldValue: null,
+      storageArea: localStorage
+    }));
+    assert.isTrue(Prime.Document.queryFirst('[data-tab-id="tab-initialization-tab2"]').hasClass('selected'));
+    assert.isFalse(Prime.Document.queryFirst('[data-tab-id="tab-initialization-tab1"]').hasClass('selected'));
+    storage.clear();
+  });
+
   it('withDeepLinking Disabled', function() {
     window.location.hash = "#tab-initialization-tab2";
 
@@ -122,3 +209,66 @@ describe('Tab initialization tests', function() {
     assert.isTrue(Prime.Document.queryFirst('[data-tab-id="tab-initialization-tab3"]').hasClass('selected'));
   })
 });
+
+describe('Tab AJAX tests', function() {
+  beforeEach(function() {
+    this.tabs = new Prime.Widgets.Tabs(Prime.Document.queryById('tab-ajax-test'))
+        .withDeepLinkingDisabled()
+        .initialize();
+    this.ajaxTab = Prime.Document.queryFirst('[data-tab-id="/ajax/ajax-response.html"]');
+    this.ajaxContent = this.tabs.tabContents['/ajax/ajax-response.html'];
+  });
+
+  afterEach(function() {
+    this.tabs.destroy();
+    this.tabs = null;
+  });
+
+  it('loads the tab', function(done) {
+    this.tabs.selectTab('/ajax/ajax-response.html');
+    assert.isNotNull(this.tabs.request);
+    assert.isTrue(this.ajaxTab.hasClass('loading'));
+
+    setTimeout(function() {
+      assert.isNull(this.tabs.request);
+      assert.isFalse(this.ajaxTab.hasClass('loading'));
+      assert.equal(this.ajaxContent.getHTML(), '<div>Success</div>');
+      done();
+    }.bind(this), 200);
+  });
+
+  it('aborts the superseded request', function(done) {
+    this.tabs.selectTab('/ajax/ajax-response.html');
+    var request = this.tabs.request;
+    this.tabs.selectTab('tab-ajax-tab1');
+
+    assert.isTrue(request.aborted);
+    assert.isNull(this.tabs.request);
+    assert.isFalse(this.ajaxTab.hasClass('loading'));
+    assert.isFalse(this.ajaxContent.hasClass('loading'));
+
+    setTimeout(function() {
+      assert.equal(this.ajaxContent.getHTML(), '');
+      done();
+    }.bind(this), 200);
+  });
+
+  it('loads the tab from a fake server', function() {
+    var server = new Prime.Ajax.FakeServer()
+        .withAutoRespond(false)
+        .withRoute('GET', '/ajax/ajax-response.html', {body: '<p>Offline</p>'})
+        .install();
+
+    try {
+      this.tabs.selectTab('/ajax/ajax-response.html');
+      assert.isTrue(this.ajaxTab.hasClass('loading'));
+
+      server.respond();
+      assert.isFalse(this.ajaxTab.hasClass('loading'));
+      assert.equal(this.ajaxContent.getHTML(), '<p>Offline</p>');
+      server.assertReceived('GET', '/ajax/ajax-response.html', 1);
+    } finally {
+      server.uninstall();
+    }
+  });
+});
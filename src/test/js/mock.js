@@ -22,7 +22,8 @@ var Mock = Mock || {};
 
 /**
  * Mocks out the basics of an XMLHttpRequest, primarily for injecting into some component that uses XHR and
- * you want to test what gets called via that component.  Does not currently simulate responses.
+ * you want to test what gets called via that component.  Does not currently simulate responses, use
+ * Prime.Ajax.FakeServer for that.
  * @constructor
  */
 Mock.XHR = function () {
@@ -30,6 +31,26 @@ Mock.XHR = function () {
 };
 
 Mock.XHR.prototype = {
+  /**
+   * Mocks out the xhr.abort call. This completes the request with a status of zero the same way the browser does.
+   */
+  abort:function () {
+    this.aborted = true;
+    this.readyState = 4;
+    this.status = 0;
+    if (this.onreadystatechange) {
+      this.onreadystatechange();
+    }
+  },
+
+  /**
+   * Mocks out the xhr.getAllResponseHeaders method. The mock never has any response headers.
+   * @returns {string}
+   */
+  getAllResponseHeaders:function () {
+    return '';
+  },
+
   /**
    * Mocks out the xhr.open call, and just stores the values
    *
@@ -73,6 +94,10 @@ Mock.XHR.prototype = {
   },
   /** private methods **/
   init:function () {
+    this.aborted = false;
     this.headers = {};
+    this.readyState = 0;
+    this.responseText = '';
+    this.status = 0;
   }
 };